@@ -0,0 +1,62 @@
+import express from 'express';
+import cors from 'cors';
+import 'dotenv/config';
+import auth from './middleware/auth.js';
+import authRoutes from './routes/auth.js';
+import adminRoutes from './routes/admins.js';
+import categoryRoutes from './routes/categories.js';
+import newsletterRoutes from './routes/newsletters.js';
+import userRoutes from './routes/users.js';
+import newsRoutes from './routes/news.js';
+import articleRoutes from './routes/articles.js';
+import notificationRoutes from './routes/notifications.js';
+import templateRoutes from './routes/templates.js';
+import scheduleRoutes from './routes/schedules.js';
+import webhookRoutes from './routes/webhooks.js';
+import unsubscribeRoutes from './routes/unsubscribe.js';
+import archiveRoutes from './routes/archive.js';
+import invitationRoutes from './routes/invitations.js';
+import auditRoutes from './routes/audit.js';
+import searchRoutes from './routes/search.js';
+import { registerRoutes } from './services/accessPolicy.js';
+
+// The API without its database connection, background workers or listener (see index.js),
+// so it can also be loaded by the tests.
+const app = express();
+
+// This permissive CORS policy allows all origins, which is fine for development.
+app.use(cors());
+
+// Webhook signatures are computed over the exact request body, so keep it for those routes.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  },
+}));
+
+// Public routers are reachable without logging in; the rest sit behind auth and check
+// their permissions route by route. Each one is also recorded for the permission matrix.
+const mount = (prefix, router, { isPublic = false } = {}) => {
+  if (isPublic) app.use(prefix, router);
+  else app.use(prefix, auth, router);
+  registerRoutes(prefix, router, { isPublic });
+};
+
+mount('/api/auth', authRoutes, { isPublic: true });
+mount('/api/admins', adminRoutes);
+mount('/api/categories', categoryRoutes);
+mount('/api/newsletters', newsletterRoutes);
+mount('/api/users', userRoutes);
+mount('/api/news', newsRoutes);
+mount('/api/articles', articleRoutes);
+mount('/api/notifications', notificationRoutes);
+mount('/api/newsletter-templates', templateRoutes);
+mount('/api/schedules', scheduleRoutes);
+mount('/api/invitations', invitationRoutes);
+mount('/api/audit', auditRoutes);
+mount('/api/search', searchRoutes);
+mount('/api/webhooks', webhookRoutes, { isPublic: true });
+mount('/api/unsubscribe', unsubscribeRoutes, { isPublic: true });
+mount('/api/archive', archiveRoutes, { isPublic: true });
+
+export default app;
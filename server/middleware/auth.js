@@ -1,18 +1,28 @@
-import jwt from 'jsonwebtoken';
+import User from '../models/user.model.js';
+import { verifyAccessToken, findLiveSession } from '../services/sessions.js';
 
-const auth = (req, res, next) => {
+// Access tokens are short-lived and tied to a session, so logging out, a password change
+// or deactivation takes effect on the next request rather than when the token expires.
+const auth = async (req, res, next) => {
   try {
     const token = req.header('x-auth-token');
     if (!token) return res.status(401).json({ message: 'No authentication token, access denied.' });
 
-    const verified = jwt.verify(token, process.env.JWT_SECRET);
-    if (!verified) return res.status(401).json({ message: 'Token verification failed, access denied.' });
+    const verified = verifyAccessToken(token);
+    if (verified.error) return res.status(401).json({ message: verified.error, expired: Boolean(verified.expired) });
 
-    req.user = verified.id;
+    const session = await findLiveSession(verified.sessionId, verified.userId);
+    if (!session) return res.status(401).json({ message: 'Your session has ended. Please log in again.' });
+
+    const user = await User.findById(verified.userId).select('status');
+    if (!user || user.status !== 'Active') return res.status(401).json({ message: 'This account is not active.' });
+
+    req.user = verified.userId;
+    req.sessionId = verified.sessionId;
     next();
   } catch (err) {
-    res.status(400).json({ message: 'Token is not valid.' });
+    res.status(500).json({ message: 'Server error checking authentication.', error: err.message });
   }
 };
 
-export default auth;
\ No newline at end of file
+export default auth;
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A sent newsletter published to the public web archive at /api/archive/:category/:slug.
+// An edition is live until it expires or is revoked; a newsletter can be published again afterwards.
+const archivedEditionSchema = new Schema({
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter', required: true },
+  category: { type: String, required: true },
+  title: { type: String, required: true },
+  // Title words plus a random suffix, so archive URLs cannot be guessed from the title alone.
+  slug: { type: String, required: true, unique: true },
+  publishedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  viewCount: { type: Number, default: 0 },
+  lastViewedAt: { type: Date },
+}, {
+  timestamps: true,
+});
+
+archivedEditionSchema.index({ category: 1, createdAt: -1 });
+archivedEditionSchema.index({ newsletter: 1, revokedAt: 1 });
+
+const ArchivedEdition = mongoose.model('ArchivedEdition', archivedEditionSchema);
+export default ArchivedEdition;
@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
 const Schema = mongoose.Schema;
+
+// Where an article is in the editor's workflow. Saving sets 'shortlisted', or 'summarized' when it
+// already has a summary; it becomes 'used' once a newsletter containing it is sent.
+export const EDITORIAL_STATUSES = ['shortlisted', 'summarized', 'ready', 'used'];
+
 const curatedArticleSchema = new Schema({
     title: { type: String, required: true },
     sourceName: { type: String },
@@ -10,8 +15,22 @@ const curatedArticleSchema = new Schema({
     imageUrl: { type: String },
     publishedAt: { type: Date },
     category: { type: String, required: true },
+    // Free-form labels, stored trimmed and lowercase (services/articleCuration.js).
+    tags: { type: [String], default: [] },
+    // Private to the curating admins; never copied into newsletters.
+    editorNotes: { type: String },
+    editorialStatus: { type: String, enum: EDITORIAL_STATUSES, default: 'shortlisted' },
     savedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    // Set when the article was saved while a near-identical story was already curated in its category
+    nearDuplicateOf: { type: Schema.Types.ObjectId, ref: 'CuratedArticle' },
 }, {
     timestamps: true
 });
+// Full-text search (services/search.js); a title match counts most.
+curatedArticleSchema.index(
+    { title: 'text', summary: 'text', description: 'text' },
+    { name: 'article_text', weights: { title: 10, summary: 4, description: 2 } }
+);
+curatedArticleSchema.index({ category: 1, publishedAt: -1 });
+curatedArticleSchema.index({ savedBy: 1, tags: 1 });
 export default mongoose.model('CuratedArticle', curatedArticleSchema);
\ No newline at end of file
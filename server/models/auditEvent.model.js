@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Who changed what, from where. Written by services/audit.js from every mutating admin,
+// category, invitation, newsletter and user route. Append-only: updates and deletes are refused below.
+const auditEventSchema = new Schema({
+  actor: { type: Schema.Types.ObjectId, ref: 'User' },
+  // Copied so the trail still reads after the actor's account is deleted.
+  actorEmail: { type: String },
+  actorRole: { type: String },
+  // "<resource>.<verb>", e.g. 'admin.create', 'newsletter.send', 'category.sources.update'.
+  action: { type: String, required: true },
+  targetType: { type: String, required: true },
+  targetId: { type: String },
+  targetLabel: { type: String },
+  // Changed fields only: { field: { before, after } }. Secrets are recorded as changed, never by value.
+  changes: { type: Schema.Types.Mixed },
+  details: { type: Schema.Types.Mixed },
+  request: {
+    method: { type: String },
+    path: { type: String },
+    ip: { type: String },
+    userAgent: { type: String },
+    sessionId: { type: String },
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+const refuse = function () {
+  throw new Error('Audit events are append-only.');
+};
+auditEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], refuse);
+auditEventSchema.pre('deleteOne', { document: true, query: false }, refuse);
+auditEventSchema.pre('save', function () {
+  if (!this.isNew) refuse();
+});
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+export default AuditEvent;
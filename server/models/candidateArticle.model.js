@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A fetched-but-not-yet-curated article in the ingestion pool. The same URL can
+// appear once per category; re-fetching it refreshes the metadata and its expiry.
+const candidateArticleSchema = new Schema({
+  category: { type: String, required: true },
+  url: { type: String, required: true },
+  title: { type: String, required: true },
+  description: { type: String },
+  content: { type: String },
+  author: { type: String },
+  sourceName: { type: String },
+  imageUrl: { type: String },
+  publishedAt: { type: Date },
+  // Fetch metadata
+  provider: { type: String },
+  feedUrl: { type: String },
+  firstFetchedAt: { type: Date },
+  lastFetchedAt: { type: Date },
+  fetchCount: { type: Number },
+  expiresAt: { type: Date, required: true },
+}, {
+  timestamps: true,
+});
+
+candidateArticleSchema.index({ category: 1, url: 1 }, { unique: true });
+candidateArticleSchema.index({ category: 1, publishedAt: -1 });
+candidateArticleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CandidateArticle = mongoose.model('CandidateArticle', candidateArticleSchema);
+export default CandidateArticle;
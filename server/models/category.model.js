@@ -1,7 +1,31 @@
 import mongoose from 'mongoose';
 const Schema = mongoose.Schema;
+// Where a category's news comes from. `url` is the feed URL for 'rss' and an optional fixture file name for 'fixture'.
+const newsSourceSchema = new Schema({
+  provider: { type: String, enum: ['newsapi', 'rss', 'fixture'], required: true },
+  url: { type: String, trim: true },
+  label: { type: String, trim: true },
+  enabled: { type: Boolean, default: true }
+}, { _id: false });
+// How the category is searched for. Unset until an admin saves one; see services/searchProfile.js for the defaults.
+const searchProfileSchema = new Schema({
+  includeTerms: [{ type: String }],
+  excludeTerms: [{ type: String }],
+  requiredPhrases: [{ type: String }],
+  // At least one of these must also appear (a second OR group, AND-ed with includeTerms).
+  requiredTerms: [{ type: String }],
+  preferredDomains: [{ type: String }],
+  blockedDomains: [{ type: String }],
+  language: { type: String, default: 'en' },
+  lookbackDays: { type: Number, default: 7, min: 1, max: 30 }
+}, { _id: false });
 const categorySchema = new Schema({
   name: { type: String, required: true, unique: true },
-  admins: [{ type: Schema.Types.ObjectId, ref: 'User' }]
+  admins: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+  // Users who may approve or decline this category's newsletters (superadmins always can).
+  reviewers: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+  newsSources: [newsSourceSchema],
+  searchProfile: { type: searchProfileSchema },
+  defaultTemplate: { type: Schema.Types.ObjectId, ref: 'NewsletterTemplate' }
 }, { timestamps: true });
-export default mongoose.model('Category', categorySchema);
\ No newline at end of file
+export default mongoose.model('Category', categorySchema);
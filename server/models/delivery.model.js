@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// 'unknown': interrupted by a server restart while sending, so it may or may not have gone out.
+export const DELIVERY_STATUSES = ['queued', 'sending', 'sent', 'failed', 'bounced', 'unknown'];
+
+// One newsletter email to one recipient, processed by services/newsletterDelivery.js.
+// Provider events (bounces, spam reports) arrive through routes/webhooks.js.
+const deliverySchema = new Schema({
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter', required: true },
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  email: { type: String, required: true },
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String },
+  requestedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  transport: { type: String },
+  messageId: { type: String },
+  sentAt: { type: Date },
+  bouncedAt: { type: Date },
+  spamReportedAt: { type: Date },
+  events: [{
+    _id: false,
+    type: { type: String },
+    at: { type: Date, default: Date.now },
+    detail: String,
+  }],
+}, {
+  timestamps: true,
+});
+
+deliverySchema.index({ newsletter: 1, user: 1 }, { unique: true });
+deliverySchema.index({ status: 1, nextAttemptAt: 1 });
+deliverySchema.index({ email: 1, createdAt: -1 });
+
+const Delivery = mongoose.model('Delivery', deliverySchema);
+export default Delivery;
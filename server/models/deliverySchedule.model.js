@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A planned delivery: either one newsletter at a set time ('once'), or a new edition
+// generated from the category's recently curated articles every week ('recurring').
+// Each occurrence is tracked as a ScheduleRun.
+const deliveryScheduleSchema = new Schema({
+  kind: { type: String, enum: ['once', 'recurring'], required: true },
+  category: { type: String, required: true },
+  timezone: { type: String, required: true, default: 'UTC' },
+  // 'once'
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter' },
+  sendAt: { type: Date },
+  // 'recurring'
+  recurrence: {
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }],
+    time: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    lookbackDays: { type: Number, default: 7, min: 1, max: 31 },
+  },
+  title: { type: String },
+  renderMode: { type: String, enum: ['ai', 'template'], default: 'ai' },
+  template: { type: Schema.Types.ObjectId, ref: 'NewsletterTemplate' },
+  // Empty means every subscriber of the category at send time; otherwise those of these still subscribed.
+  recipients: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+  status: { type: String, enum: ['active', 'paused', 'cancelled', 'completed'], default: 'active' },
+  nextRunAt: { type: Date },
+  lastRunAt: { type: Date },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+}, {
+  timestamps: true,
+});
+
+deliveryScheduleSchema.index({ status: 1, nextRunAt: 1 });
+
+const DeliverySchedule = mongoose.model('DeliverySchedule', deliveryScheduleSchema);
+export default DeliverySchedule;
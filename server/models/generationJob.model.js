@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+export const JOB_STATUSES = ['queued', 'generating-html', 'rendering-pdf', 'saved', 'failed'];
+
+// A newsletter generation request, processed in the background by services/generationQueue.js.
+const generationJobSchema = new Schema({
+  requestedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  title: { type: String, required: true },
+  category: { type: String, required: true },
+  articles: [{ type: Schema.Types.ObjectId, ref: 'CuratedArticle' }],
+  renderMode: { type: String, enum: ['ai', 'template'], default: 'ai' },
+  template: { type: Schema.Types.ObjectId, ref: 'NewsletterTemplate' },
+  status: { type: String, enum: JOB_STATUSES, default: 'queued' },
+  history: [{
+    _id: false,
+    status: { type: String, enum: JOB_STATUSES },
+    at: { type: Date, default: Date.now },
+    message: String,
+  }],
+  attempts: { type: Number, default: 0 },
+  error: { type: String },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  // The newsletter being regenerated, or for new newsletters the one created once the job is saved.
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter' },
+}, {
+  timestamps: true,
+});
+
+generationJobSchema.index({ status: 1, createdAt: 1 });
+// Finished jobs are only useful for polling; keep them for a week.
+generationJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 604800 });
+
+const GenerationJob = mongoose.model('GenerationJob', generationJobSchema);
+export default GenerationJob;
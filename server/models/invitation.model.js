@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A pending invitation past expiresAt is reported as expired; it is only stored as 'expired' once
+// the same address is invited again.
+export const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+// An invitation to join with a given role and categories. The invitee sets their own password
+// through the emailed link; only the link token's hash is stored, and resending replaces it.
+const invitationSchema = new Schema({
+  email: { type: String, required: true, trim: true, lowercase: true },
+  name: { type: String, trim: true },
+  userType: { type: String, enum: ['user', 'admin'], default: 'user' },
+  categories: [{ type: String }],
+  invitedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  status: { type: String, enum: INVITATION_STATUSES, default: 'pending' },
+  sentCount: { type: Number, default: 1 },
+  lastSentAt: { type: Date, default: Date.now },
+  acceptedAt: { type: Date },
+  acceptedUser: { type: Schema.Types.ObjectId, ref: 'User' },
+  revokedAt: { type: Date },
+  revokedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+}, {
+  timestamps: true,
+});
+
+// At most one open invitation per address.
+invitationSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+invitationSchema.index({ categories: 1, createdAt: -1 });
+invitationSchema.index({ invitedBy: 1, createdAt: -1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+export default Invitation;
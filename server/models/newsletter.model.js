@@ -1,6 +1,21 @@
 import mongoose from 'mongoose';
 const { Schema } = mongoose;
 
+// What validateNewsletterHtml() changed or rejected in the generated HTML.
+export const validationReportSchema = new Schema({
+  status: { type: String, enum: ['clean', 'repaired', 'rejected'] },
+  mode: { type: String, enum: ['repair', 'strict'] },
+  reason: String,
+  fallback: String,
+  removedTags: [{ tag: String, count: Number }],
+  removedAttributes: [{ attribute: String, count: Number }],
+  foreignLinks: [String],
+  foreignImages: [String],
+  unsafeStyles: Number,
+  missingArticleLinks: [String],
+  checkedAt: Date,
+}, { _id: false });
+
 const newsletterSchema = new Schema({
   title: { type: String, required: true },
   category: { type: String, required: true },
@@ -11,8 +26,29 @@ const newsletterSchema = new Schema({
     // MODIFIED: Changed the default status for new newsletters
     default: 'Not Sent' 
   },
+  // Every status change, in order; see services/newsletterWorkflow.js.
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    action: String,
+    actor: { type: Schema.Types.ObjectId, ref: 'User' },
+    comment: String,
+    at: { type: Date, default: Date.now },
+  }],
+  submittedBy: { type: Schema.Types.ObjectId, ref: 'User' },
   articles: [{ type: Schema.Types.ObjectId, ref: 'CuratedArticle' }],
   recipients: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+  renderMode: { type: String, enum: ['ai', 'template'], default: 'ai' },
+  template: { type: Schema.Types.ObjectId, ref: 'NewsletterTemplate' },
+  generatedBy: String,
+  validationReport: validationReportSchema,
+  // The revision the current PDF belongs to; see NewsletterRevision.
+  currentRevision: { type: Number, default: 0 },
+  // Set when the title or articles were edited after the PDF was generated.
+  needsRegeneration: { type: Boolean, default: false },
+  // The HTML the PDF was rendered from; sent as the email body and used for the HTML, Markdown and text exports.
+  htmlContent: { type: String },
   pdfContent: {
     data: Buffer,
     contentType: String
@@ -21,5 +57,9 @@ const newsletterSchema = new Schema({
   timestamps: true,
 });
 
+// Full-text search over titles (services/search.js).
+newsletterSchema.index({ title: 'text' }, { name: 'newsletter_text' });
+newsletterSchema.index({ recipients: 1, createdAt: -1 });
+
 const Newsletter = mongoose.model('Newsletter', newsletterSchema);
 export default Newsletter;
\ No newline at end of file
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import { validationReportSchema } from './newsletter.model.js';
+const { Schema } = mongoose;
+
+// A snapshot of a newsletter each time its PDF is (re)generated or rolled back.
+const newsletterRevisionSchema = new Schema({
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter', required: true },
+  number: { type: Number, required: true },
+  title: { type: String, required: true },
+  articles: [{ type: Schema.Types.ObjectId, ref: 'CuratedArticle' }],
+  renderMode: { type: String, enum: ['ai', 'template'] },
+  template: { type: Schema.Types.ObjectId, ref: 'NewsletterTemplate' },
+  generatedBy: String,
+  validationReport: validationReportSchema,
+  note: { type: String },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  htmlContent: { type: String },
+  pdfContent: {
+    data: Buffer,
+    contentType: String
+  }
+}, {
+  timestamps: true,
+});
+
+newsletterRevisionSchema.index({ newsletter: 1, number: 1 }, { unique: true });
+
+const NewsletterRevision = mongoose.model('NewsletterRevision', newsletterRevisionSchema);
+export default NewsletterRevision;
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A newsletter layout. Each section is an HTML fragment with {{placeholders}};
+// see services/templateRenderer.js for the placeholders each section can use.
+const newsletterTemplateSchema = new Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  description: { type: String },
+  header: { type: String, required: true },
+  articleBlock: { type: String, required: true },
+  pullQuote: { type: String, default: '' },
+  // The pull quote is placed after this many articles (0 disables it).
+  pullQuoteAfter: { type: Number, default: 1, min: 0 },
+  footer: { type: String, default: '' },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+}, {
+  timestamps: true,
+});
+
+const NewsletterTemplate = mongoose.model('NewsletterTemplate', newsletterTemplateSchema);
+export default NewsletterTemplate;
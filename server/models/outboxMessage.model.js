@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// An email captured by the outbox mail transport (MAIL_TRANSPORT=outbox, MAIL_OUTBOX=db)
+// instead of being delivered.
+const outboxMessageSchema = new Schema({
+  to: [{ type: String }],
+  from: { name: String, email: String },
+  replyTo: { type: String },
+  subject: { type: String },
+  html: { type: String },
+  text: { type: String },
+  headers: { type: Schema.Types.Mixed },
+  metadata: { type: Schema.Types.Mixed },
+  attachments: [{
+    _id: false,
+    filename: String,
+    contentType: String,
+    size: Number,
+    data: Buffer,
+  }],
+}, {
+  timestamps: true,
+});
+
+const OutboxMessage = mongoose.model('OutboxMessage', outboxMessageSchema);
+export default OutboxMessage;
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A "forgot password" link. Only the token's hash is stored; it works once, until it expires.
+const passwordResetTokenSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+  requestedIp: { type: String },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+passwordResetTokenSchema.index({ user: 1, createdAt: -1 });
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+export default PasswordResetToken;
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+export const RUN_STATUSES = ['generating', 'awaiting-approval', 'sending', 'sent', 'skipped', 'failed', 'cancelled'];
+
+// One occurrence of a DeliverySchedule. runKey is unique per schedule and due time, so an
+// occurrence is only ever started once; a run only leaves 'sending' by finishing, so a
+// send interrupted by a restart is never repeated automatically.
+const scheduleRunSchema = new Schema({
+  schedule: { type: Schema.Types.ObjectId, ref: 'DeliverySchedule', required: true, index: true },
+  runKey: { type: String, required: true, unique: true },
+  dueAt: { type: Date, required: true },
+  status: { type: String, enum: RUN_STATUSES, default: 'generating' },
+  generationJob: { type: Schema.Types.ObjectId, ref: 'GenerationJob' },
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter' },
+  recipientCount: { type: Number },
+  sentAt: { type: Date },
+  error: { type: String },
+}, {
+  timestamps: true,
+});
+
+scheduleRunSchema.index({ status: 1 });
+
+const ScheduleRun = mongoose.model('ScheduleRun', scheduleRunSchema);
+export default ScheduleRun;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One signed-in device. Access tokens name their session and stop working as soon as it is
+// revoked; the refresh token is stored only as a hash and replaced every time it is used.
+const sessionSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true },
+  // The token this one replaced. Seeing it again means an old refresh token was copied and
+  // replayed, so the whole session is revoked.
+  previousTokenHash: { type: String },
+  userAgent: { type: String },
+  ip: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are useless once their refresh token lapses; let MongoDB clear them out.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
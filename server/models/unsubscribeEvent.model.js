@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A recipient leaving a category through the unsubscribe link in a newsletter email.
+// Kept as an audit trail; never updated after it is written.
+const unsubscribeEventSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  email: { type: String, required: true },
+  category: { type: String, required: true },
+  newsletter: { type: Schema.Types.ObjectId, ref: 'Newsletter' },
+  // 'link': the confirmation page; 'one-click': a mail client's List-Unsubscribe-Post request.
+  method: { type: String, enum: ['link', 'one-click'], required: true },
+  ip: { type: String },
+  userAgent: { type: String },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+unsubscribeEventSchema.index({ category: 1, createdAt: -1 });
+unsubscribeEventSchema.index({ user: 1, createdAt: -1 });
+
+const UnsubscribeEvent = mongoose.model('UnsubscribeEvent', unsubscribeEventSchema);
+export default UnsubscribeEvent;
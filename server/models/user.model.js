@@ -12,6 +12,9 @@ const userSchema = new Schema({
   },
   categories: [{ type: String }],
   status: { type: String, enum: ['Active', 'Inactive'], default: 'Active' },
+  // Set when someone else chose the password (a generated one at account creation or reset);
+  // login then asks for a new password before starting a session.
+  mustChangePassword: { type: Boolean, default: false },
   lastLogin: { type: Date, default: Date.now }
 }, {
   timestamps: true,
@@ -1,21 +1,47 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import User from '../models/user.model.js';
 import Category from '../models/category.model.js';
 import Newsletter from '../models/newsletter.model.js';
+import UnsubscribeEvent from '../models/unsubscribeEvent.model.js';
 import auth from '../middleware/auth.js';
-import sgMail from '@sendgrid/mail';
+import authorize, { categoryBody } from '../middleware/authorize.js';
+import { managedCategoryNames, permissionMatrix } from '../services/accessPolicy.js';
+import { revokeUserSessions } from '../services/sessions.js';
+import { recordAudit, snapshot } from '../services/audit.js';
+import { isMailConfigured } from '../services/mailer/index.js';
+import { passwordProblem, sendResetLink } from '../services/passwordReset.js';
+import { EXPORT_FORMATS, parseUserCsv, importUsers, exportSubscribers, subscribersToCsv } from '../services/userImport.js';
+import { listQuery } from '../utils/listQuery.js';
 
 const router = Router();
 
+// The account fields recorded in the audit trail when an admin or user is changed; the password
+// hash only shows up as changed.
+const ACCOUNT_FIELDS = ['name', 'email', 'userType', 'status', 'categories', 'password', 'mustChangePassword'];
+
+// The list parameters of the regular-user lists below; see utils/listQuery.js.
+const userList = (defaultSort, defaultFields) => ({
+    sort: ['name', 'email', 'createdAt', 'lastLogin'],
+    defaultSort,
+    fields: ['name', 'email', 'status', 'categories', 'createdAt', 'lastLogin'],
+    defaultFields,
+    filters: {
+        q: { type: 'search', fields: ['name', 'email'] },
+        category: { type: 'string', field: 'categories' },
+        status: { type: 'enum', values: ['Active', 'Inactive'] },
+        from: { type: 'date', field: 'createdAt', op: '$gte' },
+        to: { type: 'date', field: 'createdAt', op: '$lte' },
+    },
+    maxLimit: 500,
+});
+const SUBSCRIBER_LIST = userList('name', ['name', 'email', 'categories']);
+const REGULAR_USER_LIST = userList('-createdAt', ['name', 'email', 'status', 'categories', 'createdAt']);
+
 // GET all admins and superadmins (SUPERADMIN ONLY)
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('admins:manage'), async (req, res) => {
     try {
-        const requester = await User.findById(req.user);
-        if (!requester || requester.userType !== 'superadmin') {
-            return res.status(403).json({ message: 'Access denied. Superadmin permission required.' });
-        }
         const admins = await User.find({ userType: { $in: ['admin', 'superadmin'] } });
         res.json(admins);
     } catch (err) {
@@ -23,13 +49,12 @@ router.get('/', auth, async (req, res) => {
     }
 });
 
-// GET stats for the logged-in admin's managed categories
-router.get('/my-categories-stats', auth, async (req, res) => {
+// GET stats for the categories the logged-in admin manages
+router.get('/my-categories-stats', auth, authorize('subscribers:read'), async (req, res) => {
     try {
-        const admin = await User.findById(req.user);
-        if (!admin || !admin.categories || admin.categories.length === 0) return res.json([]);
+        const categories = await managedCategoryNames(req.currentUser);
         const stats = await Promise.all(
-            admin.categories.map(async (name) => {
+            categories.map(async (name) => {
                 const subscriberCount = await User.countDocuments({ userType: 'user', categories: name });
                 const newsletterCount = await Newsletter.countDocuments({ category: name });
                 return { name, subscriberCount, newsletterCount };
@@ -39,80 +64,47 @@ router.get('/my-categories-stats', auth, async (req, res) => {
     } catch (err) { res.status(500).json({ message: 'Server error fetching category stats.', error: err.message }); }
 });
 
-// GET all users subscribed to the logged-in admin's categories
-router.get('/my-subscribers', auth, async (req, res) => {
+// GET the users subscribed to the logged-in admin's categories, a page at a time
+// (?q=, ?category=, ?status=, ?from=, ?to=, ?sort=, ?fields=, ?page= or ?cursor=, ?limit=)
+router.get('/my-subscribers', auth, authorize('subscribers:read'), async (req, res) => {
     try {
-        const admin = await User.findById(req.user);
-        if (!admin || !admin.categories || admin.categories.length === 0) return res.json([]); 
-        const subscribers = await User.find({ userType: 'user', categories: { $in: admin.categories } }).select('name email categories');
-        res.json(subscribers);
+        const categories = await managedCategoryNames(req.currentUser);
+        const list = await listQuery(req, res, User, SUBSCRIBER_LIST, { userType: 'user', categories: { $in: categories } });
+        if (list) res.json(list);
     } catch (err) { res.status(500).json({ message: 'Server error fetching subscribers.', error: err.message }); }
 });
 
-
-// GET all users (for sharing dialog)
-router.get('/all-users', auth, async (req, res) => {
+// GET who unsubscribed from the logged-in admin's categories through newsletter emails, newest first (?category=)
+router.get('/my-unsubscribes', auth, authorize('subscribers:read'), async (req, res) => {
     try {
-        const allUsers = await User.find({ userType: 'user' })
-            .select('name email categories')
-            .sort({ name: 1 });
-        res.json(allUsers);
-    } catch (err) {
-        res.status(500).json({ message: 'Server error fetching all users.', error: err.message });
-    }
+        const categories = await managedCategoryNames(req.currentUser);
+        if (req.query.category && !categories.includes(req.query.category)) return res.json([]);
+        const filter = { category: req.query.category || { $in: categories } };
+        const events = await UnsubscribeEvent.find(filter)
+            .populate('newsletter', 'title')
+            .sort({ createdAt: -1 })
+            .limit(500);
+        res.json(events);
+    } catch (err) { res.status(500).json({ message: 'Server error fetching unsubscribes.', error: err.message }); }
 });
 
-// POST - Add a new user (by an admin for their categories)
-router.post('/add-user', auth, async (req, res) => {
-    try {
-        const { name, email, categories } = req.body;
-        if (!name || !email) {
-            return res.status(400).json({ message: 'Name and email are required.' });
-        }
-
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
-            return res.status(400).json({ message: 'A user with this email already exists.' });
-        }
-        
-        const defaultPassword = crypto.randomBytes(8).toString('hex');
-        const salt = await bcrypt.genSalt();
-        const passwordHash = await bcrypt.hash(defaultPassword, salt);
-
-        const newUser = new User({
-            name,
-            email,
-            password: passwordHash,
-            userType: 'user',
-            categories: categories || [],
-            status: 'Active',
-        });
-
-        await newUser.save();
-
-        res.status(201).json({
-            message: 'User created successfully!',
-            user: { _id: newUser._id, name: newUser.name, email: newUser.email },
-            password: defaultPassword,
-        });
 
+// GET all regular users, a page at a time (for the sharing dialog; same parameters as /my-subscribers)
+router.get('/all-users', auth, authorize('subscribers:read'), async (req, res) => {
+    try {
+        const list = await listQuery(req, res, User, SUBSCRIBER_LIST, { userType: 'user' });
+        if (list) res.json(list);
     } catch (err) {
-        res.status(500).json({ message: 'Server error while adding user.', error: err.message });
+        res.status(500).json({ message: 'Server error fetching all users.', error: err.message });
     }
 });
 
-router.patch('/remove-user-from-category', auth, async (req, res) => {
+router.patch('/remove-user-from-category', auth, authorize('subscribers:manage', categoryBody('categoryName')), async (req, res) => {
     try {
         const { userId, categoryName } = req.body;
         if (!userId || !categoryName) {
             return res.status(400).json({ message: 'User ID and Category Name are required.' });
         }
-        
-        const admin = await User.findById(req.user);
-
-        if (!admin.categories.includes(categoryName)) {
-            return res.status(403).json({ message: 'You are not authorized to manage this category.' });
-        }
 
         const updatedUser = await User.findByIdAndUpdate(
             userId,
@@ -124,6 +116,7 @@ router.patch('/remove-user-from-category', auth, async (req, res) => {
             return res.status(404).json({ message: 'User not found.' });
         }
 
+        await recordAudit(req, { action: 'subscriber.remove', targetType: 'User', target: updatedUser, label: updatedUser.email, details: { category: categoryName } });
         res.json({ message: `User was successfully removed from the ${categoryName} category.` });
         
     } catch (err) {
@@ -131,7 +124,7 @@ router.patch('/remove-user-from-category', auth, async (req, res) => {
     }
 });
 
-router.patch('/add-users-to-category', auth, async (req, res) => {
+router.patch('/add-users-to-category', auth, authorize('subscribers:manage', categoryBody('category')), async (req, res) => {
     try {
         const { userIds, category } = req.body;
         if (!userIds || !Array.isArray(userIds) || userIds.length === 0) {
@@ -140,12 +133,7 @@ router.patch('/add-users-to-category', auth, async (req, res) => {
         if (!category) {
             return res.status(400).json({ message: 'A category must be specified to add users to.' });
         }
-        
-        const admin = await User.findById(req.user);
-        if (!admin.categories.includes(category)) {
-            return res.status(403).json({ message: 'You are not authorized to add users to this category.' });
-        }
-        
+
         const adminCategory = category; 
 
         const result = await User.updateMany(
@@ -161,6 +149,7 @@ router.patch('/add-users-to-category', auth, async (req, res) => {
             return res.status(404).json({ message: 'None of the selected users could be found.' });
         }
 
+        await recordAudit(req, { action: 'subscriber.add', targetType: 'Category', label: adminCategory, details: { userIds, added: result.modifiedCount } });
         res.json({ message: `${result.modifiedCount} user(s) successfully added to the ${adminCategory} category.` });
         
     } catch (err) {
@@ -169,26 +158,83 @@ router.patch('/add-users-to-category', auth, async (req, res) => {
 });
 
 
+// POST - Import users from CSV (columns: email, name, categories separated by ";", status).
+// Send the file as text/csv, or JSON { csv }. ?dryRun=true reports what would happen without
+// changing anything. Existing subscribers get the categories added; new emails are invited.
+router.post('/users/import', auth, authorize('subscribers:manage'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    try {
+        const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+        const parsed = parseUserCsv(csv);
+        if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+        const dryRun = req.query.dryRun === 'true';
+        const report = await importUsers(parsed.rows, req.currentUser, { dryRun });
+        if (!dryRun) {
+            console.log(`[IMPORT] ${req.currentUser.email} imported ${report.summary.total} row(s): ${report.summary.invited} invited, ${report.summary.updated} updated, ${report.summary.errors} failed.`);
+            await recordAudit(req, {
+                action: 'user.import',
+                targetType: 'User',
+                details: {
+                    summary: report.summary,
+                    invited: report.rows.filter(r => r.action === 'invite').map(r => r.email),
+                    updated: report.rows.filter(r => r.action === 'update').map(r => r.email),
+                },
+            });
+        }
+        res.json(report);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error importing users.', error: err.message });
+    }
+});
+
+// GET - Export subscribers as CSV or JSON (?format=csv|json, ?category=, ?status=Active|Inactive).
+// Admins get their categories' subscribers; superadmins get every regular user.
+router.get('/users/export', auth, authorize('subscribers:read'), async (req, res) => {
+    try {
+        for (const name of ['format', 'category', 'status']) {
+            if (req.query[name] !== undefined && typeof req.query[name] !== 'string') {
+                return res.status(400).json({ message: `Give ${name} only once.` });
+            }
+        }
+        const format = req.query.format || 'csv';
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+        }
+        const rows = await exportSubscribers(req.currentUser, { category: req.query.category, status: req.query.status });
+        if (format === 'json') return res.json(rows);
+
+        const filename = `subscribers${req.query.category ? `-${req.query.category.replace(/[^\w-]+/g, '_')}` : ''}.csv`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.type('text/csv').send(subscribersToCsv(rows));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error exporting subscribers.', error: err.message });
+    }
+});
+
 // POST - Add a new admin (by superadmin)
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, authorize('admins:manage'), async (req, res) => {
   try {
     const { name, email, password, categories = [] } = req.body;
     if (!name || !email || !password) return res.status(400).json({ message: "Please provide all required fields." });
+    const problem = passwordProblem(password);
+    if (problem) return res.status(400).json({ message: problem });
     const existingUser = await User.findOne({ email });
     if (existingUser) return res.status(400).json({ message: 'An account with this email already exists.' });
     const salt = await bcrypt.genSalt();
     const passwordHash = await bcrypt.hash(password, salt);
-    const newAdmin = new User({ name, email, password: passwordHash, userType: 'admin', categories, status: 'Active' });
+    // The superadmin chose this password, so it is temporary: the admin picks their own at first login.
+    const newAdmin = new User({ name, email, password: passwordHash, userType: 'admin', categories, status: 'Active', mustChangePassword: true });
     const savedAdmin = await newAdmin.save();
     if (categories.length > 0) {
         await Category.updateMany({ name: { $in: categories } }, { $addToSet: { admins: savedAdmin._id } });
     }
+    await recordAudit(req, { action: 'admin.create', targetType: 'User', target: savedAdmin, label: savedAdmin.email, after: snapshot(savedAdmin, ACCOUNT_FIELDS) });
     res.status(201).json(savedAdmin);
   } catch (err) { res.status(500).json({ message: 'Server error while adding admin.', error: err.message }); }
 });
 
 // PATCH - Update an admin (by superadmin)
-router.patch('/:id', auth, async (req, res) => {
+router.patch('/:id', auth, authorize('admins:manage'), async (req, res) => {
     try {
         const adminId = req.params.id;
         const { name, email, status, categories: newCategories = [], password } = req.body;
@@ -197,111 +243,74 @@ router.patch('/:id', auth, async (req, res) => {
         if (!adminToUpdate) return res.status(404).json({ message: "Admin not found" });
 
         const oldCategories = adminToUpdate.categories;
+        const before = snapshot(adminToUpdate, ACCOUNT_FIELDS);
         
         adminToUpdate.name = name;
         adminToUpdate.email = email;
         adminToUpdate.status = status;
         adminToUpdate.categories = newCategories;
 
-        if (password && password.length > 0) {
+        const passwordChanged = Boolean(password && password.length > 0);
+        if (passwordChanged) {
+            const problem = passwordProblem(password);
+            if (problem) return res.status(400).json({ message: problem });
             const salt = await bcrypt.genSalt();
             adminToUpdate.password = await bcrypt.hash(password, salt);
+            // A password set for someone else must be changed at their next login.
+            if (adminToUpdate._id.toString() !== String(req.user)) adminToUpdate.mustChangePassword = true;
         }
 
         await adminToUpdate.save();
 
+        if (status === 'Inactive') await revokeUserSessions(adminId, 'deactivated');
+        else if (passwordChanged) await revokeUserSessions(adminId, 'password-reset');
+
         const added = newCategories.filter(c => !oldCategories.includes(c));
         if (added.length > 0) await Category.updateMany({ name: { $in: added } }, { $addToSet: { admins: adminId } });
         
         const removed = oldCategories.filter(c => !newCategories.includes(c));
         if (removed.length > 0) await Category.updateMany({ name: { $in: removed } }, { $pull: { admins: adminId } });
         
+        await recordAudit(req, { action: 'admin.update', targetType: 'User', target: adminToUpdate, label: adminToUpdate.email, before, after: snapshot(adminToUpdate, ACCOUNT_FIELDS) });
         res.json(adminToUpdate);
     } catch (err) { res.status(500).json({ message: 'Server error while updating admin.', error: err.message }); }
 });
 
 // DELETE an admin
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('admins:manage'), async (req, res) => {
   try {
     const adminToDelete = await User.findById(req.params.id);
     if (!adminToDelete) return res.status(404).json({ message: 'Admin not found.' });
     if (adminToDelete.userType === 'superadmin') return res.status(403).json({ message: 'Super Admins cannot be deleted.' });
     await Category.updateMany({ admins: adminToDelete._id }, { $pull: { admins: adminToDelete._id } });
     await User.findByIdAndDelete(req.params.id);
+    await revokeUserSessions(adminToDelete._id, 'account-deleted');
+    await recordAudit(req, { action: 'admin.delete', targetType: 'User', target: adminToDelete, label: adminToDelete.email, before: snapshot(adminToDelete, ACCOUNT_FIELDS) });
     res.json({ message: 'Admin deleted successfully.' });
   } catch (err) { res.status(500).json({ message: 'Server error.', error: err.message }); }
 });
 
-router.post('/share-new-user-details', auth, async (req, res) => {
-    if (!process.env.SENDGRID_API_KEY || !process.env.FROM_EMAIL) {
-        return res.status(500).json({ message: 'Email service is not configured on the server.' });
-    }
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
-    try {
-        const { email, name, password } = req.body;
-        if (!email || !name || !password) {
-            return res.status(400).json({ message: 'User details (email, name, password) are required.' });
-        }
-
-        const msg = {
-            to: email,
-            from: { name: 'NewsLetterAI Admin', email: process.env.FROM_EMAIL },
-            subject: 'Your New Account Credentials for NewsLetterAI',
-            html: `
-                <p>Hello ${name},</p>
-                <p>An account has been created for you on NewsLetterAI.</p>
-                <p>Here are your login details:</p>
-                <ul>
-                    <li><strong>Username/Email:</strong> ${email}</li>
-                    <li><strong>Temporary Password:</strong> ${password}</li>
-                </ul>
-                <p>Please log in and change your password in the settings.</p>
-                <p>Thank you,</p>
-                <p>The NewsLetterAI Team</p>
-            `,
-        };
-
-        await sgMail.send(msg);
-
-        res.json({ message: `Credentials successfully sent to ${email}.` });
+// --- Superadmin specific routes from here ---
 
-    } catch (error) {
-        console.error('Error sending new user credentials:', error);
-        if (error.response) {
-            console.error(error.response.body);
-        }
-        res.status(500).json({ message: 'Failed to send credentials email due to a server error.' });
-    }
+// GET the permission matrix: every permission, the roles and scope it needs, and the routes enforcing it
+router.get('/permissions', auth, authorize('policy:read'), (req, res) => {
+    res.json(permissionMatrix());
 });
 
-// --- Superadmin specific routes from here ---
-
-router.get('/all-regular-users', auth, async (req, res) => {
+// GET every regular user, newest first, a page at a time (same parameters as /my-subscribers)
+router.get('/all-regular-users', auth, authorize('users:manage'), async (req, res) => {
   try {
-    const requester = await User.findById(req.user);
-    if (!requester || requester.userType !== 'superadmin') {
-      return res.status(403).json({ message: 'Access denied. Superadmin permission required.' });
-    }
-    const users = await User.find({ userType: 'user' })
-      .select('name email status categories createdAt')
-      .sort({ createdAt: -1 });
-    res.json(users);
+    const list = await listQuery(req, res, User, REGULAR_USER_LIST, { userType: 'user' });
+    if (list) res.json(list);
   } catch (err) {
     res.status(500).json({ message: 'Server error fetching users.', error: err.message });
   }
 });
 
-router.post('/user/:id/reset-password', auth, async (req, res) => {
-    const requester = await User.findById(req.user);
-    if (!requester || requester.userType !== 'superadmin') {
-        return res.status(403).json({ message: 'Access denied. Superadmin permission required.' });
-    }
-
-    if (!process.env.SENDGRID_API_KEY || !process.env.FROM_EMAIL) {
+router.post('/user/:id/reset-password', auth, authorize('users:manage'), async (req, res) => {
+    if (!isMailConfigured()) {
         return res.status(500).json({ message: 'Email service is not configured on the server.' });
     }
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
     try {
         const userToUpdate = await User.findById(req.params.id);
@@ -309,33 +318,18 @@ router.post('/user/:id/reset-password', auth, async (req, res) => {
             return res.status(404).json({ message: 'User not found.' });
         }
 
-        const newPassword = crypto.randomBytes(8).toString('hex');
+        // The old password stops working: it is replaced by a random one nobody is told, and the
+        // user chooses a new one through the emailed link.
         const salt = await bcrypt.genSalt();
-        userToUpdate.password = await bcrypt.hash(newPassword, salt);
+        userToUpdate.password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), salt);
+        userToUpdate.mustChangePassword = false;
 
         await userToUpdate.save();
+        await revokeUserSessions(userToUpdate._id, 'password-reset');
+        await sendResetLink(userToUpdate, { requestedIp: req.ip, byAdmin: true });
+        await recordAudit(req, { action: 'user.password.reset', targetType: 'User', target: userToUpdate, label: userToUpdate.email });
 
-        const msg = {
-            to: userToUpdate.email,
-            from: { name: 'NewsLetterAI Admin', email: process.env.FROM_EMAIL },
-            subject: 'Your Password has been Reset for NewsLetterAI',
-            html: `
-                <p>Hello ${userToUpdate.name},</p>
-                <p>Your password has been reset by a Super Admin.</p>
-                <p>Here are your new login details:</p>
-                <ul>
-                    <li><strong>Username/Email:</strong> ${userToUpdate.email}</li>
-                    <li><strong>New Temporary Password:</strong> ${newPassword}</li>
-                </ul>
-                <p>Please log in and change your password in the settings as soon as possible.</p>
-                <p>Thank you,</p>
-                <p>The NewsLetterAI Team</p>
-            `,
-        };
-
-        await sgMail.send(msg);
-
-        res.json({ message: `A new password has been sent to ${userToUpdate.email}.` });
+        res.json({ message: `A password reset link has been sent to ${userToUpdate.email}.` });
     } catch (error) {
         console.error('Error resetting user password:', error);
         res.status(500).json({ message: 'Failed to reset password due to a server error.' });
@@ -343,12 +337,8 @@ router.post('/user/:id/reset-password', auth, async (req, res) => {
 });
 
 
-router.delete('/user/:id', auth, async (req, res) => {
+router.delete('/user/:id', auth, authorize('users:manage'), async (req, res) => {
   try {
-    const requester = await User.findById(req.user);
-    if (!requester || requester.userType !== 'superadmin') {
-      return res.status(403).json({ message: 'Access denied. Superadmin permission required.' });
-    }
     const userToDelete = await User.findById(req.params.id);
     if (!userToDelete) {
       return res.status(404).json({ message: 'User not found.' });
@@ -357,55 +347,16 @@ router.delete('/user/:id', auth, async (req, res) => {
         return res.status(400).json({ message: 'This route is only for deleting regular users.' });
     }
     await User.findByIdAndDelete(req.params.id);
+    await revokeUserSessions(userToDelete._id, 'account-deleted');
+    await recordAudit(req, { action: 'user.delete', targetType: 'User', target: userToDelete, label: userToDelete.email, before: snapshot(userToDelete, ACCOUNT_FIELDS) });
     res.json({ message: 'User deleted successfully.' });
   } catch (err) {
     res.status(500).json({ message: 'Server error while deleting user.' });
   }
 });
 
-router.post('/super-add-user', auth, async (req, res) => {
+router.patch('/user/:id/details', auth, authorize('users:manage'), async (req, res) => {
     try {
-        const requester = await User.findById(req.user);
-        if (!requester || requester.userType !== 'superadmin') {
-            return res.status(403).json({ message: 'Access denied. Superadmin permission required.' });
-        }
-        const { name, email, categories } = req.body;
-        if (!name || !email) {
-            return res.status(400).json({ message: 'Name and email are required.' });
-        }
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
-            return res.status(400).json({ message: 'A user with this email already exists.' });
-        }
-        const defaultPassword = crypto.randomBytes(8).toString('hex');
-        const salt = await bcrypt.genSalt();
-        const passwordHash = await bcrypt.hash(defaultPassword, salt);
-        const newUser = new User({
-            name,
-            email,
-            password: passwordHash,
-            userType: 'user',
-            categories: categories || [],
-            status: 'Active',
-        });
-        const savedUser = await newUser.save();
-        res.status(201).json({
-            message: 'User created successfully!',
-            user: { _id: savedUser._id, name: savedUser.name, email: savedUser.email },
-            password: defaultPassword,
-        });
-    } catch (err) {
-        res.status(500).json({ message: 'Server error while adding user.', error: err.message });
-    }
-});
-
-router.patch('/user/:id/details', auth, async (req, res) => {
-    try {
-        const requester = await User.findById(req.user);
-        if (!requester || requester.userType !== 'superadmin') {
-            return res.status(403).json({ message: 'Access denied. Superadmin permission required.' });
-        }
-
         const { name, email, categories } = req.body;
 
         const userToUpdate = await User.findById(req.params.id);
@@ -415,6 +366,7 @@ router.patch('/user/:id/details', auth, async (req, res) => {
         if (userToUpdate.userType !== 'user') {
             return res.status(400).json({ message: 'This route is for updating regular users only.' });
         }
+        const before = snapshot(userToUpdate, ACCOUNT_FIELDS);
         
         if (name) {
             userToUpdate.name = name;
@@ -434,6 +386,7 @@ router.patch('/user/:id/details', auth, async (req, res) => {
 
         const updatedUser = await userToUpdate.save();
 
+        await recordAudit(req, { action: 'user.update', targetType: 'User', target: updatedUser, label: updatedUser.email, before, after: snapshot(updatedUser, ACCOUNT_FIELDS) });
         res.json(updatedUser);
     } catch (err) {
         res.status(500).json({ message: 'Server error while updating user details.', error: err.message });
@@ -0,0 +1,62 @@
+import { Router } from 'express';
+import ArchivedEdition from '../models/archivedEdition.model.js';
+import Newsletter from '../models/newsletter.model.js';
+import { liveEditionFilter, categoryArchiveUrl, editionUrl } from '../services/newsletterArchive.js';
+import { appendHtmlFooter } from '../services/newsletterExport.js';
+import { escapeHtml, renderPublicPage } from '../utils/html.js';
+
+// Public: the web archive of newsletters admins chose to publish. Nothing here requires a login.
+const router = Router();
+
+// Archived newsletters are sanitized when generated; this also stops scripts, forms and
+// external resources other than images from loading if anything slipped through.
+const EDITION_CSP = "default-src 'none'; img-src https: http: data:; style-src 'unsafe-inline'; font-src https: data:; sandbox allow-popups allow-popups-to-escape-sandbox";
+
+const sendPage = (res, status, title, message) => res.status(status).type('html').send(renderPublicPage(title, `<h1>${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p>`));
+
+// GET a category's archive index: its live editions, newest first
+router.get('/:category', async (req, res) => {
+    try {
+        const { category } = req.params;
+        const editions = await ArchivedEdition.find({ category, ...liveEditionFilter() }).sort({ createdAt: -1 });
+        if (editions.length === 0) {
+            return sendPage(res, 404, `${category} archive`, 'There are no published newsletters in this category yet.');
+        }
+        const items = editions.map(edition => `<li><a href="${escapeHtml(editionUrl(edition))}">${escapeHtml(edition.title)}</a>`
+            + ` <small>${escapeHtml(edition.createdAt.toISOString().slice(0, 10))}</small></li>`).join('\n');
+        res.type('html').send(renderPublicPage(`${category} newsletter archive`, `<h1>${escapeHtml(category)} newsletter archive</h1>\n<ul>\n${items}\n</ul>`, { width: 720 }));
+    } catch (err) {
+        console.error('[ARCHIVE] Failed to render the archive index:', err);
+        sendPage(res, 500, 'Something went wrong', 'Please try again later.');
+    }
+});
+
+// GET an archived edition. Each view is counted.
+router.get('/:category/:slug', async (req, res) => {
+    try {
+        const { category, slug } = req.params;
+        const edition = await ArchivedEdition.findOneAndUpdate(
+            { category, slug, ...liveEditionFilter() },
+            { $inc: { viewCount: 1 }, lastViewedAt: new Date() },
+            { new: true }
+        );
+        if (!edition) {
+            const known = await ArchivedEdition.exists({ category, slug });
+            return known
+                ? sendPage(res, 410, 'No longer available', 'This newsletter link has expired or was withdrawn.')
+                : sendPage(res, 404, 'Not found', 'There is no newsletter at this address.');
+        }
+        const newsletter = await Newsletter.findById(edition.newsletter).select('htmlContent');
+        if (!newsletter || !newsletter.htmlContent) {
+            return sendPage(res, 410, 'No longer available', 'This newsletter has been removed.');
+        }
+        const footer = `<p style="font-size:12px;color:#888;text-align:center;"><a href="${escapeHtml(categoryArchiveUrl(category))}">More ${escapeHtml(category)} newsletters</a></p>`;
+        res.setHeader('Content-Security-Policy', EDITION_CSP);
+        res.type('html').send(appendHtmlFooter(newsletter.htmlContent, footer));
+    } catch (err) {
+        console.error('[ARCHIVE] Failed to render an archived edition:', err);
+        sendPage(res, 500, 'Something went wrong', 'Please try again later.');
+    }
+});
+
+export default router;
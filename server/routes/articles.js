@@ -2,12 +2,37 @@ import { Router } from 'express';
 import CuratedArticle from '../models/article.model.js';
 import User from '../models/user.model.js';
 import auth from '../middleware/auth.js';
+import authorize from '../middleware/authorize.js';
+import { findCuratedDuplicates } from '../services/storyClustering.js';
+import { managedCategoryNames } from '../services/accessPolicy.js';
+import { normalizeTags, curateArticles } from '../services/articleCuration.js';
+import { EDITORIAL_STATUSES } from '../models/article.model.js';
+import { listQuery } from '../utils/listQuery.js';
 import { subDays, subMonths } from 'date-fns';
 
 const router = Router();
 
-// MODIFIED: This route now accepts a "timeframe" query parameter to filter articles
-router.get('/', auth, async (req, res) => {
+// List parameters of GET /; see utils/listQuery.js.
+const ARTICLE_LIST = {
+    sort: ['createdAt', 'updatedAt', 'publishedAt', 'title'],
+    defaultSort: '-createdAt',
+    fields: ['title', 'sourceName', 'originalUrl', 'description', 'content', 'summary', 'imageUrl', 'publishedAt', 'category', 'tags', 'editorNotes', 'editorialStatus', 'nearDuplicateOf', 'createdAt', 'updatedAt'],
+    defaultFields: ['title', 'sourceName', 'originalUrl', 'description', 'summary', 'imageUrl', 'publishedAt', 'category', 'tags', 'editorNotes', 'editorialStatus', 'nearDuplicateOf', 'createdAt', 'updatedAt'],
+    filters: {
+        q: { type: 'search', fields: ['title'] },
+        category: { type: 'string' },
+        tag: { type: 'string', field: 'tags' },
+        editorialStatus: { type: 'enum', values: EDITORIAL_STATUSES },
+        source: { type: 'string', field: 'sourceName' },
+        from: { type: 'date', field: 'createdAt', op: '$gte' },
+        to: { type: 'date', field: 'createdAt', op: '$lte' },
+    },
+    maxLimit: 200,
+};
+
+// GET the articles the logged-in admin saved, newest first. ?timeframe=day|week|month keeps only
+// recent ones; the other list parameters are in ARTICLE_LIST.
+router.get('/', auth, authorize('news:curate'), async (req, res) => {
     try {
         const { timeframe } = req.query; // e.g., 'day', 'week', 'month'
         const query = { savedBy: req.user };
@@ -30,37 +55,121 @@ router.get('/', auth, async (req, res) => {
             }
         }
 
-        const savedArticles = await CuratedArticle.find(query).sort({ createdAt: -1 });
-        res.json(savedArticles);
+        const list = await listQuery(req, res, CuratedArticle, ARTICLE_LIST, query);
+        if (list) res.json(list);
     } catch (err) { 
         res.status(500).json({ message: 'Server error while fetching articles.', error: err.message }); 
     }
 });
 
-router.post('/', auth, async (req, res) => {
+// POST - Save fetched news articles. Each is filed under the body's category when given, else the
+// category it was fetched for, else the admin's only category; it must be one the admin manages.
+// Optional body tags are added to every article.
+router.post('/', auth, authorize('news:curate'), async (req, res) => {
     try {
-        const { articles } = req.body;
+        const { articles, category } = req.body;
         if (!articles || !Array.isArray(articles) || articles.length === 0) return res.status(400).json({ message: 'No articles provided.' });
         const admin = await User.findById(req.user);
         if (!admin) return res.status(404).json({ message: 'Admin not found.' });
-        const preparedArticles = articles.map(article => ({
-            ...article,
-            sourceName: article.source.name,
-            originalUrl: article.url,
-            imageUrl: article.urlToImage,
-            publishedAt: new Date(article.publishedAt),
-            category: admin.categories[0] || 'General',
-            savedBy: req.user
-        }));
-        await CuratedArticle.insertMany(preparedArticles, { ordered: false });
-        res.status(201).json({ message: `${articles.length} new articles saved successfully.` });
+
+        const managed = await managedCategoryNames(admin);
+        if (category !== undefined && (typeof category !== 'string' || !managed.includes(category))) {
+            return res.status(403).json({ message: `You do not manage the category "${category}".` });
+        }
+        const { tags, error: tagError } = normalizeTags(req.body.tags || []);
+        if (tagError) return res.status(400).json({ message: tagError });
+
+        const preparedArticles = [];
+        // Curation fields start fresh rather than coming from the client's copy of the article.
+        for (const { tags: ignoredTags, editorNotes, editorialStatus, ...article } of articles) {
+            const articleCategory = category || article.category || (managed.length === 1 ? managed[0] : undefined);
+            if (!articleCategory) {
+                return res.status(400).json({ message: `Choose a category for "${article.title}"; you manage ${managed.length} categories.` });
+            }
+            if (!managed.includes(articleCategory)) {
+                return res.status(403).json({ message: `You do not manage the category "${articleCategory}".` });
+            }
+            preparedArticles.push({
+                ...article,
+                sourceName: article.source.name,
+                originalUrl: article.url,
+                imageUrl: article.urlToImage,
+                publishedAt: new Date(article.publishedAt),
+                category: articleCategory,
+                tags,
+                // A summary that is just the description copied over does not count as summarized.
+                editorialStatus: article.summary && article.summary !== article.description ? 'summarized' : 'shortlisted',
+                savedBy: req.user
+            });
+        }
+
+        // Exact repeats (same URL, in this batch or already saved) are skipped rather than left to the unique index.
+        const existing = await CuratedArticle.find({ originalUrl: { $in: preparedArticles.map(a => a.originalUrl) } }).select('originalUrl');
+        const seenUrls = new Set(existing.map(e => e.originalUrl));
+        const newArticles = [];
+        const skipped = [];
+        for (const article of preparedArticles) {
+            if (seenUrls.has(article.originalUrl)) {
+                skipped.push({ title: article.title, url: article.originalUrl });
+                continue;
+            }
+            seenUrls.add(article.originalUrl);
+            newArticles.push(article);
+        }
+
+        // Near-duplicates of an already-curated story are still saved, but flagged.
+        const duplicates = await findCuratedDuplicates(newArticles);
+        const flagged = [];
+        newArticles.forEach((article, i) => {
+            if (!duplicates[i]) return;
+            article.nearDuplicateOf = duplicates[i]._id;
+            flagged.push({ title: article.title, url: article.originalUrl, duplicateOf: duplicates[i] });
+        });
+
+        if (newArticles.length > 0) {
+            await CuratedArticle.insertMany(newArticles, { ordered: false });
+        }
+
+        let message = `${newArticles.length} new articles saved successfully.`;
+        if (skipped.length > 0) message += ` ${skipped.length} already saved.`;
+        if (flagged.length > 0) message += ` ${flagged.length} flagged as near-duplicates of curated stories.`;
+        res.status(newArticles.length > 0 ? 201 : 200).json({ message, saved: newArticles.length, skipped, flagged });
     } catch (err) {
         if (err.code === 11000 || err.name === 'BulkWriteError') return res.status(200).json({ message: 'Articles processed. Some were already saved.' });
         res.status(500).json({ message: 'Server error saving articles.', error: err.message });
     }
 });
 
-router.delete('/:id', auth, async (req, res) => {
+// PATCH - Re-categorize, tag, annotate or change the editorial status of several saved articles at once.
+// Body: { articleIds: [...], changes: { category?, tags? | addTags?, removeTags?, editorNotes?, editorialStatus? } }
+router.patch('/bulk', auth, authorize('news:curate'), async (req, res) => {
+    try {
+        const { articleIds, changes } = req.body;
+        const result = await curateArticles(req.currentUser, articleIds, changes);
+        if (result.error) return res.status(result.status).json({ message: result.error });
+        if (result.matched === 0) return res.status(404).json({ message: 'None of the selected articles were found among your saved articles.' });
+        res.json({ message: `${result.matched} article${result.matched === 1 ? '' : 's'} updated.`, matched: result.matched });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error updating articles.', error: err.message });
+    }
+});
+
+// PATCH - Edit one saved article's category, tags, editor notes or editorial status; the body holds
+// the changes, as for /bulk.
+router.patch('/:id', auth, authorize('news:curate'), async (req, res) => {
+    try {
+        const result = await curateArticles(req.currentUser, [req.params.id], req.body);
+        if (result.error) return res.status(result.status).json({ message: result.error });
+        if (result.matched === 0) {
+            return res.status(404).json({ message: 'Article not found or you do not have permission to edit it.' });
+        }
+        res.json(await CuratedArticle.findById(req.params.id).select('-content'));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error updating the article.', error: err.message });
+    }
+});
+
+router.delete('/:id', auth, authorize('news:curate'), async (req, res) => {
     try {
         const article = await CuratedArticle.findOneAndDelete({ _id: req.params.id, savedBy: req.user });
 
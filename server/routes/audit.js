@@ -0,0 +1,53 @@
+import { Router } from 'express';
+import auth from '../middleware/auth.js';
+import authorize from '../middleware/authorize.js';
+import AuditEvent from '../models/auditEvent.model.js';
+import { auditFilter, auditEventsToCsv } from '../services/audit.js';
+import { listQuery } from '../utils/listQuery.js';
+
+const router = Router();
+
+const MAX_EXPORT_EVENTS = 50000;
+
+// List parameters of GET /; the filters are auditFilter()'s. See utils/listQuery.js.
+const AUDIT_LIST = {
+    sort: ['createdAt'],
+    defaultSort: '-createdAt',
+    fields: ['actor', 'actorEmail', 'actorRole', 'action', 'targetType', 'targetId', 'targetLabel', 'changes', 'details', 'request', 'createdAt'],
+    defaultLimit: 50,
+    maxLimit: 200,
+};
+
+// GET audit events, newest first (SUPERADMIN ONLY).
+// Filters: ?actor=<user id or email>, ?targetType=, ?target=<id>, ?action= (a trailing '.*' matches a prefix),
+// ?from= and ?to= (dates); paged with ?page= or ?cursor=, and ?limit=.
+router.get('/', auth, authorize('audit:read'), async (req, res) => {
+    try {
+        const { filter, error } = auditFilter(req.query);
+        if (error) return res.status(400).json({ message: error });
+        const list = await listQuery(req, res, AuditEvent, AUDIT_LIST, filter);
+        if (list) res.json(list);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching the audit trail.', error: err.message });
+    }
+});
+
+// GET - Export the audit events matching the same filters as CSV (SUPERADMIN ONLY)
+router.get('/export', auth, authorize('audit:read'), async (req, res) => {
+    try {
+        const { filter, error } = auditFilter(req.query);
+        if (error) return res.status(400).json({ message: error });
+
+        const total = await AuditEvent.countDocuments(filter);
+        if (total > MAX_EXPORT_EVENTS) {
+            return res.status(400).json({ message: `${total} events match; narrow the filters to export at most ${MAX_EXPORT_EVENTS}.` });
+        }
+        const events = await AuditEvent.find(filter).sort({ createdAt: -1 }).lean();
+        res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.type('text/csv').send(auditEventsToCsv(events));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error exporting the audit trail.', error: err.message });
+    }
+});
+
+export default router;
@@ -1,18 +1,49 @@
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import User from '../models/user.model.js';
+import { createSession, rotateSession, revokeSessionByRefreshToken } from '../services/sessions.js';
+import { isMailConfigured } from '../services/mailer/index.js';
+import { requestPasswordReset, resetPassword, createPasswordChangeToken, completePasswordChange, passwordProblem } from '../services/passwordReset.js';
+import { findOpenInvitation, acceptInvitation } from '../services/invitations.js';
 
 const router = Router();
 
+// Starts a session and answers with what the client keeps after logging in.
+const sendLogin = async (req, res, user) => {
+    user.lastLogin = Date.now();
+    await user.save();
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+        token,
+        refreshToken,
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            userType: user.userType,
+        },
+    });
+};
+
 // --- Signup Route ---
+// Open signup only ever creates subscribers; admins join by invitation. Set OPEN_SIGNUP=false
+// to make invitations the only way in.
 router.post('/signup', async (req, res) => {
   try {
-    const { name, email, password, userType } = req.body;
+    if (process.env.OPEN_SIGNUP === 'false') {
+      return res.status(403).json({ message: 'Signup is by invitation only.' });
+    }
+    const { name, email, password } = req.body;
 
     if (!name || !email || !password) {
       return res.status(400).json({ message: 'Please enter all required fields.' });
     }
+    const problem = passwordProblem(password);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
 
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -26,18 +57,50 @@ router.post('/signup', async (req, res) => {
       name,
       email,
       password: passwordHash,
-      userType,
+      userType: 'user',
       categories: [], // Categories are assigned by admins/superadmins post-signup
     });
 
     const savedUser = await newUser.save();
-    res.status(201).json(savedUser);
+    res.status(201).json({ _id: savedUser._id, name: savedUser.name, email: savedUser.email, userType: savedUser.userType });
 
   } catch (err) {
     res.status(500).json({ message: 'Server error during signup.', error: err.message });
   }
 });
 
+// --- Invitations ---
+// What an invitation link is for, so the accept page can show it before asking for a password.
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ message: 'This invitation is not valid or has expired. Ask for a new one.' });
+    }
+    res.json({
+      email: invitation.email,
+      name: invitation.name,
+      userType: invitation.userType,
+      categories: invitation.categories,
+      expiresAt: invitation.expiresAt,
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error fetching the invitation.', error: err.message });
+  }
+});
+
+// Creates the invitee's account with the password they chose, then logs them in.
+router.post('/accept-invitation', async (req, res) => {
+  try {
+    const { token, name, password } = req.body || {};
+    const result = await acceptInvitation(token, { name, password });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+    await sendLogin(req, res, result.user);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error accepting the invitation.', error: err.message });
+  }
+});
+
 // --- Login Route (Improved) ---
 router.post('/login', async (req, res) => {
     try {
@@ -53,25 +116,98 @@ router.post('/login', async (req, res) => {
         if (!isMatch) {
             return res.status(401).json({ message: 'Invalid credentials.' });
         }
+        if (user.status !== 'Active') {
+            return res.status(403).json({ message: 'This account has been deactivated.' });
+        }
 
-        user.lastLogin = Date.now();
-        await user.save();
 
-        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1d' });
-        
-        res.json({
-            token,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                userType: user.userType,
-            },
-        });
+        // Someone else chose this password: no session until the user picks their own.
+        if (user.mustChangePassword) {
+            return res.json({
+                mustChangePassword: true,
+                passwordChangeToken: createPasswordChangeToken(user._id),
+                user: { id: user._id, name: user.name, email: user.email },
+            });
+        }
+
+        await sendLogin(req, res, user);
     } catch (err) {
         res.status(500).json({ message: 'Server error during login.', error: err.message });
     }
 });
 
+// --- Forced Password Change ---
+// Replaces a temporary password using the token login returned, then logs the user in.
+router.post('/change-password', async (req, res) => {
+    try {
+        const { passwordChangeToken, password } = req.body || {};
+        const result = await completePasswordChange(passwordChangeToken, password);
+        if (result.error) return res.status(result.status).json({ message: result.error });
+        await sendLogin(req, res, result.user);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error changing the password.', error: err.message });
+    }
+});
+
+// --- Forgot Password ---
+// Always answers the same way, so it cannot be used to find out which emails have accounts.
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body || {};
+        if (!email) return res.status(400).json({ message: 'Please enter your email.' });
+        if (!isMailConfigured()) {
+            return res.status(500).json({ message: 'Email service is not configured on the server.' });
+        }
+        await requestPasswordReset(email, req);
+        res.json({ message: 'If an account exists for that email, a link to reset its password is on its way.' });
+    } catch (err) {
+        console.error('[PASSWORD] Failed to send a reset link:', err);
+        res.status(500).json({ message: 'Server error sending the reset link.' });
+    }
+});
+
+// --- Reset Password ---
+// Sets a new password with the token from a reset email. Every existing session is signed out.
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body || {};
+        const result = await resetPassword(token, password);
+        if (result.error) return res.status(result.status).json({ message: result.error });
+        res.json({ message: 'Your password has been reset. You can now log in.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error resetting the password.', error: err.message });
+    }
+});
+
+// --- Refresh Route ---
+// Trades a refresh token for a new access token and a new refresh token; the old one stops working.
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+        if (!refreshToken) return res.status(400).json({ message: 'A refresh token is required.' });
+        const result = await rotateSession(refreshToken, req);
+        if (result.error) return res.status(result.status).json({ message: result.error });
+
+        const user = await User.findById(result.session.user).select('status');
+        if (!user || user.status !== 'Active') {
+            return res.status(401).json({ message: 'This account is not active.' });
+        }
+        res.json({ token: result.token, refreshToken: result.refreshToken });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error refreshing the session.', error: err.message });
+    }
+});
+
+// --- Logout Route ---
+// Takes the refresh token rather than the access token, so it works after the access token has expired.
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+        if (refreshToken) await revokeSessionByRefreshToken(refreshToken);
+        res.json({ message: 'Logged out.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error during logout.', error: err.message });
+    }
+});
 
 export default router;
\ No newline at end of file
@@ -1,12 +1,21 @@
 import { Router } from 'express';
 import Category from '../models/category.model.js';
 import User from '../models/user.model.js';
+import NewsletterTemplate from '../models/newsletterTemplate.model.js';
 import auth from '../middleware/auth.js';
+import authorize, { categoryIdParam } from '../middleware/authorize.js';
+import { PROVIDER_NAMES, fetchCategoryNews } from '../services/newsProviders/index.js';
+import { resolveSearchProfile, validateSearchProfile, buildSearchOptions } from '../services/searchProfile.js';
+import { recordAudit, snapshot } from '../services/audit.js';
+import { checkPublicUrl } from '../utils/publicAddress.js';
 
 const router = Router();
 
+// News sources, search profile and default template: the category's own admins and superadmins.
+const configureCategory = authorize('categories:configure', categoryIdParam());
+
 // GET all categories
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('categories:list'), async (req, res) => {
   try {
     const categories = await Category.find();
     res.json(categories);
@@ -16,12 +25,13 @@ router.get('/', auth, async (req, res) => {
 });
 
 // POST - Add a new category
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, authorize('categories:create'), async (req, res) => {
     try {
         const { name } = req.body;
         if (!name) return res.status(400).json({ message: 'Category name is required.' });
         const newCategory = new Category({ name });
         await newCategory.save();
+        await recordAudit(req, { action: 'category.create', targetType: 'Category', target: newCategory, label: newCategory.name, after: snapshot(newCategory, ['name']) });
         res.status(201).json(newCategory);
     } catch (err) {
         if (err.code === 11000) return res.status(400).json({ message: 'A category with this name already exists.' });
@@ -29,8 +39,178 @@ router.post('/', auth, async (req, res) => {
     }
 });
 
+// PUT - Replace the news sources (providers and feeds) a category pulls from
+router.put('/:id/sources', auth, configureCategory, async (req, res) => {
+    try {
+        const { newsSources } = req.body;
+        if (!Array.isArray(newsSources)) return res.status(400).json({ message: 'newsSources must be an array.' });
+
+        for (const source of newsSources) {
+            if (!PROVIDER_NAMES.includes(source.provider)) {
+                return res.status(400).json({ message: `Unknown provider "${source.provider}". Expected one of: ${PROVIDER_NAMES.join(', ')}.` });
+            }
+            if (source.provider === 'rss') {
+                if (!/^https?:\/\//i.test(source.url || '')) {
+                    return res.status(400).json({ message: 'RSS sources require an http(s) feed URL.' });
+                }
+                // The server fetches feeds itself, so they must not point into its own network.
+                const { error } = await checkPublicUrl(source.url);
+                if (error) return res.status(400).json({ message: `Feed URL refused: ${error}` });
+            }
+        }
+
+        const previous = await Category.findByIdAndUpdate(
+            req.params.id,
+            { newsSources },
+            { runValidators: true }
+        ).select('newsSources');
+        if (!previous) return res.status(404).json({ message: 'Category not found.' });
+        const category = await Category.findById(req.params.id);
+        await recordAudit(req, {
+            action: 'category.sources.update', targetType: 'Category', target: category, label: category.name,
+            before: snapshot(previous, ['newsSources']), after: snapshot(category, ['newsSources']),
+        });
+        res.json(category);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error updating category sources.', error: err.message });
+    }
+});
+
+// PUT - Set (or with templateId: null, clear) the template a category's newsletters use in template mode
+router.put('/:id/default-template', auth, configureCategory, async (req, res) => {
+    try {
+        const { templateId } = req.body;
+        if (templateId && !(await NewsletterTemplate.exists({ _id: templateId }))) {
+            return res.status(404).json({ message: 'Template not found.' });
+        }
+        const update = templateId ? { defaultTemplate: templateId } : { $unset: { defaultTemplate: 1 } };
+        const previous = await Category.findByIdAndUpdate(req.params.id, update).select('defaultTemplate');
+        if (!previous) return res.status(404).json({ message: 'Category not found.' });
+        const category = await Category.findById(req.params.id).populate('defaultTemplate', 'name');
+        await recordAudit(req, {
+            action: 'category.default-template.update', targetType: 'Category', target: category, label: category.name,
+            before: snapshot(previous, ['defaultTemplate']), after: { defaultTemplate: templateId || null },
+        });
+        res.json(category);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error setting default template.', error: err.message });
+    }
+});
+
+// PUT - Replace the users who may approve or decline a category's newsletters
+router.put('/:id/reviewers', auth, authorize('categories:assign-reviewers'), async (req, res) => {
+    try {
+        const { userIds } = req.body;
+        if (!Array.isArray(userIds)) return res.status(400).json({ message: 'userIds must be an array.' });
+
+        const reviewers = await User.find({ _id: { $in: userIds }, userType: { $in: ['admin', 'superadmin'] } }).select('_id');
+        if (reviewers.length !== new Set(userIds.map(String)).size) {
+            return res.status(400).json({ message: 'Reviewers must be existing admins or superadmins.' });
+        }
+        const previous = await Category.findByIdAndUpdate(req.params.id, { reviewers: reviewers.map(u => u._id) }).select('reviewers');
+        if (!previous) return res.status(404).json({ message: 'Category not found.' });
+        const category = await Category.findById(req.params.id).populate('reviewers', 'name email');
+        await recordAudit(req, {
+            action: 'category.reviewers.update', targetType: 'Category', target: category, label: category.name,
+            before: snapshot(previous, ['reviewers']), after: { reviewers: reviewers.map(u => u._id) },
+        });
+        res.json(category);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error setting reviewers.', error: err.message });
+    }
+});
+
+// --- Search profiles ---
+
+const SAMPLE_SIZE = 10;
+
+const describeProfile = (category) => {
+    const { profile, isDefault } = resolveSearchProfile(category);
+    const { query } = buildSearchOptions(category);
+    return { category: category.name, profile, isDefault, query };
+};
+
+// GET a category's search profile (the default one if it has never been saved)
+router.get('/:id/search-profile', auth, configureCategory, async (req, res) => {
+    try {
+        const category = await Category.findById(req.params.id);
+        if (!category) return res.status(404).json({ message: 'Category not found.' });
+        res.json(describeProfile(category));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching search profile.', error: err.message });
+    }
+});
+
+// PUT replaces the whole profile; PATCH only changes the fields provided
+const saveSearchProfile = (replace) => async (req, res) => {
+    try {
+        const category = await Category.findById(req.params.id);
+        if (!category) return res.status(404).json({ message: 'Category not found.' });
+
+        const base = replace ? undefined : resolveSearchProfile(category).profile;
+        const { profile, error } = validateSearchProfile(req.body, base);
+        if (error) return res.status(400).json({ message: error });
+
+        const before = snapshot(category, ['searchProfile']);
+        category.searchProfile = profile;
+        await category.save();
+        await recordAudit(req, { action: 'category.search-profile.update', targetType: 'Category', target: category, label: category.name, before, after: snapshot(category, ['searchProfile']) });
+        res.json(describeProfile(category));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error saving search profile.', error: err.message });
+    }
+};
+
+router.put('/:id/search-profile', auth, configureCategory, saveSearchProfile(true));
+router.patch('/:id/search-profile', auth, configureCategory, saveSearchProfile(false));
+
+// DELETE a saved profile, reverting the category to its default search
+router.delete('/:id/search-profile', auth, configureCategory, async (req, res) => {
+    try {
+        const category = await Category.findById(req.params.id);
+        if (!category) return res.status(404).json({ message: 'Category not found.' });
+        const before = snapshot(category, ['searchProfile']);
+        category.searchProfile = undefined;
+        await category.save();
+        await recordAudit(req, { action: 'category.search-profile.reset', targetType: 'Category', target: category, label: category.name, before, after: { searchProfile: null } });
+        res.json(describeProfile(category));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error resetting search profile.', error: err.message });
+    }
+});
+
+// POST - Run a profile against the category's sources without saving it.
+// The body may contain unsaved changes to try; an empty body tests the current profile.
+router.post('/:id/search-profile/test', auth, configureCategory, async (req, res) => {
+    try {
+        const category = await Category.findById(req.params.id);
+        if (!category) return res.status(404).json({ message: 'Category not found.' });
+
+        const { profile, error } = validateSearchProfile(req.body || {}, resolveSearchProfile(category).profile);
+        if (error) return res.status(400).json({ message: error });
+
+        const { query, from, language, excludeDomains } = buildSearchOptions({ name: category.name, searchProfile: profile });
+        const { articles, errors } = await fetchCategoryNews(category, { searchProfile: profile });
+        res.json({
+            query,
+            params: { q: query, from, language, excludeDomains },
+            totalResults: articles.length,
+            sample: articles.slice(0, SAMPLE_SIZE).map(a => ({
+                title: a.title,
+                source: a.source.name,
+                url: a.url,
+                publishedAt: a.publishedAt,
+                provider: a.provider,
+            })),
+            errors,
+        });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error testing search profile.', error: err.message });
+    }
+});
+
 // DELETE a category
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('categories:delete'), async (req, res) => {
     try {
         const categoryToDelete = await Category.findById(req.params.id);
         if (!categoryToDelete) return res.status(404).json({ message: 'Category not found.' });
@@ -41,6 +221,10 @@ router.delete('/:id', auth, async (req, res) => {
         );
         
         await Category.findByIdAndDelete(req.params.id);
+        await recordAudit(req, {
+            action: 'category.delete', targetType: 'Category', target: categoryToDelete, label: categoryToDelete.name,
+            before: snapshot(categoryToDelete, ['name', 'admins', 'reviewers', 'newsSources', 'searchProfile', 'defaultTemplate']),
+        });
         res.json({ message: 'Category removed successfully.' });
     } catch (err) {
         res.status(500).json({ message: 'Server error while removing category.', error: err.message });
@@ -0,0 +1,131 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import auth from '../middleware/auth.js';
+import authorize, { categoryBody } from '../middleware/authorize.js';
+import Invitation from '../models/invitation.model.js';
+import { can, managedCategoryNames } from '../services/accessPolicy.js';
+import { isMailConfigured } from '../services/mailer/index.js';
+import { createInvitation, resendInvitation, revokeInvitation, invitationView } from '../services/invitations.js';
+import { recordAudit, snapshot } from '../services/audit.js';
+
+const router = Router();
+
+// The invitation named by :id, for the 'category' scope: its inviter must manage every category on it.
+const invitationCategories = async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    const invitation = await Invitation.findById(req.params.id).select('categories');
+    return invitation && { category: invitation.categories };
+};
+
+const manageInvitation = authorize('invitations:manage', invitationCategories);
+
+// Inviting (or resending an invitation to) an admin is for those who manage admins.
+const checkRole = async (user, userType) => {
+    if (userType === 'user') return null;
+    const { allowed } = await can(user, 'admins:manage');
+    return allowed ? null : 'Only superadmins can invite admins.';
+};
+
+// Loads the invitation for the routes below, or responds 404.
+const loadInvitation = async (req, res) => {
+    const invitation = mongoose.Types.ObjectId.isValid(req.params.id) ? await Invitation.findById(req.params.id) : null;
+    if (!invitation) {
+        res.status(404).json({ message: 'Invitation not found.' });
+        return null;
+    }
+    return invitation;
+};
+
+// GET invitations to the requester's categories and the ones they sent, newest first (?status=pending|accepted|revoked|expired)
+router.get('/', auth, authorize('invitations:manage'), async (req, res) => {
+    try {
+        const user = req.currentUser;
+        const filter = {};
+        if (user.userType !== 'superadmin') {
+            filter.$or = [{ categories: { $in: await managedCategoryNames(user) } }, { invitedBy: user._id }];
+        }
+        // Expired invitations are mostly still stored as pending; see Invitation.
+        if (req.query.status === 'pending') {
+            filter.status = 'pending';
+            filter.expiresAt = { $gt: new Date() };
+        } else if (req.query.status === 'expired') {
+            filter.$and = [{ $or: [{ status: 'expired' }, { status: 'pending', expiresAt: { $lte: new Date() } }] }];
+        } else if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const invitations = await Invitation.find(filter)
+            .populate('invitedBy', 'name email')
+            .sort({ createdAt: -1 })
+            .limit(500);
+        res.json(invitations.map(invitationView));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching invitations.', error: err.message });
+    }
+});
+
+// POST - Invite an email address to categories with a role. The invitee sets their own password.
+router.post('/', auth, authorize('invitations:manage', categoryBody('categories')), async (req, res) => {
+    try {
+        const { email, name, userType = 'user', categories = [] } = req.body;
+        const roleProblem = await checkRole(req.currentUser, userType);
+        if (roleProblem) return res.status(403).json({ message: roleProblem });
+        if (req.currentUser.userType !== 'superadmin' && (!Array.isArray(categories) || categories.length === 0)) {
+            return res.status(400).json({ message: 'Choose at least one of your categories for the invitation.' });
+        }
+        if (!isMailConfigured()) {
+            return res.status(500).json({ message: 'Email service is not configured on the server.' });
+        }
+
+        const result = await createInvitation({ email, name, userType, categories }, req.currentUser);
+        if (result.error) return res.status(result.status).json({ message: result.error });
+        await recordAudit(req, {
+            action: 'invitation.create', targetType: 'Invitation', target: result.invitation, label: result.invitation.email,
+            after: snapshot(result.invitation, ['email', 'name', 'userType', 'categories', 'expiresAt']),
+        });
+        res.status(201).json({ message: `Invitation sent to ${result.invitation.email}.`, invitation: invitationView(result.invitation) });
+    } catch (err) {
+        console.error('[INVITATION] Failed to send an invitation:', err);
+        res.status(500).json({ message: 'Server error sending the invitation.', error: err.message });
+    }
+});
+
+// POST - Send an invitation again with a new link and expiry; earlier links stop working
+router.post('/:id/resend', auth, manageInvitation, async (req, res) => {
+    try {
+        const invitation = await loadInvitation(req, res);
+        if (!invitation) return;
+        const roleProblem = await checkRole(req.currentUser, invitation.userType);
+        if (roleProblem) return res.status(403).json({ message: roleProblem });
+        if (!isMailConfigured()) {
+            return res.status(500).json({ message: 'Email service is not configured on the server.' });
+        }
+
+        const result = await resendInvitation(invitation, req.currentUser);
+        if (result.error) return res.status(result.status).json({ message: result.error });
+        await recordAudit(req, { action: 'invitation.resend', targetType: 'Invitation', target: invitation, label: invitation.email, details: { sentCount: result.invitation.sentCount } });
+        res.json({ message: `Invitation sent again to ${result.invitation.email}.`, invitation: invitationView(result.invitation) });
+    } catch (err) {
+        console.error('[INVITATION] Failed to resend an invitation:', err);
+        res.status(500).json({ message: 'Server error resending the invitation.', error: err.message });
+    }
+});
+
+// DELETE - Revoke a pending invitation. It stays listed as revoked.
+router.delete('/:id', auth, manageInvitation, async (req, res) => {
+    try {
+        const invitation = await loadInvitation(req, res);
+        if (!invitation) return;
+        const roleProblem = await checkRole(req.currentUser, invitation.userType);
+        if (roleProblem) return res.status(403).json({ message: roleProblem });
+
+        const result = await revokeInvitation(invitation, req.currentUser);
+        if (result.error) return res.status(result.status).json({ message: result.error });
+        await recordAudit(req, { action: 'invitation.revoke', targetType: 'Invitation', target: invitation, label: invitation.email });
+        res.json({ message: 'Invitation revoked.', invitation: invitationView(result.invitation) });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error revoking the invitation.', error: err.message });
+    }
+});
+
+export default router;
@@ -1,72 +1,148 @@
 import { Router } from 'express';
-import User from '../models/user.model.js';
+import Category from '../models/category.model.js';
+import CandidateArticle from '../models/candidateArticle.model.js';
 import auth from '../middleware/auth.js';
-import axios from 'axios';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { format, subDays } from 'date-fns';
+import authorize from '../middleware/authorize.js';
+import { managedCategoryNames } from '../services/accessPolicy.js';
+import { subDays } from 'date-fns';
+import { fetchCategoryNews, mergeArticles } from '../services/newsProviders/index.js';
+import { runIngestion } from '../services/ingestion.js';
+import { clusterArticles, findCuratedDuplicates } from '../services/storyClustering.js';
+import { generateText } from '../services/llm/index.js';
 
 const router = Router();
 
-const genAI = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
+// Candidates are served to the dashboard in the same shape the live providers return.
+const toNewsArticle = (candidate) => ({
+    candidateId: candidate._id,
+    source: { name: candidate.sourceName },
+    author: candidate.author || null,
+    title: candidate.title,
+    description: candidate.description || '',
+    content: candidate.content || '',
+    url: candidate.url,
+    urlToImage: candidate.imageUrl || null,
+    publishedAt: candidate.publishedAt,
+    category: candidate.category,
+    provider: candidate.provider,
+});
 
-// A map to create more specific, relevant search queries for NewsAPI.org
-const keywordMap = {
-    'java': `("Java" AND (framework OR library OR performance OR Spring OR Quarkus)) NOT (coffee OR island)`,
-    'information security': `(cybersecurity OR "data breach" OR vulnerability OR phishing OR malware) NOT (job OR hiring)`,
-    'data science': `("machine learning" OR "artificial intelligence" OR Pandas OR NumPy OR TensorFlow) NOT (course OR bootcamp)`,
-    'devops': `(DevOps OR "CI/CD" OR Docker OR Kubernetes) AND (automation OR cloud OR infrastructure)`,
+// Collapses wire-story repeats into one representative per cluster and flags
+// stories that were already curated in the same category.
+const presentStories = async (articles, { cluster = true } = {}) => {
+    const stories = cluster ? clusterArticles(articles) : articles;
+    const duplicates = await findCuratedDuplicates(stories);
+    return stories.map((story, i) => ({ ...story, curatedDuplicate: duplicates[i] }));
 };
 
-// GET /api/news - Fetch relevant news from NewsAPI.org
-router.get('/', auth, async (req, res) => {
+const POOL_LOOKBACK_DAYS = 7;
+const POOL_PAGE_SIZE = 200;
+
+// GET /api/news - Relevant news for the admin's categories, served from the candidate pool.
+// Pass ?live=true to bypass the pool and query every configured source directly,
+// and ?cluster=false to list every outlet's copy of a story separately.
+router.get('/', auth, authorize('news:curate'), async (req, res) => {
     try {
-        const admin = await User.findById(req.user);
-        if (!admin || !admin.categories || admin.categories.length === 0) {
+        const cluster = req.query.cluster !== 'false';
+        const categoryNames = await managedCategoryNames(req.currentUser);
+        if (categoryNames.length === 0) {
             return res.json({ articles: [] });
         }
-        
-        // Map the admin's categories to the more specific queries from the keywordMap.
-        // If a category is not in the map, it will be wrapped in quotes for an exact match.
-        const specificQueries = admin.categories.map(cat => keywordMap[cat.toLowerCase()] || `"${cat}"`);
-        
-        // Join the specific queries with 'OR' to search for any of them.
-        const query = specificQueries.join(' OR ');
-
-        const fromDate = format(subDays(new Date(), 7), 'yyyy-MM-dd');
-
-        const newsApiResponse = await axios.get('https://newsapi.org/v2/everything', {
-            params: {
-                q: query,
-                from: fromDate,
-                sortBy: 'relevancy', // Sorting by relevancy for better results with specific queries
-                language: 'en',
-                apiKey: process.env.NEWS_API_KEY,
+
+        if (req.query.live === 'true') {
+            // Categories without a Category document still get the default provider.
+            const categoryDocs = await Category.find({ name: { $in: categoryNames } });
+            const categories = categoryNames.map(name => categoryDocs.find(c => c.name === name) || { name });
+
+            const results = await Promise.all(categories.map(category => fetchCategoryNews(category)));
+            const articles = mergeArticles(results.map(r => r.articles));
+            const errors = results.flatMap(r => r.errors);
+
+            errors.forEach(e => console.error(`News provider "${e.provider}" failed for "${e.category}":`, e.message));
+            if (articles.length === 0 && errors.length > 0) {
+                return res.status(500).json({ message: `Failed to fetch news: ${errors[0].message}`, errors });
             }
-        });
+            return res.json({ articles: await presentStories(articles, { cluster }), errors, servedFrom: 'live' });
+        }
 
-        res.json({ articles: newsApiResponse.data.articles });
+        const poolQuery = {
+            category: { $in: categoryNames },
+            publishedAt: { $gte: subDays(new Date(), POOL_LOOKBACK_DAYS) },
+        };
+        let errors = [];
+        // An empty pool (fresh install, or the scheduler is disabled) is filled on demand.
+        if (await CandidateArticle.countDocuments(poolQuery) === 0) {
+            ({ errors } = await runIngestion({ categoryNames }));
+        }
 
-    } catch (err) {
-        if (err.response) {
-            console.error('NewsAPI Error:', err.response.data);
-            return res.status(500).json({ message: `Failed to fetch news: ${err.response.data.message}` });
+        const candidates = await CandidateArticle.find(poolQuery).sort({ publishedAt: -1 }).limit(POOL_PAGE_SIZE);
+        if (candidates.length === 0 && errors.length > 0) {
+            return res.status(500).json({ message: `Failed to fetch news: ${errors[0].message}`, errors });
         }
-        res.status(500).json({ message: 'Failed to fetch news from NewsAPI.org.', error: err.message });
+        const articles = await presentStories(candidates.map(toNewsArticle), { cluster });
+        res.json({ articles, errors, servedFrom: 'pool' });
+
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to fetch news.', error: err.message });
     }
 });
 
+// GET /api/news/candidates - Browse the candidate pool by category and publish date
+router.get('/candidates', auth, authorize('news:curate'), async (req, res) => {
+    try {
+        const categoryNames = await managedCategoryNames(req.currentUser);
+        if (categoryNames.length === 0) {
+            return res.json({ candidates: [], page: 1, limit: 0, total: 0, totalPages: 0 });
+        }
+
+        const { category, from, to } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
 
-// POST /api/news/summarize - Summarize article text using Gemini
-router.post('/summarize', auth, async (req, res) => {
-    if (!genAI) {
-        return res.status(500).json({ message: 'Gemini API client is not initialized. Please check your API key.' });
+        if (category && !categoryNames.includes(category)) {
+            return res.status(403).json({ message: 'You are not authorized to view this category.' });
+        }
+        const query = { category: category || { $in: categoryNames } };
+        if (from || to) {
+            query.publishedAt = {};
+            if (from) query.publishedAt.$gte = new Date(from);
+            if (to) query.publishedAt.$lte = new Date(to);
+            if (Object.values(query.publishedAt).some(d => isNaN(d))) {
+                return res.status(400).json({ message: 'from and to must be valid dates.' });
+            }
+        }
+
+        const [candidates, total] = await Promise.all([
+            CandidateArticle.find(query).sort({ publishedAt: -1 }).skip((page - 1) * limit).limit(limit),
+            CandidateArticle.countDocuments(query),
+        ]);
+        res.json({ candidates, page, limit, total, totalPages: Math.ceil(total / limit) });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching candidate articles.', error: err.message });
     }
+});
+
+// POST /api/news/ingest - Refresh the pool for the admin's categories now instead of waiting for the scheduler
+router.post('/ingest', auth, authorize('news:curate'), async (req, res) => {
+    try {
+        const categoryNames = await managedCategoryNames(req.currentUser);
+        if (categoryNames.length === 0) {
+            return res.status(400).json({ message: 'You do not manage any categories.' });
+        }
+        const summary = await runIngestion({ categoryNames });
+        res.json(summary);
+    } catch (err) {
+        res.status(500).json({ message: 'Failed to ingest news.', error: err.message });
+    }
+});
+
+
+// POST /api/news/summarize - Summarize article text with the configured 'summary' model
+router.post('/summarize', auth, authorize('news:curate'), async (req, res) => {
     try {
         const { textToSummarize } = req.body;
         if (!textToSummarize) return res.status(400).json({ message: 'No text provided to summarize.' });
 
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash-latest" });
-        
         const prompt = `
             Generate a professional, newsletter-style summary of the following text.
 
@@ -85,8 +161,7 @@ router.post('/summarize', auth, async (req, res) => {
             SUMMARY:
         `;
         
-        const result = await model.generateContent(prompt);
-        const summary = result.response.text();
+        const { text: summary } = await generateText('summary', { prompt, context: { text: textToSummarize } });
         res.json({ summary });
     } catch (err) {
         res.status(500).json({ message: 'Failed to generate summary.', error: err.message });
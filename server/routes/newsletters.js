@@ -1,170 +1,356 @@
 import { Router } from 'express';
-import puppeteer from 'puppeteer';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { format } from 'date-fns';
-import sgMail from '@sendgrid/mail';
+import mongoose from 'mongoose';
 import Newsletter from '../models/newsletter.model.js';
-import User from '../models/user.model.js';
+import Category from '../models/category.model.js';
 import auth from '../middleware/auth.js';
-import Notification from '../models/notification.model.js';
+import authorize, { categoryBody, newsletterParam, newsletterCategoryParam } from '../middleware/authorize.js';
+import GenerationJob from '../models/generationJob.model.js';
+import NewsletterRevision from '../models/newsletterRevision.model.js';
+import Delivery, { DELIVERY_STATUSES } from '../models/delivery.model.js';
+import ArchivedEdition from '../models/archivedEdition.model.js';
+import { RENDER_MODES, loadArticlesInOrder, resolveTemplate } from '../services/newsletterGenerator.js';
+import { enqueueGeneration } from '../services/generationQueue.js';
+import { recordRevision, ensureBaselineRevision, diffRevisions } from '../services/newsletterRevisions.js';
+import { categorySubscriberIds, deliverNewsletter, retryFailedDeliveries } from '../services/newsletterDelivery.js';
+import { isMailConfigured } from '../services/mailer/index.js';
+import { EXPORT_FORMATS, exportNewsletter } from '../services/newsletterExport.js';
+import { liveEditionFilter, createEditionSlug, editionUrl } from '../services/newsletterArchive.js';
+import { EDITABLE_STATUSES, transitionNewsletter, actionForStatus } from '../services/newsletterWorkflow.js';
+import { recordAudit, snapshot } from '../services/audit.js';
+import { listQuery } from '../utils/listQuery.js';
 
 const router = Router();
 
-// --- Initialize SendGrid ---
-if (process.env.SENDGRID_API_KEY) {
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-    console.log("✅ SendGrid client initialized.");
-} else {
-    console.warn("⚠️ SendGrid API Key not found. Email sending will be disabled.");
-}
-
-// --- Initialize Gemini AI ---
-const genAI = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
-
-/**
- * Creates a sophisticated, detailed prompt for the AI to generate a newsletter HTML.
- * This new prompt includes instructions for layout, images, and styling.
- * @param {Array} articles - The list of articles, including imageUrls.
- * @param {string} title - The title of the newsletter.
- * @returns {string} The complete prompt for the AI model.
- */
-const createAdvancedNewsletterHtmlPrompt = (articles, title) => {
-    // Prepare only the necessary article data for the prompt.
-    const articlesForPrompt = articles.map(a => ({
-        title: a.title,
-        summary: a.summary,
-        source: a.sourceName,
-        category: a.category,
-        originalUrl: a.originalUrl,
-        imageUrl: a.imageUrl // Include the image URL
-    }));
-
-    // The revised, simpler prompt
-    return `
-        Act as an expert HTML and CSS email designer. Your task is to generate a single, complete HTML file for a professional newsletter based on the provided JSON data. The design should be clean, readable, and render reliably as a PDF.
-
-        **Design & Layout Guidelines:**
-
-        1.  **Overall Structure:**
-            * Use a main container with a max-width of 600px and center it using inline styles (margin: 20px auto;).
-            * The main content area should have a white background (background-color: #ffffff;).
-            * Use a consistent font family like 'Arial, sans-serif' for broad compatibility.
-
-        2.  **Header Section:**
-            * Create a clear header.
-            * Prominently display the main newsletter title: "${title}" (font-size: 24px; font-weight: bold; color: #333333; padding-bottom: 10px; border-bottom: 2px solid #eeeeee; margin-bottom: 20px; text-align: center;).
-            * Below the title, include the Date (${format(new Date(), 'PP')}) and "Edition 1, Volume 1" (display: block; font-size: 12px; color: #777777; text-align: center; margin-bottom: 15px;).
-
-        3.  **Article Layout (Single Column):**
-            * Each article should be separated by a subtle divider (border-bottom: 1px solid #eeeeee; padding-bottom: 20px; margin-bottom: 20px;). The last article should not have this bottom border.
-            * If an \`imageUrl\` is provided for an article, include it at the top of the article section. The image should be responsive within the 600px container (\`max-width: 100%; height: auto; display: block; margin-bottom: 10px; border-radius: 5px;\`).
-            * The article's \`title\` MUST be a clickable hyperlink pointing to its \`originalUrl\` (display: block; font-size: 18px; font-weight: bold; color: #007bff; text-decoration: none; margin-bottom: 5px;).
-            * Display the \`source\` name in a smaller, muted font (display: block; font-size: 11px; color: #555555; margin-bottom: 8px;).
-            * Display the \`summary\` as the main body text for the article (font-size: 14px; color: #444444; line-height: 1.5;).
-
-        4.  **Pull Quote Section:**
-            * After the first or second article, include a clearly marked "Quote:" section.
-            * Use a background color (background-color: #f9f9f9; padding: 15px; border-left: 5px solid #cccccc; margin: 20px 0;).
-            * For the quote, use the summary of the first article. Style it as italic (font-style: italic; color: #666666;).
-
-        5.  **Styling (Inline CSS):**
-            * **ALL CSS MUST BE APPLIED AS INLINE STYLES directly to the HTML elements.** This ensures maximum compatibility with PDF renderers. Do not use <style> tags or external stylesheets.
-            * Focus on basic styles like font-size, color, background-color, margin, padding, border, text-decoration, display, and text-align.
-
-        **JSON Data to Use:**
-        \`\`\`json
-        ${JSON.stringify(articlesForPrompt, null, 2)}
-        \`\`\`
-
-        **IMPORTANT: Your response MUST be only the raw HTML code, starting with <!DOCTYPE html> and containing all the specified elements with INLINE STYLES. Do not add any commentary, explanations, or markdown formatting before or after the code block.**
-    `;
+// List parameters of GET /; see utils/listQuery.js. The PDF and HTML are never listed.
+const NEWSLETTER_LIST = {
+    sort: ['createdAt', 'updatedAt', 'title', 'status'],
+    defaultSort: '-createdAt',
+    fields: ['title', 'category', 'status', 'articles', 'recipients', 'renderMode', 'template', 'generatedBy', 'currentRevision', 'needsRegeneration', 'submittedBy', 'statusHistory', 'validationReport', 'createdAt', 'updatedAt'],
+    defaultFields: ['title', 'category', 'status', 'articles', 'renderMode', 'currentRevision', 'needsRegeneration', 'submittedBy', 'createdAt', 'updatedAt'],
+    filters: {
+        q: { type: 'search', fields: ['title'] },
+        category: { type: 'string' },
+        status: { type: 'enum', values: Newsletter.schema.path('status').enumValues },
+        from: { type: 'date', field: 'createdAt', op: '$gte' },
+        to: { type: 'date', field: 'createdAt', op: '$lte' },
+    },
+    maxLimit: 200,
 };
 
-// GET all newsletters for the logged-in admin's categories
-router.get('/', auth, async (req, res) => {
+// GET the newsletters of the categories the logged-in admin administers or reviews, newest first
+// (?q=, ?category=, ?status=, ?from=, ?to=, ?sort=, ?fields=, ?page= or ?cursor=, ?limit=)
+router.get('/', auth, authorize('newsletters:list'), async (req, res) => {
   try {
-    const admin = await User.findById(req.user);
-    if (!admin || !admin.categories || admin.categories.length === 0) {
-        return res.json([]);
+    const admin = req.currentUser;
+    let filter = {};
+    // Superadmins see every category; others the ones they administer or review.
+    if (admin.userType !== 'superadmin') {
+        const categories = await Category.find({ $or: [{ admins: admin._id }, { reviewers: admin._id }] }).select('name');
+        filter = { category: { $in: categories.map(c => c.name) } };
     }
-    const newsletters = await Newsletter.find({ category: { $in: admin.categories } });
-    res.json(newsletters);
+    const list = await listQuery(req, res, Newsletter, NEWSLETTER_LIST, filter);
+    if (list) res.json(list);
   } catch (err) {
     res.status(500).json({ message: 'Server error fetching newsletters.' });
   }
 });
 
 
-// POST to generate, save, and send the new PDF
-router.post('/generate-and-save', auth, async (req, res) => {
-    if (!genAI) {
-        return res.status(500).json({ message: 'Gemini API client is not initialized.' });
-    }
-    
+// POST to queue generation of a new newsletter PDF. Responds at once with the job,
+// which the client polls at GET /jobs/:jobId until it is saved or failed.
+router.post('/generate-and-save', auth, authorize('newsletters:create', categoryBody('category')), async (req, res) => {
     try {
-        const { articles, title, category } = req.body;
+        const { articles, title, category, renderMode = 'ai', templateId } = req.body;
         console.log(`[PDF LOG] Received request for newsletter: "${title}"`);
 
         if (!articles || articles.length === 0 || !title || !category) {
             return res.status(400).json({ message: 'Title, category, and articles are required.' });
         }
+        if (!RENDER_MODES.includes(renderMode)) {
+            return res.status(400).json({ message: `renderMode must be one of: ${RENDER_MODES.join(', ')}.` });
+        }
 
-        // 1. Generate HTML with AI using the new advanced prompt
-        console.log("[PDF LOG] Generating HTML with advanced prompt...");
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash-latest" });
-        const prompt = createAdvancedNewsletterHtmlPrompt(articles, title); // Using the new function
-        
-        const result = await model.generateContent(prompt);
-        let generatedHtml = result.response.text().replace(/^```html\n/, '').replace(/\n```$/, '');
-
-        if (!generatedHtml || generatedHtml.length < 100) {
-            throw new Error('AI returned an empty or invalid HTML response.');
-        }
-        console.log("[PDF LOG] Successfully received HTML from AI.");
-
-        // 2. Convert HTML to PDF
-        const browser = await puppeteer.launch({ args: ['--no-sandbox', '--disable-setuid-sandbox'] });
-        const page = await browser.newPage();
-        await page.setContent(generatedHtml, { waitUntil: 'networkidle0' });
-        const pdfBuffer = await page.pdf({ format: 'A4', printBackground: true });
-        await browser.close();
-        console.log("[PDF LOG] Successfully converted HTML to PDF buffer.");
-
-        // 3. Create and Save New Newsletter to DB
-        const newNewsletter = new Newsletter({
-            title,
-            category,
-            articles: articles.map(a => a._id),
-            status: 'Not Sent',
-            pdfContent: {
-                data: Buffer.from(pdfBuffer),
-                contentType: 'application/pdf'
-            }
-        });
-        await newNewsletter.save();
-        console.log(`[PDF LOG] Successfully saved newsletter with ID: ${newNewsletter._id}`);
-        
-        const notification = new Notification({
-            user: req.user,
-            newsletter: newNewsletter._id,
-            message: `New newsletter "${newNewsletter.title}" generated. Check it out in "Newsletter History" to share and view.`,
-            actionUrl: '/dashboard?tab=generated-newsletters'
+        const articleIds = articles.map(a => (a && a._id) || a);
+        const selected = await loadArticlesInOrder(articleIds);
+        if (!selected) {
+            return res.status(400).json({ message: 'Some of the selected articles no longer exist. Refresh and try again.' });
+        }
+        // As when adding articles later: only articles curated for the newsletter's category.
+        const foreign = selected.filter(article => article.category !== category);
+        if (foreign.length > 0) {
+            return res.status(400).json({ message: `Only articles curated for "${category}" can be used; ${foreign.length} of the selected articles are not.` });
+        }
+        if (renderMode === 'template' && templateId && !(await resolveTemplate({ templateId, category }))) {
+            return res.status(404).json({ message: 'Newsletter template not found.' });
+        }
+
+        const job = await enqueueGeneration({ requestedBy: req.user, title, category, articleIds, renderMode, templateId });
+        console.log(`[PDF LOG] Queued generation job ${job._id}.`);
+        await recordAudit(req, { action: 'newsletter.generate', targetType: 'GenerationJob', target: job, label: title, details: { category, articleIds, renderMode, templateId } });
+        res.status(202).json({ jobId: job._id, status: job.status });
+    } catch (err) {
+        console.error("--- PDF GENERATION QUEUE FAILED ---", err);
+        res.status(500).json({ message: 'Failed to queue newsletter generation. Check server logs for details.' });
+    }
+});
+
+// GET the logged-in user's recent generation jobs
+router.get('/jobs', auth, authorize('newsletters:list'), async (req, res) => {
+    try {
+        const jobs = await GenerationJob.find({ requestedBy: req.user }).sort({ createdAt: -1 }).limit(20);
+        res.json(jobs);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching generation jobs.' });
+    }
+});
+
+// GET the status of a generation job
+router.get('/jobs/:jobId', auth, authorize('newsletters:list'), async (req, res) => {
+    try {
+        const job = await GenerationJob.findOne({ _id: req.params.jobId, requestedBy: req.user });
+        if (!job) return res.status(404).json({ message: 'Generation job not found.' });
+        res.json(job);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching generation job.' });
+    }
+});
+
+// --- Editing & revisions ---
+// Edits change the newsletter's title and article list; the PDF only changes when it is
+// regenerated, which records a numbered revision that can be diffed and rolled back to.
+
+// Loads a newsletter that may still be edited, or responds with the reason it cannot be.
+const loadEditableNewsletter = async (req, res) => {
+    const newsletter = await Newsletter.findById(req.params.id);
+    if (!newsletter) {
+        res.status(404).json({ message: 'Newsletter not found.' });
+        return null;
+    }
+    if (!EDITABLE_STATUSES.includes(newsletter.status)) {
+        const reason = newsletter.status === 'sent'
+            ? 'This newsletter has already been sent and can no longer be edited.'
+            : `This newsletter is "${newsletter.status}". Withdraw or reopen it before editing.`;
+        res.status(409).json({ message: reason });
+        return null;
+    }
+    await ensureBaselineRevision(newsletter, req.user);
+    return newsletter;
+};
+
+// What an edit can change, for the audit trail.
+const EDIT_FIELDS = ['title', 'articles'];
+
+const saveEdit = async (req, res, newsletter, action, before) => {
+    newsletter.needsRegeneration = true;
+    await newsletter.save();
+    await recordAudit(req, { action, targetType: 'Newsletter', target: newsletter, label: newsletter.title, before, after: snapshot(newsletter, EDIT_FIELDS) });
+    res.json(await Newsletter.findById(newsletter._id).select('-pdfContent.data -htmlContent').populate('articles', 'title sourceName originalUrl'));
+};
+
+// PATCH to edit a newsletter's title
+router.patch('/:id', auth, authorize('newsletters:edit', newsletterCategoryParam()), async (req, res) => {
+    try {
+        const { title } = req.body;
+        if (typeof title !== 'string' || !title.trim()) {
+            return res.status(400).json({ message: 'A title is required.' });
+        }
+        const newsletter = await loadEditableNewsletter(req, res);
+        if (!newsletter) return;
+        const before = snapshot(newsletter, EDIT_FIELDS);
+        newsletter.title = title.trim();
+        await saveEdit(req, res, newsletter, 'newsletter.update', before);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error updating newsletter.', error: err.message });
+    }
+});
+
+// POST to add articles to a newsletter, at the end or at a 0-based position
+router.post('/:id/articles', auth, authorize('newsletters:edit', newsletterCategoryParam()), async (req, res) => {
+    try {
+        const { articleIds, position } = req.body;
+        if (!Array.isArray(articleIds) || articleIds.length === 0) {
+            return res.status(400).json({ message: 'articleIds must be a non-empty array.' });
+        }
+        const newsletter = await loadEditableNewsletter(req, res);
+        if (!newsletter) return;
+
+        const current = newsletter.articles.map(id => id.toString());
+        const toAdd = [...new Set(articleIds.map(String))].filter(id => !current.includes(id));
+        if (toAdd.length === 0) {
+            return res.status(400).json({ message: 'Those articles are already in the newsletter.' });
+        }
+        const added = await loadArticlesInOrder(toAdd);
+        if (!added) {
+            return res.status(400).json({ message: 'Some of the selected articles no longer exist.' });
+        }
+        // Only articles curated for the newsletter's own category, so nobody pulls in another category's work.
+        const foreign = added.filter(article => article.category !== newsletter.category);
+        if (foreign.length > 0) {
+            return res.status(403).json({ message: `Only articles curated for "${newsletter.category}" can be added; ${foreign.length} of the selected articles are not.` });
+        }
+        const at = Number.isInteger(position) ? Math.min(Math.max(position, 0), current.length) : current.length;
+        const before = snapshot(newsletter, EDIT_FIELDS);
+        current.splice(at, 0, ...toAdd);
+        newsletter.articles = current;
+        await saveEdit(req, res, newsletter, 'newsletter.articles.add', before);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error adding articles.', error: err.message });
+    }
+});
+
+// DELETE to remove an article from a newsletter
+router.delete('/:id/articles/:articleId', auth, authorize('newsletters:edit', newsletterCategoryParam()), async (req, res) => {
+    try {
+        const newsletter = await loadEditableNewsletter(req, res);
+        if (!newsletter) return;
+        const remaining = newsletter.articles.filter(id => id.toString() !== req.params.articleId);
+        if (remaining.length === newsletter.articles.length) {
+            return res.status(404).json({ message: 'That article is not in this newsletter.' });
+        }
+        if (remaining.length === 0) {
+            return res.status(400).json({ message: 'A newsletter must keep at least one article.' });
+        }
+        const before = snapshot(newsletter, EDIT_FIELDS);
+        newsletter.articles = remaining;
+        await saveEdit(req, res, newsletter, 'newsletter.articles.remove', before);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error removing article.', error: err.message });
+    }
+});
+
+// PUT to reorder a newsletter's articles; articleIds must list the same articles in the new order
+router.put('/:id/articles', auth, authorize('newsletters:edit', newsletterCategoryParam()), async (req, res) => {
+    try {
+        const { articleIds } = req.body;
+        if (!Array.isArray(articleIds)) {
+            return res.status(400).json({ message: 'articleIds must be an array.' });
+        }
+        const newsletter = await loadEditableNewsletter(req, res);
+        if (!newsletter) return;
+
+        const current = newsletter.articles.map(id => id.toString()).sort();
+        const proposed = articleIds.map(String);
+        if (proposed.length !== current.length || [...proposed].sort().some((id, i) => id !== current[i])) {
+            return res.status(400).json({ message: 'articleIds must contain exactly the newsletter\'s current articles. Use the add and remove endpoints to change them.' });
+        }
+        const before = snapshot(newsletter, EDIT_FIELDS);
+        newsletter.articles = proposed;
+        await saveEdit(req, res, newsletter, 'newsletter.articles.reorder', before);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error reordering articles.', error: err.message });
+    }
+});
+
+// POST to regenerate the PDF from the current title and articles as a new revision
+router.post('/:id/regenerate', auth, authorize('newsletters:edit', newsletterCategoryParam()), async (req, res) => {
+    try {
+        const newsletter = await loadEditableNewsletter(req, res);
+        if (!newsletter) return;
+        const { renderMode = newsletter.renderMode || 'ai', templateId } = req.body;
+        if (!RENDER_MODES.includes(renderMode)) {
+            return res.status(400).json({ message: `renderMode must be one of: ${RENDER_MODES.join(', ')}.` });
+        }
+        if (renderMode === 'template' && templateId && !(await resolveTemplate({ templateId, category: newsletter.category }))) {
+            return res.status(404).json({ message: 'Newsletter template not found.' });
+        }
+
+        const job = await enqueueGeneration({
+            requestedBy: req.user,
+            title: newsletter.title,
+            category: newsletter.category,
+            articleIds: newsletter.articles,
+            renderMode,
+            templateId: renderMode === 'template' ? (templateId || newsletter.template) : undefined,
+            newsletterId: newsletter._id,
         });
-        await notification.save();
-        
-        // 4. Send the generated PDF back to the client
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `inline; filename="${title.replace(/\s/g, '_')}.pdf"`);
-        res.send(pdfBuffer);
+        await recordAudit(req, { action: 'newsletter.regenerate', targetType: 'Newsletter', target: newsletter, label: newsletter.title, details: { jobId: job._id, renderMode } });
+        res.status(202).json({ jobId: job._id, status: job.status });
+    } catch (err) {
+        console.error("--- NEWSLETTER REGENERATION QUEUE FAILED ---", err);
+        res.status(500).json({ message: 'Failed to queue regeneration. Check server logs for details.' });
+    }
+});
+
+// GET a newsletter's revisions, newest first (without their PDFs)
+router.get('/:id/revisions', auth, authorize('newsletters:inspect', newsletterParam()), async (req, res) => {
+    try {
+        const revisions = await NewsletterRevision.find({ newsletter: req.params.id })
+            .select('-pdfContent.data -htmlContent')
+            .populate('createdBy', 'name email')
+            .sort({ number: -1 });
+        res.json(revisions);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching revisions.' });
+    }
+});
+
+// GET the article-list differences between two revisions, e.g. ?from=1&to=3 (to defaults to the latest)
+router.get('/:id/revisions/diff', auth, authorize('newsletters:inspect', newsletterParam()), async (req, res) => {
+    try {
+        const from = Number(req.query.from);
+        const to = req.query.to === undefined ? undefined : Number(req.query.to);
+        if (!Number.isInteger(from) || (to !== undefined && !Number.isInteger(to))) {
+            return res.status(400).json({ message: 'from (and optionally to) must be revision numbers.' });
+        }
+        const revisions = await NewsletterRevision.find({ newsletter: req.params.id }).select('-pdfContent.data -htmlContent').populate('articles', 'title');
+        const fromRevision = revisions.find(r => r.number === from);
+        const toRevision = to === undefined ? revisions.reduce((a, b) => (b.number > a.number ? b : a), revisions[0]) : revisions.find(r => r.number === to);
+        if (!fromRevision || !toRevision) return res.status(404).json({ message: 'Revision not found.' });
+
+        res.json({ from: fromRevision.number, to: toRevision.number, ...diffRevisions(fromRevision, toRevision) });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error comparing revisions.', error: err.message });
+    }
+});
+
+// GET to download the PDF of a specific revision
+router.get('/:id/revisions/:number/download', auth, authorize('newsletters:inspect', newsletterParam()), async (req, res) => {
+    try {
+        const revision = await NewsletterRevision.findOne({ newsletter: req.params.id, number: Number(req.params.number) });
+        if (!revision || !revision.pdfContent || !revision.pdfContent.data) {
+            return res.status(404).send('PDF not found.');
+        }
+        res.setHeader('Content-Type', revision.pdfContent.contentType);
+        res.setHeader('Content-Disposition', `inline; filename="${revision.title.replace(/\s/g, '_')}_rev${revision.number}.pdf"`);
+        res.send(revision.pdfContent.data);
+    } catch (err) {
+        res.status(500).send('Server error while retrieving PDF.');
+    }
+});
 
+// POST to roll back to a revision. The restored state is recorded as a new revision, so nothing is lost.
+router.post('/:id/revisions/:number/rollback', auth, authorize('newsletters:edit', newsletterCategoryParam()), async (req, res) => {
+    try {
+        const newsletter = await loadEditableNewsletter(req, res);
+        if (!newsletter) return;
+        const revision = await NewsletterRevision.findOne({ newsletter: newsletter._id, number: Number(req.params.number) });
+        if (!revision) return res.status(404).json({ message: 'Revision not found.' });
+
+        const rolledBackFields = [...EDIT_FIELDS, 'renderMode', 'template'];
+        const before = snapshot(newsletter, rolledBackFields);
+        newsletter.set({
+            title: revision.title,
+            articles: revision.articles,
+            renderMode: revision.renderMode,
+            template: revision.template,
+            generatedBy: revision.generatedBy,
+            validationReport: revision.validationReport,
+            htmlContent: revision.htmlContent,
+            pdfContent: revision.pdfContent,
+        });
+        const restored = await recordRevision(newsletter, { createdBy: req.user, note: `Rolled back to revision ${revision.number}` });
+        await recordAudit(req, {
+            action: 'newsletter.rollback', targetType: 'Newsletter', target: newsletter, label: newsletter.title,
+            before, after: snapshot(newsletter, rolledBackFields), details: { revision: revision.number, restoredAs: restored.number },
+        });
+        res.json({ message: `Restored revision ${revision.number} as revision ${restored.number}.`, currentRevision: restored.number });
     } catch (err) {
-        console.error("--- PDF GENERATION/SAVE FAILED ---", err);
-        res.status(500).json({ message: 'Failed to generate and save PDF. Check server logs for details.' });
+        res.status(500).json({ message: 'Server error rolling back newsletter.', error: err.message });
     }
 });
 
 // GET to download a saved PDF
-router.get('/:id/download', auth, async (req, res) => {
+router.get('/:id/download', auth, authorize('newsletters:read', newsletterParam()), async (req, res) => {
     try {
         const newsletter = await Newsletter.findById(req.params.id);
         if (!newsletter || !newsletter.pdfContent || !newsletter.pdfContent.data) {
@@ -178,80 +364,308 @@ router.get('/:id/download', auth, async (req, res) => {
     }
 });
 
-// PATCH to update a newsletter's status
-router.patch('/:id/status', auth, async (req, res) => {
+// GET to download the newsletter as HTML, Markdown or plain text (pdf is the route above)
+router.get('/:id/download/:format', auth, authorize('newsletters:read', newsletterParam()), async (req, res) => {
+    try {
+        const { format } = req.params;
+        if (format === 'pdf') return res.redirect(307, `${req.baseUrl}/${req.params.id}/download`);
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            return res.status(400).json({ message: `format must be pdf or one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+        }
+        const newsletter = await Newsletter.findById(req.params.id).select('title htmlContent');
+        if (!newsletter) {
+            return res.status(404).json({ message: 'Newsletter not found.' });
+        }
+        if (!newsletter.htmlContent) {
+            return res.status(404).json({ message: 'This newsletter was generated before HTML was kept. Regenerate it to export other formats.' });
+        }
+        res.setHeader('Content-Type', exportFormat.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${newsletter.title.replace(/\s/g, '_')}.${exportFormat.extension}"`);
+        // The HTML is the newsletter itself; never let it run scripts if opened from here.
+        if (format === 'html') res.setHeader('Content-Security-Policy', 'sandbox');
+        res.send(exportNewsletter(newsletter.htmlContent, format));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error exporting newsletter.', error: err.message });
+    }
+});
+
+// --- Approval workflow ---
+
+// Applies a workflow action and records the status change in the audit trail.
+const transitionAndAudit = async (req, newsletter, action, comment) => {
+    const before = snapshot(newsletter, ['status']);
+    const result = await transitionNewsletter(newsletter, action, { actorId: req.user, comment });
+    if (!result.error) {
+        await recordAudit(req, {
+            action: `newsletter.${action}`, targetType: 'Newsletter', target: newsletter, label: newsletter.title,
+            before, after: snapshot(newsletter, ['status']), details: comment ? { comment } : undefined,
+        });
+    }
+    return result;
+};
+
+const applyWorkflowAction = async (req, res, action) => {
+    const newsletter = await Newsletter.findById(req.params.id);
+    if (!newsletter) return res.status(404).json({ message: 'Newsletter not found.' });
+    const result = await transitionAndAudit(req, newsletter, action, req.body.comment);
+    if (result.error) return res.status(result.status).json({ message: result.error });
+    res.json(await Newsletter.findById(newsletter._id).select('-pdfContent.data -htmlContent'));
+};
+
+// POST /:id/submit, /:id/withdraw, /:id/approve, /:id/decline, /:id/reopen with an optional { comment }
+// (required to decline). Sending is the 'send' action, applied by POST /:id/send.
+['submit', 'withdraw', 'approve', 'decline', 'reopen'].forEach(action => {
+    const permission = action === 'approve' || action === 'decline'
+        ? authorize('newsletters:review')
+        : authorize('newsletters:edit', newsletterCategoryParam());
+    router.post(`/:id/${action}`, auth, permission, async (req, res) => {
+        try {
+            await applyWorkflowAction(req, res, action);
+        } catch (err) {
+            res.status(500).json({ message: `Server error while trying to ${action} the newsletter.` });
+        }
+    });
+});
+
+// PATCH to update a newsletter's status. Kept for older clients: the status is mapped to
+// the workflow action that reaches it, with the same permission checks.
+router.patch('/:id/status', auth, authorize('newsletters:set-status', newsletterParam()), async (req, res) => {
   try {
-    const { status } = req.body;
-    const updatedNewsletter = await Newsletter.findByIdAndUpdate(req.params.id, { status }, { new: true });
-    res.json(updatedNewsletter);
+    const { status, comment } = req.body;
+    const newsletter = await Newsletter.findById(req.params.id);
+    if (!newsletter) return res.status(404).json({ message: 'Newsletter not found.' });
+    const action = actionForStatus(newsletter.status, status);
+    if (!action) {
+      return res.status(409).json({ message: `Cannot change a "${newsletter.status}" newsletter to "${status}".` });
+    }
+    const result = await transitionAndAudit(req, newsletter, action, comment);
+    if (result.error) return res.status(result.status).json({ message: result.error });
+    res.json(await Newsletter.findById(newsletter._id).select('-pdfContent.data -htmlContent'));
   } catch (err) {
     res.status(500).json({ message: 'Server error updating status.' });
   }
 });
 
+// GET a newsletter's status history, oldest first
+router.get('/:id/history', auth, authorize('newsletters:inspect', newsletterParam()), async (req, res) => {
+    try {
+        const newsletter = await Newsletter.findById(req.params.id).select('title status statusHistory submittedBy').populate('statusHistory.actor', 'name email');
+        if (!newsletter) return res.status(404).json({ message: 'Newsletter not found.' });
+        res.json({ status: newsletter.status, history: newsletter.statusHistory });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching status history.' });
+    }
+});
+
 // DELETE a newsletter
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('newsletters:delete', newsletterCategoryParam()), async (req, res) => {
   try {
     const newsletter = await Newsletter.findByIdAndDelete(req.params.id);
     if (!newsletter) {
       return res.status(404).json({ message: 'Newsletter not found.' });
     }
+    await NewsletterRevision.deleteMany({ newsletter: newsletter._id });
+    await Delivery.deleteMany({ newsletter: newsletter._id });
+    await ArchivedEdition.updateMany({ newsletter: newsletter._id, revokedAt: null }, { revokedAt: new Date(), revokedBy: req.user });
+    await recordAudit(req, { action: 'newsletter.delete', targetType: 'Newsletter', target: newsletter, label: newsletter.title, before: snapshot(newsletter, ['title', 'category', 'status', 'articles']) });
     res.json({ message: 'Newsletter deleted successfully.' });
   } catch (err) {
     res.status(500).json({ message: 'Server error while deleting newsletter.' });
   }
 });
 
-// POST to send the newsletter to users
-router.post('/:id/send', auth, async (req, res) => {
+// POST to send the newsletter to users. Only active subscribers of the newsletter's category
+// receive it; the other selected users are skipped and counted in the response.
+router.post('/:id/send', auth, authorize('newsletters:send', newsletterCategoryParam()), async (req, res) => {
     try {
         const { userIds } = req.body;
-        if (!userIds || userIds.length === 0) {
+        if (!Array.isArray(userIds) || userIds.length === 0) {
             return res.status(400).json({ message: 'No recipients selected.' });
         }
+        if (userIds.some(id => !mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ message: 'Some recipients are not valid user ids.' });
+        }
         const newsletter = await Newsletter.findById(req.params.id);
         if (!newsletter) {
             return res.status(404).json({ message: 'Newsletter not found.' });
         }
-        if (process.env.SENDGRID_API_KEY) {
-            const recipients = await User.find({ '_id': { $in: userIds } }).select('email');
-            if (recipients.length > 0) {
-                 const msg = {
-                    to: recipients.map(r => r.email),
-                    from: { name: 'NewsLetterAI', email: process.env.FROM_EMAIL },
-                    subject: `Your Newsletter: ${newsletter.title}`,
-                    html: `<p>A new newsletter, <strong>${newsletter.title}</strong>, is now available. Please find it attached.</p>`,
-                    attachments: [{
-                        content: newsletter.pdfContent.data.toString('base64'),
-                        filename: `${newsletter.title.replace(/\s/g, '_')}.pdf`,
-                        type: 'application/pdf',
-                        disposition: 'attachment',
-                    }],
-                };
-                await sgMail.send(msg);
-            }
-        }
-        newsletter.status = 'sent';
-        newsletter.recipients.addToSet(...userIds);
-        await newsletter.save();
-        
-        try {
-            const notifications = userIds.map(userId => ({
-                user: userId,
-                newsletter: newsletter._id,
-                message: `You received the "${newsletter.title}" newsletter.`,
-            }));
-            if (notifications.length > 0) {
-                await Notification.insertMany(notifications, { ordered: false });
-            }
-        } catch (notificationError) {
-            console.error('CRITICAL: Failed to create notifications, but email was sent.', notificationError);
-        }
-        res.json({ message: `Newsletter successfully sent to ${userIds.length} user(s).` });
+        if (!isMailConfigured()) {
+            return res.status(500).json({ message: 'Email service is not configured on the server.' });
+        }
+        const subscribers = await categorySubscriberIds(newsletter.category, userIds);
+        if (subscribers.length === 0) {
+            return res.status(400).json({ message: `None of the selected users subscribe to "${newsletter.category}".` });
+        }
+        const notSubscribed = new Set(userIds.map(String)).size - subscribers.length;
+        // Only approved (or already sent) newsletters go out. It is marked sent before anything is
+        // queued, so it cannot be reopened and edited while its deliveries wait.
+        const sent = await transitionNewsletter(newsletter, 'send', { actorId: req.user });
+        if (sent.error) {
+            return res.status(sent.status).json({ message: sent.status === 409 ? 'Only approved newsletters can be sent. Submit it for review first.' : sent.error });
+        }
+        const { recipientCount, alreadyQueued, suppressed } = await deliverNewsletter(newsletter, { userIds: subscribers, actorId: req.user });
+        await recordAudit(req, { action: 'newsletter.send', targetType: 'Newsletter', target: newsletter, label: newsletter.title, details: { requested: userIds.length, recipientCount, alreadyQueued, suppressed, notSubscribed } });
+        let message = `Newsletter queued for delivery to ${recipientCount} user(s).`;
+        if (alreadyQueued > 0) message += ` ${alreadyQueued} user(s) already had it and were skipped.`;
+        if (suppressed > 0) message += ` ${suppressed} address(es) skipped after bounces or spam reports.`;
+        if (notSubscribed > 0) message += ` ${notSubscribed} selected user(s) do not subscribe to "${newsletter.category}" and were skipped.`;
+        res.status(202).json({ message, recipientCount, alreadyQueued, suppressed, notSubscribed });
     } catch (err) {
         console.error('A major error occurred in the /send route:', err);
         res.status(500).json({ message: 'Failed to send newsletter due to a server error.' });
     }
 });
 
+// GET the delivery report of a newsletter: counts by status and one entry per recipient
+router.get('/:id/deliveries', auth, authorize('newsletters:inspect', newsletterParam()), async (req, res) => {
+    try {
+        const newsletter = await Newsletter.findById(req.params.id).select('_id');
+        if (!newsletter) {
+            return res.status(404).json({ message: 'Newsletter not found.' });
+        }
+        const deliveries = await Delivery.find({ newsletter: newsletter._id })
+            .populate('user', 'name email')
+            .sort({ createdAt: 1 });
+        const summary = Object.fromEntries(DELIVERY_STATUSES.map(status => [status, 0]));
+        deliveries.forEach(d => { summary[d.status] += 1; });
+        summary.spamReports = deliveries.filter(d => d.spamReportedAt).length;
+        const report = { total: deliveries.length, summary, deliveries };
+        if (summary.unknown > 0) {
+            report.note = `${summary.unknown} delivery(ies) were interrupted by a server restart and may or may not have been delivered. They are not retried; check with the recipients before sending again.`;
+        }
+        res.json(report);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching deliveries.', error: err.message });
+    }
+});
+
+// POST - Retry the deliveries of a newsletter that failed. Bounced addresses and deliveries
+// interrupted by a restart ('unknown') are not retried.
+router.post('/:id/deliveries/retry', auth, authorize('newsletters:send', newsletterCategoryParam()), async (req, res) => {
+    try {
+        const newsletter = await Newsletter.findById(req.params.id).select('_id title');
+        if (!newsletter) {
+            return res.status(404).json({ message: 'Newsletter not found.' });
+        }
+        if (!isMailConfigured()) {
+            return res.status(500).json({ message: 'Email service is not configured on the server.' });
+        }
+        const requeued = await retryFailedDeliveries(newsletter._id);
+        const notRetried = await Delivery.countDocuments({ newsletter: newsletter._id, status: 'unknown' });
+        await recordAudit(req, { action: 'newsletter.deliveries.retry', targetType: 'Newsletter', target: newsletter, label: newsletter.title, details: { requeued, notRetried } });
+        let message = `${requeued} failed delivery(ies) queued for retry.`;
+        if (notRetried > 0) message += ` ${notRetried} interrupted delivery(ies) may already have been delivered and were not retried.`;
+        res.status(202).json({ message, requeued, notRetried });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error retrying deliveries.', error: err.message });
+    }
+});
+
+// --- Public archive ---
+
+const withUrl = (edition) => ({ ...edition.toObject(), url: editionUrl(edition) });
+
+// Parses an optional expiry: an ISO date in the future, or null for none.
+const parseExpiry = (value) => {
+    if (value === undefined || value === null || value === '') return { expiresAt: null };
+    const expiresAt = new Date(value);
+    if (Number.isNaN(expiresAt.getTime())) return { error: 'expiresAt must be a date, e.g. "2025-12-31T00:00:00Z".' };
+    if (expiresAt <= new Date()) return { error: 'expiresAt must be in the future.' };
+    return { expiresAt };
+};
+
+// Loads the newsletter an archive route is about, or responds 404.
+const loadPublishableNewsletter = async (req, res) => {
+    const newsletter = await Newsletter.findById(req.params.id).select('title category status htmlContent');
+    if (!newsletter) {
+        res.status(404).json({ message: 'Newsletter not found.' });
+        return null;
+    }
+    return newsletter;
+};
+
+// GET every archive publication of a newsletter, newest first, with view counts
+router.get('/:id/archive', auth, authorize('newsletters:inspect', newsletterParam()), async (req, res) => {
+    try {
+        const newsletter = await loadPublishableNewsletter(req, res);
+        if (!newsletter) return;
+        const editions = await ArchivedEdition.find({ newsletter: newsletter._id }).sort({ createdAt: -1 });
+        res.json(editions.map(withUrl));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching archive editions.', error: err.message });
+    }
+});
+
+// POST - Publish a sent newsletter to its category's public archive ({ expiresAt } optional)
+router.post('/:id/archive', auth, authorize('newsletters:send', newsletterCategoryParam()), async (req, res) => {
+    try {
+        const newsletter = await loadPublishableNewsletter(req, res);
+        if (!newsletter) return;
+        if (newsletter.status !== 'sent') {
+            return res.status(409).json({ message: 'Only sent newsletters can be published to the archive.' });
+        }
+        if (!newsletter.htmlContent) {
+            return res.status(409).json({ message: 'This newsletter was generated before HTML was kept and cannot be published.' });
+        }
+        const { expiresAt, error } = parseExpiry(req.body.expiresAt);
+        if (error) return res.status(400).json({ message: error });
+        if (await ArchivedEdition.exists({ newsletter: newsletter._id, ...liveEditionFilter() })) {
+            return res.status(409).json({ message: 'This newsletter is already published. Revoke it first to publish a new link.' });
+        }
+
+        const edition = await ArchivedEdition.create({
+            newsletter: newsletter._id,
+            category: newsletter.category,
+            title: newsletter.title,
+            slug: createEditionSlug(newsletter.title),
+            publishedBy: req.user,
+            expiresAt,
+        });
+        await recordAudit(req, { action: 'newsletter.archive.publish', targetType: 'Newsletter', target: newsletter, label: newsletter.title, details: { edition: edition._id, slug: edition.slug, expiresAt } });
+        res.status(201).json(withUrl(edition));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error publishing newsletter.', error: err.message });
+    }
+});
+
+// PATCH - Change when the live archive link expires ({ expiresAt }, null for never)
+router.patch('/:id/archive', auth, authorize('newsletters:send', newsletterCategoryParam()), async (req, res) => {
+    try {
+        const newsletter = await loadPublishableNewsletter(req, res);
+        if (!newsletter) return;
+        const { expiresAt, error } = parseExpiry(req.body.expiresAt);
+        if (error) return res.status(400).json({ message: error });
+        const edition = await ArchivedEdition.findOne({ newsletter: newsletter._id, ...liveEditionFilter() });
+        if (!edition) return res.status(404).json({ message: 'This newsletter is not published.' });
+        const before = snapshot(edition, ['expiresAt']);
+        edition.expiresAt = expiresAt;
+        await edition.save();
+        await recordAudit(req, {
+            action: 'newsletter.archive.update', targetType: 'Newsletter', target: newsletter, label: newsletter.title,
+            before, after: snapshot(edition, ['expiresAt']), details: { edition: edition._id },
+        });
+        res.json(withUrl(edition));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error updating archive link.', error: err.message });
+    }
+});
+
+// DELETE - Revoke the live archive link; it stops working at once
+router.delete('/:id/archive', auth, authorize('newsletters:send', newsletterCategoryParam()), async (req, res) => {
+    try {
+        const newsletter = await loadPublishableNewsletter(req, res);
+        if (!newsletter) return;
+        const { modifiedCount } = await ArchivedEdition.updateMany(
+            { newsletter: newsletter._id, ...liveEditionFilter() },
+            { revokedAt: new Date(), revokedBy: req.user }
+        );
+        if (modifiedCount === 0) return res.status(404).json({ message: 'This newsletter is not published.' });
+        await recordAudit(req, { action: 'newsletter.archive.revoke', targetType: 'Newsletter', target: newsletter, label: newsletter.title });
+        res.json({ message: 'Archive link revoked.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error revoking archive link.', error: err.message });
+    }
+});
+
 export default router;
\ No newline at end of file
@@ -1,23 +1,35 @@
 import { Router } from 'express';
 import auth from '../middleware/auth.js';
+import authorize from '../middleware/authorize.js';
 import Notification from '../models/notification.model.js';
+import { listQuery } from '../utils/listQuery.js';
 
 const router = Router();
 
-// GET all recent notifications for the logged-in user
-router.get('/', auth, async (req, res) => {
+// List parameters of GET /; see utils/listQuery.js.
+const NOTIFICATION_LIST = {
+    sort: ['createdAt'],
+    defaultSort: '-createdAt',
+    fields: ['message', 'newsletter', 'isRead', 'actionUrl', 'createdAt'],
+    filters: {
+        isRead: { type: 'boolean' },
+    },
+    defaultLimit: 10,
+    maxLimit: 100,
+};
+
+// GET the logged-in user's notifications, newest first (?isRead=, ?page= or ?cursor=, ?limit=)
+router.get('/', auth, authorize('profile:manage'), async (req, res) => {
     try {
-        const notifications = await Notification.find({ user: req.user })
-            .sort({ createdAt: -1 })
-            .limit(10); 
-        res.json(notifications);
+        const list = await listQuery(req, res, Notification, NOTIFICATION_LIST, { user: req.user });
+        if (list) res.json(list);
     } catch (err) {
         res.status(500).json({ message: 'Server error fetching notifications.' });
     }
 });
 
 // POST - Mark all notifications as read for the logged-in user
-router.post('/mark-as-read', auth, async (req, res) => {
+router.post('/mark-as-read', auth, authorize('profile:manage'), async (req, res) => {
     try {
         await Notification.updateMany({ user: req.user, isRead: false }, { $set: { isRead: true } });
         res.json({ message: 'Notifications marked as read.' });
@@ -27,7 +39,7 @@ router.post('/mark-as-read', auth, async (req, res) => {
 });
 
 // NEW: DELETE a specific notification
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('profile:manage'), async (req, res) => {
     try {
         const notification = await Notification.findOne({
             _id: req.params.id,
@@ -0,0 +1,213 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import auth from '../middleware/auth.js';
+import authorize from '../middleware/authorize.js';
+import DeliverySchedule from '../models/deliverySchedule.model.js';
+import ScheduleRun from '../models/scheduleRun.model.js';
+import Newsletter from '../models/newsletter.model.js';
+import NewsletterTemplate from '../models/newsletterTemplate.model.js';
+import Category from '../models/category.model.js';
+import { RENDER_MODES } from '../services/newsletterGenerator.js';
+import { computeNextRun } from '../services/deliveryScheduler.js';
+import { categorySubscriberIds } from '../services/newsletterDelivery.js';
+import { managesCategories, managedCategoryNames } from '../services/accessPolicy.js';
+import { isValidTimeZone, parseZonedDateTime } from '../utils/timezone.js';
+
+const router = Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const RECENT_RUNS = 10;
+
+// The category of the schedule named in the route, for authorize().
+const scheduleCategory = async (req) => {
+    const schedule = await DeliverySchedule.findById(req.params.id).select('category').catch(() => null);
+    return schedule && { category: schedule.category };
+};
+const manageSchedule = authorize('schedules:manage', scheduleCategory);
+
+// Loads the schedule named in the route, or responds 404.
+const loadSchedule = async (req, res) => {
+    const schedule = await DeliverySchedule.findById(req.params.id);
+    if (!schedule) {
+        res.status(404).json({ message: 'Schedule not found.' });
+        return null;
+    }
+    return schedule;
+};
+
+// Checks that every chosen recipient is an active subscriber of the category; returns an error message or null.
+const recipientsProblem = async (recipients, category) => {
+    if (recipients.length === 0) return null;
+    const unique = new Set(recipients.map(String)).size;
+    const subscribers = await categorySubscriberIds(category, recipients);
+    if (subscribers.length === unique) return null;
+    return `${unique - subscribers.length} of the recipients are not active subscribers of "${category}".`;
+};
+
+// Validates the fields of a new schedule; returns the document fields or an error message.
+const buildSchedule = async (body, user) => {
+    const { kind, timezone = 'UTC', recipients = [], title, renderMode = 'ai', templateId } = body;
+    if (!isValidTimeZone(timezone)) return { error: `"${timezone}" is not a valid IANA time zone, e.g. "Europe/London".` };
+    if (!Array.isArray(recipients)) return { error: 'recipients must be an array of user ids.' };
+    if (recipients.some(id => !mongoose.isValidObjectId(id))) return { error: 'Some recipients are not valid user ids.' };
+
+    if (kind === 'once') {
+        if (!mongoose.isValidObjectId(body.newsletterId)) return { error: 'Newsletter not found.', status: 404 };
+        const newsletter = await Newsletter.findById(body.newsletterId).select('category status');
+        if (!newsletter) return { error: 'Newsletter not found.', status: 404 };
+        if (newsletter.status === 'sent') return { error: 'This newsletter has already been sent.' };
+        if (!(await managesCategories(user, newsletter.category))) return { error: 'Access denied. You do not manage this category.', status: 403 };
+        const recipientError = await recipientsProblem(recipients, newsletter.category);
+        if (recipientError) return { error: recipientError };
+        const sendAt = parseZonedDateTime(body.sendAt, timezone);
+        if (!sendAt) return { error: 'sendAt must be a local date and time like "2025-06-30T09:00".' };
+        if (sendAt <= new Date()) return { error: 'sendAt must be in the future.' };
+        return { fields: { kind, category: newsletter.category, timezone, newsletter: newsletter._id, sendAt, recipients } };
+    }
+
+    if (kind === 'recurring') {
+        const { category, recurrence = {} } = body;
+        if (!category) return { error: 'category is required.' };
+        if (!(await managesCategories(user, category))) return { error: 'Access denied. You do not manage this category.', status: 403 };
+        const recipientError = await recipientsProblem(recipients, category);
+        if (recipientError) return { error: recipientError };
+        const { daysOfWeek, time, lookbackDays = 7 } = recurrence;
+        if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 || daysOfWeek.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+            return { error: 'recurrence.daysOfWeek must list days from 0 (Sunday) to 6 (Saturday).' };
+        }
+        if (!TIME_PATTERN.test(time || '')) return { error: 'recurrence.time must be "HH:mm" (24-hour).' };
+        if (!Number.isInteger(lookbackDays) || lookbackDays < 1 || lookbackDays > 31) {
+            return { error: 'recurrence.lookbackDays must be a whole number between 1 and 31.' };
+        }
+        if (!RENDER_MODES.includes(renderMode)) return { error: `renderMode must be one of: ${RENDER_MODES.join(', ')}.` };
+        if (templateId) {
+            if (!mongoose.isValidObjectId(templateId) || !(await NewsletterTemplate.exists({ _id: templateId }))) {
+                return { error: 'Template not found.', status: 404 };
+            }
+            // As when deleting templates: one that is another category's default belongs to that category.
+            const usedBy = await Category.distinct('name', { defaultTemplate: templateId });
+            if (usedBy.length > 0 && !usedBy.includes(category)) {
+                return { error: `This template is the default of ${usedBy.join(', ')} and cannot be used for "${category}".`, status: 403 };
+            }
+        }
+        return {
+            fields: {
+                kind, category, timezone, title, renderMode, recipients,
+                template: templateId || undefined,
+                recurrence: { daysOfWeek: [...new Set(daysOfWeek)].sort(), time, lookbackDays },
+            },
+        };
+    }
+
+    return { error: 'kind must be "once" or "recurring".' };
+};
+
+// GET schedules for the categories the requester manages (?status=active|paused|cancelled|completed, ?category=)
+router.get('/', auth, authorize('schedules:manage'), async (req, res) => {
+    try {
+        const user = req.currentUser;
+        const filter = {};
+        if (req.query.category) {
+            if (!(await managesCategories(user, req.query.category))) return res.json([]);
+            filter.category = req.query.category;
+        } else if (user.userType !== 'superadmin') {
+            filter.category = { $in: await managedCategoryNames(user) };
+        }
+        if (req.query.status) filter.status = req.query.status;
+
+        const schedules = await DeliverySchedule.find(filter).populate('newsletter', 'title status').sort({ nextRunAt: 1, createdAt: -1 });
+        res.json(schedules);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching schedules.', error: err.message });
+    }
+});
+
+// POST - Schedule one newsletter ({ kind: 'once', newsletterId, sendAt, timezone }) or a recurring
+// edition ({ kind: 'recurring', category, recurrence: { daysOfWeek, time, lookbackDays }, timezone })
+router.post('/', auth, authorize('schedules:manage'), async (req, res) => {
+    try {
+        const user = req.currentUser;
+        const { fields, error, status } = await buildSchedule(req.body, user);
+        if (error) return res.status(status || 400).json({ message: error });
+
+        const schedule = new DeliverySchedule({ ...fields, createdBy: user._id });
+        schedule.nextRunAt = computeNextRun(schedule);
+        await schedule.save();
+        res.status(201).json(schedule);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error creating schedule.', error: err.message });
+    }
+});
+
+// GET a schedule with its most recent runs
+router.get('/:id', auth, manageSchedule, async (req, res) => {
+    try {
+        const schedule = await loadSchedule(req, res);
+        if (!schedule) return;
+        const runs = await ScheduleRun.find({ schedule: schedule._id }).sort({ dueAt: -1 }).limit(RECENT_RUNS);
+        res.json({ schedule, runs });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching schedule.', error: err.message });
+    }
+});
+
+// GET all runs of a schedule, newest first
+router.get('/:id/runs', auth, manageSchedule, async (req, res) => {
+    try {
+        const schedule = await loadSchedule(req, res);
+        if (!schedule) return;
+        const runs = await ScheduleRun.find({ schedule: schedule._id }).populate('newsletter', 'title status').sort({ dueAt: -1 });
+        res.json(runs);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching schedule runs.', error: err.message });
+    }
+});
+
+// POST - Pause a schedule; due runs wait, nothing is sent until it is resumed
+router.post('/:id/pause', auth, manageSchedule, async (req, res) => {
+    try {
+        const schedule = await loadSchedule(req, res);
+        if (!schedule) return;
+        if (schedule.status !== 'active') return res.status(409).json({ message: `Only active schedules can be paused; this one is ${schedule.status}.` });
+        schedule.status = 'paused';
+        await schedule.save();
+        res.json(schedule);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error pausing schedule.', error: err.message });
+    }
+});
+
+// POST - Resume a paused schedule. Recurring schedules continue from their next future occurrence.
+router.post('/:id/resume', auth, manageSchedule, async (req, res) => {
+    try {
+        const schedule = await loadSchedule(req, res);
+        if (!schedule) return;
+        if (schedule.status !== 'paused') return res.status(409).json({ message: `Only paused schedules can be resumed; this one is ${schedule.status}.` });
+        schedule.status = 'active';
+        if (schedule.kind === 'recurring') schedule.nextRunAt = computeNextRun(schedule);
+        await schedule.save();
+        res.json(schedule);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error resuming schedule.', error: err.message });
+    }
+});
+
+// DELETE - Cancel a schedule. Runs waiting for approval are cancelled too; it stays listed for reference.
+router.delete('/:id', auth, manageSchedule, async (req, res) => {
+    try {
+        const schedule = await loadSchedule(req, res);
+        if (!schedule) return;
+        if (schedule.status === 'cancelled' || schedule.status === 'completed') {
+            return res.status(409).json({ message: `This schedule is already ${schedule.status}.` });
+        }
+        schedule.status = 'cancelled';
+        schedule.nextRunAt = null;
+        await schedule.save();
+        await ScheduleRun.updateMany({ schedule: schedule._id, status: { $in: ['generating', 'awaiting-approval'] } }, { status: 'cancelled' });
+        res.json({ message: 'Schedule cancelled.', schedule });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error cancelling schedule.', error: err.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import auth from '../middleware/auth.js';
+import authorize from '../middleware/authorize.js';
+import { parseSearchQuery, search } from '../services/search.js';
+
+const router = Router();
+
+// GET - Search curated articles and newsletters, best matches first.
+// ?q= (MongoDB text search: "quoted phrases", -excluded words), ?type=all|articles|newsletters,
+// ?category=, ?source=, ?from= and ?to= (dates), ?inSentNewsletter=true|false, ?page=, ?limit=.
+// Admins search their categories; users the newsletters they received.
+router.get('/', auth, authorize('search:read'), async (req, res) => {
+    try {
+        const { options, error } = parseSearchQuery(req.query);
+        if (error) return res.status(400).json({ message: error });
+        res.json(await search(req.currentUser, options));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error while searching.', error: err.message });
+    }
+});
+
+export default router;
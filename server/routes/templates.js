@@ -0,0 +1,163 @@
+import { Router } from 'express';
+import auth from '../middleware/auth.js';
+import authorize from '../middleware/authorize.js';
+import NewsletterTemplate from '../models/newsletterTemplate.model.js';
+import Category from '../models/category.model.js';
+import CuratedArticle from '../models/article.model.js';
+import { managedCategoryNames } from '../services/accessPolicy.js';
+import { DEFAULT_TEMPLATE, PLACEHOLDERS, renderNewsletterTemplate, validateTemplate } from '../services/templateRenderer.js';
+
+const router = Router();
+
+const TEMPLATE_FIELDS = ['name', 'description', 'header', 'articleBlock', 'pullQuote', 'pullQuoteAfter', 'footer'];
+const PREVIEW_ARTICLE_COUNT = 3;
+
+// Shown in previews when the admin has no curated articles yet.
+const SAMPLE_ARTICLES = [
+    { title: 'Sample headline for the first story', summary: 'A two or three sentence summary of the first story appears here.', sourceName: 'Example News', originalUrl: 'https://example.com/first-story', imageUrl: null, category: 'Sample' },
+    { title: 'Another story worth reading', summary: 'Summaries are written when articles are curated.', sourceName: 'Example Daily', originalUrl: 'https://example.com/second-story', imageUrl: null, category: 'Sample' },
+];
+
+const pickTemplateFields = (body) => Object.fromEntries(
+    TEMPLATE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Articles for a preview: the requested ones in the requested order, else the requester's latest.
+// Requested articles must be in the requester's categories; others are left out.
+const loadPreviewArticles = async (articleIds, user) => {
+    if (Array.isArray(articleIds) && articleIds.length > 0) {
+        const found = await CuratedArticle.find({ _id: { $in: articleIds }, category: { $in: await managedCategoryNames(user) } });
+        return articleIds.map(id => found.find(a => a._id.toString() === id)).filter(Boolean);
+    }
+    const recent = await CuratedArticle.find({ savedBy: user._id }).sort({ createdAt: -1 }).limit(PREVIEW_ARTICLE_COUNT);
+    return recent.length > 0 ? recent : SAMPLE_ARTICLES;
+};
+
+// Loads a template the requester may change: one they created, or any for superadmins.
+// Responds 404 or 403 itself and returns null.
+const loadOwnTemplate = async (req, res) => {
+    const template = await NewsletterTemplate.findById(req.params.id);
+    if (!template) {
+        res.status(404).json({ message: 'Template not found.' });
+        return null;
+    }
+    if (req.currentUser.userType !== 'superadmin' && String(template.createdBy) !== String(req.user)) {
+        res.status(403).json({ message: 'Only the admin who created this template or a superadmin can change it.' });
+        return null;
+    }
+    return template;
+};
+
+const sendPreview = async (req, res, template) => {
+    const { title = 'Newsletter Preview', category = 'Preview', articleIds } = req.body;
+    const articles = await loadPreviewArticles(articleIds, req.currentUser);
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderNewsletterTemplate(template, { title, category, articles }));
+};
+
+// GET all templates
+router.get('/', auth, authorize('templates:read'), async (req, res) => {
+    try {
+        const templates = await NewsletterTemplate.find().sort({ name: 1 });
+        res.json(templates);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching templates.', error: err.message });
+    }
+});
+
+// GET the built-in layout and the placeholders each section may use, as a starting point for new templates
+router.get('/default', auth, authorize('templates:read'), (req, res) => {
+    res.json({ template: DEFAULT_TEMPLATE, placeholders: PLACEHOLDERS });
+});
+
+// POST - Preview template sections that have not been saved yet
+router.post('/preview', auth, authorize('templates:read'), async (req, res) => {
+    try {
+        const template = { ...DEFAULT_TEMPLATE, ...pickTemplateFields(req.body) };
+        const error = validateTemplate(template);
+        if (error) return res.status(400).json({ message: error });
+        await sendPreview(req, res, template);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error rendering preview.', error: err.message });
+    }
+});
+
+// GET a single template
+router.get('/:id', auth, authorize('templates:read'), async (req, res) => {
+    try {
+        const template = await NewsletterTemplate.findById(req.params.id);
+        if (!template) return res.status(404).json({ message: 'Template not found.' });
+        res.json(template);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching template.', error: err.message });
+    }
+});
+
+// POST - Create a template
+router.post('/', auth, authorize('templates:manage'), async (req, res) => {
+    try {
+        const fields = pickTemplateFields(req.body);
+        if (!fields.name || !fields.header || !fields.articleBlock) {
+            return res.status(400).json({ message: 'Name, header and articleBlock are required.' });
+        }
+        const error = validateTemplate(fields);
+        if (error) return res.status(400).json({ message: error });
+
+        const template = new NewsletterTemplate({ ...fields, createdBy: req.user });
+        await template.save();
+        res.status(201).json(template);
+    } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ message: 'A template with this name already exists.' });
+        res.status(500).json({ message: 'Server error creating template.', error: err.message });
+    }
+});
+
+// PATCH - Update a template you created
+router.patch('/:id', auth, authorize('templates:manage'), async (req, res) => {
+    try {
+        const fields = pickTemplateFields(req.body);
+        const error = validateTemplate(fields);
+        if (error) return res.status(400).json({ message: error });
+
+        const template = await loadOwnTemplate(req, res);
+        if (!template) return;
+        template.set(fields);
+        await template.save();
+        res.json(template);
+    } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ message: 'A template with this name already exists.' });
+        res.status(500).json({ message: 'Server error updating template.', error: err.message });
+    }
+});
+
+// POST - Preview a saved template with real (or sample) articles
+router.post('/:id/preview', auth, authorize('templates:read'), async (req, res) => {
+    try {
+        const template = await NewsletterTemplate.findById(req.params.id);
+        if (!template) return res.status(404).json({ message: 'Template not found.' });
+        await sendPreview(req, res, template);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error rendering preview.', error: err.message });
+    }
+});
+
+// DELETE a template you created; categories using it as their default fall back to the built-in
+// layout. Refused while a category the requester does not manage uses it.
+router.delete('/:id', auth, authorize('templates:manage'), async (req, res) => {
+    try {
+        const template = await loadOwnTemplate(req, res);
+        if (!template) return;
+        const managed = await managedCategoryNames(req.currentUser);
+        const othersUsing = (await Category.distinct('name', { defaultTemplate: template._id })).filter(name => !managed.includes(name));
+        if (othersUsing.length > 0) {
+            return res.status(409).json({ message: `This template is the default of categories you do not manage: ${othersUsing.join(', ')}.` });
+        }
+        await NewsletterTemplate.deleteOne({ _id: template._id });
+        await Category.updateMany({ defaultTemplate: template._id }, { $unset: { defaultTemplate: 1 } });
+        res.json({ message: 'Template deleted successfully.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error deleting template.', error: err.message });
+    }
+});
+
+export default router;
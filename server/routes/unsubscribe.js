@@ -0,0 +1,88 @@
+import express, { Router } from 'express';
+import User from '../models/user.model.js';
+import UnsubscribeEvent from '../models/unsubscribeEvent.model.js';
+import { verifyUnsubscribeToken } from '../services/unsubscribe.js';
+import { escapeHtml, renderPublicPage } from '../utils/html.js';
+
+// Public: reached from newsletter emails, so nothing here requires a login. The signed token
+// in the link is the only proof of who is unsubscribing.
+const router = Router();
+
+// The confirmation form and one-click requests post form-encoded bodies.
+router.use(express.urlencoded({ extended: false }));
+
+const sendPage = (res, status, title, message) => res.status(status).type('html').send(renderPublicPage(title, `<h1>${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p>`));
+
+// Loads the user a token belongs to, or responds with why the link cannot be used.
+const resolveToken = async (token, res) => {
+    const claims = verifyUnsubscribeToken(token);
+    if (claims.error) {
+        sendPage(res, 400, 'Link not valid', claims.error);
+        return null;
+    }
+    const user = await User.findById(claims.userId).select('email userType categories');
+    if (!user) {
+        sendPage(res, 404, 'Account not found', 'The account this link was sent to no longer exists.');
+        return null;
+    }
+    // Admins' categories are the ones they manage, not subscriptions.
+    if (user.userType !== 'user') {
+        sendPage(res, 400, 'Managed category', `Your account manages ${claims.category}. Ask a superadmin to change the categories you manage.`);
+        return null;
+    }
+    return { claims, user };
+};
+
+// GET - The confirmation page. It changes nothing, since mail scanners open links on their own.
+router.get('/', async (req, res) => {
+    try {
+        const resolved = await resolveToken(req.query.token, res);
+        if (!resolved) return;
+        const { claims, user } = resolved;
+        if (!user.categories.includes(claims.category)) {
+            return sendPage(res, 200, 'Already unsubscribed', `${user.email} no longer receives ${claims.category} newsletters.`);
+        }
+        res.type('html').send(renderPublicPage('Unsubscribe', `
+<h1>Unsubscribe from ${escapeHtml(claims.category)}?</h1>
+<p>${escapeHtml(user.email)} will stop receiving ${escapeHtml(claims.category)} newsletters. Your other subscriptions are not affected.</p>
+<form method="post" action="">
+  <input type="hidden" name="token" value="${escapeHtml(req.query.token)}">
+  <button type="submit">Unsubscribe</button>
+</form>`));
+    } catch (err) {
+        console.error('[UNSUBSCRIBE] Failed to show the confirmation page:', err);
+        sendPage(res, 500, 'Something went wrong', 'Please try again later.');
+    }
+});
+
+// POST - Unsubscribe. Handles both the confirmation form and RFC 8058 one-click requests,
+// which carry the token in the query string and "List-Unsubscribe=One-Click" in the body.
+router.post('/', async (req, res) => {
+    const oneClick = req.body && req.body['List-Unsubscribe'] === 'One-Click';
+    try {
+        const token = (req.body && req.body.token) || req.query.token;
+        const resolved = await resolveToken(token, res);
+        if (!resolved) return;
+        const { claims, user } = resolved;
+
+        const { modifiedCount } = await User.updateOne({ _id: user._id, categories: claims.category }, { $pull: { categories: claims.category } });
+        if (modifiedCount > 0) {
+            await UnsubscribeEvent.create({
+                user: user._id,
+                email: user.email,
+                category: claims.category,
+                newsletter: claims.newsletterId,
+                method: oneClick ? 'one-click' : 'link',
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+            });
+            console.log(`[UNSUBSCRIBE] ${user.email} left ${claims.category} (${oneClick ? 'one-click' : 'link'}).`);
+        }
+        sendPage(res, 200, 'You have been unsubscribed', `${user.email} will no longer receive ${claims.category} newsletters.`);
+    } catch (err) {
+        console.error('[UNSUBSCRIBE] Failed to unsubscribe:', err);
+        sendPage(res, 500, 'Something went wrong', 'You have not been unsubscribed. Please try again later.');
+    }
+});
+
+export default router;
@@ -2,16 +2,23 @@ import { Router } from 'express';
 import bcrypt from 'bcryptjs';
 import mongoose from 'mongoose';
 import auth from '../middleware/auth.js';
+import authorize, { newsletterBody } from '../middleware/authorize.js';
 import User from '../models/user.model.js';
 import Newsletter from '../models/newsletter.model.js';
 import Notification from '../models/notification.model.js';
-import sgMail from '@sendgrid/mail';
-import jwt from 'jsonwebtoken';
+import { isMailConfigured, sendMail } from '../services/mailer/index.js';
+import { newsletterEmailContent } from '../services/newsletterDelivery.js';
+import { createAccessToken, listUserSessions, revokeSession, revokeUserSessions } from '../services/sessions.js';
+import { recordAudit, snapshot } from '../services/audit.js';
+import { passwordProblem } from '../services/passwordReset.js';
 
 const router = Router();
 
+// Profile fields recorded in the audit trail; a password change shows up without its value.
+const PROFILE_FIELDS = ['name', 'email', 'password'];
+
 // GET Logged-in User's Data
-router.get('/me', auth, async (req, res) => {
+router.get('/me', auth, authorize('profile:manage'), async (req, res) => {
     try {
         const user = await User.findById(req.user).select('-password');
         res.json(user);
@@ -21,13 +28,22 @@ router.get('/me', auth, async (req, res) => {
 });
 
 // PATCH - Update User Profile (Email, Name, Password)
-router.patch('/me/profile', auth, async (req, res) => {
+router.patch('/me/profile', auth, authorize('profile:manage'), async (req, res) => {
     try {
-        const { name, email, password } = req.body;
+        const { name, email, password, currentPassword } = req.body;
         const user = await User.findById(req.user);
         if (!user) {
             return res.status(404).json({ message: 'User not found.' });
         }
+        // A new password needs the current one, so a stolen access token cannot take over the account.
+        if (password) {
+            const problem = passwordProblem(password);
+            if (problem) return res.status(400).json({ message: problem });
+            if (typeof currentPassword !== 'string' || !(await bcrypt.compare(currentPassword, user.password))) {
+                return res.status(403).json({ message: 'Your current password is incorrect.' });
+            }
+        }
+        const before = snapshot(user, PROFILE_FIELDS);
 
         if (email && email !== user.email) {
             const existingUser = await User.findOne({ email });
@@ -44,12 +60,16 @@ router.patch('/me/profile', auth, async (req, res) => {
         if (password) {
             const salt = await bcrypt.genSalt();
             user.password = await bcrypt.hash(password, salt);
+            user.mustChangePassword = false;
         }
 
         const updatedUser = await user.save();
-        
-        // Re-issue token with potentially new email
-        const token = jwt.sign({ id: updatedUser._id }, process.env.JWT_SECRET, { expiresIn: '1d' });
+
+        // A new password signs out every other device; this one stays signed in.
+        if (password) await revokeUserSessions(updatedUser._id, 'password-change', { except: req.sessionId });
+        await recordAudit(req, { action: 'profile.update', targetType: 'User', target: updatedUser, label: updatedUser.email, before, after: snapshot(updatedUser, PROFILE_FIELDS) });
+
+        const token = createAccessToken(updatedUser._id, req.sessionId);
 
         res.json({
             token,
@@ -66,15 +86,61 @@ router.patch('/me/profile', auth, async (req, res) => {
     }
 });
 
+// GET the logged-in user's active sessions (signed-in devices), most recently used first
+router.get('/me/sessions', auth, authorize('profile:manage'), async (req, res) => {
+    try {
+        const sessions = await listUserSessions(req.user);
+        res.json(sessions.map(session => ({
+            id: session._id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            signedInAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: session._id.toString() === req.sessionId,
+        })));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching sessions.', error: err.message });
+    }
+});
+
+// DELETE - Sign out one of the logged-in user's sessions
+router.delete('/me/sessions/:id', auth, authorize('profile:manage'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Session not found.' });
+        }
+        const revoked = await revokeSession(req.params.id, 'logout', { userId: req.user });
+        if (!revoked) return res.status(404).json({ message: 'Session not found.' });
+        await recordAudit(req, { action: 'session.revoke', targetType: 'Session', target: req.params.id, details: { current: req.params.id === req.sessionId } });
+        res.json({ message: 'Session signed out.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error signing out the session.', error: err.message });
+    }
+});
+
+// POST - Sign out everywhere, this device included
+router.post('/me/logout-all', auth, authorize('profile:manage'), async (req, res) => {
+    try {
+        const count = await revokeUserSessions(req.user, 'logout-all');
+        await recordAudit(req, { action: 'session.revoke-all', targetType: 'User', target: req.user, label: req.currentUser.email, details: { revoked: count } });
+        res.json({ message: `Signed out of ${count} session(s).` });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error signing out.', error: err.message });
+    }
+});
+
 // PATCH - Update User's Category Preferences
-router.patch('/me/categories', auth, async (req, res) => {
+router.patch('/me/categories', auth, authorize('subscriptions:manage-own'), async (req, res) => {
     try {
         const { categories } = req.body;
+        const before = snapshot(req.currentUser, ['categories']);
         const updatedUser = await User.findByIdAndUpdate(
             req.user,
             { categories: categories },
             { new: true }
         ).select('-password');
+        await recordAudit(req, { action: 'subscription.update', targetType: 'User', target: updatedUser, label: updatedUser.email, before, after: snapshot(updatedUser, ['categories']) });
         res.json(updatedUser);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -82,7 +148,7 @@ router.patch('/me/categories', auth, async (req, res) => {
 });
 
 // GET user's received newsletters
-router.get('/my-newsletters', auth, async (req, res) => {
+router.get('/my-newsletters', auth, authorize('profile:manage'), async (req, res) => {
     try {
         const userId = new mongoose.Types.ObjectId(req.user);
 
@@ -99,11 +165,10 @@ router.get('/my-newsletters', auth, async (req, res) => {
 
 
 // ENDPOINT TO EMAIL A NEWSLETTER TO THE LOGGED-IN USER
-router.post('/send-newsletter-to-self', auth, async (req, res) => {
-    if (!process.env.SENDGRID_API_KEY || !process.env.FROM_EMAIL) {
+router.post('/send-newsletter-to-self', auth, authorize('newsletters:read', newsletterBody('newsletterId')), async (req, res) => {
+    if (!isMailConfigured()) {
         return res.status(500).json({ message: 'Email service is not configured on the server.' });
     }
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
     try {
         const { newsletterId } = req.body;
@@ -121,20 +186,11 @@ router.post('/send-newsletter-to-self', auth, async (req, res) => {
             return res.status(404).json({ message: 'Newsletter or its PDF content not found.' });
         }
 
-        const msg = {
+        await sendMail({
             to: user.email,
-            from: { name: 'NewsLetterAI', email: process.env.FROM_EMAIL },
             subject: `Your Requested Newsletter: ${newsletter.title}`,
-            html: `<p>Hi ${user.name || ''},</p><p>As requested, the newsletter "<strong>${newsletter.title}</strong>" is attached to this email.</p>`,
-            attachments: [{
-                content: newsletter.pdfContent.data.toString('base64'),
-                filename: `${newsletter.title.replace(/\s/g, '_')}.pdf`,
-                type: 'application/pdf',
-                disposition: 'attachment',
-            }],
-        };
-        
-        await sgMail.send(msg);
+            ...newsletterEmailContent(newsletter),
+        });
 
         newsletter.recipients.addToSet(user._id);
         await newsletter.save();
@@ -146,6 +202,7 @@ router.post('/send-newsletter-to-self', auth, async (req, res) => {
         });
         await newNotification.save();
 
+        await recordAudit(req, { action: 'newsletter.send-to-self', targetType: 'Newsletter', target: newsletter, label: newsletter.title, details: { to: user.email } });
         res.json({ message: `Newsletter successfully sent to ${user.email}.` });
 
     } catch (err) {
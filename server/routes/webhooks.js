@@ -0,0 +1,107 @@
+import { Router } from 'express';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Delivery from '../models/delivery.model.js';
+
+const router = Router();
+
+// SendGrid event types we act on; the rest are recorded on the delivery only.
+const BOUNCE_EVENTS = ['bounce', 'blocked'];
+const FAILURE_EVENTS = ['dropped'];
+const SPAM_EVENTS = ['spamreport'];
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Events are accepted if they carry SendGrid's signature (SENDGRID_WEBHOOK_PUBLIC_KEY, the
+// "Signed Event Webhook" verification key) or, for other providers, the shared EMAIL_WEBHOOK_TOKEN
+// in an X-Webhook-Token header. It is never read from the URL, which ends up in access logs.
+// With neither configured the endpoint is disabled.
+const verifyRequest = (req) => {
+    const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+    const token = process.env.EMAIL_WEBHOOK_TOKEN;
+    if (!publicKey && !token) return { error: 'Email webhooks are not configured on the server.', status: 503 };
+
+    const signature = req.get('X-Twilio-Email-Event-Webhook-Signature');
+    const timestamp = req.get('X-Twilio-Email-Event-Webhook-Timestamp');
+    if (publicKey && signature && timestamp && req.rawBody) {
+        try {
+            const valid = crypto.verify(
+                'sha256',
+                Buffer.concat([Buffer.from(timestamp), req.rawBody]),
+                { key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' },
+                Buffer.from(signature, 'base64')
+            );
+            if (valid) return {};
+        } catch (err) {
+            console.error('[WEBHOOK] Could not verify the event signature:', err.message);
+        }
+    }
+    const provided = req.get('X-Webhook-Token');
+    if (token && provided && safeEqual(provided, token)) return {};
+    return { error: 'Invalid webhook signature or token.', status: 401 };
+};
+
+// Finds the delivery an event is about: by the deliveryId we tag every email with, then by
+// the provider's message id, then by the newsletterId tag and the address. Events that match
+// none of these are ignored rather than pinned on another newsletter sent to the same address.
+const findDelivery = async (event) => {
+    if (event.deliveryId) {
+        const delivery = await Delivery.findById(event.deliveryId).catch(() => null);
+        if (delivery) return delivery;
+    }
+    if (event.sg_message_id) {
+        // SendGrid appends a filter suffix to the X-Message-Id it returned when sending.
+        const delivery = await Delivery.findOne({ messageId: event.sg_message_id.split('.')[0] });
+        if (delivery) return delivery;
+    }
+    if (event.email && event.newsletterId && mongoose.Types.ObjectId.isValid(event.newsletterId)) {
+        return Delivery.findOne({ newsletter: event.newsletterId, email: event.email });
+    }
+    return null;
+};
+
+const applyEvent = async (event) => {
+    const delivery = await findDelivery(event);
+    if (!delivery) return false;
+
+    const at = event.timestamp ? new Date(event.timestamp * 1000) : new Date();
+    const detail = event.reason || event.response || event.type || undefined;
+    const update = { $push: { events: { type: event.event, at, detail } } };
+    if (BOUNCE_EVENTS.includes(event.event)) {
+        update.status = 'bounced';
+        update.bouncedAt = at;
+        update.lastError = detail;
+    } else if (FAILURE_EVENTS.includes(event.event)) {
+        update.status = 'failed';
+        update.lastError = detail;
+    } else if (SPAM_EVENTS.includes(event.event)) {
+        update.spamReportedAt = at;
+    }
+    await Delivery.updateOne({ _id: delivery._id }, update);
+    return true;
+};
+
+// POST - Delivery events from the email provider (SendGrid's Event Webhook format:
+// an array of { event, email, sg_message_id, deliveryId, newsletterId, reason, timestamp })
+router.post('/email', async (req, res) => {
+    try {
+        const { error, status } = verifyRequest(req);
+        if (error) return res.status(status).json({ message: error });
+
+        const events = Array.isArray(req.body) ? req.body : [req.body];
+        let matched = 0;
+        for (const event of events) {
+            if (event && event.event && await applyEvent(event)) matched += 1;
+        }
+        res.json({ received: events.length, matched });
+    } catch (err) {
+        console.error('[WEBHOOK] Failed to process email events:', err);
+        res.status(500).json({ message: 'Server error processing email events.' });
+    }
+});
+
+export default router;
@@ -0,0 +1,151 @@
+import Category from '../models/category.model.js';
+
+// Who may do what. Every authenticated route names one of these permissions through the
+// authorize() middleware (middleware/authorize.js); GET /api/admins/permissions lists them
+// with the routes that use them.
+
+export const ROLES = ['user', 'admin', 'superadmin'];
+
+const ALL_ROLES = ROLES;
+const STAFF = ['admin', 'superadmin'];
+const SUPERADMIN = ['superadmin'];
+
+/**
+ * How a permission is narrowed to one resource after the role check. Superadmins pass every scope.
+ * Each check receives the requesting user and what the route's resolver returned for the request.
+ */
+export const SCOPES = {
+    category: {
+        description: 'Admins only for categories they are listed as admins of (Category.admins).',
+        check: (user, { category }) => managesCategories(user, category),
+    },
+    newsletter: {
+        description: "Admins of the newsletter's category, its category's reviewers, and users it was sent to.",
+        check: async (user, { newsletter }) => {
+            if (newsletter.recipients && newsletter.recipients.some(id => id.toString() === user._id.toString())) return true;
+            if (user.userType === 'user') return false;
+            return Boolean(await Category.exists({
+                name: newsletter.category,
+                $or: [{ admins: user._id }, { reviewers: user._id }],
+            }));
+        },
+    },
+};
+
+export const PERMISSIONS = {
+    'profile:manage': { roles: ALL_ROLES, description: 'View and update your own profile and notifications.' },
+    'subscriptions:manage-own': { roles: ['user'], description: 'Choose which categories you subscribe to.' },
+    'categories:list': { roles: ALL_ROLES, description: 'List categories.' },
+    'categories:create': { roles: SUPERADMIN, description: 'Create categories.' },
+    'categories:delete': { roles: SUPERADMIN, description: 'Delete categories.' },
+    'categories:configure': { roles: STAFF, scope: 'category', description: "Change a category's news sources, search profile and default template." },
+    'categories:assign-reviewers': { roles: SUPERADMIN, description: 'Choose who reviews a category\'s newsletters.' },
+    'admins:manage': { roles: SUPERADMIN, description: 'List, create, update and delete admins.' },
+    'users:manage': { roles: SUPERADMIN, description: 'List, create, update, reset the password of and delete any regular user.' },
+    'invitations:manage': { roles: STAFF, scope: 'category', description: 'Invite people to your categories, and list, resend and revoke those invitations (admin invitations need admins:manage too).' },
+    'subscribers:read': { roles: STAFF, description: 'View the subscribers, unsubscribes and statistics of your categories.' },
+    'subscribers:manage': { roles: STAFF, scope: 'category', description: 'Add users to and remove them from a category.' },
+    'news:curate': { roles: STAFF, description: 'Browse and ingest news for your categories, summarize and save articles.' },
+    'templates:read': { roles: STAFF, description: 'View and preview newsletter templates.' },
+    'templates:manage': { roles: STAFF, description: 'Create newsletter templates, and update and delete the ones you created (superadmins: any).' },
+    'search:read': { roles: ALL_ROLES, description: 'Search curated articles and newsletters: admins within their categories, users within the newsletters they received.' },
+    'newsletters:list': { roles: STAFF, description: 'List the newsletters of the categories you manage or review.' },
+    'newsletters:read': { roles: ALL_ROLES, scope: 'newsletter', description: 'View and download a newsletter.' },
+    'newsletters:inspect': { roles: STAFF, scope: 'newsletter', description: "View a newsletter's revisions, status history, deliveries and archive links." },
+    'newsletters:create': { roles: STAFF, scope: 'category', description: 'Generate newsletters for a category.' },
+    'newsletters:edit': { roles: STAFF, scope: 'category', description: 'Edit, regenerate, roll back, submit, withdraw and reopen a newsletter.' },
+    'newsletters:delete': { roles: STAFF, scope: 'category', description: 'Delete a newsletter.' },
+    'newsletters:review': { roles: STAFF, description: "Approve or decline newsletters (the workflow also requires being one of the category's reviewers)." },
+    'newsletters:set-status': { roles: STAFF, scope: 'newsletter', description: 'Move a newsletter to another status through the older status endpoint; each change needs what its workflow action needs (newsletters:edit or newsletters:review).' },
+    'newsletters:send': { roles: STAFF, scope: 'category', description: 'Send a newsletter, follow and retry its deliveries, and publish it to the archive.' },
+    'schedules:manage': { roles: STAFF, scope: 'category', description: 'Create and manage delivery schedules.' },
+    'policy:read': { roles: SUPERADMIN, description: 'View this permission matrix.' },
+    'audit:read': { roles: SUPERADMIN, description: 'Search and export the audit trail of administrative changes.' },
+};
+
+/**
+ * Whether a user manages every one of the given categories, per Category.admins. Superadmins manage all.
+ * @param {Object} user - A User document.
+ * @param {string|string[]} categories - Category names.
+ * @returns {Promise<boolean>}
+ */
+export const managesCategories = async (user, categories) => {
+    if (user.userType === 'superadmin') return true;
+    const names = [...new Set([].concat(categories).filter(Boolean))];
+    if (user.userType !== 'admin' || names.length === 0) return false;
+    return (await Category.countDocuments({ name: { $in: names }, admins: user._id })) === names.length;
+};
+
+/**
+ * The categories a user administers, per Category.admins; every category for superadmins.
+ * @param {Object} user - A User document.
+ * @returns {Promise<string[]>} Category names.
+ */
+export const managedCategoryNames = async (user) => {
+    if (user.userType === 'superadmin') return Category.distinct('name');
+    if (user.userType !== 'admin') return [];
+    return Category.distinct('name', { admins: user._id });
+};
+
+/**
+ * Checks a user against a permission, and its scope when the resource is known.
+ * @param {Object} user - A User document.
+ * @param {string} permission - A key of PERMISSIONS.
+ * @param {Object} [resource] - What the scope's check needs, e.g. { category } or { newsletter }.
+ * @returns {Promise<{ allowed: boolean, reason?: string }>}
+ */
+export const can = async (user, permission, resource) => {
+    const policy = PERMISSIONS[permission];
+    if (!policy) throw new Error(`Unknown permission "${permission}".`);
+    if (!policy.roles.includes(user.userType)) {
+        return { allowed: false, reason: `Access denied. This requires one of these roles: ${policy.roles.join(', ')}.` };
+    }
+    if (!policy.scope || !resource || user.userType === 'superadmin') return { allowed: true };
+    if (await SCOPES[policy.scope].check(user, resource)) return { allowed: true };
+    return {
+        allowed: false,
+        reason: policy.scope === 'category' ? 'Access denied. You do not manage this category.' : 'Access denied. You do not have access to this newsletter.',
+    };
+};
+
+const routeTable = [];
+
+/**
+ * Records the permission each route of a mounted router requires, for the permission matrix.
+ * Routes without authorize() are listed with permission null so gaps stand out.
+ * @param {string} prefix - Where the router is mounted, e.g. '/api/newsletters'.
+ * @param {Object} router - An Express router.
+ * @param {Object} [options]
+ * @param {boolean} [options.isPublic] - The router is deliberately reachable without logging in.
+ */
+export const registerRoutes = (prefix, router, { isPublic = false } = {}) => {
+    for (const layer of router.stack) {
+        if (!layer.route) continue;
+        const guard = layer.route.stack.find(l => l.handle.permission);
+        for (const method of Object.keys(layer.route.methods)) {
+            routeTable.push({
+                method: method.toUpperCase(),
+                path: `${prefix}${layer.route.path === '/' ? '' : layer.route.path}`,
+                permission: guard ? guard.handle.permission : null,
+                public: isPublic,
+            });
+        }
+    }
+};
+
+/**
+ * The full policy: each permission with the roles and scope it needs and the routes using it.
+ * @returns {{ roles: string[], scopes: Object, permissions: Array<Object>, routes: Array<Object> }}
+ */
+export const permissionMatrix = () => ({
+    roles: ROLES,
+    scopes: Object.fromEntries(Object.entries(SCOPES).map(([name, scope]) => [name, scope.description])),
+    permissions: Object.entries(PERMISSIONS).map(([permission, policy]) => ({
+        permission,
+        description: policy.description,
+        scope: policy.scope || null,
+        ...Object.fromEntries(ROLES.map(role => [role, policy.roles.includes(role)])),
+        routes: routeTable.filter(r => r.permission === permission).map(r => `${r.method} ${r.path}`),
+    })),
+    routes: routeTable,
+});
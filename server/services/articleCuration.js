@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import CuratedArticle, { EDITORIAL_STATUSES } from '../models/article.model.js';
+import { managedCategoryNames } from './accessPolicy.js';
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_BULK_ARTICLES = 500;
+const CHANGE_FIELDS = ['category', 'tags', 'addTags', 'removeTags', 'editorNotes', 'editorialStatus'];
+
+/**
+ * Trims, lowercases and de-duplicates tags.
+ * @param {*} tags - Expected to be an array of strings.
+ * @returns {{ tags: string[] } | { error: string }}
+ */
+export const normalizeTags = (tags) => {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) return { error: 'Tags must be a list of text labels.' };
+    const normalized = [...new Set(tags.map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean))];
+    if (normalized.length > MAX_TAGS) return { error: `An article can have at most ${MAX_TAGS} tags.` };
+    const long = normalized.find(tag => tag.length > MAX_TAG_LENGTH);
+    if (long) return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters ("${long.slice(0, MAX_TAG_LENGTH)}…").` };
+    return { tags: normalized };
+};
+
+/**
+ * Checks that a category is one the user may file articles under: for admins one of their
+ * categories, for superadmins any.
+ * @param {Object} user - A User document.
+ * @param {*} category
+ * @returns {Promise<{ category: string } | { error: string, status: number }>}
+ */
+export const checkArticleCategory = async (user, category) => {
+    if (typeof category !== 'string' || !category.trim()) return { error: 'Choose a category for the article.', status: 400 };
+    const managed = await managedCategoryNames(user);
+    if (!managed.includes(category.trim())) return { error: `You do not manage the category "${category.trim()}".`, status: 403 };
+    return { category: category.trim() };
+};
+
+/**
+ * Checks the curation changes for one or more articles and turns them into updates.
+ * Fields: category, tags (replaces them), addTags / removeTags, editorNotes ('' clears them)
+ * and editorialStatus. Any field left out is unchanged.
+ * @param {Object} user - The User document making the changes.
+ * @param {Object} changes - The request body's changes.
+ * @returns {Promise<{ updates: Array<Object> } | { error: string, status: number }>} The update
+ *   documents to apply in order ($pull cannot share an update with $addToSet on the same field).
+ */
+export const parseCurationChanges = async (user, changes) => {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return { error: 'No changes provided.', status: 400 };
+    const unknown = Object.keys(changes).filter(field => !CHANGE_FIELDS.includes(field));
+    if (unknown.length > 0) return { error: `Unknown fields: ${unknown.join(', ')}. Articles accept ${CHANGE_FIELDS.join(', ')}.`, status: 400 };
+    const given = CHANGE_FIELDS.filter(field => changes[field] !== undefined);
+    if (given.length === 0) return { error: 'No changes provided.', status: 400 };
+    if (changes.tags !== undefined && (changes.addTags !== undefined || changes.removeTags !== undefined)) {
+        return { error: 'Give either tags, to replace them, or addTags and removeTags.', status: 400 };
+    }
+
+    const $set = {};
+    const $unset = {};
+    const updates = [];
+
+    if (changes.category !== undefined) {
+        const { category, error, status } = await checkArticleCategory(user, changes.category);
+        if (error) return { error, status };
+        $set.category = category;
+    }
+    if (changes.editorialStatus !== undefined) {
+        if (!EDITORIAL_STATUSES.includes(changes.editorialStatus)) {
+            return { error: `editorialStatus must be one of: ${EDITORIAL_STATUSES.join(', ')}.`, status: 400 };
+        }
+        $set.editorialStatus = changes.editorialStatus;
+    }
+    if (changes.editorNotes !== undefined) {
+        if (typeof changes.editorNotes !== 'string') return { error: 'Editor notes must be text.', status: 400 };
+        const notes = changes.editorNotes.trim();
+        if (notes.length > MAX_NOTES_LENGTH) return { error: `Editor notes can be at most ${MAX_NOTES_LENGTH} characters.`, status: 400 };
+        if (notes) $set.editorNotes = notes;
+        else $unset.editorNotes = '';
+    }
+    for (const field of ['tags', 'addTags', 'removeTags']) {
+        if (changes[field] === undefined) continue;
+        const { tags, error } = normalizeTags(changes[field]);
+        if (error) return { error, status: 400 };
+        if (field === 'tags') $set.tags = tags;
+        else if (field === 'addTags' && tags.length > 0) updates.push({ $addToSet: { tags: { $each: tags } } });
+        else if (field === 'removeTags' && tags.length > 0) updates.push({ $pull: { tags: { $in: tags } } });
+    }
+
+    const fields = {};
+    if (Object.keys($set).length > 0) fields.$set = $set;
+    if (Object.keys($unset).length > 0) fields.$unset = $unset;
+    if (Object.keys(fields).length > 0) updates.unshift(fields);
+    return { updates };
+};
+
+/**
+ * Applies curation changes to the user's own saved articles.
+ * @param {Object} user - The User document making the changes.
+ * @param {Array<string>} articleIds
+ * @param {Object} changes - See parseCurationChanges().
+ * @returns {Promise<{ matched: number } | { error: string, status: number }>} How many of the
+ *   articles were found among the user's own.
+ */
+export const curateArticles = async (user, articleIds, changes) => {
+    if (!Array.isArray(articleIds) || articleIds.length === 0) return { error: 'Select at least one article.', status: 400 };
+    if (articleIds.length > MAX_BULK_ARTICLES) return { error: `At most ${MAX_BULK_ARTICLES} articles can be updated at once.`, status: 400 };
+    if (articleIds.some(id => !mongoose.Types.ObjectId.isValid(id))) return { error: 'Some article ids are not valid.', status: 400 };
+
+    const { updates, error, status } = await parseCurationChanges(user, changes);
+    if (error) return { error, status };
+
+    const filter = { _id: { $in: [...new Set(articleIds.map(String))] }, savedBy: user._id };
+    const matched = await CuratedArticle.countDocuments(filter);
+    if (matched === 0) return { matched };
+    for (const update of updates) {
+        await CuratedArticle.updateMany(filter, update, { runValidators: true });
+    }
+    // addTags can push an article past the limit that replacing tags enforces.
+    await CuratedArticle.updateMany({ ...filter, [`tags.${MAX_TAGS}`]: { $exists: true } }, [{ $set: { tags: { $slice: ['$tags', MAX_TAGS] } } }]);
+    return { matched };
+};
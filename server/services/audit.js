@@ -0,0 +1,140 @@
+import AuditEvent from '../models/auditEvent.model.js';
+import { dateRange } from '../utils/dateRange.js';
+import { toSpreadsheetCsv } from '../utils/csv.js';
+
+// Fields whose values never go into the trail; a change to them is recorded as '[redacted]'.
+const SECRET_FIELD = /password|token|secret/i;
+const REDACTED = '[redacted]';
+
+const plain = (value) => {
+    if (value === undefined) return null;
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value.toHexString === 'function') return value.toHexString();
+    if (Array.isArray(value)) return value.map(plain);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, plain(v)]));
+};
+
+/**
+ * The given fields of a document (or plain object) as JSON-safe values, for before/after snapshots.
+ * @param {Object|null} doc
+ * @param {string[]} fields
+ * @returns {Object|null}
+ */
+export const snapshot = (doc, fields) => {
+    if (!doc) return null;
+    const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    return Object.fromEntries(fields.map(field => [field, plain(source[field])]));
+};
+
+/**
+ * The fields that differ between two snapshots, as { field: { before, after } }.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object|null} null when nothing changed.
+ */
+export const diff = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+    for (const field of fields) {
+        const was = before ? plain(before[field]) : null;
+        const now = after ? plain(after[field]) : null;
+        if (JSON.stringify(was) === JSON.stringify(now)) continue;
+        changes[field] = SECRET_FIELD.test(field) ? { before: REDACTED, after: REDACTED } : { before: was, after: now };
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Appends an audit event for an administrative action. Never throws: a failure to record is
+ * logged rather than undoing an action that has already happened.
+ * @param {Object} req - The request; its authorized user (req.currentUser) is the actor.
+ * @param {Object} event
+ * @param {string} event.action - "<resource>.<verb>", e.g. 'admin.delete'.
+ * @param {string} event.targetType - e.g. 'User', 'Category', 'Newsletter'.
+ * @param {Object|string} [event.target] - The target document or its id.
+ * @param {string} [event.label] - A readable name for the target, kept in case it is deleted.
+ * @param {Object} [event.before] - A snapshot() from before the change.
+ * @param {Object} [event.after] - A snapshot() from after it.
+ * @param {Object} [event.details] - Anything else worth keeping, e.g. recipient counts.
+ * @returns {Promise<void>}
+ */
+export const recordAudit = async (req, { action, targetType, target, label, before, after, details }) => {
+    try {
+        const actor = req.currentUser;
+        const targetId = target && (target._id || target);
+        await AuditEvent.create({
+            actor: actor ? actor._id : req.user,
+            actorEmail: actor && actor.email,
+            actorRole: actor && actor.userType,
+            action,
+            targetType,
+            targetId: targetId ? String(targetId) : undefined,
+            targetLabel: label,
+            changes: diff(before, after),
+            details: details ? plain(details) : undefined,
+            request: {
+                method: req.method,
+                path: req.originalUrl,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                sessionId: req.sessionId,
+            },
+        });
+    } catch (err) {
+        console.error(`[AUDIT] Failed to record ${action}:`, err.message);
+    }
+};
+
+/**
+ * Builds the AuditEvent filter for a query's actor, target, action and date range.
+ * @param {Object} query - Request query parameters.
+ * @returns {{ filter: Object } | { error: string }}
+ */
+export const auditFilter = (query) => {
+    const { actor, targetType, target, action, from, to } = query;
+    for (const name of ['actor', 'targetType', 'target', 'action', 'from', 'to']) {
+        if (query[name] !== undefined && typeof query[name] !== 'string') return { error: `Give ${name} only once.` };
+    }
+    const filter = {};
+    if (actor) {
+        if (/^[a-f\d]{24}$/i.test(actor)) filter.actor = actor;
+        else filter.actorEmail = actor;
+    }
+    if (targetType) filter.targetType = targetType;
+    if (target) filter.targetId = target;
+    // A trailing '.' or '*' matches every action under a prefix, e.g. 'newsletter.*'.
+    if (action) {
+        filter.action = /[.*]$/.test(action)
+            ? { $regex: `^${action.replace(/\*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+            : action;
+    }
+    const { range, error } = dateRange(from, to);
+    if (error) return { error };
+    if (range) filter.createdAt = range;
+    return { filter };
+};
+
+const CSV_COLUMNS = ['createdAt', 'actorEmail', 'actorRole', 'action', 'targetType', 'targetId', 'targetLabel', 'changes', 'details', 'ip', 'userAgent', 'path'];
+
+/**
+ * @param {Array<Object>} events - AuditEvent documents.
+ * @returns {string}
+ */
+export const auditEventsToCsv = (events) => toSpreadsheetCsv(
+    events.map(event => ({
+        createdAt: event.createdAt.toISOString(),
+        actorEmail: event.actorEmail,
+        actorRole: event.actorRole,
+        action: event.action,
+        targetType: event.targetType,
+        targetId: event.targetId,
+        targetLabel: event.targetLabel,
+        changes: event.changes ? JSON.stringify(event.changes) : '',
+        details: event.details ? JSON.stringify(event.details) : '',
+        ip: event.request && event.request.ip,
+        userAgent: event.request && event.request.userAgent,
+        path: event.request && event.request.path,
+    })),
+    CSV_COLUMNS
+);
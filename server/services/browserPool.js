@@ -0,0 +1,71 @@
+import puppeteer from 'puppeteer';
+
+// A small pool of long-lived Chromium instances shared by every PDF render, so
+// concurrent generations wait for a free browser instead of each launching their own.
+const POOL_SIZE = Math.max(1, Number(process.env.PUPPETEER_POOL_SIZE) || 2);
+const LAUNCH_ARGS = ['--no-sandbox', '--disable-setuid-sandbox'];
+
+const idle = [];
+const waiting = [];
+let launched = 0;
+
+const launch = async () => {
+    launched++;
+    try {
+        return await puppeteer.launch({ args: LAUNCH_ARGS });
+    } catch (err) {
+        launched--;
+        throw err;
+    }
+};
+
+const acquire = async () => {
+    while (idle.length > 0) {
+        const browser = idle.pop();
+        if (browser.connected) return browser;
+        launched--;
+    }
+    if (launched < POOL_SIZE) return launch();
+    return new Promise(resolve => waiting.push(resolve));
+};
+
+const release = (browser) => {
+    if (!browser.connected) {
+        launched--;
+        // Let the next waiter launch a replacement.
+        const next = waiting.shift();
+        if (next) next(acquire());
+        return;
+    }
+    const next = waiting.shift();
+    if (next) next(browser);
+    else idle.push(browser);
+};
+
+/**
+ * Runs a callback with a fresh page from a pooled browser. At most PUPPETEER_POOL_SIZE
+ * (default 2) browsers run at once; the page is closed and the browser returned afterwards.
+ * @template T
+ * @param {(page: import('puppeteer').Page) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export const withPage = async (fn) => {
+    const browser = await acquire();
+    let page;
+    try {
+        page = await browser.newPage();
+        return await fn(page);
+    } finally {
+        if (page) await page.close().catch(() => {});
+        release(browser);
+    }
+};
+
+/**
+ * Closes every idle browser. Used on shutdown.
+ */
+export const closeBrowserPool = async () => {
+    const browsers = idle.splice(0);
+    launched -= browsers.length;
+    await Promise.all(browsers.map(b => b.close().catch(() => {})));
+};
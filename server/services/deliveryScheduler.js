@@ -0,0 +1,200 @@
+import DeliverySchedule from '../models/deliverySchedule.model.js';
+import ScheduleRun from '../models/scheduleRun.model.js';
+import GenerationJob from '../models/generationJob.model.js';
+import Newsletter from '../models/newsletter.model.js';
+import CuratedArticle from '../models/article.model.js';
+import { enqueueGeneration } from './generationQueue.js';
+import { checkTransition, transitionNewsletter } from './newsletterWorkflow.js';
+import { categorySubscriberIds, deliverNewsletter } from './newsletterDelivery.js';
+import { nextWeeklyOccurrence } from '../utils/timezone.js';
+
+const INTERVAL_MS = (Number(process.env.DELIVERY_SCHEDULER_INTERVAL_SECONDS) || 60) * 1000;
+// The most articles a recurring edition includes, newest first.
+const MAX_EDITION_ARTICLES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * When a schedule should next run after a given instant: its sendAt for one-off
+ * schedules, the next matching weekday and time for recurring ones.
+ * @param {Object} schedule - A DeliverySchedule (or its fields).
+ * @param {Date} [after]
+ * @returns {Date|null}
+ */
+export const computeNextRun = (schedule, after = new Date()) => {
+    if (schedule.kind === 'once') return schedule.sendAt;
+    const { daysOfWeek, time } = schedule.recurrence;
+    return nextWeeklyOccurrence(after, { daysOfWeek, time, timeZone: schedule.timezone });
+};
+
+const editionTitle = (schedule, dueAt) => {
+    const date = new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone, dateStyle: 'medium' }).format(dueAt);
+    return `${schedule.title || `${schedule.category} Digest`} — ${date}`;
+};
+
+const failRun = (run, error) => ScheduleRun.updateOne({ _id: run._id }, { status: 'failed', error });
+
+// Starts the occurrence of every active schedule that has come due. Occurrences missed
+// while the server was down collapse into one run; the schedule then moves to its next future time.
+const startDueRuns = async (now) => {
+    const due = await DeliverySchedule.find({ status: 'active', nextRunAt: { $lte: now } });
+    for (const schedule of due) {
+        const dueAt = schedule.nextRunAt;
+        // Advancing nextRunAt conditionally means only one tick can start this occurrence.
+        const claimed = await DeliverySchedule.findOneAndUpdate(
+            { _id: schedule._id, status: 'active', nextRunAt: dueAt },
+            { nextRunAt: schedule.kind === 'once' ? null : computeNextRun(schedule, now), lastRunAt: now },
+            { new: true }
+        );
+        if (!claimed) continue;
+
+        let run;
+        try {
+            run = await ScheduleRun.create({ schedule: schedule._id, runKey: `${schedule._id}:${dueAt.toISOString()}`, dueAt });
+        } catch (err) {
+            if (err.code === 11000) continue;
+            throw err;
+        }
+
+        if (schedule.kind === 'once') {
+            await ScheduleRun.updateOne({ _id: run._id }, { status: 'awaiting-approval', newsletter: schedule.newsletter });
+            continue;
+        }
+
+        const since = new Date(dueAt.getTime() - schedule.recurrence.lookbackDays * DAY_MS);
+        const articles = await CuratedArticle.find({ category: schedule.category, createdAt: { $gte: since } })
+            .sort({ publishedAt: -1 })
+            .limit(MAX_EDITION_ARTICLES)
+            .select('_id');
+        if (articles.length === 0) {
+            await ScheduleRun.updateOne({ _id: run._id }, { status: 'skipped', error: `No articles were curated in the last ${schedule.recurrence.lookbackDays} day(s).` });
+            continue;
+        }
+        const job = await enqueueGeneration({
+            requestedBy: schedule.createdBy,
+            title: editionTitle(schedule, dueAt),
+            category: schedule.category,
+            articleIds: articles.map(a => a._id),
+            renderMode: schedule.renderMode,
+            templateId: schedule.template,
+        });
+        await ScheduleRun.updateOne({ _id: run._id }, { generationJob: job._id });
+        console.log(`[SCHEDULE] ${schedule._id}: generating edition for ${dueAt.toISOString()} (job ${job._id}).`);
+    }
+};
+
+// Generated editions are submitted for review on the schedule owner's behalf.
+const advanceGeneratingRuns = async () => {
+    const runs = await ScheduleRun.find({ status: 'generating' }).populate('schedule');
+    for (const run of runs) {
+        const job = await GenerationJob.findById(run.generationJob);
+        if (!job || job.status === 'failed') {
+            await failRun(run, job ? `Generation failed: ${job.error}` : 'The generation job no longer exists.');
+            continue;
+        }
+        if (job.status !== 'saved') continue;
+
+        const newsletter = await Newsletter.findById(job.newsletter);
+        if (!newsletter) {
+            await failRun(run, 'The generated newsletter no longer exists.');
+            continue;
+        }
+        const submitted = await transitionNewsletter(newsletter, 'submit', { actorId: run.schedule.createdBy, comment: 'Generated by a recurring schedule.' });
+        // A run whose edition was never submitted would otherwise wait for an approval that cannot come.
+        if (submitted.error) {
+            await ScheduleRun.updateOne({ _id: run._id }, { status: 'failed', newsletter: job.newsletter, error: `Submitting the edition for review failed: ${submitted.error}` });
+            continue;
+        }
+        await ScheduleRun.updateOne({ _id: run._id }, { status: 'awaiting-approval', newsletter: job.newsletter });
+    }
+};
+
+// Sends every run whose newsletter has been approved. A run is moved to 'sending' atomically
+// before anything is emailed and never leaves it except by finishing.
+const sendApprovedRuns = async () => {
+    const runs = await ScheduleRun.find({ status: 'awaiting-approval' }).populate('schedule');
+    for (const run of runs) {
+        const schedule = run.schedule;
+        if (!schedule || schedule.status === 'cancelled') {
+            await ScheduleRun.updateOne({ _id: run._id }, { status: 'cancelled' });
+            continue;
+        }
+        if (schedule.status === 'paused') continue;
+
+        const newsletter = await Newsletter.findById(run.newsletter);
+        if (!newsletter) {
+            await failRun(run, 'The newsletter no longer exists.');
+            continue;
+        }
+        const check = await checkTransition(newsletter, 'send', { actorId: schedule.createdBy });
+        // 409: not approved yet, keep waiting. Anything else will not fix itself.
+        if (check.status === 409) continue;
+        if (check.error) {
+            await failRun(run, check.error);
+            continue;
+        }
+
+        const claimed = await ScheduleRun.findOneAndUpdate({ _id: run._id, status: 'awaiting-approval' }, { status: 'sending' });
+        if (!claimed) continue;
+        try {
+            // Chosen recipients who have since left the category are dropped.
+            const userIds = await categorySubscriberIds(schedule.category, schedule.recipients.length > 0 ? schedule.recipients : undefined);
+            if (userIds.length === 0) {
+                await ScheduleRun.updateOne({ _id: run._id }, { status: 'skipped', error: schedule.recipients.length > 0 ? 'None of the chosen recipients still subscribe to the category.' : 'The category has no subscribers.' });
+            } else {
+                const sent = await transitionNewsletter(newsletter, 'send', { actorId: schedule.createdBy, comment: 'Sent by a delivery schedule.' });
+                if (sent.error) throw new Error(sent.error);
+                // Individual emails are sent and retried by the delivery worker; see the newsletter's delivery report.
+                const { recipientCount } = await deliverNewsletter(newsletter, { userIds, actorId: schedule.createdBy });
+                await ScheduleRun.updateOne({ _id: run._id }, { status: 'sent', sentAt: new Date(), recipientCount });
+                console.log(`[SCHEDULE] ${schedule._id}: queued "${newsletter.title}" for ${recipientCount} recipient(s).`);
+            }
+            if (schedule.kind === 'once') await DeliverySchedule.updateOne({ _id: schedule._id }, { status: 'completed' });
+        } catch (err) {
+            console.error(`[SCHEDULE] Run ${run._id} failed while sending:`, err);
+            await failRun(run, `Sending failed: ${err.message}. It was not retried; check who received it before sending again.`);
+        }
+    }
+};
+
+/**
+ * Runs one scheduler pass: starts due occurrences, submits finished editions for review
+ * and sends approved ones.
+ */
+export const runScheduler = async (now = new Date()) => {
+    if (running) return;
+    running = true;
+    try {
+        await startDueRuns(now);
+        await advanceGeneratingRuns();
+        await sendApprovedRuns();
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Starts the delivery scheduler (every DELIVERY_SCHEDULER_INTERVAL_SECONDS, default 60).
+ * Runs left in 'sending' by a previous run of the server are marked failed rather than
+ * retried, so no recipient gets the same newsletter twice.
+ */
+export const startDeliveryScheduler = async () => {
+    if (timer) return;
+    const { modifiedCount } = await ScheduleRun.updateMany(
+        { status: 'sending' },
+        { status: 'failed', error: 'Interrupted by a server restart while sending. It was not retried; check who received it before sending again.' }
+    );
+    if (modifiedCount > 0) console.warn(`[SCHEDULE] ${modifiedCount} run(s) were interrupted while sending and need checking.`);
+
+    const tick = () => runScheduler().catch(err => console.error('[SCHEDULE] Scheduler pass failed:', err));
+    tick();
+    timer = setInterval(tick, INTERVAL_MS);
+    console.log(`✅ Delivery scheduler started (every ${INTERVAL_MS / 1000}s).`);
+};
+
+export const stopDeliveryScheduler = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+};
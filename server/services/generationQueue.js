@@ -0,0 +1,157 @@
+import GenerationJob from '../models/generationJob.model.js';
+import Newsletter from '../models/newsletter.model.js';
+import NewsletterTemplate from '../models/newsletterTemplate.model.js';
+import Notification from '../models/notification.model.js';
+import { loadArticlesInOrder, resolveTemplate, generateNewsletterHtml, renderPdf } from './newsletterGenerator.js';
+import { recordRevision } from './newsletterRevisions.js';
+
+// Jobs processed at once by this server. PDF rendering is further limited by the browser pool.
+const CONCURRENCY = Math.max(1, Number(process.env.NEWSLETTER_JOB_CONCURRENCY) || 2);
+// A safety net: queued jobs are normally started as soon as they are enqueued or a slot frees up.
+const POLL_INTERVAL_MS = (Number(process.env.NEWSLETTER_JOB_POLL_SECONDS) || 5) * 1000;
+
+let active = 0;
+let timer = null;
+
+const transition = (status, message) => ({
+    status,
+    $push: { history: { status, at: new Date(), message } },
+});
+
+// Atomically moves the oldest queued job to 'generating-html', so two workers never take the same job.
+const claimNextJob = () => GenerationJob.findOneAndUpdate(
+    { status: 'queued' },
+    { ...transition('generating-html'), $inc: { attempts: 1 }, startedAt: new Date() },
+    { sort: { createdAt: 1 }, new: true }
+);
+
+const processJob = async (job) => {
+    // Regeneration jobs work from the newsletter as it is now, including edits made while queued.
+    const existing = job.newsletter ? await Newsletter.findById(job.newsletter) : null;
+    if (job.newsletter && !existing) throw new Error('The newsletter being regenerated no longer exists.');
+    const title = existing ? existing.title : job.title;
+
+    const articles = await loadArticlesInOrder(existing ? existing.articles : job.articles);
+    if (!articles) throw new Error('Some of the selected articles no longer exist.');
+
+    let template;
+    if (job.renderMode === 'template') {
+        template = job.template ? await NewsletterTemplate.findById(job.template) : await resolveTemplate({ category: job.category });
+        if (!template) throw new Error('Newsletter template not found.');
+    }
+
+    console.log(`[GEN JOB] ${job._id}: generating HTML (${job.renderMode} mode)...`);
+    const generated = await generateNewsletterHtml({ articles, title, category: job.category, renderMode: job.renderMode, template });
+
+    await GenerationJob.updateOne({ _id: job._id }, transition('rendering-pdf', `HTML from ${generated.generatedBy} (validation: ${generated.validationReport.status}).`));
+    const pdfBuffer = await renderPdf(generated.html, articles.map(a => a.imageUrl));
+
+    const newsletter = existing || new Newsletter({ title, category: job.category, status: 'Not Sent' });
+    newsletter.set({
+        articles: articles.map(a => a._id),
+        renderMode: generated.renderMode,
+        template: template && template._id,
+        generatedBy: generated.generatedBy,
+        validationReport: generated.validationReport,
+        htmlContent: generated.html,
+        pdfContent: {
+            data: pdfBuffer,
+            contentType: 'application/pdf'
+        }
+    });
+    const revision = await recordRevision(newsletter, { createdBy: job.requestedBy, note: existing ? 'Regenerated' : 'Generated' });
+
+    await GenerationJob.updateOne({ _id: job._id }, { ...transition('saved', `Revision ${revision.number}.`), newsletter: newsletter._id, finishedAt: new Date() });
+    console.log(`[GEN JOB] ${job._id}: saved newsletter ${newsletter._id} (revision ${revision.number}).`);
+
+    const notification = new Notification({
+        user: job.requestedBy,
+        newsletter: newsletter._id,
+        message: existing
+            ? `Newsletter "${newsletter.title}" regenerated as revision ${revision.number}.`
+            : `New newsletter "${newsletter.title}" generated. Check it out in "Newsletter History" to share and view.`,
+        actionUrl: '/dashboard?tab=generated-newsletters'
+    });
+    await notification.save();
+};
+
+const runJob = async (job) => {
+    try {
+        await processJob(job);
+    } catch (err) {
+        console.error(`[GEN JOB] ${job._id} failed:`, err);
+        await GenerationJob.updateOne({ _id: job._id }, { ...transition('failed', err.message), error: err.message, finishedAt: new Date() })
+            .catch(updateErr => console.error(`[GEN JOB] Could not mark ${job._id} as failed:`, updateErr));
+    }
+};
+
+/**
+ * Claims and runs queued jobs until the queue is empty or CONCURRENCY jobs are running.
+ */
+export const drainQueue = async () => {
+    while (active < CONCURRENCY) {
+        // Reserve the slot before the await so concurrent drains cannot overshoot.
+        active++;
+        let job;
+        try {
+            job = await claimNextJob();
+        } finally {
+            if (!job) active--;
+        }
+        if (!job) return;
+        runJob(job).finally(() => {
+            active--;
+            drainQueue().catch(err => console.error('[GEN JOB] Queue drain failed:', err));
+        });
+    }
+};
+
+/**
+ * Queues a newsletter generation and starts processing it if a slot is free.
+ * @param {Object} request
+ * @param {string} request.requestedBy - The user id; they are notified when it is saved.
+ * @param {string} request.title
+ * @param {string} request.category
+ * @param {Array<string>} request.articleIds - Curated article ids, in newsletter order.
+ * @param {'ai'|'template'} request.renderMode
+ * @param {string} [request.templateId]
+ * @param {string} [request.newsletterId] - Regenerate this newsletter as a new revision instead of creating one.
+ * @returns {Promise<Object>} The queued GenerationJob.
+ */
+export const enqueueGeneration = async ({ requestedBy, title, category, articleIds, renderMode, templateId, newsletterId }) => {
+    const job = await GenerationJob.create({
+        requestedBy,
+        newsletter: newsletterId,
+        title,
+        category,
+        articles: articleIds,
+        renderMode,
+        template: templateId || undefined,
+        history: [{ status: 'queued', at: new Date() }],
+    });
+    drainQueue().catch(err => console.error('[GEN JOB] Queue drain failed:', err));
+    return job;
+};
+
+/**
+ * Starts the job worker. Jobs left mid-generation by a previous run of the server are
+ * put back in the queue, then the queue is polled every NEWSLETTER_JOB_POLL_SECONDS (default 5).
+ */
+export const startGenerationWorker = async () => {
+    if (timer) return;
+    const { modifiedCount } = await GenerationJob.updateMany(
+        { status: { $in: ['generating-html', 'rendering-pdf'] } },
+        transition('queued', 'Requeued after a server restart.')
+    );
+    if (modifiedCount > 0) console.warn(`[GEN JOB] Requeued ${modifiedCount} interrupted job(s).`);
+
+    const tick = () => drainQueue().catch(err => console.error('[GEN JOB] Queue drain failed:', err));
+    tick();
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    console.log(`✅ Newsletter generation worker started (concurrency ${CONCURRENCY}).`);
+};
+
+export const stopGenerationWorker = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+};
@@ -0,0 +1,144 @@
+import sanitizeHtml from 'sanitize-html';
+
+const ALLOWED_TAGS = [
+    'html', 'head', 'body', 'title', 'meta',
+    'div', 'span', 'p', 'br', 'hr', 'center', 'section', 'header', 'footer', 'article',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 'small', 'sup', 'sub',
+    'a', 'img', 'figure', 'figcaption', 'blockquote', 'ul', 'ol', 'li',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th',
+];
+
+const TABLE_ATTRIBUTES = ['width', 'height', 'align', 'valign', 'colspan', 'rowspan', 'cellpadding', 'cellspacing', 'border', 'bgcolor'];
+
+const ALLOWED_ATTRIBUTES = {
+    '*': ['style', 'align'],
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    meta: ['charset'],
+    table: TABLE_ATTRIBUTES,
+    td: TABLE_ATTRIBUTES,
+    th: TABLE_ATTRIBUTES,
+    tr: TABLE_ATTRIBUTES,
+};
+
+// Inline styles are required for PDF/email rendering, but must not fetch anything or run script.
+const UNSAFE_STYLE = /url\s*\(|expression\s*\(|@import|javascript:|behavior\s*:|-moz-binding/i;
+
+const isAllowedAttribute = (tag, attribute) =>
+    ALLOWED_ATTRIBUTES['*'].includes(attribute) || (ALLOWED_ATTRIBUTES[tag] || []).includes(attribute);
+
+const normalizeUrl = (url) => {
+    try {
+        return new URL(url.trim()).href;
+    } catch {
+        return null;
+    }
+};
+
+const urlSet = (urls) => new Set(urls.filter(Boolean).map(normalizeUrl).filter(Boolean));
+
+const countInto = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+/**
+ * Sanitizes generated newsletter HTML before it is rendered or stored.
+ *
+ * Active content (scripts, iframes, forms, event handlers, unsafe CSS) is stripped
+ * by an element/attribute allowlist, and every link and image must point at one of
+ * the newsletter's own articles: foreign links are unwrapped to plain text and
+ * foreign images removed.
+ *
+ * In 'repair' mode (the default) the cleaned HTML is accepted unless it lost every
+ * article link. In 'strict' mode any removal rejects it.
+ *
+ * @param {string} html - The generated document.
+ * @param {Array} articles - The articles the newsletter was generated from.
+ * @param {Object} [options]
+ * @param {'repair'|'strict'} [options.mode] - Defaults to NEWSLETTER_HTML_VALIDATION or 'repair'.
+ * @returns {{ html: string, report: Object }} The sanitized document and a report of what changed.
+ */
+export const validateNewsletterHtml = (html, articles, { mode = process.env.NEWSLETTER_HTML_VALIDATION || 'repair' } = {}) => {
+    const allowedLinks = urlSet(articles.map(a => a.originalUrl));
+    const allowedImages = urlSet(articles.map(a => a.imageUrl));
+
+    const removedTags = new Map();
+    const removedAttributes = new Map();
+    const foreignLinks = new Set();
+    const foreignImages = new Set();
+    const linkedArticles = new Set();
+    let unsafeStyles = 0;
+
+    const sanitized = sanitizeHtml(html, {
+        allowedTags: ALLOWED_TAGS,
+        allowedAttributes: ALLOWED_ATTRIBUTES,
+        allowedSchemes: ['http', 'https'],
+        allowProtocolRelative: false,
+        disallowedTagsMode: 'discard',
+        // Sees every tag before filtering, so the report can say what was removed.
+        onOpenTag: (tag, attribs) => {
+            if (!ALLOWED_TAGS.includes(tag)) {
+                countInto(removedTags, tag);
+                return;
+            }
+            Object.keys(attribs)
+                .filter(attribute => !isAllowedAttribute(tag, attribute))
+                .forEach(attribute => countInto(removedAttributes, `${tag}[${attribute}]`));
+        },
+        transformTags: {
+            '*': (tagName, attribs) => {
+                if (attribs.style && UNSAFE_STYLE.test(attribs.style)) {
+                    unsafeStyles++;
+                    const { style, ...rest } = attribs;
+                    return { tagName, attribs: rest };
+                }
+                return { tagName, attribs };
+            },
+            a: (tagName, attribs) => {
+                const href = attribs.href && normalizeUrl(attribs.href);
+                if (href && allowedLinks.has(href)) {
+                    linkedArticles.add(href);
+                    return { tagName, attribs };
+                }
+                if (attribs.href) foreignLinks.add(attribs.href);
+                const { href: _href, ...rest } = attribs;
+                return { tagName: 'span', attribs: rest };
+            },
+            img: (tagName, attribs) => {
+                const src = attribs.src && normalizeUrl(attribs.src);
+                if (src && allowedImages.has(src)) return { tagName, attribs };
+                if (attribs.src) foreignImages.add(attribs.src);
+                return { tagName, attribs: {} };
+            },
+        },
+        // Images whose source was rejected above are dropped entirely.
+        exclusiveFilter: (frame) => frame.tag === 'img' && !frame.attribs.src,
+    });
+
+    const toList = (map, key) => [...map.entries()].map(([name, count]) => ({ [key]: name, count }));
+    const report = {
+        mode,
+        checkedAt: new Date(),
+        removedTags: toList(removedTags, 'tag'),
+        removedAttributes: toList(removedAttributes, 'attribute'),
+        foreignLinks: [...foreignLinks],
+        foreignImages: [...foreignImages],
+        unsafeStyles,
+        missingArticleLinks: [...allowedLinks].filter(url => !linkedArticles.has(url)),
+    };
+
+    const changed = report.removedTags.length > 0 || report.removedAttributes.length > 0
+        || report.foreignLinks.length > 0 || report.foreignImages.length > 0 || unsafeStyles > 0;
+    const hasContent = sanitizeHtml(sanitized, { allowedTags: [], allowedAttributes: {} }).trim().length > 0;
+
+    if (!hasContent || linkedArticles.size === 0) {
+        report.status = 'rejected';
+        report.reason = hasContent ? 'None of the articles are linked in the output.' : 'The output has no readable content.';
+    } else if (changed && mode === 'strict') {
+        report.status = 'rejected';
+        report.reason = 'The output contained disallowed content (strict mode).';
+    } else {
+        report.status = changed ? 'repaired' : 'clean';
+    }
+
+    // sanitize-html works on fragments; put the doctype back for the PDF renderer.
+    return { html: `<!DOCTYPE html>\n${sanitized}`, report };
+};
@@ -0,0 +1,116 @@
+import { addDays } from 'date-fns';
+import Category from '../models/category.model.js';
+import CandidateArticle from '../models/candidateArticle.model.js';
+import { fetchCategoryNews } from './newsProviders/index.js';
+
+const intervalMinutes = () => Number(process.env.NEWS_INGEST_INTERVAL_MINUTES ?? 60);
+const candidateTtlDays = () => Number(process.env.CANDIDATE_TTL_DAYS ?? 14);
+
+let timer = null;
+let currentRun = null;
+let lastRun = null;
+
+/**
+ * Upserts fetched articles into the candidate pool. Articles already in the pool
+ * for the same category have their metadata refreshed and their expiry pushed back.
+ * @param {Array} articles - Normalized articles, each carrying its `category`.
+ * @returns {Promise<{ inserted: number, updated: number }>}
+ */
+export const storeCandidates = async (articles) => {
+    if (articles.length === 0) return { inserted: 0, updated: 0 };
+
+    const now = new Date();
+    const expiresAt = addDays(now, candidateTtlDays());
+    const operations = articles.map(article => ({
+        updateOne: {
+            filter: { category: article.category, url: article.url },
+            update: {
+                $set: {
+                    title: article.title,
+                    description: article.description,
+                    content: article.content,
+                    author: article.author,
+                    sourceName: article.source.name,
+                    imageUrl: article.urlToImage,
+                    publishedAt: article.publishedAt ? new Date(article.publishedAt) : undefined,
+                    provider: article.provider,
+                    feedUrl: article.feedUrl,
+                    lastFetchedAt: now,
+                    expiresAt,
+                },
+                $setOnInsert: { firstFetchedAt: now },
+                $inc: { fetchCount: 1 },
+            },
+            upsert: true,
+        },
+    }));
+
+    const result = await CandidateArticle.bulkWrite(operations, { ordered: false });
+    return { inserted: result.upsertedCount, updated: result.modifiedCount };
+};
+
+/**
+ * Fetches every (or the named) categories from their sources and stores the results.
+ * Only one run happens at a time; overlapping calls share the run in progress.
+ * @param {Object} [options]
+ * @param {string[]} [options.categoryNames] - Restrict the run to these categories.
+ * @returns {Promise<Object>} A summary of the run.
+ */
+export const runIngestion = ({ categoryNames } = {}) => {
+    if (currentRun) return currentRun;
+
+    currentRun = (async () => {
+        const startedAt = new Date();
+        const filter = categoryNames ? { name: { $in: categoryNames } } : {};
+        const categoryDocs = await Category.find(filter);
+        // Admins can be assigned category names that have no Category document yet.
+        const categories = categoryNames
+            ? categoryNames.map(name => categoryDocs.find(c => c.name === name) || { name })
+            : categoryDocs;
+
+        const summary = { startedAt, categories: categories.length, inserted: 0, updated: 0, errors: [] };
+        for (const category of categories) {
+            try {
+                const { articles, errors } = await fetchCategoryNews(category);
+                const { inserted, updated } = await storeCandidates(articles);
+                summary.inserted += inserted;
+                summary.updated += updated;
+                summary.errors.push(...errors);
+            } catch (err) {
+                summary.errors.push({ category: category.name, message: err.message });
+            }
+        }
+        summary.finishedAt = new Date();
+        lastRun = summary;
+
+        console.log(`[INGEST] ${summary.categories} categories: ${summary.inserted} new, ${summary.updated} refreshed, ${summary.errors.length} error(s).`);
+        summary.errors.forEach(e => console.error(`[INGEST] ${e.category}${e.provider ? ` (${e.provider})` : ''}: ${e.message}`));
+        return summary;
+    })().finally(() => { currentRun = null; });
+
+    return currentRun;
+};
+
+export const getLastIngestionRun = () => lastRun;
+
+/**
+ * Starts polling every category on NEWS_INGEST_INTERVAL_MINUTES (default 60; 0 disables).
+ */
+export const startIngestionScheduler = () => {
+    const minutes = intervalMinutes();
+    if (!minutes || minutes <= 0) {
+        console.warn("⚠️ News ingestion scheduler is disabled (NEWS_INGEST_INTERVAL_MINUTES=0).");
+        return;
+    }
+    if (timer) return;
+
+    const tick = () => runIngestion().catch(err => console.error('[INGEST] Run failed:', err));
+    tick();
+    timer = setInterval(tick, minutes * 60 * 1000);
+    console.log(`✅ News ingestion scheduler started (every ${minutes} min).`);
+};
+
+export const stopIngestionScheduler = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+};
@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../models/user.model.js';
+import Category from '../models/category.model.js';
+import Invitation from '../models/invitation.model.js';
+import { sendMail } from './mailer/index.js';
+import { passwordProblem } from './passwordReset.js';
+import { appUrl } from '../utils/urls.js';
+import { escapeHtml } from '../utils/html.js';
+
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newToken = () => crypto.randomBytes(32).toString('base64url');
+
+const invitationExpiry = () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const isExpired = (invitation) => invitation.status === 'pending' && invitation.expiresAt <= new Date();
+
+/**
+ * An invitation as the API returns it, without its token hash and with expired ones reported as such.
+ * @param {Object} invitation - An Invitation document.
+ * @returns {Object}
+ */
+export const invitationView = (invitation) => {
+    const view = invitation.toObject();
+    delete view.tokenHash;
+    return { ...view, status: isExpired(invitation) ? 'expired' : invitation.status };
+};
+
+const sendInvitationEmail = async (invitation, token, inviterName) => {
+    const link = appUrl(`/accept-invitation?token=${encodeURIComponent(token)}`);
+    const role = invitation.userType === 'admin' ? 'an admin' : 'a subscriber';
+    const categories = invitation.categories.length > 0 ? ` for ${invitation.categories.join(', ')}` : '';
+    await sendMail({
+        to: invitation.email,
+        fromName: 'NewsLetterAI Admin',
+        subject: 'You have been invited to NewsLetterAI',
+        html: `
+            <p>Hello${invitation.name ? ` ${escapeHtml(invitation.name)}` : ''},</p>
+            <p>${escapeHtml(inviterName || 'An administrator')} has invited you to join NewsLetterAI as ${role}${escapeHtml(categories)}.</p>
+            <p><a href="${escapeHtml(link)}">Accept the invitation and choose your password</a></p>
+            <p>This link works once and expires in ${INVITATION_TTL_DAYS} days.</p>
+            <p>The NewsLetterAI Team</p>
+        `,
+        text: `You have been invited to join NewsLetterAI as ${role}${categories}.\nAccept the invitation and choose your password: ${link}\nThis link works once and expires in ${INVITATION_TTL_DAYS} days.`,
+    });
+};
+
+/**
+ * Invites an email address with a role and categories, and emails the invitee a link to set up their account.
+ * @param {Object} details
+ * @param {string} details.email
+ * @param {string} [details.name]
+ * @param {string} [details.userType] - 'user' (default) or 'admin'.
+ * @param {string[]} [details.categories]
+ * @param {Object} inviter - The User document sending the invitation.
+ * @returns {Promise<{ invitation: Object } | { error: string, status: number }>}
+ */
+export const createInvitation = async ({ email, name, userType = 'user', categories = [] }, inviter) => {
+    const address = normalizeEmail(email);
+    if (!address || !/^[^\s@]+@[^\s@]+$/.test(address)) return { error: 'A valid email is required.', status: 400 };
+    if (!['user', 'admin'].includes(userType)) return { error: 'Invitations are for the "user" or "admin" role.', status: 400 };
+    if (!Array.isArray(categories)) return { error: 'categories must be an array of category names.', status: 400 };
+
+    const uniqueCategories = [...new Set(categories)];
+    if ((await Category.countDocuments({ name: { $in: uniqueCategories } })) !== uniqueCategories.length) {
+        return { error: 'One or more categories do not exist.', status: 400 };
+    }
+    if (await User.exists({ email: { $in: [address, String(email).trim()] } })) {
+        return { error: 'An account with this email already exists.', status: 409 };
+    }
+
+    const open = await Invitation.findOne({ email: address, status: 'pending' });
+    if (open && !isExpired(open)) {
+        return { error: 'This email already has a pending invitation. Resend or revoke it instead.', status: 409 };
+    }
+    if (open) await Invitation.updateOne({ _id: open._id, status: 'pending' }, { status: 'expired' });
+
+    const token = newToken();
+    const invitation = await Invitation.create({
+        email: address,
+        name,
+        userType,
+        categories: uniqueCategories,
+        invitedBy: inviter._id,
+        tokenHash: hashToken(token),
+        expiresAt: invitationExpiry(),
+    });
+    try {
+        await sendInvitationEmail(invitation, token, inviter.name);
+    } catch (err) {
+        // An invitation nobody received is no use; let the inviter try again from scratch.
+        await Invitation.deleteOne({ _id: invitation._id });
+        throw err;
+    }
+    console.log(`[INVITATION] ${inviter.email} invited ${address} as ${userType}.`);
+    return { invitation };
+};
+
+/**
+ * Emails a pending (or expired) invitation again with a fresh link and expiry. Earlier links stop working.
+ * @param {Object} invitation - An Invitation document.
+ * @param {Object} inviter - The User document resending it.
+ * @returns {Promise<{ invitation: Object } | { error: string, status: number }>}
+ */
+export const resendInvitation = async (invitation, inviter) => {
+    if (invitation.status !== 'pending') return { error: `This invitation was already ${invitation.status}.`, status: 409 };
+
+    const token = newToken();
+    const updated = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, status: 'pending' },
+        { tokenHash: hashToken(token), expiresAt: invitationExpiry(), lastSentAt: new Date(), $inc: { sentCount: 1 } },
+        { new: true }
+    );
+    if (!updated) return { error: 'This invitation is no longer pending.', status: 409 };
+    await sendInvitationEmail(updated, token, inviter.name);
+    return { invitation: updated };
+};
+
+/**
+ * Withdraws a pending invitation; its link stops working.
+ * @param {Object} invitation - An Invitation document.
+ * @param {Object} actor - The User document revoking it.
+ * @returns {Promise<{ invitation: Object } | { error: string, status: number }>}
+ */
+export const revokeInvitation = async (invitation, actor) => {
+    const updated = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, status: 'pending' },
+        { status: 'revoked', revokedAt: new Date(), revokedBy: actor._id },
+        { new: true }
+    );
+    if (!updated) return { error: `This invitation was already ${invitation.status}.`, status: 409 };
+    return { invitation: updated };
+};
+
+/**
+ * The open invitation a link token belongs to.
+ * @param {string} token
+ * @returns {Promise<Object|null>} The Invitation document, or null if the link is unknown, used, revoked or expired.
+ */
+export const findOpenInvitation = (token) => {
+    if (!token) return Promise.resolve(null);
+    return Invitation.findOne({ tokenHash: hashToken(String(token)), status: 'pending', expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Creates the invitee's account from an invitation link.
+ * @param {string} token - From the invitation link.
+ * @param {Object} details
+ * @param {string} [details.name] - Defaults to the name on the invitation.
+ * @param {string} details.password
+ * @returns {Promise<{ user: Object } | { error: string, status: number }>}
+ */
+export const acceptInvitation = async (token, { name, password }) => {
+    const problem = passwordProblem(password);
+    if (problem) return { error: problem, status: 400 };
+
+    const invitation = await findOpenInvitation(token);
+    if (!invitation) return { error: 'This invitation is not valid or has expired. Ask for a new one.', status: 400 };
+    const accountName = String(name || invitation.name || '').trim();
+    if (!accountName) return { error: 'Please enter your name.', status: 400 };
+    if (await User.exists({ email: invitation.email })) {
+        return { error: 'An account with this email already exists. Please log in.', status: 409 };
+    }
+
+    // Claimed atomically so the link cannot create two accounts.
+    const claimed = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, status: 'pending', tokenHash: invitation.tokenHash },
+        { status: 'accepted', acceptedAt: new Date() },
+        { new: true }
+    );
+    if (!claimed) return { error: 'This invitation is not valid or has expired. Ask for a new one.', status: 400 };
+
+    const salt = await bcrypt.genSalt();
+    const user = await User.create({
+        name: accountName,
+        email: claimed.email,
+        password: await bcrypt.hash(password, salt),
+        userType: claimed.userType,
+        categories: claimed.categories,
+        status: 'Active',
+    });
+    // Admins manage their categories through Category.admins, the same as admins created directly.
+    if (user.userType === 'admin' && user.categories.length > 0) {
+        await Category.updateMany({ name: { $in: user.categories } }, { $addToSet: { admins: user._id } });
+    }
+    await Invitation.updateOne({ _id: claimed._id }, { acceptedUser: user._id });
+    console.log(`[INVITATION] ${user.email} accepted an invitation as ${user.userType}.`);
+    return { user };
+};
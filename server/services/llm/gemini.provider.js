@@ -0,0 +1,46 @@
+import { GoogleGenerativeAI, GoogleGenerativeAIAbortError, GoogleGenerativeAIFetchError } from '@google/generative-ai';
+
+let client = null;
+
+const getClient = () => {
+    if (!client) client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    return client;
+};
+
+/**
+ * Text generation through Google's Gemini API.
+ */
+const geminiProvider = {
+    name: 'gemini',
+
+    isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+
+    /**
+     * @param {Object} request
+     * @param {string} request.prompt
+     * @param {string} request.model - e.g. "gemini-1.5-flash-latest".
+     * @param {number} request.temperature
+     * @param {number} request.timeoutMs
+     * @returns {Promise<string>} The generated text.
+     */
+    async generate({ prompt, model, temperature, timeoutMs }) {
+        const generativeModel = getClient().getGenerativeModel(
+            { model, generationConfig: { temperature } },
+            { timeout: timeoutMs }
+        );
+        try {
+            const result = await generativeModel.generateContent(prompt);
+            return result.response.text();
+        } catch (err) {
+            // Normalize the SDK's errors into the fields the retry loop looks at.
+            if (err instanceof GoogleGenerativeAIAbortError) {
+                err.code = 'ETIMEDOUT';
+            } else if (err instanceof GoogleGenerativeAIFetchError) {
+                err.statusCode = err.status;
+            }
+            throw err;
+        }
+    },
+};
+
+export default geminiProvider;
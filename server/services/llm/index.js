@@ -0,0 +1,118 @@
+import geminiProvider from './gemini.provider.js';
+import stubProvider from './stub.provider.js';
+
+const providers = {
+    [geminiProvider.name]: geminiProvider,
+    [stubProvider.name]: stubProvider,
+};
+
+const DEFAULT_MODELS = {
+    [geminiProvider.name]: 'gemini-1.5-flash-latest',
+    [stubProvider.name]: 'stub',
+};
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 15000;
+
+// Per-task defaults. Each value can be overridden with LLM_<TASK>_<SETTING>,
+// e.g. LLM_NEWSLETTER_HTML_TIMEOUT_MS=90000, or for every task with LLM_<SETTING>.
+const TASK_DEFAULTS = {
+    'summary': { temperature: 0.4, timeoutMs: 30000, maxRetries: 2 },
+    'newsletter-html': { temperature: 0.7, timeoutMs: 90000, maxRetries: 2 },
+};
+
+export const LLM_TASKS = Object.keys(TASK_DEFAULTS);
+
+const envSetting = (task, setting) => {
+    const taskKey = `LLM_${task.toUpperCase().replace(/-/g, '_')}_${setting}`;
+    return process.env[taskKey] ?? process.env[`LLM_${setting}`];
+};
+
+const numberSetting = (task, setting, fallback) => {
+    const value = envSetting(task, setting);
+    return value === undefined || value === '' ? fallback : Number(value);
+};
+
+/**
+ * Resolves the provider, model and limits used for a task.
+ * Without any configuration, Gemini is used when GEMINI_API_KEY is set. Otherwise the stub is
+ * used outside production; in production that is an error unless LLM_PROVIDER=stub asks for it,
+ * so a missing key cannot quietly send canned newsletters.
+ * @param {string} task - One of LLM_TASKS.
+ * @returns {{ provider: string, model: string, temperature: number, timeoutMs: number, maxRetries: number }}
+ */
+export const getTaskConfig = (task) => {
+    const defaults = TASK_DEFAULTS[task];
+    if (!defaults) throw new Error(`Unknown LLM task "${task}".`);
+
+    let provider = envSetting(task, 'PROVIDER');
+    if (!provider) {
+        if (geminiProvider.isConfigured()) provider = geminiProvider.name;
+        else if (process.env.NODE_ENV !== 'production') provider = stubProvider.name;
+        else throw new Error('No LLM provider is configured. Set GEMINI_API_KEY, or LLM_PROVIDER=stub to use canned output.');
+    }
+    return {
+        provider,
+        model: envSetting(task, 'MODEL') || DEFAULT_MODELS[provider],
+        temperature: numberSetting(task, 'TEMPERATURE', defaults.temperature),
+        timeoutMs: numberSetting(task, 'TIMEOUT_MS', defaults.timeoutMs),
+        maxRetries: numberSetting(task, 'MAX_RETRIES', defaults.maxRetries),
+    };
+};
+
+// Timeouts, rate limits, server errors and dropped connections are worth another try;
+// bad requests and auth failures are not.
+const isRetryable = (err) => {
+    if (err.code === 'ETIMEDOUT' || err.code === 'ECONNRESET' || err.code === 'ECONNREFUSED') return true;
+    const status = err.statusCode;
+    return status === 429 || (status >= 500 && status < 600) || (status === undefined && err.name === 'TypeError');
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(`LLM request timed out after ${ms} ms.`);
+            err.code = 'ETIMEDOUT';
+            reject(err);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Generates text for a task, with the task's timeout and retry/backoff policy.
+ * @param {string} task - One of LLM_TASKS; selects the configuration.
+ * @param {Object} request
+ * @param {string} request.prompt - The prompt sent to real models.
+ * @param {Object} [request.context] - The structured input behind the prompt, used by the stub provider.
+ * @param {Object} [overrides] - Per-call overrides of the task configuration.
+ * @returns {Promise<{ text: string, provider: string, model: string, attempts: number }>}
+ */
+export const generateText = async (task, { prompt, context }, overrides = {}) => {
+    const config = { ...getTaskConfig(task), ...overrides };
+    const provider = providers[config.provider];
+    if (!provider) throw new Error(`Unknown LLM provider "${config.provider}".`);
+    if (!provider.isConfigured()) throw new Error(`LLM provider "${provider.name}" is not configured. Check its API key.`);
+
+    let lastError;
+    for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+        if (attempt > 0) {
+            const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+            await sleep(delay + Math.floor(Math.random() * delay * 0.2));
+        }
+        try {
+            const text = await withTimeout(
+                provider.generate({ task, prompt, context, model: config.model, temperature: config.temperature, timeoutMs: config.timeoutMs }),
+                config.timeoutMs
+            );
+            return { text, provider: provider.name, model: config.model, attempts: attempt + 1 };
+        } catch (err) {
+            lastError = err;
+            if (!isRetryable(err)) break;
+            console.warn(`[LLM] ${task} attempt ${attempt + 1}/${config.maxRetries + 1} via ${provider.name} failed: ${err.message}`);
+        }
+    }
+    throw lastError;
+};
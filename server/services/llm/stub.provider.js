@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import { escapeHtml } from '../../utils/html.js';
+
+const SUMMARY_SENTENCES = 3;
+
+const summarize = (text = '') => {
+    const sentences = text.replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]+/g) || [text.trim()];
+    return sentences.slice(0, SUMMARY_SENTENCES).map(s => s.trim()).join(' ');
+};
+
+const newsletterHtml = ({ title = 'Newsletter', articles = [] }) => {
+    const blocks = articles.map(a => `
+        <div style="border-bottom: 1px solid #eeeeee; padding-bottom: 20px; margin-bottom: 20px;">
+            ${a.imageUrl ? `<img src="${escapeHtml(a.imageUrl)}" alt="" style="max-width: 100%; height: auto; display: block; margin-bottom: 10px;">` : ''}
+            <a href="${escapeHtml(a.originalUrl)}" style="display: block; font-size: 18px; font-weight: bold; color: #007bff; text-decoration: none; margin-bottom: 5px;">${escapeHtml(a.title)}</a>
+            <span style="display: block; font-size: 11px; color: #555555; margin-bottom: 8px;">${escapeHtml(a.sourceName)}</span>
+            <p style="font-size: 14px; color: #444444; line-height: 1.5;">${escapeHtml(a.summary || a.description)}</p>
+        </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: Arial, sans-serif;">
+    <div style="max-width: 600px; margin: 20px auto; background-color: #ffffff;">
+        <h1 style="font-size: 24px; color: #333333; text-align: center; border-bottom: 2px solid #eeeeee; padding-bottom: 10px;">${escapeHtml(title)}</h1>${blocks}
+    </div>
+</body>
+</html>`;
+};
+
+/**
+ * Deterministic, offline stand-in for a real model. The same task and input
+ * always produce the same output, which keeps local development and automated
+ * tests independent of API keys and network access.
+ */
+const stubProvider = {
+    name: 'stub',
+
+    isConfigured: () => true,
+
+    /**
+     * @param {Object} request
+     * @param {string} request.task
+     * @param {string} request.prompt
+     * @param {Object} [request.context] - Structured input the stub can use instead of parsing the prompt.
+     * @returns {Promise<string>}
+     */
+    async generate({ task, prompt, context = {} }) {
+        if (task === 'summary' && context.text) return summarize(context.text);
+        if (task === 'newsletter-html' && context.articles) return newsletterHtml(context);
+
+        const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+        return `[stub ${task}] ${digest}`;
+    },
+};
+
+export default stubProvider;
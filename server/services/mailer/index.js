@@ -0,0 +1,79 @@
+import sendgridTransport from './sendgrid.transport.js';
+import smtpTransport from './smtp.transport.js';
+import outboxTransport from './outbox.transport.js';
+
+const transports = {
+    [sendgridTransport.name]: sendgridTransport,
+    [smtpTransport.name]: smtpTransport,
+    [outboxTransport.name]: outboxTransport,
+};
+
+export const TRANSPORT_NAMES = Object.keys(transports);
+
+const DEFAULT_FROM_NAME = 'NewsLetterAI';
+
+/**
+ * The transport selected by MAIL_TRANSPORT. Without it, SendGrid is used when
+ * SENDGRID_API_KEY is set and SMTP when SMTP_HOST is set; the outbox is only used
+ * when chosen explicitly, so production never silently stops delivering.
+ * @returns {Object|null} The transport, or null if email is not configured.
+ */
+export const getTransport = () => {
+    const name = process.env.MAIL_TRANSPORT;
+    if (name) {
+        const transport = transports[name];
+        if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${TRANSPORT_NAMES.join(', ')}.`);
+        return transport.isConfigured() ? transport : null;
+    }
+    return [sendgridTransport, smtpTransport].find(t => t.isConfigured()) || null;
+};
+
+const fromAddress = () => process.env.MAIL_FROM || process.env.FROM_EMAIL;
+
+/**
+ * Whether emails can be sent: a transport is configured and a sender address is set
+ * (MAIL_FROM, or FROM_EMAIL).
+ * @returns {boolean}
+ */
+export const isMailConfigured = () => Boolean(getTransport() && fromAddress());
+
+/**
+ * Sends an email through the configured transport.
+ * @param {Object} message
+ * @param {string|string[]} message.to
+ * @param {string} message.subject
+ * @param {string} message.html
+ * @param {string} [message.text] - Plain-text alternative.
+ * @param {string} [message.fromName] - Display name; defaults to "NewsLetterAI".
+ * @param {string} [message.replyTo]
+ * @param {Object} [message.headers] - Extra headers, e.g. List-Unsubscribe.
+ * @param {Object<string, string>} [message.metadata] - Tags passed to transports that support them.
+ * @param {Array<{ filename: string, content: Buffer, contentType: string }>} [message.attachments]
+ * @returns {Promise<{ transport: string, messageId: string|null }>}
+ */
+export const sendMail = async ({ to, subject, html, text, fromName = DEFAULT_FROM_NAME, replyTo, headers, metadata, attachments = [] }) => {
+    const transport = getTransport();
+    if (!transport || !fromAddress()) {
+        throw new Error('Email service is not configured on the server.');
+    }
+    const message = {
+        to: Array.isArray(to) ? to : [to],
+        from: { name: fromName, email: fromAddress() },
+        replyTo,
+        subject,
+        html,
+        text,
+        headers,
+        metadata,
+        attachments,
+    };
+    try {
+        const { messageId } = await transport.send(message);
+        return { transport: transport.name, messageId };
+    } catch (err) {
+        console.error(`[MAIL] ${transport.name} failed to send "${subject}":`, err.message);
+        // SendGrid puts the reason in the response body.
+        if (err.response && err.response.body) console.error(err.response.body);
+        throw err;
+    }
+};
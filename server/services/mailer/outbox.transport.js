@@ -0,0 +1,57 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import OutboxMessage from '../../models/outboxMessage.model.js';
+
+const DEFAULT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../outbox');
+
+// Keeps file names from attachment metadata inside the message's folder.
+const safeName = (name) => path.basename(name || 'attachment').replace(/[^\w.-]/g, '_');
+
+const writeToDisk = async (message) => {
+    const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+    const dir = path.join(process.env.MAIL_OUTBOX_DIR || DEFAULT_DIR, id);
+    await fs.mkdir(dir, { recursive: true });
+
+    const { attachments, html, text, ...envelope } = message;
+    await fs.writeFile(path.join(dir, 'message.json'), JSON.stringify({
+        ...envelope,
+        attachments: attachments.map(a => ({ filename: a.filename, contentType: a.contentType, size: a.content.length })),
+    }, null, 2));
+    if (html) await fs.writeFile(path.join(dir, 'body.html'), html);
+    if (text) await fs.writeFile(path.join(dir, 'body.txt'), text);
+    await Promise.all(attachments.map(a => fs.writeFile(path.join(dir, safeName(a.filename)), a.content)));
+    return id;
+};
+
+const writeToCollection = async (message) => {
+    const saved = await OutboxMessage.create({
+        ...message,
+        attachments: message.attachments.map(a => ({ filename: a.filename, contentType: a.contentType, size: a.content.length, data: a.content })),
+    });
+    return saved._id.toString();
+};
+
+/**
+ * Captures messages instead of delivering them, for development, staging and tests.
+ * MAIL_OUTBOX=file (default) writes each message, its bodies and attachments to a folder
+ * under MAIL_OUTBOX_DIR (default server/outbox); MAIL_OUTBOX=db stores them as OutboxMessage documents.
+ */
+const outboxTransport = {
+    name: 'outbox',
+
+    isConfigured: () => true,
+
+    /**
+     * @param {Object} message - A normalized message; see sendMail().
+     * @returns {Promise<{ messageId: string }>}
+     */
+    async send(message) {
+        const messageId = process.env.MAIL_OUTBOX === 'db' ? await writeToCollection(message) : await writeToDisk(message);
+        console.log(`[MAIL] Outbox captured "${message.subject}" to ${message.to.join(', ')} (${messageId}).`);
+        return { messageId };
+    },
+};
+
+export default outboxTransport;
@@ -0,0 +1,42 @@
+import sgMail from '@sendgrid/mail';
+
+let initialized = false;
+
+/**
+ * Delivery through SendGrid's v3 mail API.
+ */
+const sendgridTransport = {
+    name: 'sendgrid',
+
+    isConfigured: () => Boolean(process.env.SENDGRID_API_KEY),
+
+    /**
+     * @param {Object} message - A normalized message; see sendMail().
+     * @returns {Promise<{ messageId: string|null }>}
+     */
+    async send(message) {
+        if (!initialized) {
+            sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+            initialized = true;
+        }
+        const [response] = await sgMail.send({
+            to: message.to,
+            from: message.from,
+            replyTo: message.replyTo,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            headers: message.headers,
+            customArgs: message.metadata,
+            attachments: message.attachments.map(a => ({
+                content: a.content.toString('base64'),
+                filename: a.filename,
+                type: a.contentType,
+                disposition: 'attachment',
+            })),
+        });
+        return { messageId: (response && response.headers && response.headers['x-message-id']) || null };
+    },
+};
+
+export default sendgridTransport;
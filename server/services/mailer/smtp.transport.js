@@ -0,0 +1,45 @@
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+const getTransporter = () => {
+    if (!transporter) {
+        const port = Number(process.env.SMTP_PORT) || 587;
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        });
+    }
+    return transporter;
+};
+
+/**
+ * Delivery through any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS).
+ */
+const smtpTransport = {
+    name: 'smtp',
+
+    isConfigured: () => Boolean(process.env.SMTP_HOST),
+
+    /**
+     * @param {Object} message - A normalized message; see sendMail().
+     * @returns {Promise<{ messageId: string|null }>}
+     */
+    async send(message) {
+        const info = await getTransporter().sendMail({
+            to: message.to,
+            from: { name: message.from.name, address: message.from.email },
+            replyTo: message.replyTo,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            headers: message.headers,
+            attachments: message.attachments.map(a => ({ filename: a.filename, content: a.content, contentType: a.contentType })),
+        });
+        return { messageId: info.messageId || null };
+    },
+};
+
+export default smtpTransport;
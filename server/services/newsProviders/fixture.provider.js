@@ -0,0 +1,45 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures', 'news');
+
+const fixturesDir = () => process.env.NEWS_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const readFixture = async (fileName) => {
+    // basename() keeps a category's configured file name from escaping the fixtures directory.
+    const raw = await readFile(path.join(fixturesDir(), path.basename(fileName)), 'utf8');
+    const data = JSON.parse(raw);
+    return Array.isArray(data) ? data : data.articles || [];
+};
+
+/**
+ * File-based news provider for offline development. Reads a JSON file of
+ * NewsAPI-shaped articles (either a bare array or `{ articles: [...] }`).
+ * The file is the source's `url`, or `<category-slug>.json`, falling back to `default.json`.
+ */
+const fixtureProvider = {
+    name: 'fixture',
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.category - The category being fetched.
+     * @param {Object} [options.source] - The category's source entry.
+     * @returns {Promise<Array>} Articles from the fixture file.
+     */
+    async fetchArticles({ category, source }) {
+        if (source && source.url) {
+            return readFixture(source.url);
+        }
+        try {
+            return await readFixture(`${slugify(category.name)}.json`);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            return readFixture('default.json');
+        }
+    },
+};
+
+export default fixtureProvider;
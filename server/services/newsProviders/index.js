@@ -0,0 +1,113 @@
+import newsApiProvider from './newsapi.provider.js';
+import rssProvider from './rss.provider.js';
+import fixtureProvider from './fixture.provider.js';
+import { buildSearchOptions, applySearchProfile } from '../searchProfile.js';
+
+/**
+ * Every news provider implements the same small interface:
+ *   { name: string, fetchArticles({ category, source, query, from, language, excludeDomains }) => Promise<Array> }
+ * and may return articles in any loosely NewsAPI-like shape; normalizeArticle()
+ * turns them into the shape POST /api/articles expects.
+ */
+const providers = {
+    [newsApiProvider.name]: newsApiProvider,
+    [rssProvider.name]: rssProvider,
+    [fixtureProvider.name]: fixtureProvider,
+};
+
+export const PROVIDER_NAMES = Object.keys(providers);
+
+export const getNewsProvider = (name) => {
+    const provider = providers[name];
+    if (!provider) throw new Error(`Unknown news provider "${name}".`);
+    return provider;
+};
+
+/**
+ * Returns the enabled sources for a category, or the default provider when
+ * the category has none configured.
+ * @param {Object} category - A Category document (or any object with a name).
+ * @returns {Array<{ provider: string, url?: string, label?: string }>}
+ */
+export const resolveCategorySources = (category) => {
+    const configured = (category.newsSources || []).filter(s => s.enabled !== false);
+    if (configured.length > 0) return configured;
+    return [{ provider: process.env.DEFAULT_NEWS_PROVIDER || newsApiProvider.name }];
+};
+
+/**
+ * Coerces a provider's article into the NewsAPI shape used throughout the app.
+ * @returns {Object|null} The normalized article, or null if it has no title or URL.
+ */
+export const normalizeArticle = (raw, providerName) => {
+    const url = raw.url || raw.link;
+    const title = raw.title && raw.title.trim();
+    if (!url || !title) return null;
+
+    const published = raw.publishedAt ? new Date(raw.publishedAt) : null;
+    const sourceName = (raw.source && raw.source.name) || raw.sourceName || providerName;
+
+    return {
+        source: { name: sourceName },
+        author: raw.author || null,
+        title,
+        description: raw.description || '',
+        content: raw.content || '',
+        url,
+        urlToImage: raw.urlToImage || raw.imageUrl || null,
+        publishedAt: published && !isNaN(published) ? published.toISOString() : null,
+        provider: providerName,
+    };
+};
+
+/**
+ * Fetches news for a single category from every source it is configured with,
+ * using the category's search profile. A failing source does not fail the whole
+ * fetch; its error is reported instead.
+ * @param {Object} category - A Category document (or any object with a name).
+ * @param {Object} [options]
+ * @param {Object} [options.searchProfile] - Use this profile instead of the category's saved one.
+ * @returns {Promise<{ articles: Array, errors: Array<{ category: string, provider: string, message: string }>, query: string }>}
+ */
+export const fetchCategoryNews = async (category, { searchProfile } = {}) => {
+    const sources = resolveCategorySources(category);
+    const { profile, ...searchOptions } = buildSearchOptions({
+        name: category.name,
+        searchProfile: searchProfile || category.searchProfile,
+    });
+    const options = { category, ...searchOptions };
+
+    const results = await Promise.allSettled(
+        sources.map(async source => getNewsProvider(source.provider).fetchArticles({ ...options, source }))
+    );
+
+    const articles = [];
+    const errors = [];
+    results.forEach((result, i) => {
+        const { provider: providerName, url: feedUrl = null } = sources[i];
+        if (result.status === 'rejected') {
+            errors.push({ category: category.name, provider: providerName, message: result.reason.message });
+            return;
+        }
+        for (const raw of result.value) {
+            const article = normalizeArticle(raw, providerName);
+            if (article) articles.push({ ...article, category: category.name, feedUrl });
+        }
+    });
+
+    return { articles: applySearchProfile(articles, profile), errors, query: options.query };
+};
+
+/**
+ * Merges article lists, dropping repeated URLs and ordering newest first.
+ */
+export const mergeArticles = (articleLists) => {
+    const seen = new Set();
+    const merged = [];
+    for (const article of articleLists.flat()) {
+        if (seen.has(article.url)) continue;
+        seen.add(article.url);
+        merged.push(article);
+    }
+    return merged.sort((a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0));
+};
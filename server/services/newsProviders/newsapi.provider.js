@@ -0,0 +1,48 @@
+import axios from 'axios';
+
+const NEWS_API_URL = 'https://newsapi.org/v2/everything';
+
+/**
+ * News provider backed by NewsAPI.org's /everything endpoint.
+ * NewsAPI already returns articles in the shape the rest of the app expects,
+ * so the only work here is building the request and surfacing API errors.
+ */
+const newsApiProvider = {
+    name: 'newsapi',
+
+    /**
+     * @param {Object} options
+     * @param {string} options.query - The NewsAPI search expression.
+     * @param {string} [options.from] - Earliest publish date (yyyy-MM-dd).
+     * @param {string} [options.language] - Two-letter language code.
+     * @param {string[]} [options.excludeDomains] - Domains to leave out of the results.
+     * @returns {Promise<Array>} Raw NewsAPI articles.
+     */
+    async fetchArticles({ query, from, language = 'en', excludeDomains = [] }) {
+        if (!process.env.NEWS_API_KEY) {
+            throw new Error('NEWS_API_KEY is not configured.');
+        }
+        try {
+            const response = await axios.get(NEWS_API_URL, {
+                params: {
+                    q: query,
+                    from,
+                    sortBy: 'relevancy', // Sorting by relevancy for better results with specific queries
+                    language,
+                    excludeDomains: excludeDomains.length > 0 ? excludeDomains.join(',') : undefined,
+                    apiKey: process.env.NEWS_API_KEY,
+                },
+                timeout: 15000,
+            });
+            return response.data.articles || [];
+        } catch (err) {
+            if (err.response) {
+                console.error('NewsAPI Error:', err.response.data);
+                throw new Error(`NewsAPI: ${err.response.data.message}`);
+            }
+            throw err;
+        }
+    },
+};
+
+export default newsApiProvider;
@@ -0,0 +1,145 @@
+import axios from 'axios';
+import { XMLParser } from 'fast-xml-parser';
+import { checkPublicUrl, publicOnlyLookup, refusePrivateRedirect } from '../../utils/publicAddress.js';
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    textNodeName: '#text',
+    processEntities: true,
+});
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+// Feed fields can be plain strings, CDATA-wrapped objects or typed text nodes.
+const textOf = (value) => {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return textOf(value['#text']);
+    return String(value).trim();
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Feed bodies are frequently HTML inside CDATA, so entities survive XML parsing.
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const stripHtml = (html) => decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+const firstImageInHtml = (html) => {
+    const match = /<img[^>]+src=["']([^"']+)["']/i.exec(html);
+    return match ? match[1] : null;
+};
+
+const findImage = (item, html) => {
+    const enclosure = asArray(item.enclosure).find(e => (e['@_type'] || '').startsWith('image/'));
+    if (enclosure) return enclosure['@_url'];
+    const media = asArray(item['media:content']).find(m => m['@_url'] && (m['@_medium'] === 'image' || (m['@_type'] || '').startsWith('image/')));
+    if (media) return media['@_url'];
+    const thumbnail = asArray(item['media:thumbnail'])[0];
+    if (thumbnail && thumbnail['@_url']) return thumbnail['@_url'];
+    return firstImageInHtml(html);
+};
+
+// Atom entries can carry several <link> elements; prefer the alternate (HTML) one.
+const atomLink = (entry) => {
+    const links = asArray(entry.link);
+    const alternate = links.find(l => !l['@_rel'] || l['@_rel'] === 'alternate') || links[0];
+    return alternate ? alternate['@_href'] || textOf(alternate) : '';
+};
+
+const fromRssItem = (item, feedTitle) => {
+    const html = textOf(item['content:encoded']) || textOf(item.description);
+    return {
+        source: { name: feedTitle },
+        author: textOf(item['dc:creator']) || textOf(item.author) || null,
+        title: stripHtml(textOf(item.title)),
+        description: stripHtml(textOf(item.description)),
+        content: stripHtml(html),
+        url: textOf(item.link) || textOf(item.guid),
+        urlToImage: findImage(item, html),
+        publishedAt: textOf(item.pubDate) || textOf(item['dc:date']),
+    };
+};
+
+const fromAtomEntry = (entry, feedTitle) => {
+    const html = textOf(entry.content) || textOf(entry.summary);
+    return {
+        source: { name: feedTitle },
+        author: entry.author ? textOf(asArray(entry.author)[0].name) : null,
+        title: stripHtml(textOf(entry.title)),
+        description: stripHtml(textOf(entry.summary) || html).slice(0, 500),
+        content: stripHtml(html),
+        url: atomLink(entry),
+        urlToImage: findImage(entry, html),
+        publishedAt: textOf(entry.published) || textOf(entry.updated),
+    };
+};
+
+/**
+ * Parses an RSS 2.0, RSS 1.0 (RDF) or Atom document into NewsAPI-shaped articles.
+ * @param {string} xml - The raw feed document.
+ * @param {string} [fallbackName] - Source name to use when the feed has no title.
+ * @returns {Array} The feed's entries.
+ */
+export const parseFeed = (xml, fallbackName = 'RSS Feed') => {
+    const doc = parser.parse(xml);
+
+    if (doc.rss && doc.rss.channel) {
+        const channel = doc.rss.channel;
+        const feedTitle = textOf(channel.title) || fallbackName;
+        return asArray(channel.item).map(item => fromRssItem(item, feedTitle));
+    }
+    if (doc['rdf:RDF']) {
+        const rdf = doc['rdf:RDF'];
+        const feedTitle = textOf(rdf.channel && rdf.channel.title) || fallbackName;
+        return asArray(rdf.item).map(item => fromRssItem(item, feedTitle));
+    }
+    if (doc.feed) {
+        const feedTitle = textOf(doc.feed.title) || fallbackName;
+        return asArray(doc.feed.entry).map(entry => fromAtomEntry(entry, feedTitle));
+    }
+    throw new Error('Unrecognised feed format (expected RSS or Atom).');
+};
+
+/**
+ * News provider for RSS and Atom feeds. Feeds are assumed to be topical already,
+ * so no keyword filtering is applied; entries older than `from` are dropped.
+ * Feeds on private, loopback or link-local addresses are refused, redirects included.
+ */
+const rssProvider = {
+    name: 'rss',
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.source - The category's source entry; `url` is the feed URL.
+     * @param {string} [options.from] - Earliest publish date (yyyy-MM-dd).
+     * @returns {Promise<Array>} Articles parsed from the feed.
+     */
+    async fetchArticles({ source, from }) {
+        if (!source || !source.url) {
+            throw new Error('RSS source is missing a feed URL.');
+        }
+        const { error } = await checkPublicUrl(source.url);
+        if (error) throw new Error(`Feed URL refused: ${error}`);
+        const response = await axios.get(source.url, {
+            responseType: 'text',
+            timeout: 15000,
+            lookup: publicOnlyLookup,
+            beforeRedirect: refusePrivateRedirect,
+            headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8' },
+        });
+        const articles = parseFeed(response.data, source.label || new URL(source.url).hostname);
+        if (!from) return articles;
+
+        const cutoff = new Date(from);
+        return articles.filter(a => !a.publishedAt || new Date(a.publishedAt) >= cutoff);
+    },
+};
+
+export default rssProvider;
@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+import { publicUrl } from '../utils/urls.js';
+
+const MAX_SLUG_WORDS = 8;
+
+/**
+ * Filter for archived editions the public can see right now: not revoked, not expired.
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+export const liveEditionFilter = (now = new Date()) => ({
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+});
+
+/**
+ * A URL slug for an edition: the title's first words and a random suffix,
+ * e.g. "weekly-tech-digest-3f9a1c2b".
+ * @param {string} title
+ * @returns {string}
+ */
+export const createEditionSlug = (title) => {
+    const words = title
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+        .slice(0, MAX_SLUG_WORDS);
+    return [...words, crypto.randomBytes(4).toString('hex')].join('-');
+};
+
+/**
+ * @param {string} category
+ * @returns {string} The public URL of a category's archive index.
+ */
+export const categoryArchiveUrl = (category) => publicUrl(`/api/archive/${encodeURIComponent(category)}`);
+
+/**
+ * @param {{ category: string, slug: string }} edition
+ * @returns {string} The public URL of an archived edition.
+ */
+export const editionUrl = (edition) => `${categoryArchiveUrl(edition.category)}/${edition.slug}`;
@@ -0,0 +1,219 @@
+import User from '../models/user.model.js';
+import Newsletter from '../models/newsletter.model.js';
+import Delivery from '../models/delivery.model.js';
+import Notification from '../models/notification.model.js';
+import { isMailConfigured, sendMail } from './mailer/index.js';
+import { unsubscribeLink } from './unsubscribe.js';
+import { appendHtmlFooter, htmlToText } from './newsletterExport.js';
+import { escapeHtml } from '../utils/html.js';
+
+const MAX_ATTEMPTS = Number(process.env.DELIVERY_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const WORKER_INTERVAL_MS = (Number(process.env.DELIVERY_WORKER_INTERVAL_SECONDS) || 15) * 1000;
+
+let timer = null;
+let draining = false;
+
+// Active regular users subscribed to the category: the only users its newsletters go to.
+const subscriberFilter = (category) => ({ userType: 'user', status: 'Active', categories: category });
+
+/**
+ * The users a category's newsletters go to by default: its active subscribers.
+ * @param {string} category
+ * @param {Array<string>} [userIds] - Only these users, if given.
+ * @returns {Promise<Array<string>>} User ids.
+ */
+export const categorySubscriberIds = async (category, userIds) => {
+    const filter = userIds ? { ...subscriberFilter(category), _id: { $in: userIds } } : subscriberFilter(category);
+    const subscribers = await User.find(filter).select('_id');
+    return subscribers.map(u => u._id.toString());
+};
+
+/**
+ * Queues a newsletter for delivery: one Delivery per recipient, sent individually in the
+ * background. Recipients who already have a delivery for this newsletter are skipped, so
+ * nobody gets the same newsletter twice, as are addresses that have bounced or reported
+ * spam before and users who are not (or no longer) active subscribers of the category.
+ * Callers apply the workflow's 'send' transition first (see transitionNewsletter()), so the
+ * newsletter can no longer be reopened and edited while its deliveries are queued.
+ * @param {Object} newsletter - A Newsletter document.
+ * @param {Object} options
+ * @param {Array<string>} options.userIds - The recipients.
+ * @param {string} options.actorId - The user the send is recorded under.
+ * @returns {Promise<{ recipientCount: number, alreadyQueued: number, suppressed: number }>} How many
+ *   deliveries were newly queued, and how many recipients were skipped.
+ */
+export const deliverNewsletter = async (newsletter, { userIds, actorId }) => {
+    if (!isMailConfigured()) throw new Error('Email service is not configured on the server.');
+
+    const requested = new Set(userIds.map(String)).size;
+    const users = await User.find({ ...subscriberFilter(newsletter.category), _id: { $in: userIds } }).select('email');
+    const undeliverable = new Set(await Delivery.distinct('email', {
+        email: { $in: users.map(u => u.email) },
+        $or: [{ status: 'bounced' }, { spamReportedAt: { $ne: null } }],
+    }));
+    const recipients = users.filter(u => !undeliverable.has(u.email));
+    const suppressed = requested - recipients.length;
+    if (recipients.length === 0) return { recipientCount: 0, alreadyQueued: 0, suppressed };
+    const result = await Delivery.bulkWrite(recipients.map(recipient => ({
+        updateOne: {
+            filter: { newsletter: newsletter._id, user: recipient._id },
+            update: { $setOnInsert: { email: recipient.email, requestedBy: actorId, status: 'queued', nextAttemptAt: new Date() } },
+            upsert: true,
+        },
+    })), { ordered: false });
+
+    drainDeliveries().catch(err => console.error('[DELIVERY] Drain failed:', err));
+    return { recipientCount: result.upsertedCount, alreadyQueued: recipients.length - result.upsertedCount, suppressed };
+};
+
+// Temporary failures are retried: HTTP 429 and 5xx from SendGrid, SMTP 4xx replies and
+// network errors. Rejected requests (HTTP 4xx) and rejected addresses (SMTP 5xx) are not.
+const isRetryable = (err) => {
+    if (Number.isInteger(err.responseCode)) return err.responseCode < 500;
+    if (Number.isInteger(err.code)) return err.code === 429 || err.code >= 500;
+    return true;
+};
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+const recordSuccess = async (delivery, newsletter) => {
+    await Newsletter.updateOne({ _id: newsletter._id }, { $addToSet: { recipients: delivery.user } });
+    try {
+        await Notification.create({
+            user: delivery.user,
+            newsletter: newsletter._id,
+            message: `You received the "${newsletter.title}" newsletter.`,
+        });
+    } catch (notificationError) {
+        console.error('CRITICAL: Failed to create notification, but email was sent.', notificationError);
+    }
+};
+
+/**
+ * The body and attachment of a newsletter email: the newsletter's own HTML with a
+ * plain-text alternative, and its PDF attached. Newsletters generated before HTML was
+ * kept fall back to a short note with the PDF.
+ * @param {Object} newsletter - A Newsletter document with htmlContent and pdfContent.
+ * @param {Object} [footer] - Appended to the end of the message.
+ * @param {string} footer.html
+ * @param {string} footer.text
+ * @returns {{ html: string, text: string, attachments: Array<Object> }} Fields for sendMail().
+ */
+export const newsletterEmailContent = (newsletter, footer = { html: '', text: '' }) => {
+    const body = newsletter.htmlContent
+        ? { html: newsletter.htmlContent, text: htmlToText(newsletter.htmlContent) }
+        : {
+            html: `<p>A new newsletter, <strong>${escapeHtml(newsletter.title)}</strong>, is now available. Please find it attached.</p>`,
+            text: `A new newsletter, ${newsletter.title}, is now available. Please find it attached.`,
+        };
+    return {
+        html: appendHtmlFooter(body.html, footer.html),
+        text: footer.text ? `${body.text}\n\n--\n${footer.text}` : body.text,
+        attachments: [{
+            content: newsletter.pdfContent.data,
+            filename: `${newsletter.title.replace(/\s/g, '_')}.pdf`,
+            contentType: 'application/pdf',
+        }],
+    };
+};
+
+const sendDelivery = async (delivery) => {
+    const newsletter = await Newsletter.findById(delivery.newsletter);
+    if (!newsletter || !newsletter.pdfContent || !newsletter.pdfContent.data) {
+        await Delivery.updateOne({ _id: delivery._id }, { status: 'failed', lastError: 'The newsletter or its PDF no longer exists.' });
+        return;
+    }
+    const unsubscribe = unsubscribeLink({ userId: delivery.user, category: newsletter.category, newsletterId: newsletter._id });
+    const footer = {
+        html: `<p style="font-size:12px;color:#888;text-align:center;">You receive this because you subscribe to ${escapeHtml(newsletter.category)}. `
+            + `<a href="${escapeHtml(unsubscribe.url)}">Unsubscribe</a></p>`,
+        text: `You receive this because you subscribe to ${newsletter.category}. Unsubscribe: ${unsubscribe.url}`,
+    };
+    try {
+        const { transport, messageId } = await sendMail({
+            to: delivery.email,
+            subject: `Your Newsletter: ${newsletter.title}`,
+            ...newsletterEmailContent(newsletter, footer),
+            headers: { 'X-Delivery-Id': delivery._id.toString(), ...unsubscribe.headers },
+            metadata: { deliveryId: delivery._id.toString(), newsletterId: delivery.newsletter.toString() },
+        });
+        await Delivery.updateOne({ _id: delivery._id }, {
+            status: 'sent', sentAt: new Date(), transport, messageId, lastError: null,
+            $push: { events: { type: 'sent', at: new Date() } },
+        });
+        await recordSuccess(delivery, newsletter);
+    } catch (err) {
+        const retry = isRetryable(err) && delivery.attempts < MAX_ATTEMPTS;
+        const update = retry
+            ? { status: 'queued', nextAttemptAt: new Date(Date.now() + retryDelay(delivery.attempts)) }
+            : { status: 'failed' };
+        await Delivery.updateOne({ _id: delivery._id }, {
+            ...update,
+            lastError: err.message,
+            $push: { events: { type: retry ? 'deferred' : 'failed', at: new Date(), detail: err.message } },
+        });
+    }
+};
+
+/**
+ * Sends every queued delivery that is due, one at a time. Each is moved to 'sending'
+ * atomically before its email goes out.
+ */
+export const drainDeliveries = async () => {
+    if (draining) return;
+    draining = true;
+    try {
+        for (;;) {
+            const delivery = await Delivery.findOneAndUpdate(
+                { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+                { status: 'sending', $inc: { attempts: 1 } },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            );
+            if (!delivery) return;
+            await sendDelivery(delivery);
+        }
+    } finally {
+        draining = false;
+    }
+};
+
+/**
+ * Requeues a newsletter's failed deliveries for another round of attempts. Deliveries in
+ * 'unknown' are left alone: they may already have reached the recipient.
+ * @param {string} newsletterId
+ * @returns {Promise<number>} How many were requeued.
+ */
+export const retryFailedDeliveries = async (newsletterId) => {
+    const { modifiedCount } = await Delivery.updateMany(
+        { newsletter: newsletterId, status: 'failed' },
+        { status: 'queued', attempts: 0, nextAttemptAt: new Date() }
+    );
+    if (modifiedCount > 0) drainDeliveries().catch(err => console.error('[DELIVERY] Drain failed:', err));
+    return modifiedCount;
+};
+
+/**
+ * Starts the delivery worker (every DELIVERY_WORKER_INTERVAL_SECONDS, default 15). Deliveries
+ * left in 'sending' by a previous run of the server are marked 'unknown' rather than resent or
+ * retried, since the email may already have gone out.
+ */
+export const startDeliveryWorker = async () => {
+    if (timer) return;
+    const { modifiedCount } = await Delivery.updateMany(
+        { status: 'sending' },
+        { status: 'unknown', lastError: 'Interrupted by a server restart while sending; it may or may not have been delivered.' }
+    );
+    if (modifiedCount > 0) console.warn(`[DELIVERY] ${modifiedCount} delivery(ies) were interrupted while sending.`);
+
+    const tick = () => drainDeliveries().catch(err => console.error('[DELIVERY] Drain failed:', err));
+    tick();
+    timer = setInterval(tick, WORKER_INTERVAL_MS);
+    console.log(`✅ Delivery worker started (up to ${MAX_ATTEMPTS} attempts per recipient).`);
+};
+
+export const stopDeliveryWorker = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+};
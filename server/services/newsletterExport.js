@@ -0,0 +1,58 @@
+import { convert } from 'html-to-text';
+import TurndownService from 'turndown';
+
+/**
+ * Formats a newsletter can be downloaded in besides its PDF, keyed by the name used in URLs.
+ */
+export const EXPORT_FORMATS = {
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    text: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+};
+
+const turndown = new TurndownService({ headingStyle: 'atx', bulletListMarker: '-', codeBlockStyle: 'fenced' });
+turndown.remove(['head', 'style', 'script', 'title']);
+
+/**
+ * Plain-text rendering of newsletter HTML, used as the email's text alternative.
+ * Links keep their URL in brackets; images are dropped.
+ * @param {string} html
+ * @returns {string}
+ */
+export const htmlToText = (html) => convert(html, {
+    wordwrap: 78,
+    selectors: [
+        { selector: 'img', format: 'skip' },
+        { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+        { selector: 'h1', options: { uppercase: false } },
+        { selector: 'h2', options: { uppercase: false } },
+        { selector: 'h3', options: { uppercase: false } },
+    ],
+}).trim();
+
+/**
+ * Markdown rendering of newsletter HTML.
+ * @param {string} html
+ * @returns {string}
+ */
+export const htmlToMarkdown = (html) => turndown.turndown(html).replace(/\n{3,}/g, '\n\n').trim();
+
+/**
+ * A newsletter's stored HTML in one of the EXPORT_FORMATS.
+ * @param {string} html - The newsletter's htmlContent.
+ * @param {keyof EXPORT_FORMATS} format
+ * @returns {string}
+ */
+export const exportNewsletter = (html, format) => {
+    if (format === 'markdown') return `${htmlToMarkdown(html)}\n`;
+    if (format === 'text') return `${htmlToText(html)}\n`;
+    return html;
+};
+
+/**
+ * Adds a block of HTML just before </body>, or at the end if the document has none.
+ * @param {string} html
+ * @param {string} footer
+ * @returns {string}
+ */
+export const appendHtmlFooter = (html, footer) => (/<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${footer}</body>`) : html + footer);
@@ -0,0 +1,171 @@
+import { format } from 'date-fns';
+import Category from '../models/category.model.js';
+import NewsletterTemplate from '../models/newsletterTemplate.model.js';
+import CuratedArticle from '../models/article.model.js';
+import { generateText } from './llm/index.js';
+import { DEFAULT_TEMPLATE, renderNewsletterTemplate } from './templateRenderer.js';
+import { validateNewsletterHtml } from './htmlValidator.js';
+import { withPage } from './browserPool.js';
+
+export const RENDER_MODES = ['ai', 'template'];
+
+/**
+ * Creates a sophisticated, detailed prompt for the AI to generate a newsletter HTML.
+ * This new prompt includes instructions for layout, images, and styling.
+ * @param {Array} articles - The list of articles, including imageUrls.
+ * @param {string} title - The title of the newsletter.
+ * @returns {string} The complete prompt for the AI model.
+ */
+export const createAdvancedNewsletterHtmlPrompt = (articles, title) => {
+    // Prepare only the necessary article data for the prompt.
+    const articlesForPrompt = articles.map(a => ({
+        title: a.title,
+        summary: a.summary,
+        source: a.sourceName,
+        category: a.category,
+        originalUrl: a.originalUrl,
+        imageUrl: a.imageUrl // Include the image URL
+    }));
+
+    // The revised, simpler prompt
+    return `
+        Act as an expert HTML and CSS email designer. Your task is to generate a single, complete HTML file for a professional newsletter based on the provided JSON data. The design should be clean, readable, and render reliably as a PDF.
+
+        **Design & Layout Guidelines:**
+
+        1.  **Overall Structure:**
+            * Use a main container with a max-width of 600px and center it using inline styles (margin: 20px auto;).
+            * The main content area should have a white background (background-color: #ffffff;).
+            * Use a consistent font family like 'Arial, sans-serif' for broad compatibility.
+
+        2.  **Header Section:**
+            * Create a clear header.
+            * Prominently display the main newsletter title: "${title}" (font-size: 24px; font-weight: bold; color: #333333; padding-bottom: 10px; border-bottom: 2px solid #eeeeee; margin-bottom: 20px; text-align: center;).
+            * Below the title, include the Date (${format(new Date(), 'PP')}) and "Edition 1, Volume 1" (display: block; font-size: 12px; color: #777777; text-align: center; margin-bottom: 15px;).
+
+        3.  **Article Layout (Single Column):**
+            * Each article should be separated by a subtle divider (border-bottom: 1px solid #eeeeee; padding-bottom: 20px; margin-bottom: 20px;). The last article should not have this bottom border.
+            * If an \`imageUrl\` is provided for an article, include it at the top of the article section. The image should be responsive within the 600px container (\`max-width: 100%; height: auto; display: block; margin-bottom: 10px; border-radius: 5px;\`).
+            * The article's \`title\` MUST be a clickable hyperlink pointing to its \`originalUrl\` (display: block; font-size: 18px; font-weight: bold; color: #007bff; text-decoration: none; margin-bottom: 5px;).
+            * Display the \`source\` name in a smaller, muted font (display: block; font-size: 11px; color: #555555; margin-bottom: 8px;).
+            * Display the \`summary\` as the main body text for the article (font-size: 14px; color: #444444; line-height: 1.5;).
+
+        4.  **Pull Quote Section:**
+            * After the first or second article, include a clearly marked "Quote:" section.
+            * Use a background color (background-color: #f9f9f9; padding: 15px; border-left: 5px solid #cccccc; margin: 20px 0;).
+            * For the quote, use the summary of the first article. Style it as italic (font-style: italic; color: #666666;).
+
+        5.  **Styling (Inline CSS):**
+            * **ALL CSS MUST BE APPLIED AS INLINE STYLES directly to the HTML elements.** This ensures maximum compatibility with PDF renderers. Do not use <style> tags or external stylesheets.
+            * Focus on basic styles like font-size, color, background-color, margin, padding, border, text-decoration, display, and text-align.
+
+        **JSON Data to Use:**
+        \`\`\`json
+        ${JSON.stringify(articlesForPrompt, null, 2)}
+        \`\`\`
+
+        **IMPORTANT: Your response MUST be only the raw HTML code, starting with <!DOCTYPE html> and containing all the specified elements with INLINE STYLES. Do not add any commentary, explanations, or markdown formatting before or after the code block.**
+    `;
+};
+
+/**
+ * Loads curated articles by id, in the given order. Generation always works from the
+ * stored articles, not client copies, so the links and images the HTML is validated
+ * against are the ones that were actually curated.
+ * @param {Array<string>} articleIds
+ * @returns {Promise<Array|null>} The articles, or null if any of them no longer exists.
+ */
+export const loadArticlesInOrder = async (articleIds) => {
+    const found = await CuratedArticle.find({ _id: { $in: articleIds } });
+    const ordered = articleIds.map(id => found.find(a => a._id.toString() === String(id)));
+    return ordered.every(Boolean) ? ordered : null;
+};
+
+/**
+ * Picks the template for a template-mode generation: the requested one, else the
+ * category's default, else the built-in layout.
+ * @param {Object} options
+ * @param {string} [options.templateId]
+ * @param {string} options.category - The category name.
+ * @returns {Promise<Object|null>} The template, or null if templateId does not exist.
+ */
+export const resolveTemplate = async ({ templateId, category }) => {
+    if (templateId) {
+        return NewsletterTemplate.findById(templateId);
+    }
+    const categoryDoc = await Category.findOne({ name: category }).populate('defaultTemplate');
+    return (categoryDoc && categoryDoc.defaultTemplate) || DEFAULT_TEMPLATE;
+};
+
+const renderTemplate = ({ articles, title, category, template }) => {
+    const chosen = template || DEFAULT_TEMPLATE;
+    return { html: renderNewsletterTemplate(chosen, { title, category, articles }), generatedBy: `template:${chosen.name}` };
+};
+
+/**
+ * Produces the newsletter HTML, either by asking the 'newsletter-html' model to
+ * design it or by rendering a stored template. Either way the output goes through
+ * validateNewsletterHtml(); AI output that is rejected is replaced by the category's
+ * template (or the built-in layout), and the report records the fallback.
+ * @param {Object} options
+ * @param {Array} options.articles - Curated articles, in newsletter order.
+ * @param {string} options.title
+ * @param {string} options.category
+ * @param {'ai'|'template'} [options.renderMode='ai']
+ * @param {Object} [options.template] - The template to render (template mode only); see resolveTemplate().
+ * @returns {Promise<{ html: string, renderMode: string, generatedBy: string, validationReport: Object }>}
+ */
+export const generateNewsletterHtml = async ({ articles, title, category, renderMode = 'ai', template }) => {
+    if (renderMode === 'template') {
+        const rendered = renderTemplate({ articles, title, category, template });
+        const { html, report } = validateNewsletterHtml(rendered.html, articles);
+        return { html, renderMode, generatedBy: rendered.generatedBy, validationReport: report };
+    }
+
+    const prompt = createAdvancedNewsletterHtmlPrompt(articles, title);
+    const result = await generateText('newsletter-html', { prompt, context: { title, articles } });
+    const rawHtml = result.text.replace(/^```html\n/, '').replace(/\n```$/, '');
+
+    if (!rawHtml || rawHtml.length < 100) {
+        throw new Error('AI returned an empty or invalid HTML response.');
+    }
+
+    const { html, report } = validateNewsletterHtml(rawHtml, articles);
+    if (report.status !== 'rejected') {
+        return { html, renderMode, generatedBy: `${result.provider}:${result.model}`, validationReport: report };
+    }
+
+    console.warn(`[PDF LOG] AI output rejected (${report.reason}) Falling back to the category template.`);
+    const fallback = renderTemplate({ articles, title, category, template: await resolveTemplate({ category }) });
+    return {
+        html: validateNewsletterHtml(fallback.html, articles).html,
+        renderMode: 'template',
+        generatedBy: fallback.generatedBy,
+        validationReport: { ...report, fallback: fallback.generatedBy },
+    };
+};
+
+/**
+ * Renders newsletter HTML to an A4 PDF on a pooled browser. JavaScript is disabled
+ * and the page may only load inline data and the given image URLs, so nothing in the
+ * document can reach other hosts from the server.
+ * @param {string} html - Sanitized HTML; see validateNewsletterHtml().
+ * @param {string[]} [allowedImageUrls] - Usually the newsletter's article images.
+ * @returns {Promise<Buffer>}
+ */
+export const renderPdf = (html, allowedImageUrls = []) => {
+    const allowed = new Set(allowedImageUrls.filter(Boolean));
+    return withPage(async (page) => {
+        await page.setJavaScriptEnabled(false);
+        await page.setRequestInterception(true);
+        page.on('request', (request) => {
+            const url = request.url();
+            const permitted = url.startsWith('data:') || url === 'about:blank'
+                || (request.resourceType() === 'image' && allowed.has(url));
+            if (permitted) request.continue();
+            else request.abort('blockedbyclient');
+        });
+        await page.setContent(html, { waitUntil: 'networkidle0' });
+        return Buffer.from(await page.pdf({ format: 'A4', printBackground: true }));
+    });
+};
@@ -0,0 +1,84 @@
+import Newsletter from '../models/newsletter.model.js';
+import NewsletterRevision from '../models/newsletterRevision.model.js';
+
+/**
+ * Saves a newsletter and snapshots its current title, articles, HTML and PDF as its next
+ * revision, moving currentRevision on to the new number.
+ * @param {Object} newsletter - A Newsletter document.
+ * @param {Object} options
+ * @param {string} [options.createdBy] - The user id.
+ * @param {string} options.note - What produced the revision, e.g. 'Generated'.
+ * @returns {Promise<Object>} The NewsletterRevision.
+ */
+export const recordRevision = async (newsletter, { createdBy, note }) => {
+    newsletter.needsRegeneration = false;
+    await newsletter.save();
+
+    // Numbered atomically, so concurrent edits of the same newsletter get different numbers.
+    const { currentRevision: number } = await Newsletter.findOneAndUpdate(
+        { _id: newsletter._id },
+        { $inc: { currentRevision: 1 } },
+        { new: true, projection: { currentRevision: 1 } }
+    );
+    newsletter.currentRevision = number;
+    newsletter.unmarkModified('currentRevision');
+
+    return NewsletterRevision.create({
+        newsletter: newsletter._id,
+        number,
+        title: newsletter.title,
+        articles: newsletter.articles,
+        renderMode: newsletter.renderMode,
+        template: newsletter.template,
+        generatedBy: newsletter.generatedBy,
+        validationReport: newsletter.validationReport,
+        note,
+        createdBy,
+        htmlContent: newsletter.htmlContent,
+        pdfContent: newsletter.pdfContent,
+    });
+};
+
+/**
+ * Newsletters generated before revisions existed have none. Records their current
+ * state as revision 1 before the first edit, so it can still be rolled back to.
+ * @param {Object} newsletter - A Newsletter document.
+ * @param {string} [userId]
+ */
+export const ensureBaselineRevision = async (newsletter, userId) => {
+    if (newsletter.currentRevision > 0 || !newsletter.pdfContent || !newsletter.pdfContent.data) return;
+    await recordRevision(newsletter, { createdBy: userId, note: 'Original version' });
+};
+
+const idsOf = (articles) => articles.map(a => (a._id || a).toString());
+
+/**
+ * Compares the article lists of two revisions.
+ * @param {Object} from - The older NewsletterRevision (articles may be populated).
+ * @param {Object} to - The newer NewsletterRevision.
+ * @returns {{ titleChanged: boolean, added: Array, removed: Array, moved: Array, unchanged: Array }}
+ *   Articles are reported as { _id, title } with their positions (1-based) in each revision.
+ */
+export const diffRevisions = (from, to) => {
+    const fromIds = idsOf(from.articles);
+    const toIds = idsOf(to.articles);
+    const titles = new Map([...from.articles, ...to.articles].filter(a => a.title).map(a => [a._id.toString(), a.title]));
+    const describe = (id, extra) => ({ _id: id, title: titles.get(id) || null, ...extra });
+
+    // An article only counts as moved if its order relative to the other kept articles
+    // changed, so removing the first story does not mark every later one as moved.
+    const keptBefore = fromIds.filter(id => toIds.includes(id));
+    const keptAfter = toIds.filter(id => fromIds.includes(id));
+
+    const diff = { titleChanged: from.title !== to.title, added: [], removed: [], moved: [], unchanged: [] };
+    toIds.forEach((id, i) => {
+        const before = fromIds.indexOf(id);
+        if (before === -1) diff.added.push(describe(id, { position: i + 1 }));
+        else if (keptBefore.indexOf(id) !== keptAfter.indexOf(id)) diff.moved.push(describe(id, { from: before + 1, to: i + 1 }));
+        else diff.unchanged.push(describe(id, { position: i + 1 }));
+    });
+    fromIds.forEach((id, i) => {
+        if (!toIds.includes(id)) diff.removed.push(describe(id, { position: i + 1 }));
+    });
+    return diff;
+};
@@ -0,0 +1,154 @@
+import Category from '../models/category.model.js';
+import User from '../models/user.model.js';
+import Notification from '../models/notification.model.js';
+import CuratedArticle from '../models/article.model.js';
+import { managesCategories } from './accessPolicy.js';
+
+/**
+ * The newsletter approval workflow. Authors (the category's admins, per Category.admins) submit a newsletter
+ * for review; a category reviewer or a superadmin approves or declines it; only
+ * approved newsletters can be sent.
+ *
+ *   Not Sent --submit--> pending --approve--> approved --send--> sent
+ *   declined --submit--> pending --decline--> declined
+ *   pending --withdraw--> Not Sent,  approved --reopen--> Not Sent
+ */
+export const TRANSITIONS = {
+    submit: { from: ['Not Sent', 'declined'], to: 'pending', by: 'author' },
+    withdraw: { from: ['pending'], to: 'Not Sent', by: 'author' },
+    approve: { from: ['pending'], to: 'approved', by: 'reviewer' },
+    decline: { from: ['pending'], to: 'declined', by: 'reviewer', commentRequired: true },
+    reopen: { from: ['approved'], to: 'Not Sent', by: 'author' },
+    // 'sent' -> 'sent' lets an already-sent newsletter go to more recipients.
+    send: { from: ['approved', 'sent'], to: 'sent', by: 'author' },
+};
+
+// Statuses in which the title, articles and PDF may still change.
+export const EDITABLE_STATUSES = ['Not Sent', 'declined'];
+
+const ACTION_PAST_TENSE = { submit: 'submitted for review', withdraw: 'withdrawn from review', approve: 'approved', decline: 'declined', reopen: 'reopened for editing', send: 'sent' };
+
+const isAuthor = (user, newsletter) => managesCategories(user, newsletter.category);
+
+const reviewersOf = async (categoryName) => {
+    const category = await Category.findOne({ name: categoryName }).select('reviewers');
+    return category ? category.reviewers.map(id => id.toString()) : [];
+};
+
+/**
+ * Whether a user may approve or decline newsletters in a category.
+ * @param {Object} user - A User document.
+ * @param {string} categoryName
+ * @returns {Promise<boolean>}
+ */
+export const canReview = async (user, categoryName) => user.userType === 'superadmin'
+    || (await reviewersOf(categoryName)).includes(user._id.toString());
+
+// Reviewers of the category, or every superadmin if it has none.
+const reviewerRecipients = async (categoryName) => {
+    const reviewers = await reviewersOf(categoryName);
+    if (reviewers.length > 0) return reviewers;
+    const superadmins = await User.find({ userType: 'superadmin', status: 'Active' }).select('_id');
+    return superadmins.map(u => u._id.toString());
+};
+
+const notify = async (userIds, newsletter, message) => {
+    if (userIds.length === 0) return;
+    try {
+        await Notification.insertMany(userIds.map(user => ({
+            user,
+            newsletter: newsletter._id,
+            message,
+            actionUrl: '/dashboard?tab=generated-newsletters',
+        })), { ordered: false });
+    } catch (err) {
+        console.error('Failed to create workflow notifications.', err);
+    }
+};
+
+const notifyParticipants = async (newsletter, action, actorId, comment) => {
+    const title = `"${newsletter.title}"`;
+    const others = (ids) => [...new Set(ids.filter(Boolean).map(String))].filter(id => id !== actorId);
+    const withComment = comment ? `: ${comment}` : '.';
+
+    if (action === 'submit') {
+        await notify(others(await reviewerRecipients(newsletter.category)), newsletter, `Newsletter ${title} is waiting for your review.`);
+    } else if (action === 'withdraw') {
+        await notify(others(await reviewerRecipients(newsletter.category)), newsletter, `Newsletter ${title} was withdrawn from review.`);
+    } else if (action === 'approve' || action === 'decline') {
+        await notify(others([newsletter.submittedBy]), newsletter, `Newsletter ${title} was ${ACTION_PAST_TENSE[action]}${withComment}`);
+    }
+};
+
+/**
+ * Checks whether a user may apply a workflow action to a newsletter in its current status.
+ * @param {Object} newsletter - A Newsletter document.
+ * @param {string} action - One of the keys of TRANSITIONS.
+ * @param {Object} options
+ * @param {string} options.actorId - The user performing the action.
+ * @param {string} [options.comment] - Required when declining.
+ * @returns {Promise<{ actor?: Object, comment?: string, error?: string, status?: number }>} The acting
+ *   user and trimmed comment, or an error message with the HTTP status to respond with.
+ */
+export const checkTransition = async (newsletter, action, { actorId, comment }) => {
+    const transition = TRANSITIONS[action];
+    if (!transition) return { error: `Unknown action "${action}".`, status: 400 };
+
+    if (!transition.from.includes(newsletter.status)) {
+        return { error: `Cannot ${action} a newsletter that is "${newsletter.status}".`, status: 409 };
+    }
+    const trimmedComment = typeof comment === 'string' ? comment.trim() : '';
+    if (transition.commentRequired && !trimmedComment) {
+        return { error: `A comment is required to ${action} a newsletter.`, status: 400 };
+    }
+
+    const actor = await User.findById(actorId);
+    if (!actor || actor.status !== 'Active') return { error: 'User not found.', status: 404 };
+    if (transition.by === 'author' && !(await isAuthor(actor, newsletter))) {
+        return { error: `Only admins of "${newsletter.category}" can ${action} this newsletter.`, status: 403 };
+    }
+    if (transition.by === 'reviewer') {
+        if (!(await canReview(actor, newsletter.category))) {
+            return { error: `Only reviewers of "${newsletter.category}" or a superadmin can ${action} this newsletter.`, status: 403 };
+        }
+        if (actor.userType !== 'superadmin' && newsletter.submittedBy && newsletter.submittedBy.toString() === actor._id.toString()) {
+            return { error: 'You cannot review a newsletter you submitted.', status: 403 };
+        }
+    }
+    return { actor, comment: trimmedComment };
+};
+
+/**
+ * Applies a workflow action to a newsletter, records it in statusHistory, saves it and
+ * notifies the people involved. Takes the same arguments as checkTransition().
+ * @returns {Promise<{ newsletter?: Object, error?: string, status?: number }>} The saved newsletter,
+ *   or an error message with the HTTP status to respond with.
+ */
+export const transitionNewsletter = async (newsletter, action, options) => {
+    const check = await checkTransition(newsletter, action, options);
+    if (check.error) return check;
+    const { actor, comment } = check;
+
+    const from = newsletter.status;
+    newsletter.status = TRANSITIONS[action].to;
+    if (action === 'submit') newsletter.submittedBy = actor._id;
+    newsletter.statusHistory.push({ from, to: newsletter.status, action, actor: actor._id, comment: comment || undefined, at: new Date() });
+    await newsletter.save();
+    if (action === 'send') {
+        await CuratedArticle.updateMany({ _id: { $in: newsletter.articles } }, { editorialStatus: 'used' });
+    }
+
+    await notifyParticipants(newsletter, action, actor._id.toString(), comment);
+    return { newsletter };
+};
+
+/**
+ * Maps a requested status to the workflow action that reaches it from the current status,
+ * for clients that still use PATCH /:id/status.
+ * @returns {string|null}
+ */
+export const actionForStatus = (currentStatus, requestedStatus) => {
+    const match = Object.entries(TRANSITIONS)
+        .find(([action, t]) => action !== 'send' && t.to === requestedStatus && t.from.includes(currentStatus));
+    return match ? match[0] : null;
+};
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import User from '../models/user.model.js';
+import PasswordResetToken from '../models/passwordResetToken.model.js';
+import { sendMail } from './mailer/index.js';
+import { revokeUserSessions } from './sessions.js';
+import { appUrl } from '../utils/urls.js';
+import { escapeHtml } from '../utils/html.js';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60;
+// A new reset email is not sent while one from the last few minutes is still unused.
+const RESET_REQUEST_COOLDOWN_MS = 2 * 60 * 1000;
+
+const PASSWORD_CHANGE_AUDIENCE = 'password-change';
+const PASSWORD_CHANGE_TOKEN_TTL = '15m';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @param {*} password
+ * @returns {string|null} Why the password cannot be used, or null if it can.
+ */
+export const passwordProblem = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+    }
+    return null;
+};
+
+/**
+ * Sets a user's chosen password, clears any pending forced change and signs out every session.
+ * @param {Object} user - A User document.
+ * @param {string} password - Already checked with passwordProblem().
+ * @param {string} reason - Recorded on the revoked sessions.
+ */
+const setPassword = async (user, password, reason) => {
+    const salt = await bcrypt.genSalt();
+    user.password = await bcrypt.hash(password, salt);
+    user.mustChangePassword = false;
+    await user.save();
+    await revokeUserSessions(user._id, reason);
+};
+
+/**
+ * Emails a single-use password reset link if the address belongs to an active account.
+ * Callers answer the same way whatever happens, so the endpoint does not reveal which emails have accounts.
+ * @param {string} email
+ * @param {Object} req - The request, for the requester's IP.
+ * @returns {Promise<void>}
+ */
+export const requestPasswordReset = async (email, req) => {
+    const user = await User.findOne({ email: String(email).trim() }).select('name email status');
+    if (!user || user.status !== 'Active') return;
+
+    const recent = await PasswordResetToken.exists({
+        user: user._id,
+        usedAt: null,
+        createdAt: { $gt: new Date(Date.now() - RESET_REQUEST_COOLDOWN_MS) },
+    });
+    if (recent) return;
+
+    await sendResetLink(user, { requestedIp: req.ip });
+};
+
+/**
+ * Emails a user a single-use link to choose a new password. Any earlier unused link stops working.
+ * @param {Object} user - A User document with name and email.
+ * @param {Object} [options]
+ * @param {string} [options.requestedIp]
+ * @param {boolean} [options.byAdmin] - A superadmin reset the password, rather than the user asking.
+ * @returns {Promise<void>}
+ */
+export const sendResetLink = async (user, { requestedIp, byAdmin = false } = {}) => {
+    // Only the newest link works.
+    await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+    const token = crypto.randomBytes(32).toString('base64url');
+    await PasswordResetToken.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+        requestedIp,
+    });
+
+    const link = appUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+    const reason = byAdmin
+        ? `A Super Admin reset the password for ${user.email}; your old password no longer works.`
+        : `We received a request to reset the password for ${user.email}.`;
+    const ignore = byAdmin
+        ? 'If the link expires, use "Forgot password" on the login page to get a new one.'
+        : 'If you did not ask for it, you can ignore this email; your password has not changed.';
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your NewsLetterAI password',
+        html: `
+            <p>Hello ${escapeHtml(user.name)},</p>
+            <p>${escapeHtml(reason)}</p>
+            <p><a href="${escapeHtml(link)}">Choose a new password</a></p>
+            <p>This link works once and expires in ${RESET_TOKEN_TTL_MINUTES} minutes. ${escapeHtml(ignore)}</p>
+            <p>The NewsLetterAI Team</p>
+        `,
+        text: `${reason}\nChoose a new password: ${link}\nThis link works once and expires in ${RESET_TOKEN_TTL_MINUTES} minutes. ${ignore}`,
+    });
+    console.log(`[PASSWORD] Sent a reset link to ${user.email}.`);
+};
+
+/**
+ * Uses a reset token to set a new password. Signs the user out everywhere.
+ * @param {string} token - From the reset link.
+ * @param {string} password
+ * @returns {Promise<{ user: Object } | { error: string, status: number }>}
+ */
+export const resetPassword = async (token, password) => {
+    const problem = passwordProblem(password);
+    if (problem) return { error: problem, status: 400 };
+    if (!token) return { error: 'This reset link is not valid.', status: 400 };
+
+    // Claimed atomically so the link cannot be used twice.
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+        { tokenHash: hashToken(String(token)), usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() }
+    );
+    if (!resetToken) return { error: 'This reset link is not valid or has expired. Please request a new one.', status: 400 };
+
+    const user = await User.findById(resetToken.user);
+    if (!user || user.status !== 'Active') return { error: 'This account is not active.', status: 400 };
+
+    await setPassword(user, password, 'password-reset');
+    console.log(`[PASSWORD] ${user.email} reset their password.`);
+    return { user };
+};
+
+/**
+ * Signs the short-lived token login hands out instead of a session while a password change is pending.
+ * @param {string} userId
+ * @returns {string}
+ */
+export const createPasswordChangeToken = (userId) => jwt.sign(
+    { sub: String(userId) },
+    process.env.JWT_SECRET,
+    { audience: PASSWORD_CHANGE_AUDIENCE, expiresIn: PASSWORD_CHANGE_TOKEN_TTL }
+);
+
+/**
+ * Completes a forced password change with the token from login.
+ * @param {string} token - From the login response.
+ * @param {string} password
+ * @returns {Promise<{ user: Object } | { error: string, status: number }>}
+ */
+export const completePasswordChange = async (token, password) => {
+    let claims;
+    try {
+        claims = jwt.verify(String(token), process.env.JWT_SECRET, { audience: PASSWORD_CHANGE_AUDIENCE });
+    } catch (err) {
+        return { error: 'Your password change has timed out. Please log in again.', status: 401 };
+    }
+    const problem = passwordProblem(password);
+    if (problem) return { error: problem, status: 400 };
+
+    const user = await User.findById(claims.sub);
+    if (!user || user.status !== 'Active') return { error: 'This account is not active.', status: 401 };
+    if (!user.mustChangePassword) return { error: 'Your password has already been changed. Please log in.', status: 409 };
+    if (await bcrypt.compare(password, user.password)) {
+        return { error: 'Choose a password different from the temporary one.', status: 400 };
+    }
+
+    await setPassword(user, password, 'password-change');
+    return { user };
+};
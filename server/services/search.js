@@ -0,0 +1,182 @@
+import CuratedArticle from '../models/article.model.js';
+import Newsletter from '../models/newsletter.model.js';
+import { managedCategoryNames } from './accessPolicy.js';
+import { dateRange } from '../utils/dateRange.js';
+
+export const SEARCH_TYPES = ['all', 'articles', 'newsletters'];
+const MAX_QUERY_LENGTH = 200;
+const MAX_PAGE_SIZE = 50;
+// How much of a long summary or description is returned around its first match.
+const SNIPPET_LENGTH = 240;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const trimPunctuation = (word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+/**
+ * The words and phrases of a search to highlight: quoted phrases whole, other words one by one,
+ * and nothing excluded with a leading '-' (MongoDB $text syntax).
+ * @param {string} q
+ * @returns {string[]}
+ */
+export const queryTerms = (q) => {
+    const terms = [];
+    const words = q.replace(/(-?)"([^"]*)"/g, (match, negated, phrase) => {
+        if (!negated && phrase.trim()) terms.push(phrase.trim());
+        return ' ';
+    });
+    for (const word of words.split(/\s+/)) {
+        if (!word.startsWith('-')) terms.push(trimPunctuation(word));
+    }
+    return [...new Set(terms.filter(Boolean).map(term => term.toLowerCase()))];
+};
+
+// Matches the terms at the start of a word, loosely stemmed like the text index: a search for
+// "deployments" highlights "deploy", "deployed" and "deployment".
+const highlightPattern = (terms) => {
+    if (terms.length === 0) return null;
+    const stems = terms
+        .map(term => (term.includes(' ') ? term : term.replace(/(?:ing|ed|es|s)$/, '') || term))
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegex);
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+/**
+ * Splits text into plain and matching segments, cut down to a snippet around the first match
+ * when asked. Segments rather than markup, so clients can render them without trusting HTML.
+ * @param {string} text
+ * @param {RegExp|null} pattern - From highlightPattern().
+ * @param {Object} [options]
+ * @param {boolean} [options.snippet]
+ * @returns {Array<{ text: string, match: boolean }>|null} null when nothing in the text matches.
+ */
+export const highlight = (text, pattern, { snippet = false } = {}) => {
+    if (!text || !pattern) return null;
+    let source = text;
+    if (snippet && text.length > SNIPPET_LENGTH) {
+        const first = text.search(pattern);
+        if (first === -1) return null;
+        const start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+        const end = start + SNIPPET_LENGTH;
+        source = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    }
+
+    const segments = [];
+    let last = 0;
+    for (const match of source.matchAll(pattern)) {
+        if (match.index > last) segments.push({ text: source.slice(last, match.index), match: false });
+        segments.push({ text: match[0], match: true });
+        last = match.index + match[0].length;
+    }
+    if (segments.length === 0) return null;
+    if (last < source.length) segments.push({ text: source.slice(last), match: false });
+    return segments;
+};
+
+// The start of a text as a single unmarked segment, for results that matched elsewhere.
+const excerpt = (text) => (text ? [{ text: text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}…` : text, match: false }] : null);
+
+// What the user may search: admins their categories' articles and newsletters (superadmins
+// everything), users the newsletters they received and the articles in them.
+const searchScope = async (user) => {
+    if (user.userType === 'superadmin') return { articles: {}, newsletters: {} };
+    if (user.userType === 'user') {
+        const received = await Newsletter.distinct('articles', { recipients: user._id });
+        return { articles: { _id: { $in: received } }, newsletters: { recipients: user._id } };
+    }
+    const categories = await managedCategoryNames(user);
+    return { articles: { category: { $in: categories } }, newsletters: { category: { $in: categories } } };
+};
+
+/**
+ * Checks and normalizes the search query parameters.
+ * @param {Object} query - Request query parameters.
+ * @returns {{ options: Object } | { error: string }}
+ */
+export const parseSearchQuery = (query) => {
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+    if (!q) return { error: 'Enter something to search for.' };
+    if (q.length > MAX_QUERY_LENGTH) return { error: `Searches can be at most ${MAX_QUERY_LENGTH} characters.` };
+    if (queryTerms(q).length === 0) return { error: 'A search needs at least one word that is not excluded.' };
+
+    const type = query.type || 'all';
+    if (!SEARCH_TYPES.includes(type)) return { error: `type must be one of: ${SEARCH_TYPES.join(', ')}.` };
+    const { range, error } = dateRange(query.from, query.to);
+    if (error) return { error };
+    if (query.inSentNewsletter !== undefined && !['true', 'false'].includes(query.inSentNewsletter)) {
+        return { error: 'inSentNewsletter must be true or false.' };
+    }
+
+    return {
+        options: {
+            q,
+            type,
+            category: typeof query.category === 'string' ? query.category : undefined,
+            source: typeof query.source === 'string' ? query.source.trim() : undefined,
+            range,
+            inSentNewsletter: query.inSentNewsletter === undefined ? undefined : query.inSentNewsletter === 'true',
+            page: Math.max(parseInt(query.page, 10) || 1, 1),
+            limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_PAGE_SIZE),
+        },
+    };
+};
+
+const ranked = async (Model, filter, select, { page, limit }) => {
+    const score = { score: { $meta: 'textScore' } };
+    const [results, total] = await Promise.all([
+        Model.find(filter, score).select(select).sort(score).skip((page - 1) * limit).limit(limit).lean(),
+        Model.countDocuments(filter),
+    ]);
+    return { results, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+/**
+ * Full-text search over curated articles (title, summary, description) and newsletter titles,
+ * ranked by relevance, within what the user may see.
+ * Filters: category; source (article source name, for newsletters one of their articles');
+ * range (articles by publication date, newsletters by creation date); inSentNewsletter
+ * (articles in / not in a sent newsletter, newsletters sent / not yet sent).
+ * @param {Object} user - The User document searching.
+ * @param {Object} options - From parseSearchQuery().
+ * @returns {Promise<{ query: string, articles?: Object, newsletters?: Object }>} Each type that was
+ *   searched, with its page of results (each with a score and highlights) and totals.
+ */
+export const search = async (user, { q, type, category, source, range, inSentNewsletter, page, limit }) => {
+    const scope = await searchScope(user);
+    const pattern = highlightPattern(queryTerms(q));
+    const sentArticleIds = inSentNewsletter === undefined ? null : await Newsletter.distinct('articles', { status: 'sent' });
+    const sourceFilter = source ? { sourceName: { $regex: `^${escapeRegex(source)}$`, $options: 'i' } } : null;
+    const response = { query: q };
+
+    if (type === 'all' || type === 'articles') {
+        const conditions = [{ $text: { $search: q } }, scope.articles];
+        if (category) conditions.push({ category });
+        if (sourceFilter) conditions.push(sourceFilter);
+        if (range) conditions.push({ publishedAt: range });
+        if (sentArticleIds) conditions.push({ _id: inSentNewsletter ? { $in: sentArticleIds } : { $nin: sentArticleIds } });
+
+        const articles = await ranked(CuratedArticle, { $and: conditions }, 'title sourceName originalUrl imageUrl publishedAt category summary description createdAt', { page, limit });
+        articles.results = articles.results.map(({ summary, description, ...article }) => ({
+            ...article,
+            highlights: {
+                title: highlight(article.title, pattern),
+                summary: highlight(summary || description, pattern, { snippet: true }) || excerpt(summary || description),
+            },
+        }));
+        response.articles = articles;
+    }
+
+    if (type === 'all' || type === 'newsletters') {
+        const conditions = [{ $text: { $search: q } }, scope.newsletters];
+        if (category) conditions.push({ category });
+        if (sourceFilter) conditions.push({ articles: { $in: await CuratedArticle.distinct('_id', { $and: [scope.articles, sourceFilter] }) } });
+        if (range) conditions.push({ createdAt: range });
+        if (inSentNewsletter !== undefined) conditions.push({ status: inSentNewsletter ? 'sent' : { $ne: 'sent' } });
+
+        const newsletters = await ranked(Newsletter, { $and: conditions }, 'title category status createdAt', { page, limit });
+        newsletters.results = newsletters.results.map(newsletter => ({ ...newsletter, highlights: { title: highlight(newsletter.title, pattern) } }));
+        response.newsletters = newsletters;
+    }
+
+    return response;
+};
@@ -0,0 +1,162 @@
+import { format, subDays } from 'date-fns';
+
+const LIST_FIELDS = ['includeTerms', 'excludeTerms', 'requiredPhrases', 'requiredTerms', 'preferredDomains', 'blockedDomains'];
+const DOMAIN_FIELDS = ['preferredDomains', 'blockedDomains'];
+const DEFAULT_LANGUAGE = 'en';
+const DEFAULT_LOOKBACK_DAYS = 7;
+const MAX_LOOKBACK_DAYS = 30;
+// NewsAPI rejects q values longer than this.
+const MAX_QUERY_LENGTH = 500;
+
+const emptyProfile = () => ({
+    includeTerms: [],
+    excludeTerms: [],
+    requiredPhrases: [],
+    requiredTerms: [],
+    preferredDomains: [],
+    blockedDomains: [],
+    language: DEFAULT_LANGUAGE,
+    lookbackDays: DEFAULT_LOOKBACK_DAYS,
+});
+
+// Profiles for the categories that used to be hard-coded in routes/news.js. They are
+// used until a category's profile is edited and saved.
+const STARTER_PROFILES = {
+    'java': { requiredPhrases: ['Java'], includeTerms: ['framework', 'library', 'performance', 'Spring', 'Quarkus'], excludeTerms: ['coffee', 'island'] },
+    'information security': { includeTerms: ['cybersecurity', 'data breach', 'vulnerability', 'phishing', 'malware'], excludeTerms: ['job', 'hiring'] },
+    'data science': { includeTerms: ['machine learning', 'artificial intelligence', 'Pandas', 'NumPy', 'TensorFlow'], excludeTerms: ['course', 'bootcamp'] },
+    'devops': { includeTerms: ['DevOps', 'CI/CD', 'Docker', 'Kubernetes'], requiredTerms: ['automation', 'cloud', 'infrastructure'] },
+};
+
+/**
+ * Returns the search profile a category is fetched with: its saved profile, else the
+ * starter profile for its name, else an empty profile (which searches for the name itself).
+ * @param {Object} category - A Category document (or any object with a name).
+ * @returns {{ profile: Object, isDefault: boolean }}
+ */
+export const resolveSearchProfile = (category) => {
+    const saved = category.searchProfile && typeof category.searchProfile.toObject === 'function'
+        ? category.searchProfile.toObject()
+        : category.searchProfile;
+    if (saved) return { profile: { ...emptyProfile(), ...saved }, isDefault: false };
+    return { profile: { ...emptyProfile(), ...STARTER_PROFILES[category.name.toLowerCase()] }, isDefault: true };
+};
+
+// Bare words pass through; anything with spaces or NewsAPI operator characters is quoted.
+const quoteTerm = (term) => (/^[\p{L}\p{N}]+$/u.test(term) ? term : `"${term.replace(/"/g, '')}"`);
+
+/**
+ * Compiles a profile into a NewsAPI query expression.
+ * @param {Object} profile - A resolved search profile.
+ * @param {string} categoryName - Searched for verbatim when the profile has no terms.
+ * @returns {string}
+ */
+export const compileQuery = (profile, categoryName) => {
+    const clauses = profile.requiredPhrases.map(phrase => `"${phrase.replace(/"/g, '')}"`);
+    if (profile.includeTerms.length > 0) {
+        clauses.push(`(${profile.includeTerms.map(quoteTerm).join(' OR ')})`);
+    }
+    if (profile.requiredTerms.length > 0) {
+        clauses.push(`(${profile.requiredTerms.map(quoteTerm).join(' OR ')})`);
+    }
+    if (clauses.length === 0) {
+        clauses.push(`"${categoryName.replace(/"/g, '')}"`);
+    }
+
+    let query = clauses.join(' AND ');
+    if (profile.excludeTerms.length > 0) {
+        query += ` NOT (${profile.excludeTerms.map(quoteTerm).join(' OR ')})`;
+    }
+    return query;
+};
+
+/**
+ * Builds the options passed to news providers for a category.
+ * @returns {{ query: string, from: string, language: string, excludeDomains: string[], profile: Object }}
+ */
+export const buildSearchOptions = (category) => {
+    const { profile } = resolveSearchProfile(category);
+    return {
+        query: compileQuery(profile, category.name),
+        from: format(subDays(new Date(), profile.lookbackDays), 'yyyy-MM-dd'),
+        language: profile.language,
+        excludeDomains: profile.blockedDomains,
+        profile,
+    };
+};
+
+const hostOf = (url) => {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+};
+
+const matchesDomain = (host, domains) => domains.some(d => host === d || host.endsWith(`.${d}`));
+
+/**
+ * Applies the parts of a profile every provider can honour after the fetch: blocked
+ * domains and excluded terms are dropped, preferred domains are listed first.
+ * @param {Array} articles - Normalized articles.
+ * @param {Object} profile - A resolved search profile.
+ * @returns {Array}
+ */
+export const applySearchProfile = (articles, profile) => {
+    const excluded = profile.excludeTerms.map(t => t.toLowerCase());
+    const kept = articles.filter(article => {
+        if (matchesDomain(hostOf(article.url), profile.blockedDomains)) return false;
+        const text = `${article.title} ${article.description}`.toLowerCase();
+        return !excluded.some(term => new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text));
+    });
+    if (profile.preferredDomains.length === 0) return kept;
+
+    const preferred = kept.filter(a => matchesDomain(hostOf(a.url), profile.preferredDomains));
+    return [...preferred, ...kept.filter(a => !preferred.includes(a))];
+};
+
+/**
+ * Validates a (partial) profile submitted by a client.
+ * @param {Object} input - The submitted fields.
+ * @param {Object} [base] - The profile being updated; omitted fields keep its values.
+ * @returns {{ profile?: Object, error?: string }}
+ */
+export const validateSearchProfile = (input, base = emptyProfile()) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Search profile must be an object.' };
+    }
+    const profile = { ...emptyProfile(), ...base };
+
+    for (const field of LIST_FIELDS) {
+        if (input[field] === undefined) continue;
+        if (!Array.isArray(input[field]) || input[field].some(v => typeof v !== 'string')) {
+            return { error: `${field} must be an array of strings.` };
+        }
+        let values = input[field].map(v => v.trim()).filter(Boolean);
+        if (DOMAIN_FIELDS.includes(field)) {
+            values = values.map(d => d.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, ''));
+            const invalid = values.find(d => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(d));
+            if (invalid) return { error: `"${invalid}" is not a valid domain.` };
+        }
+        profile[field] = [...new Set(values)];
+    }
+
+    if (input.language !== undefined) {
+        if (typeof input.language !== 'string' || !/^[a-z]{2}$/.test(input.language)) {
+            return { error: 'language must be a two-letter language code.' };
+        }
+        profile.language = input.language;
+    }
+    if (input.lookbackDays !== undefined) {
+        const days = Number(input.lookbackDays);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_LOOKBACK_DAYS) {
+            return { error: `lookbackDays must be a whole number between 1 and ${MAX_LOOKBACK_DAYS}.` };
+        }
+        profile.lookbackDays = days;
+    }
+
+    if (compileQuery(profile, '').length > MAX_QUERY_LENGTH) {
+        return { error: `The compiled query exceeds ${MAX_QUERY_LENGTH} characters. Remove some terms.` };
+    }
+    return { profile };
+};
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/session.model.js';
+
+const ACCESS_TOKEN_AUDIENCE = 'access';
+const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// How stale lastUsedAt may get before a request bothers to update it.
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<session id>.<random secret>"; only the secret's hash is stored.
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+    return { sessionId, secret };
+};
+
+/**
+ * Signs a short-lived access token for a session. Sent as the x-auth-token header.
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {string}
+ */
+export const createAccessToken = (userId, sessionId) => jwt.sign(
+    { id: String(userId), sid: String(sessionId) },
+    process.env.JWT_SECRET,
+    { audience: ACCESS_TOKEN_AUDIENCE, expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+);
+
+/**
+ * @param {string} token
+ * @returns {{ userId: string, sessionId: string } | { error: string, expired?: boolean }}
+ */
+export const verifyAccessToken = (token) => {
+    try {
+        const claims = jwt.verify(token, process.env.JWT_SECRET, { audience: ACCESS_TOKEN_AUDIENCE });
+        if (!claims.id || !claims.sid) return { error: 'Token is not valid.' };
+        return { userId: claims.id, sessionId: claims.sid };
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') return { error: 'Your session token has expired.', expired: true };
+        return { error: 'Token is not valid.' };
+    }
+};
+
+/**
+ * Starts a session for a user who has just proved who they are.
+ * @param {Object} user - A User document.
+ * @param {Object} req - The login request, for the device details shown in the session list.
+ * @returns {Promise<{ token: string, refreshToken: string, session: Object }>}
+ */
+export const createSession = async (user, req) => {
+    const secret = newRefreshSecret();
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(secret),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+        expiresAt: refreshExpiry(),
+    });
+    return {
+        token: createAccessToken(user._id, session._id),
+        refreshToken: `${session._id}.${secret}`,
+        session,
+    };
+};
+
+/**
+ * Swaps a refresh token for a new access token and a new refresh token. The old refresh
+ * token stops working; presenting it again revokes the session.
+ * @param {string} refreshToken
+ * @param {Object} req - The refresh request.
+ * @returns {Promise<{ token: string, refreshToken: string, session: Object } | { error: string, status: number }>}
+ */
+export const rotateSession = async (refreshToken, req) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return { error: 'Refresh token is not valid.', status: 401 };
+
+    const presentedHash = hashToken(parsed.secret);
+    const secret = newRefreshSecret();
+    const now = new Date();
+    // Claimed atomically so two refreshes racing with the same token cannot both succeed.
+    const session = await Session.findOneAndUpdate(
+        { _id: parsed.sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            refreshTokenHash: hashToken(secret),
+            previousTokenHash: presentedHash,
+            lastUsedAt: now,
+            expiresAt: refreshExpiry(),
+            userAgent: req.get('User-Agent'),
+            ip: req.ip,
+        },
+        { new: true }
+    );
+    if (session) {
+        return {
+            token: createAccessToken(session.user, session._id),
+            refreshToken: `${session._id}.${secret}`,
+            session,
+        };
+    }
+
+    const reused = await Session.findOneAndUpdate(
+        { _id: parsed.sessionId, previousTokenHash: presentedHash, revokedAt: null },
+        { revokedAt: now, revokedReason: 'refresh-token-reuse' }
+    );
+    if (reused) console.warn(`[SESSION] Revoked session ${reused._id} of user ${reused.user}: a replaced refresh token was used again.`);
+    return { error: 'Your session has ended. Please log in again.', status: 401 };
+};
+
+/**
+ * Looks up the live session an access token names, refreshing its lastUsedAt now and then.
+ * @param {string} sessionId
+ * @param {string} userId
+ * @returns {Promise<Object|null>} The session, or null if it was revoked, has expired or is someone else's.
+ */
+export const findLiveSession = async (sessionId, userId) => {
+    const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('lastUsedAt');
+    if (session && Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+        Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() })
+            .catch(err => console.error('[SESSION] Failed to record session use:', err.message));
+    }
+    return session;
+};
+
+/**
+ * Ends one session, e.g. on logout.
+ * @param {string} sessionId
+ * @param {string} reason - Recorded on the session, e.g. 'logout'.
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Only end it if it belongs to this user.
+ * @returns {Promise<boolean>} Whether a live session was ended.
+ */
+export const revokeSession = async (sessionId, reason, { userId } = {}) => {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) filter.user = userId;
+    const { modifiedCount } = await Session.updateOne(filter, { revokedAt: new Date(), revokedReason: reason });
+    return modifiedCount > 0;
+};
+
+/**
+ * Ends a session by its refresh token, so clients whose access token has already expired can still log out.
+ * @param {string} refreshToken
+ * @returns {Promise<boolean>} Whether a live session was ended.
+ */
+export const revokeSessionByRefreshToken = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+    const { modifiedCount } = await Session.updateOne(
+        { _id: parsed.sessionId, refreshTokenHash: hashToken(parsed.secret), revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+    return modifiedCount > 0;
+};
+
+/**
+ * Ends every live session of a user: logout everywhere, a password change or reset, deactivation.
+ * @param {string} userId
+ * @param {string} reason - Recorded on each session, e.g. 'password-reset'.
+ * @param {Object} [options]
+ * @param {string} [options.except] - A session to keep, e.g. the one changing the password.
+ * @returns {Promise<number>} How many sessions were ended.
+ */
+export const revokeUserSessions = async (userId, reason, { except } = {}) => {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+    const { modifiedCount } = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    if (modifiedCount > 0) console.log(`[SESSION] Revoked ${modifiedCount} session(s) of user ${userId} (${reason}).`);
+    return modifiedCount;
+};
+
+/**
+ * A user's live sessions, most recently used first.
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+export const listUserSessions = (userId) => Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
@@ -0,0 +1,142 @@
+import { subDays } from 'date-fns';
+import CuratedArticle from '../models/article.model.js';
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it', 'its',
+    'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with', 'after', 'new', 'says', 'over',
+]);
+
+const similarityThreshold = () => Number(process.env.CLUSTER_SIMILARITY_THRESHOLD ?? 0.5);
+const CURATED_LOOKBACK_DAYS = 30;
+
+// Aggregators append the outlet to the headline ("Big news - The Verge"); that suffix is noise here.
+const stripOutletSuffix = (title) => title.replace(/\s+[-|–—]\s+[^-|–—]{2,40}$/, '');
+
+const tokenize = (text) => (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+
+// Word bigrams, plus the single word for texts too short to have any.
+const shingles = (tokens) => {
+    if (tokens.length < 2) return new Set(tokens);
+    const set = new Set();
+    for (let i = 0; i < tokens.length - 1; i++) set.add(`${tokens[i]} ${tokens[i + 1]}`);
+    return set;
+};
+
+const jaccard = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const s of a) if (b.has(s)) shared++;
+    return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Precomputes the shingle sets used to compare an article with others.
+ * Works with both NewsAPI-shaped articles and CuratedArticle documents.
+ */
+export const fingerprint = (article) => {
+    const title = stripOutletSuffix(article.title || '');
+    return {
+        url: article.url || article.originalUrl,
+        title: shingles(tokenize(title)),
+        body: shingles(tokenize(`${title} ${article.description || ''}`)),
+        description: shingles(tokenize(article.description)),
+    };
+};
+
+// Descriptions shorter than this are too generic ("Read more.") to compare on their own.
+const MIN_DESCRIPTION_SHINGLES = 6;
+
+/**
+ * Similarity in [0, 1] of two fingerprints. Outlets rewrite headlines far more often
+ * than the wire copy underneath, so the strongest of the headline, description and
+ * combined scores wins.
+ */
+export const similarity = (a, b) => {
+    if (a.url && a.url === b.url) return 1;
+    const descriptionScore = a.description.size >= MIN_DESCRIPTION_SHINGLES && b.description.size >= MIN_DESCRIPTION_SHINGLES
+        ? jaccard(a.description, b.description)
+        : 0;
+    return Math.max(jaccard(a.title, b.title), jaccard(a.body, b.body), descriptionScore);
+};
+
+// Prefer the member that will look best in the curation list: has an image, says the most, came first.
+const pickRepresentative = (members) => [...members].sort((a, b) =>
+    Number(Boolean(b.urlToImage)) - Number(Boolean(a.urlToImage)) ||
+    (b.description || '').length - (a.description || '').length ||
+    new Date(a.publishedAt || 0) - new Date(b.publishedAt || 0)
+)[0];
+
+/**
+ * Groups near-duplicate articles into story clusters and returns one representative
+ * per cluster, annotated with the other outlets that covered the same story.
+ * @param {Array} articles - NewsAPI-shaped articles.
+ * @returns {Array} Representatives, each with a `cluster` of `{ size, alsoCoveredBy }`.
+ */
+export const clusterArticles = (articles) => {
+    const prints = articles.map(fingerprint);
+    const threshold = similarityThreshold();
+
+    // Union-find over every pair that clears the threshold.
+    const parent = articles.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    for (let i = 0; i < articles.length; i++) {
+        for (let j = i + 1; j < articles.length; j++) {
+            if (similarity(prints[i], prints[j]) >= threshold) parent[find(j)] = find(i);
+        }
+    }
+
+    const groups = new Map();
+    articles.forEach((article, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(article);
+    });
+
+    return [...groups.values()].map(members => {
+        const representative = pickRepresentative(members);
+        return {
+            ...representative,
+            cluster: {
+                size: members.length,
+                alsoCoveredBy: members
+                    .filter(m => m !== representative)
+                    .map(m => ({ name: m.source.name, title: m.title, url: m.url })),
+            },
+        };
+    });
+};
+
+/**
+ * Finds the closest already-curated article in the same category for each article.
+ * @param {Array} articles - NewsAPI-shaped articles carrying a `category`.
+ * @returns {Promise<Array<{ _id, title, similarity }|null>>} One match (or null) per article, in order.
+ */
+export const findCuratedDuplicates = async (articles) => {
+    const categories = [...new Set(articles.map(a => a.category).filter(Boolean))];
+    if (categories.length === 0) return articles.map(() => null);
+
+    const curated = await CuratedArticle.find({
+        category: { $in: categories },
+        createdAt: { $gte: subDays(new Date(), CURATED_LOOKBACK_DAYS) },
+    }).select('title description originalUrl category');
+    const curatedPrints = curated.map(c => ({ doc: c, print: fingerprint(c) }));
+    const threshold = similarityThreshold();
+
+    return articles.map(article => {
+        const print = fingerprint(article);
+        let best = null;
+        for (const { doc, print: curatedPrint } of curatedPrints) {
+            if (doc.category !== article.category) continue;
+            const score = similarity(print, curatedPrint);
+            if (score >= threshold && (!best || score > best.similarity)) {
+                best = { _id: doc._id, title: doc.title, similarity: Number(score.toFixed(2)) };
+            }
+        }
+        return best;
+    });
+};
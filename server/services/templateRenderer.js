@@ -0,0 +1,144 @@
+import { format } from 'date-fns';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * Placeholders available in each template section. Values are HTML-escaped.
+ * Sections can also be made conditional: {{#imageUrl}}...{{/imageUrl}} renders only
+ * when the value is present, {{^imageUrl}}...{{/imageUrl}} only when it is missing.
+ */
+export const PLACEHOLDERS = {
+    newsletter: ['newsletterTitle', 'category', 'date', 'articleCount'],
+    article: ['title', 'summary', 'description', 'sourceName', 'originalUrl', 'imageUrl', 'category', 'publishedAt', 'index'],
+    pullQuote: ['quote', 'quoteTitle', 'quoteSource'],
+};
+
+const SECTIONS = ['header', 'articleBlock', 'pullQuote', 'footer'];
+
+// The fixed layout used when neither the request nor the category names a template.
+// It mirrors the design the AI prompt asks for, so switching modes keeps the look.
+export const DEFAULT_TEMPLATE = {
+    name: 'Default',
+    header: `
+        <div style="text-align: center; border-bottom: 2px solid #eeeeee; padding-bottom: 10px; margin-bottom: 20px;">
+            <h1 style="font-size: 24px; font-weight: bold; color: #333333; margin: 0 0 10px;">{{newsletterTitle}}</h1>
+            <span style="display: block; font-size: 12px; color: #777777;">{{date}} · {{category}}</span>
+        </div>`,
+    articleBlock: `
+        <div style="border-bottom: 1px solid #eeeeee; padding-bottom: 20px; margin-bottom: 20px;">
+            {{#imageUrl}}<img src="{{imageUrl}}" alt="" style="max-width: 100%; height: auto; display: block; margin-bottom: 10px; border-radius: 5px;">{{/imageUrl}}
+            <a href="{{originalUrl}}" style="display: block; font-size: 18px; font-weight: bold; color: #007bff; text-decoration: none; margin-bottom: 5px;">{{title}}</a>
+            <span style="display: block; font-size: 11px; color: #555555; margin-bottom: 8px;">{{sourceName}}</span>
+            <p style="font-size: 14px; color: #444444; line-height: 1.5; margin: 0;">{{summary}}</p>
+        </div>`,
+    pullQuote: `
+        <div style="background-color: #f9f9f9; padding: 15px; border-left: 5px solid #cccccc; margin: 20px 0;">
+            <strong style="display: block; font-size: 12px; color: #555555; margin-bottom: 5px;">Quote:</strong>
+            <em style="color: #666666;">{{quote}}</em>
+        </div>`,
+    pullQuoteAfter: 1,
+    footer: `
+        <div style="text-align: center; font-size: 11px; color: #999999; padding-top: 10px;">
+            {{articleCount}} articles curated for {{category}} · {{date}}
+        </div>`,
+};
+
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VALUE_PATTERN = /\{\{(\w+)\}\}/g;
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '' && value !== 0;
+
+/**
+ * Fills a template fragment with values. Unknown placeholders render as empty strings.
+ * @param {string} fragment
+ * @param {Object} values
+ * @returns {string}
+ */
+export const fillPlaceholders = (fragment, values) => (fragment || '')
+    .replace(SECTION_PATTERN, (_, kind, key, inner) => ((kind === '#') === isPresent(values[key]) ? inner : ''))
+    .replace(VALUE_PATTERN, (_, key) => escapeHtml(values[key]));
+
+const articleValues = (article, index) => ({
+    title: article.title,
+    summary: article.summary || article.description,
+    description: article.description,
+    sourceName: article.sourceName,
+    originalUrl: article.originalUrl,
+    imageUrl: article.imageUrl,
+    category: article.category,
+    publishedAt: article.publishedAt ? format(new Date(article.publishedAt), 'PP') : '',
+    index: index + 1,
+});
+
+/**
+ * Renders a complete newsletter document from a template.
+ * @param {Object} template - A NewsletterTemplate document or DEFAULT_TEMPLATE.
+ * @param {Object} data
+ * @param {string} data.title - The newsletter title.
+ * @param {string} data.category
+ * @param {Array} data.articles - Curated articles, in newsletter order.
+ * @returns {string} The HTML document.
+ */
+export const renderNewsletterTemplate = (template, { title, category, articles }) => {
+    const newsletterValues = {
+        newsletterTitle: title,
+        category,
+        date: format(new Date(), 'PP'),
+        articleCount: articles.length,
+    };
+    const quoted = articles[0];
+    const quoteValues = quoted
+        ? { quote: quoted.summary || quoted.description, quoteTitle: quoted.title, quoteSource: quoted.sourceName }
+        : {};
+
+    const blocks = [];
+    articles.forEach((article, i) => {
+        blocks.push(fillPlaceholders(template.articleBlock, { ...newsletterValues, ...articleValues(article, i) }));
+        if (template.pullQuote && template.pullQuoteAfter > 0 && i + 1 === template.pullQuoteAfter && quoteValues.quote) {
+            blocks.push(fillPlaceholders(template.pullQuote, { ...newsletterValues, ...quoteValues }));
+        }
+    });
+
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin: 0; background-color: #f4f4f4; font-family: Arial, sans-serif;">
+<div style="max-width: 600px; margin: 20px auto; background-color: #ffffff; padding: 20px;">
+${fillPlaceholders(template.header, newsletterValues)}
+${blocks.join('\n')}
+${fillPlaceholders(template.footer, newsletterValues)}
+</div>
+</body>
+</html>`;
+};
+
+/**
+ * Checks template sections for unbalanced conditionals and placeholders that the
+ * section cannot use.
+ * @param {Object} template - The submitted sections.
+ * @returns {string|null} An error message, or null if the template is usable.
+ */
+export const validateTemplate = (template) => {
+    const allowed = {
+        header: PLACEHOLDERS.newsletter,
+        articleBlock: [...PLACEHOLDERS.newsletter, ...PLACEHOLDERS.article],
+        pullQuote: [...PLACEHOLDERS.newsletter, ...PLACEHOLDERS.pullQuote],
+        footer: PLACEHOLDERS.newsletter,
+    };
+    for (const section of SECTIONS) {
+        const fragment = template[section];
+        if (fragment === undefined || fragment === null) continue;
+        if (typeof fragment !== 'string') return `${section} must be a string.`;
+
+        const opened = [...fragment.matchAll(/\{\{[#^](\w+)\}\}/g)].map(m => m[1]);
+        const closed = [...fragment.matchAll(/\{\{\/(\w+)\}\}/g)].map(m => m[1]);
+        if (opened.length !== closed.length || opened.some(key => !closed.includes(key))) {
+            return `${section} has an unclosed or mismatched {{#...}} section.`;
+        }
+        const unknown = [...fragment.matchAll(/\{\{[#^/]?(\w+)\}\}/g)].map(m => m[1]).find(key => !allowed[section].includes(key));
+        if (unknown) return `${section} uses unknown placeholder "{{${unknown}}}".`;
+    }
+    if (template.articleBlock !== undefined && !/\{\{(title|originalUrl)\}\}/.test(template.articleBlock)) {
+        return 'articleBlock must include {{title}} or {{originalUrl}}.';
+    }
+    return null;
+};
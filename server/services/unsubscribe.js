@@ -0,0 +1,57 @@
+import jwt from 'jsonwebtoken';
+import { publicUrl } from '../utils/urls.js';
+
+const TOKEN_AUDIENCE = 'unsubscribe';
+const TOKEN_TTL_DAYS = Number(process.env.UNSUBSCRIBE_TOKEN_TTL_DAYS) || 60;
+
+/**
+ * Signs a token that lets its holder remove one category from one user's subscriptions.
+ * Tokens carry an audience so they can never be used as login tokens.
+ * @param {Object} claims
+ * @param {string} claims.userId
+ * @param {string} claims.category
+ * @param {string} [claims.newsletterId] - The newsletter the link was sent in, for the audit trail.
+ * @returns {string}
+ */
+export const createUnsubscribeToken = ({ userId, category, newsletterId }) => jwt.sign(
+    { sub: String(userId), category, newsletter: newsletterId ? String(newsletterId) : undefined },
+    process.env.JWT_SECRET,
+    { audience: TOKEN_AUDIENCE, expiresIn: `${TOKEN_TTL_DAYS}d` }
+);
+
+/**
+ * @param {string} token
+ * @returns {{ userId: string, category: string, newsletterId?: string } | { error: string }}
+ *   The claims, or why the token was refused.
+ */
+export const verifyUnsubscribeToken = (token) => {
+    if (!token) return { error: 'This unsubscribe link is incomplete.' };
+    try {
+        const claims = jwt.verify(token, process.env.JWT_SECRET, { audience: TOKEN_AUDIENCE });
+        if (!claims.sub || !claims.category) return { error: 'This unsubscribe link is not valid.' };
+        return { userId: claims.sub, category: claims.category, newsletterId: claims.newsletter };
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') return { error: 'This unsubscribe link has expired. Use the link in a more recent newsletter.' };
+        return { error: 'This unsubscribe link is not valid.' };
+    }
+};
+
+/**
+ * The unsubscribe link and headers for one newsletter email (RFC 2369 List-Unsubscribe and
+ * RFC 8058 one-click unsubscribe).
+ * @param {Object} recipient
+ * @param {string} recipient.userId
+ * @param {string} recipient.category
+ * @param {string} [recipient.newsletterId]
+ * @returns {{ url: string, headers: Object<string, string> }}
+ */
+export const unsubscribeLink = (recipient) => {
+    const url = publicUrl(`/api/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(recipient))}`);
+    return {
+        url,
+        headers: {
+            'List-Unsubscribe': `<${url}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        },
+    };
+};
@@ -0,0 +1,214 @@
+import { parse } from 'csv-parse/sync';
+import User from '../models/user.model.js';
+import Category from '../models/category.model.js';
+import Invitation from '../models/invitation.model.js';
+import { managedCategoryNames } from './accessPolicy.js';
+import { createInvitation } from './invitations.js';
+import { isMailConfigured } from './mailer/index.js';
+import { revokeUserSessions } from './sessions.js';
+import { toSpreadsheetCsv } from '../utils/csv.js';
+
+export const MAX_IMPORT_ROWS = 5000;
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+// Columns read from an import file; headers are matched case-insensitively. Exports use the
+// same names, so an export can be edited and imported back.
+const IMPORT_COLUMNS = ['email', 'name', 'categories', 'status'];
+const EXPORT_COLUMNS = ['name', 'email', 'status', 'categories', 'createdAt', 'lastLogin'];
+const STATUSES = ['Active', 'Inactive'];
+
+// Categories in one cell are separated by semicolons (or pipes), since commas separate cells.
+const splitCategories = (cell) => [...new Set(String(cell || '').split(/[;|]/).map(c => c.trim()).filter(Boolean))];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+/**
+ * Reads an import file into rows keyed by the known columns.
+ * @param {string} csv
+ * @returns {{ rows: Array<Object> } | { error: string }}
+ */
+export const parseUserCsv = (csv) => {
+    if (typeof csv !== 'string' || csv.trim() === '') return { error: 'The CSV file is empty.' };
+    let records;
+    try {
+        records = parse(csv, {
+            columns: header => header.map(h => String(h).trim().toLowerCase()),
+            skip_empty_lines: true,
+            trim: true,
+            bom: true,
+            info: true,
+        });
+    } catch (err) {
+        return { error: `The CSV file could not be read: ${err.message}` };
+    }
+    if (records.length === 0) return { error: 'The CSV file has no rows.' };
+    if (!Object.prototype.hasOwnProperty.call(records[0].record, 'email')) return { error: 'The CSV file needs an "email" column.' };
+    if (records.length > MAX_IMPORT_ROWS) return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time.` };
+
+    return {
+        rows: records.map(({ record, info }) => ({
+            // The line the row ends on, as a spreadsheet numbers them (the header is line 1).
+            row: info.lines,
+            ...Object.fromEntries(IMPORT_COLUMNS.map(column => [column, record[column] || ''])),
+        })),
+    };
+};
+
+/**
+ * Checks every row, then (unless dryRun) applies them: existing subscribers get the listed
+ * categories added, and new addresses are invited with them.
+ * Rows are independent; one failing does not stop the others.
+ * @param {Array<Object>} rows - From parseUserCsv().
+ * @param {Object} actor - The User document importing. Admins may only assign the categories they manage
+ *   and cannot change account status.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report what would happen without changing anything.
+ * @returns {Promise<{ dryRun: boolean, summary: Object, rows: Array<Object> }>}
+ */
+export const importUsers = async (rows, actor, { dryRun = false } = {}) => {
+    const isSuperadmin = actor.userType === 'superadmin';
+    const allowedCategories = new Set(await managedCategoryNames(actor));
+    const existingCategories = new Set(await Category.distinct('name'));
+    const emails = rows.map(r => r.email.toLowerCase()).filter(Boolean);
+    const users = await User.find({ email: { $in: emails } }).collation({ locale: 'en', strength: 2 }).select('name email userType status categories');
+    const usersByEmail = new Map(users.map(u => [u.email.toLowerCase(), u]));
+    const openInvitations = new Set((await Invitation.find({ email: { $in: emails }, status: 'pending', expiresAt: { $gt: new Date() } }).select('email')).map(i => i.email));
+    const mailReady = isMailConfigured();
+    const seen = new Set();
+
+    const results = [];
+    for (const input of rows) {
+        const email = input.email.toLowerCase();
+        const categories = splitCategories(input.categories);
+        const result = { row: input.row, email: input.email, categories, action: null, errors: [], warnings: [] };
+        results.push(result);
+
+        if (!email || !EMAIL_PATTERN.test(email)) result.errors.push('A valid email is required.');
+        else if (seen.has(email)) result.errors.push('This email appears more than once in the file.');
+        seen.add(email);
+
+        const unknown = categories.filter(c => !existingCategories.has(c));
+        if (unknown.length > 0) result.errors.push(`Unknown categories: ${unknown.join(', ')}.`);
+        const notAllowed = categories.filter(c => existingCategories.has(c) && !allowedCategories.has(c));
+        if (notAllowed.length > 0) result.errors.push(`You do not manage: ${notAllowed.join(', ')}.`);
+
+        const status = input.status;
+        if (status && !STATUSES.includes(status)) result.errors.push(`Status must be ${STATUSES.join(' or ')}.`);
+
+        const user = usersByEmail.get(email);
+        if (user && user.userType !== 'user') result.errors.push('This email belongs to an admin account.');
+        if (result.errors.length > 0) {
+            result.action = 'error';
+            continue;
+        }
+
+        if (!user) {
+            if (openInvitations.has(email)) {
+                result.action = 'already-invited';
+                continue;
+            }
+            if (!isSuperadmin && categories.length === 0) {
+                result.errors.push('New users need at least one of your categories.');
+            } else if (!mailReady) {
+                result.errors.push('Email service is not configured on the server, so new users cannot be invited.');
+            }
+            if (status === 'Inactive') result.warnings.push('Status is ignored for new users; they are active once they accept.');
+            if (result.errors.length > 0) {
+                result.action = 'error';
+                continue;
+            }
+            result.action = 'invite';
+            if (!dryRun) {
+                try {
+                    const outcome = await createInvitation({ email, name: input.name || undefined, userType: 'user', categories }, actor);
+                    if (outcome.error) {
+                        result.action = 'error';
+                        result.errors.push(outcome.error);
+                    }
+                } catch (err) {
+                    result.action = 'error';
+                    result.errors.push(`The invitation could not be sent: ${err.message}`);
+                }
+            }
+            continue;
+        }
+
+        const update = {};
+        const added = categories.filter(c => !user.categories.includes(c));
+        if (added.length > 0) update.$addToSet = { categories: { $each: added } };
+        if (input.name && input.name !== user.name) {
+            if (isSuperadmin) update.name = input.name;
+            else result.warnings.push('Only superadmins can rename existing users; the name was not changed.');
+        }
+        if (status && status !== user.status) {
+            if (isSuperadmin) update.status = status;
+            else result.warnings.push('Only superadmins can change account status; the status was not changed.');
+        }
+        if (Object.keys(update).length === 0) {
+            result.action = 'unchanged';
+            continue;
+        }
+        result.action = 'update';
+        if (!dryRun) {
+            await User.updateOne({ _id: user._id }, update);
+            if (update.status === 'Inactive') await revokeUserSessions(user._id, 'deactivated');
+        }
+    }
+
+    const count = (action) => results.filter(r => r.action === action).length;
+    return {
+        dryRun,
+        summary: {
+            total: results.length,
+            invited: count('invite'),
+            updated: count('update'),
+            unchanged: count('unchanged'),
+            alreadyInvited: count('already-invited'),
+            errors: count('error'),
+        },
+        rows: results,
+    };
+};
+
+/**
+ * Regular users for reconciliation with other lists. Admins only see their own categories'
+ * subscribers, and only those categories in each row.
+ * @param {Object} actor - The User document exporting.
+ * @param {Object} [filters]
+ * @param {string} [filters.category]
+ * @param {string} [filters.status] - 'Active' or 'Inactive'.
+ * @returns {Promise<Array<Object>>} Rows with the EXPORT_COLUMNS.
+ */
+export const exportSubscribers = async (actor, { category, status } = {}) => {
+    const visible = actor.userType === 'superadmin' ? null : await managedCategoryNames(actor);
+    if (visible && category && !visible.includes(category)) return [];
+
+    const filter = { userType: 'user' };
+    if (category) filter.categories = category;
+    else if (visible) filter.categories = { $in: visible };
+    if (status) filter.status = status;
+
+    const users = await User.find(filter).select('name email status categories createdAt lastLogin').sort({ email: 1 });
+    return users.map(user => ({
+        name: user.name,
+        email: user.email,
+        status: user.status,
+        categories: visible ? user.categories.filter(c => visible.includes(c)) : user.categories,
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin,
+    }));
+};
+
+/**
+ * @param {Array<Object>} rows - From exportSubscribers().
+ * @returns {string}
+ */
+export const subscribersToCsv = (rows) => toSpreadsheetCsv(
+    rows.map(row => ({
+        ...row,
+        categories: row.categories.join(';'),
+        createdAt: row.createdAt ? row.createdAt.toISOString() : '',
+        lastLogin: row.lastLogin ? row.lastLogin.toISOString() : '',
+    })),
+    EXPORT_COLUMNS
+);
@@ -0,0 +1,67 @@
+import { after, before, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import User from '../models/user.model.js';
+import Session from '../models/session.model.js';
+import { PERMISSIONS, permissionMatrix } from '../services/accessPolicy.js';
+import { createAccessToken } from '../services/sessions.js';
+
+// Walks the permission matrix and checks that a regular user is refused every route their role
+// is not granted. A route mounted without authorize() has permission null and fails here.
+
+process.env.JWT_SECRET ||= 'authorization-test-secret';
+
+const regularUser = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Regular User',
+    email: 'user@example.com',
+    userType: 'user',
+    status: 'Active',
+    categories: [],
+};
+const sessionId = new mongoose.Types.ObjectId();
+
+// No database: the session and account lookups of auth() and authorize() answer for the regular user.
+mock.method(User, 'findById', () => ({ select: async () => regularUser }));
+mock.method(Session, 'findOne', () => ({ select: async () => ({ _id: sessionId, lastUsedAt: new Date() }) }));
+
+const grantsUsers = (permission) => Boolean(permission) && PERMISSIONS[permission].roles.includes('user');
+const adminRoutes = permissionMatrix().routes.filter(route => !route.public && !grantsUsers(route.permission));
+
+// Route parameters are filled with an id that exists nowhere; the role check comes first.
+const concretePath = (path) => path.replace(/:\w+/g, new mongoose.Types.ObjectId().toString());
+
+describe('regular users on admin routes', () => {
+    let server;
+    let baseUrl;
+    const token = createAccessToken(regularUser._id, sessionId);
+
+    before(async () => {
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test('the permission matrix lists admin routes', () => {
+        assert.ok(adminRoutes.length > 0);
+    });
+
+    for (const { method, path, permission } of adminRoutes) {
+        test(`${method} ${path} answers 403`, async () => {
+            const hasBody = !['GET', 'HEAD', 'DELETE'].includes(method);
+            const res = await fetch(`${baseUrl}${concretePath(path)}`, {
+                method,
+                headers: { 'x-auth-token': token, ...(hasBody ? { 'Content-Type': 'application/json' } : {}) },
+                body: hasBody ? '{}' : undefined,
+            });
+            assert.equal(
+                res.status,
+                403,
+                permission ? `requires ${permission} but answered ${res.status}` : `has no authorize() permission and answered ${res.status}`
+            );
+        });
+    }
+});
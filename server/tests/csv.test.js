@@ -0,0 +1,74 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from 'csv-parse/sync';
+import { spreadsheetSafe, toSpreadsheetCsv } from '../utils/csv.js';
+import { auditEventsToCsv } from '../services/audit.js';
+import { subscribersToCsv } from '../services/userImport.js';
+
+const FORMULAS = ['=HYPERLINK("https://evil.example","Click")', '+1+1', '-2+3', '@SUM(A1:A2)', '\t=1+1', '\r=1+1'];
+
+const readCsv = (csv) => parse(csv, { columns: true });
+
+describe('spreadsheetSafe', () => {
+    for (const value of FORMULAS) {
+        test(`quotes a cell starting with ${JSON.stringify(value[0])}`, () => {
+            assert.equal(spreadsheetSafe(value), `'${value}`);
+        });
+    }
+
+    test('leaves other values alone', () => {
+        for (const value of ['Ada Lovelace', 'ada@example.com', 'a=b', '1-2', '', ' =1', "'=1"]) {
+            assert.equal(spreadsheetSafe(value), value);
+        }
+    });
+});
+
+describe('toSpreadsheetCsv', () => {
+    test('neutralizes formulas in every column and keeps the rest intact', () => {
+        const rows = FORMULAS.map((value, i) => ({ name: value, email: `user${i}@example.com` }));
+        const parsed = readCsv(toSpreadsheetCsv(rows, ['name', 'email']));
+        assert.deepEqual(parsed, FORMULAS.map((value, i) => ({ name: `'${value}`, email: `user${i}@example.com` })));
+    });
+
+    test('writes the header row and the columns in order', () => {
+        assert.equal(toSpreadsheetCsv([{ b: 'two', a: 'one' }], ['a', 'b']), 'a,b\none,two\n');
+    });
+});
+
+describe('exports', () => {
+    test('the audit export neutralizes formulas', () => {
+        const csv = auditEventsToCsv([{
+            createdAt: new Date('2025-01-01T00:00:00Z'),
+            actorEmail: '=cmd|"/c calc"!A1@example.com',
+            actorRole: 'admin',
+            action: 'user.update',
+            targetType: 'User',
+            targetId: 'abc',
+            targetLabel: '@evil',
+            details: { name: '+danger' },
+            request: { ip: '203.0.113.9', userAgent: '-agent', path: '/api/admins' },
+        }]);
+        const [row] = readCsv(csv);
+        assert.equal(row.actorEmail, '\'=cmd|"/c calc"!A1@example.com');
+        assert.equal(row.targetLabel, "'@evil");
+        assert.equal(row.userAgent, "'-agent");
+        assert.equal(row.details, '{"name":"+danger"}');
+        assert.equal(row.createdAt, '2025-01-01T00:00:00.000Z');
+    });
+
+    test('the subscriber export neutralizes formulas', () => {
+        const csv = subscribersToCsv([{
+            email: 'reader@example.com',
+            name: '=HYPERLINK("https://evil.example")',
+            status: 'Active',
+            categories: ['+Tech', 'Science'],
+            createdAt: new Date('2025-01-01T00:00:00Z'),
+            lastLogin: null,
+        }]);
+        const [row] = readCsv(csv);
+        assert.equal(row.name, '\'=HYPERLINK("https://evil.example")');
+        assert.equal(row.categories, "'+Tech;Science");
+        assert.equal(row.email, 'reader@example.com');
+        assert.equal(row.lastLogin, '');
+    });
+});
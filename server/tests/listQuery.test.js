@@ -0,0 +1,201 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { findList, listQuery, parseListQuery } from '../utils/listQuery.js';
+
+const SPEC = {
+    sort: ['createdAt', 'name'],
+    defaultSort: '-createdAt',
+    fields: ['name', 'email', 'status', 'createdAt'],
+    defaultFields: ['name', 'email'],
+    filters: {
+        q: { type: 'search', fields: ['name', 'email'] },
+        status: { type: 'enum', values: ['Active', 'Inactive'] },
+        category: { type: 'string', field: 'categories' },
+        isRead: { type: 'boolean' },
+        from: { type: 'date', field: 'createdAt', op: '$gte' },
+    },
+    maxLimit: 50,
+};
+
+const parse = (query) => parseListQuery(query, SPEC);
+
+// A stand-in for a Mongoose model: records the query it is given and returns docs in order,
+// honouring skip and limit but not the filter.
+const fakeModel = (docs) => {
+    const calls = {};
+    return {
+        calls,
+        find(filter) {
+            calls.filter = filter;
+            const query = {
+                select: (projection) => { calls.select = projection; return query; },
+                sort: (sort) => { calls.sort = sort; return query; },
+                limit: (limit) => { calls.limit = limit; return query; },
+                skip: (skip) => { calls.skip = skip; return query; },
+                populate: (populate) => { calls.populate = populate; return query; },
+                then: (resolve, reject) => Promise.resolve(docs.slice(calls.skip || 0, (calls.skip || 0) + calls.limit)).then(resolve, reject),
+            };
+            return query;
+        },
+        countDocuments: async (filter) => { calls.countFilter = filter; return docs.length; },
+    };
+};
+
+const people = (count) => Array.from({ length: count }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: `Person ${i}`,
+    createdAt: new Date(Date.UTC(2025, 0, 31 - i)),
+}));
+
+describe('parseListQuery', () => {
+    test('applies the defaults', () => {
+        const { options } = parse({});
+        assert.deepEqual(options, {
+            limit: 20, page: 1, sortParam: '-createdAt', sortField: 'createdAt', direction: -1,
+            fields: ['name', 'email'], conditions: [], cursor: null,
+        });
+    });
+
+    test('keeps page and limit within bounds', () => {
+        assert.equal(parse({ limit: '500' }).options.limit, 50);
+        assert.equal(parse({ limit: '0' }).options.limit, 20);
+        assert.equal(parse({ limit: '-3' }).options.limit, 1);
+        assert.equal(parse({ page: '-2' }).options.page, 1);
+        assert.equal(parse({ page: 'abc' }).options.page, 1);
+    });
+
+    test('only sorts on whitelisted fields, in either direction', () => {
+        assert.deepEqual(
+            (({ sortParam, sortField, direction }) => ({ sortParam, sortField, direction }))(parse({ sort: 'name' }).options),
+            { sortParam: 'name', sortField: 'name', direction: 1 }
+        );
+        assert.equal(parse({ sort: '-name' }).options.direction, -1);
+        assert.deepEqual(parse({ sort: 'password' }), { error: 'sort must be one of: createdAt, -createdAt, name, -name.' });
+        assert.ok(parse({ sort: '-password' }).error);
+    });
+
+    test('only returns whitelisted fields', () => {
+        assert.deepEqual(parse({ fields: 'name, status' }).options.fields, ['name', 'status']);
+        assert.deepEqual(parse({ fields: 'name,password' }), { error: 'fields may only list: name, email, status, createdAt.' });
+        assert.ok(parse({ fields: ',' }).error);
+    });
+
+    test('answers an error when a parameter is repeated', () => {
+        for (const name of ['page', 'limit', 'cursor', 'sort', 'fields', 'status', 'q']) {
+            assert.deepEqual(parse({ [name]: ['a', 'b'] }), { error: `Give ${name} only once.` });
+        }
+        assert.deepEqual(parse({ status: { $ne: 'x' } }), { error: 'Give status only once.' });
+    });
+
+    test('turns filters into conditions', () => {
+        const { options } = parse({ q: 'a.b', status: 'Active,Inactive', category: 'Tech', isRead: 'false' });
+        assert.deepEqual(options.conditions, [
+            { $or: [{ name: { $regex: 'a\\.b', $options: 'i' } }, { email: { $regex: 'a\\.b', $options: 'i' } }] },
+            { status: { $in: ['Active', 'Inactive'] } },
+            { categories: 'Tech' },
+            { isRead: false },
+        ]);
+        assert.deepEqual(parse({ status: 'Active' }).options.conditions, [{ status: 'Active' }]);
+    });
+
+    test('rejects filter values it cannot use', () => {
+        assert.deepEqual(parse({ status: 'Deleted' }), { error: 'status must be one of: Active, Inactive.' });
+        assert.deepEqual(parse({ isRead: 'yes' }), { error: 'isRead must be true or false.' });
+        assert.deepEqual(parse({ from: 'someday' }), { error: 'from must be a date.' });
+    });
+
+    test('rejects cursors that are malformed or made for another sort', () => {
+        const error = 'cursor is not valid for this sort. Start again from the first page.';
+        assert.deepEqual(parse({ cursor: 'not-a-cursor' }), { error });
+        const otherSort = Buffer.from(JSON.stringify({ v: 'x', id: new mongoose.Types.ObjectId().toString(), s: 'name' })).toString('base64url');
+        assert.deepEqual(parse({ cursor: otherSort }), { error });
+        const badId = Buffer.from(JSON.stringify({ v: 'x', id: 'nope', s: '-createdAt' })).toString('base64url');
+        assert.deepEqual(parse({ cursor: badId }), { error });
+    });
+});
+
+describe('findList', () => {
+    test('pages with skip and limit and returns a cursor to the next page', async () => {
+        const docs = people(5);
+        const Model = fakeModel(docs);
+        const list = await findList(Model, { owner: 1 }, parse({ limit: '2', page: '2' }).options);
+
+        assert.deepEqual(list.items, docs.slice(2, 4));
+        assert.equal(list.total, 5);
+        assert.equal(list.page, 2);
+        assert.equal(list.totalPages, 3);
+        assert.deepEqual(Model.calls.sort, { createdAt: -1, _id: -1 });
+        assert.equal(Model.calls.skip, 2);
+        assert.equal(Model.calls.limit, 3);
+        assert.equal(Model.calls.select, 'name email createdAt');
+        assert.deepEqual(Model.calls.countFilter, { $and: [{ owner: 1 }] });
+        assert.ok(list.nextCursor);
+    });
+
+    test('has no next cursor on the last page', async () => {
+        const list = await findList(fakeModel(people(2)), {}, parse({ limit: '2' }).options);
+        assert.equal(list.nextCursor, null);
+    });
+
+    test('a cursor round-trips the last item and continues after it', async () => {
+        const docs = people(3);
+        const first = await findList(fakeModel(docs), {}, parse({ limit: '2' }).options);
+        const last = first.items[1];
+
+        const { options } = parse({ limit: '2', cursor: first.nextCursor });
+        assert.deepEqual(options.cursor, { value: last.createdAt, id: last._id });
+
+        const Model = fakeModel(docs.slice(2));
+        const second = await findList(Model, { owner: 1 }, options);
+        assert.equal(second.page, null);
+        assert.equal(Model.calls.skip, undefined);
+        // Descending: an older date, or the same date with a lower id, or no date at all.
+        assert.deepEqual(Model.calls.filter.$and[1], {
+            $or: [
+                { createdAt: { $lt: last.createdAt } },
+                { createdAt: last.createdAt, _id: { $lt: last._id } },
+                { createdAt: null },
+            ],
+        });
+        // The total counts the whole list, not what is left after the cursor.
+        assert.deepEqual(Model.calls.countFilter, { $and: [{ owner: 1 }] });
+    });
+
+    test('a cursor keeps string sort values and ascending order', async () => {
+        const docs = people(2);
+        const first = await findList(fakeModel(docs), {}, parse({ sort: 'name', limit: '1' }).options);
+        const { options } = parse({ sort: 'name', cursor: first.nextCursor });
+        assert.deepEqual(options.cursor, { value: 'Person 0', id: docs[0]._id });
+
+        const Model = fakeModel([]);
+        await findList(Model, {}, options);
+        assert.deepEqual(Model.calls.filter.$and[1], {
+            $or: [{ name: { $gt: 'Person 0' } }, { name: 'Person 0', _id: { $gt: docs[0]._id } }],
+        });
+    });
+});
+
+describe('listQuery', () => {
+    const fakeResponse = () => {
+        const res = { statusCode: 200, body: undefined };
+        res.status = (code) => { res.statusCode = code; return res; };
+        res.json = (body) => { res.body = body; return res; };
+        return res;
+    };
+
+    test('answers 400 itself for invalid parameters', async () => {
+        const res = fakeResponse();
+        const list = await listQuery({ query: { sort: ['name', '-name'] } }, res, fakeModel([]), SPEC, {});
+        assert.equal(list, null);
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.body, { message: 'Give sort only once.' });
+    });
+
+    test('returns the list envelope for valid parameters', async () => {
+        const res = fakeResponse();
+        const list = await listQuery({ query: {} }, res, fakeModel(people(1)), SPEC, {});
+        assert.equal(list.total, 1);
+        assert.equal(res.body, undefined);
+    });
+});
@@ -0,0 +1,110 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateText, getTaskConfig } from '../services/llm/index.js';
+import stubProvider from '../services/llm/stub.provider.js';
+
+// The provider choice depends on these; each test starts without them.
+const LLM_ENV = ['NODE_ENV', 'GEMINI_API_KEY', 'LLM_PROVIDER', 'LLM_SUMMARY_PROVIDER', 'LLM_SUMMARY_TIMEOUT_MS', 'LLM_TIMEOUT_MS', 'LLM_MAX_RETRIES'];
+let savedEnv;
+
+beforeEach(() => {
+    savedEnv = Object.fromEntries(LLM_ENV.map(name => [name, process.env[name]]));
+    LLM_ENV.forEach(name => delete process.env[name]);
+});
+
+afterEach(() => {
+    LLM_ENV.forEach(name => (savedEnv[name] === undefined ? delete process.env[name] : (process.env[name] = savedEnv[name])));
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+const httpError = (statusCode) => Object.assign(new Error(`HTTP ${statusCode}`), { statusCode });
+
+// Runs generateText() with the backoff sleeps (and timeouts) fast-forwarded.
+const generateFast = async (...args) => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    let settled = false;
+    const result = generateText(...args).finally(() => { settled = true; });
+    result.catch(() => {});
+    while (!settled) {
+        await new Promise(resolve => setImmediate(resolve));
+        mock.timers.tick(15000);
+    }
+    return result;
+};
+
+describe('getTaskConfig', () => {
+    test('rejects unknown tasks', () => {
+        assert.throws(() => getTaskConfig('poetry'), /Unknown LLM task "poetry"/);
+    });
+
+    test('falls back to the stub outside production when no key is set', () => {
+        assert.deepEqual(getTaskConfig('summary'), { provider: 'stub', model: 'stub', temperature: 0.4, timeoutMs: 30000, maxRetries: 2 });
+    });
+
+    test('uses Gemini when its key is set', () => {
+        process.env.GEMINI_API_KEY = 'test-key';
+        assert.equal(getTaskConfig('newsletter-html').provider, 'gemini');
+    });
+
+    test('refuses to fall back to the stub in production', () => {
+        process.env.NODE_ENV = 'production';
+        assert.throws(() => getTaskConfig('summary'), /No LLM provider is configured/);
+    });
+
+    test('uses the stub in production when asked to', () => {
+        process.env.NODE_ENV = 'production';
+        process.env.LLM_PROVIDER = 'stub';
+        assert.equal(getTaskConfig('summary').provider, 'stub');
+    });
+
+    test('task settings override global ones', () => {
+        process.env.LLM_TIMEOUT_MS = '1000';
+        process.env.LLM_SUMMARY_TIMEOUT_MS = '2000';
+        assert.equal(getTaskConfig('summary').timeoutMs, 2000);
+        assert.equal(getTaskConfig('newsletter-html').timeoutMs, 1000);
+    });
+});
+
+describe('generateText with the stub provider', () => {
+    test('summarizes deterministically on the first attempt', async () => {
+        const context = { text: 'One. Two! Three? Four.' };
+        const first = await generateText('summary', { prompt: 'Summarize', context });
+        assert.deepEqual(first, { text: 'One. Two! Three?', provider: 'stub', model: 'stub', attempts: 1 });
+        assert.deepEqual(await generateText('summary', { prompt: 'Summarize', context }), first);
+    });
+
+    test('retries rate limits and server errors', async () => {
+        mock.method(console, 'warn', () => {});
+        const original = stubProvider.generate;
+        const failures = [httpError(429), httpError(503)];
+        const generate = mock.method(stubProvider, 'generate', (request) => (failures.length > 0 ? Promise.reject(failures.shift()) : original(request)));
+        const result = await generateFast('summary', { prompt: 'p', context: { text: 'Only sentence.' } });
+        assert.equal(result.text, 'Only sentence.');
+        assert.equal(result.attempts, 3);
+        assert.equal(generate.mock.callCount(), 3);
+    });
+
+    test('does not retry bad requests', async () => {
+        const generate = mock.method(stubProvider, 'generate', () => Promise.reject(httpError(400)));
+        await assert.rejects(generateFast('summary', { prompt: 'p' }), /HTTP 400/);
+        assert.equal(generate.mock.callCount(), 1);
+    });
+
+    test('gives up after maxRetries', async () => {
+        mock.method(console, 'warn', () => {});
+        const generate = mock.method(stubProvider, 'generate', () => Promise.reject(httpError(500)));
+        await assert.rejects(generateFast('summary', { prompt: 'p' }, { maxRetries: 1 }), /HTTP 500/);
+        assert.equal(generate.mock.callCount(), 2);
+    });
+
+    test('times out a request that never answers, and retries it', async () => {
+        mock.method(console, 'warn', () => {});
+        const generate = mock.method(stubProvider, 'generate', () => new Promise(() => {}));
+        await assert.rejects(
+            generateFast('summary', { prompt: 'p' }, { timeoutMs: 50, maxRetries: 1 }),
+            (err) => err.code === 'ETIMEDOUT' && /timed out after 50 ms/.test(err.message)
+        );
+        assert.equal(generate.mock.callCount(), 2);
+    });
+});
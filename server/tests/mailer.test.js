@@ -0,0 +1,218 @@
+import { after, afterEach, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import { sendMail } from '../services/mailer/index.js';
+import { requestPasswordReset, sendResetLink } from '../services/passwordReset.js';
+import { createInvitation } from '../services/invitations.js';
+import { drainDeliveries } from '../services/newsletterDelivery.js';
+import { verifyUnsubscribeToken } from '../services/unsubscribe.js';
+import User from '../models/user.model.js';
+import Category from '../models/category.model.js';
+import Invitation from '../models/invitation.model.js';
+import PasswordResetToken from '../models/passwordResetToken.model.js';
+import Newsletter from '../models/newsletter.model.js';
+import Delivery from '../models/delivery.model.js';
+import Notification from '../models/notification.model.js';
+import OutboxMessage from '../models/outboxMessage.model.js';
+
+// Every email path goes through the outbox transport; the tests read back what it captured.
+// No database: the model calls each path makes are answered by mocks.
+
+const MAIL_ENV = {
+    MAIL_TRANSPORT: 'outbox',
+    MAIL_OUTBOX: 'file',
+    MAIL_FROM: 'news@example.com',
+    APP_BASE_URL: 'https://app.example.com',
+    PUBLIC_BASE_URL: 'https://api.example.com',
+    JWT_SECRET: 'mailer-test-secret',
+};
+let savedEnv;
+let outboxDir;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// The messages captured on disk since the test started, oldest first.
+const readOutbox = async () => {
+    const ids = (await fs.readdir(outboxDir)).sort();
+    return Promise.all(ids.map(async (id) => {
+        const dir = path.join(outboxDir, id);
+        const read = (name) => fs.readFile(path.join(dir, name), 'utf8').catch(() => undefined);
+        return { dir, ...JSON.parse(await read('message.json')), html: await read('body.html'), text: await read('body.txt') };
+    }));
+};
+
+const tokenFromLink = (text, route) => {
+    const match = new RegExp(`https://app\\.example\\.com${route}\\?token=([\\w%-]+)`).exec(text);
+    assert.ok(match, `no ${route} link in:\n${text}`);
+    return decodeURIComponent(match[1]);
+};
+
+before(() => {
+    savedEnv = Object.fromEntries(Object.keys(MAIL_ENV).map(name => [name, process.env[name]]));
+    Object.assign(process.env, MAIL_ENV);
+});
+
+after(() => {
+    Object.entries(savedEnv).forEach(([name, value]) => (value === undefined ? delete process.env[name] : (process.env[name] = value)));
+});
+
+beforeEach(async () => {
+    outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-test-'));
+    process.env.MAIL_OUTBOX_DIR = outboxDir;
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    delete process.env.MAIL_OUTBOX_DIR;
+    await fs.rm(outboxDir, { recursive: true, force: true });
+});
+
+describe('outbox transport', () => {
+    test('writes the envelope, bodies and attachments to disk', async () => {
+        const pdf = Buffer.from('%PDF-1.4 test');
+        const { transport, messageId } = await sendMail({
+            to: 'reader@example.com', subject: 'Hello', html: '<p>Hi</p>', text: 'Hi',
+            attachments: [{ filename: '../Weekly Digest.pdf', content: pdf, contentType: 'application/pdf' }],
+        });
+        assert.equal(transport, 'outbox');
+
+        const [message] = await readOutbox();
+        assert.equal(path.basename(message.dir), messageId);
+        assert.deepEqual(message.to, ['reader@example.com']);
+        assert.deepEqual(message.from, { name: 'NewsLetterAI', email: 'news@example.com' });
+        assert.equal(message.html, '<p>Hi</p>');
+        assert.equal(message.text, 'Hi');
+        assert.deepEqual(message.attachments, [{ filename: '../Weekly Digest.pdf', contentType: 'application/pdf', size: pdf.length }]);
+        // The attachment name cannot leave the message's folder.
+        assert.deepEqual(await fs.readFile(path.join(message.dir, 'Weekly_Digest.pdf')), pdf);
+    });
+
+    test('stores messages as OutboxMessage documents with MAIL_OUTBOX=db', async () => {
+        process.env.MAIL_OUTBOX = 'db';
+        const id = new mongoose.Types.ObjectId();
+        const create = mock.method(OutboxMessage, 'create', async (doc) => ({ ...doc, _id: id }));
+        try {
+            const { messageId } = await sendMail({
+                to: 'reader@example.com', subject: 'Stored', html: '<p>Hi</p>',
+                attachments: [{ filename: 'a.pdf', content: Buffer.from('pdf'), contentType: 'application/pdf' }],
+            });
+            assert.equal(messageId, id.toString());
+            const [stored] = create.mock.calls[0].arguments;
+            assert.equal(stored.subject, 'Stored');
+            assert.deepEqual(stored.attachments, [{ filename: 'a.pdf', contentType: 'application/pdf', size: 3, data: Buffer.from('pdf') }]);
+            assert.deepEqual(await readOutbox(), []);
+        } finally {
+            process.env.MAIL_OUTBOX = 'file';
+        }
+    });
+});
+
+describe('password reset emails', () => {
+    const user = { _id: new mongoose.Types.ObjectId(), name: 'Ada <Admin>', email: 'ada@example.com', status: 'Active' };
+
+    const mockTokens = () => {
+        mock.method(PasswordResetToken, 'deleteMany', async () => ({ deletedCount: 0 }));
+        return mock.method(PasswordResetToken, 'create', async (doc) => doc);
+    };
+
+    test('a requested reset emails a link whose token matches the stored hash', async () => {
+        mock.method(User, 'findOne', () => ({ select: async () => user }));
+        mock.method(PasswordResetToken, 'exists', async () => null);
+        const create = mockTokens();
+
+        await requestPasswordReset(' ada@example.com ', { ip: '203.0.113.9' });
+
+        const [message] = await readOutbox();
+        assert.deepEqual(message.to, ['ada@example.com']);
+        assert.equal(message.subject, 'Reset your NewsLetterAI password');
+        assert.match(message.text, /We received a request to reset the password for ada@example\.com\./);
+        assert.match(message.html, /Hello Ada &lt;Admin&gt;,/);
+        const [stored] = create.mock.calls[0].arguments;
+        assert.equal(stored.tokenHash, hashToken(tokenFromLink(message.text, '/reset-password')));
+        assert.equal(stored.requestedIp, '203.0.113.9');
+    });
+
+    test('no email goes to unknown addresses', async () => {
+        mock.method(User, 'findOne', () => ({ select: async () => null }));
+        await requestPasswordReset('nobody@example.com', { ip: '203.0.113.9' });
+        assert.deepEqual(await readOutbox(), []);
+    });
+
+    test('a superadmin reset emails a link rather than a password', async () => {
+        mockTokens();
+        await sendResetLink(user, { byAdmin: true });
+
+        const [message] = await readOutbox();
+        assert.match(message.text, /A Super Admin reset the password for ada@example\.com; your old password no longer works\./);
+        tokenFromLink(message.text, '/reset-password');
+    });
+});
+
+describe('invitation emails', () => {
+    test('an invitation emails a link whose token matches the stored hash', async () => {
+        mock.method(Category, 'countDocuments', async () => 1);
+        mock.method(User, 'exists', async () => null);
+        mock.method(Invitation, 'findOne', async () => null);
+        const create = mock.method(Invitation, 'create', async (doc) => ({ ...doc, _id: new mongoose.Types.ObjectId() }));
+        const inviter = { _id: new mongoose.Types.ObjectId(), name: 'Grace', email: 'grace@example.com' };
+
+        const { invitation, error } = await createInvitation({ email: 'New.Reader@Example.com', name: 'Reader', categories: ['Tech'] }, inviter);
+        assert.equal(error, undefined);
+        assert.equal(invitation.email, 'new.reader@example.com');
+
+        const [message] = await readOutbox();
+        assert.deepEqual(message.to, ['new.reader@example.com']);
+        assert.equal(message.from.name, 'NewsLetterAI Admin');
+        assert.equal(message.subject, 'You have been invited to NewsLetterAI');
+        assert.match(message.text, /as a subscriber for Tech\./);
+        assert.match(message.html, /Grace has invited you/);
+        const [stored] = create.mock.calls[0].arguments;
+        assert.equal(stored.tokenHash, hashToken(tokenFromLink(message.text, '/accept-invitation')));
+    });
+});
+
+describe('newsletter emails', () => {
+    test('a queued delivery is emailed with its PDF, unsubscribe link and tracking metadata', async () => {
+        const newsletter = {
+            _id: new mongoose.Types.ObjectId(),
+            title: 'Weekly Tech',
+            category: 'Tech & Science',
+            htmlContent: '<html><body><h1>Weekly Tech</h1><p>Top stories.</p></body></html>',
+            pdfContent: { data: Buffer.from('%PDF-1.4 weekly') },
+        };
+        const delivery = { _id: new mongoose.Types.ObjectId(), newsletter: newsletter._id, user: new mongoose.Types.ObjectId(), email: 'reader@example.com', attempts: 1 };
+        const queue = [delivery];
+        mock.method(Delivery, 'findOneAndUpdate', async () => queue.shift() || null);
+        const deliveryUpdates = mock.method(Delivery, 'updateOne', async () => ({}));
+        mock.method(Newsletter, 'findById', async () => newsletter);
+        mock.method(Newsletter, 'updateOne', async () => ({}));
+        mock.method(Notification, 'create', async () => ({}));
+
+        await drainDeliveries();
+
+        const [message] = await readOutbox();
+        assert.deepEqual(message.to, ['reader@example.com']);
+        assert.equal(message.subject, 'Your Newsletter: Weekly Tech');
+        assert.match(message.html, /<h1>Weekly Tech<\/h1>/);
+        assert.match(message.html, /You receive this because you subscribe to Tech &amp; Science\./);
+        assert.match(message.text, /Top stories\./);
+        assert.match(message.text, /You receive this because you subscribe to Tech & Science\. Unsubscribe: https:\/\/api\.example\.com\/api\/unsubscribe\?token=/);
+        assert.deepEqual(message.metadata, { deliveryId: delivery._id.toString(), newsletterId: newsletter._id.toString() });
+        assert.equal(message.headers['X-Delivery-Id'], delivery._id.toString());
+        assert.equal(message.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+
+        const unsubscribeToken = decodeURIComponent(/token=([^>]+)>/.exec(message.headers['List-Unsubscribe'])[1]);
+        assert.deepEqual(verifyUnsubscribeToken(unsubscribeToken), { userId: delivery.user.toString(), category: 'Tech & Science', newsletterId: newsletter._id.toString() });
+        assert.deepEqual(await fs.readFile(path.join(message.dir, 'Weekly_Tech.pdf')), newsletter.pdfContent.data);
+
+        const [, update] = deliveryUpdates.mock.calls[0].arguments;
+        assert.equal(update.status, 'sent');
+        assert.equal(update.transport, 'outbox');
+        assert.equal(update.messageId, path.basename(message.dir));
+    });
+});
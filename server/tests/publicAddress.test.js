@@ -0,0 +1,30 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPublicUrl, isPrivateAddress } from '../utils/publicAddress.js';
+
+describe('isPrivateAddress', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', '::ffff:127.0.0.1', 'fe80::1', 'fd00::1']) {
+        test(`refuses ${address}`, () => assert.equal(isPrivateAddress(address), true));
+    }
+
+    for (const address of ['8.8.8.8', '151.101.1.69', '2606:4700::1111']) {
+        test(`allows ${address}`, () => assert.equal(isPrivateAddress(address), false));
+    }
+});
+
+describe('checkPublicUrl', () => {
+    test('refuses loopback, private and link-local hosts', async () => {
+        for (const url of ['http://localhost/feed', 'http://127.0.0.1:8080/', 'http://[::1]/', 'http://10.0.0.5/rss', 'http://169.254.169.254/latest/meta-data/']) {
+            assert.ok((await checkPublicUrl(url)).error, url);
+        }
+    });
+
+    test('refuses other protocols and malformed URLs', async () => {
+        assert.ok((await checkPublicUrl('file:///etc/passwd')).error);
+        assert.ok((await checkPublicUrl('not a url')).error);
+    });
+
+    test('allows a public IP address', async () => {
+        assert.deepEqual(await checkPublicUrl('https://8.8.8.8/feed.xml'), { url: 'https://8.8.8.8/feed.xml' });
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidTimeZone, nextWeeklyOccurrence, parseZonedDateTime } from '../utils/timezone.js';
+
+const iso = (value, timeZone) => {
+    const date = parseZonedDateTime(value, timeZone);
+    return date && date.toISOString();
+};
+
+describe('parseZonedDateTime', () => {
+    test('converts wall-clock times with the zone\'s offset', () => {
+        assert.equal(iso('2025-06-30T09:00', 'Asia/Kolkata'), '2025-06-30T03:30:00.000Z');
+        assert.equal(iso('2025-01-15 09:00', 'America/New_York'), '2025-01-15T14:00:00.000Z');
+        assert.equal(iso('2025-07-15T09:00', 'America/New_York'), '2025-07-15T13:00:00.000Z');
+        assert.equal(iso('2025-12-31T23:59', 'UTC'), '2025-12-31T23:59:00.000Z');
+    });
+
+    test('moves a time skipped by clocks going forward past the gap', () => {
+        // New York skips 02:00-03:00 on 9 March 2025; 02:30 is read as 03:30 EDT.
+        assert.equal(iso('2025-03-09T01:59', 'America/New_York'), '2025-03-09T06:59:00.000Z');
+        assert.equal(iso('2025-03-09T02:30', 'America/New_York'), '2025-03-09T07:30:00.000Z');
+        assert.equal(iso('2025-03-09T03:00', 'America/New_York'), '2025-03-09T07:00:00.000Z');
+        // London skips 01:00-02:00 on 30 March 2025.
+        assert.equal(iso('2025-03-30T01:30', 'Europe/London'), '2025-03-30T01:30:00.000Z');
+    });
+
+    test('resolves a time that occurs twice to the first of the two', () => {
+        // 01:30 happens in EDT (05:30Z) and again in EST (06:30Z) on 2 November 2025.
+        assert.equal(iso('2025-11-02T01:30', 'America/New_York'), '2025-11-02T05:30:00.000Z');
+        assert.equal(iso('2025-11-02T02:00', 'America/New_York'), '2025-11-02T07:00:00.000Z');
+        // 01:30 happens in BST (00:30Z) and again in GMT (01:30Z) on 26 October 2025.
+        assert.equal(iso('2025-10-26T01:30', 'Europe/London'), '2025-10-26T00:30:00.000Z');
+        // Southern hemisphere: 02:30 happens in AEDT and again in AEST on 6 April 2025.
+        assert.equal(iso('2025-04-06T02:30', 'Australia/Sydney'), '2025-04-05T15:30:00.000Z');
+    });
+
+    test('rejects days past the end of the month', () => {
+        assert.equal(parseZonedDateTime('2025-02-29T09:00', 'UTC'), null);
+        assert.equal(parseZonedDateTime('2025-04-31T09:00', 'Europe/London'), null);
+        assert.equal(parseZonedDateTime('2025-02-30T09:00', 'UTC'), null);
+        assert.equal(iso('2024-02-29T09:00', 'UTC'), '2024-02-29T09:00:00.000Z');
+        assert.equal(iso('2025-03-31T09:00', 'UTC'), '2025-03-31T09:00:00.000Z');
+    });
+
+    test('rejects malformed values', () => {
+        for (const value of ['2025-13-01T09:00', '2025-00-10T09:00', '2025-01-00T09:00', '2025-01-10T24:00', '2025-01-10T09:60', '2025-01-10', '10/01/2025 09:00', 20250110, undefined]) {
+            assert.equal(parseZonedDateTime(value, 'UTC'), null, String(value));
+        }
+    });
+});
+
+describe('isValidTimeZone', () => {
+    test('accepts IANA names and rejects anything else', () => {
+        assert.equal(isValidTimeZone('Europe/London'), true);
+        assert.equal(isValidTimeZone('UTC'), true);
+        assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+        assert.equal(isValidTimeZone(''), false);
+        assert.equal(isValidTimeZone(undefined), false);
+    });
+});
+
+describe('nextWeeklyOccurrence', () => {
+    const mondays = { daysOfWeek: [1], time: '09:00', timeZone: 'America/New_York' };
+
+    test('finds the next matching weekday and time', () => {
+        // Saturday 8 March 2025 -> Monday 10 March, 09:00 EDT.
+        assert.equal(nextWeeklyOccurrence(new Date('2025-03-08T12:00:00Z'), mondays).toISOString(), '2025-03-10T13:00:00.000Z');
+    });
+
+    test('skips today once the time has passed', () => {
+        assert.equal(nextWeeklyOccurrence(new Date('2025-03-10T13:00:00Z'), mondays).toISOString(), '2025-03-17T13:00:00.000Z');
+        assert.equal(nextWeeklyOccurrence(new Date('2025-03-10T12:59:00Z'), mondays).toISOString(), '2025-03-10T13:00:00.000Z');
+    });
+
+    test('keeps the local time across a DST change', () => {
+        // 09:00 EST on 3 March, 09:00 EDT on 10 March.
+        assert.equal(nextWeeklyOccurrence(new Date('2025-03-03T12:00:00Z'), mondays).toISOString(), '2025-03-03T14:00:00.000Z');
+        assert.equal(nextWeeklyOccurrence(new Date('2025-03-03T14:00:00Z'), mondays).toISOString(), '2025-03-10T13:00:00.000Z');
+    });
+
+    test('a time in the DST gap runs just after it', () => {
+        const rule = { daysOfWeek: [0], time: '02:30', timeZone: 'America/New_York' };
+        assert.equal(nextWeeklyOccurrence(new Date('2025-03-08T12:00:00Z'), rule).toISOString(), '2025-03-09T07:30:00.000Z');
+    });
+});
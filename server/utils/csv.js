@@ -0,0 +1,19 @@
+import { stringify } from 'csv-stringify/sync';
+
+// Spreadsheets run cells starting with these as formulas (=HYPERLINK(...) in a user's name).
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Makes a cell value inert in spreadsheets by prefixing a would-be formula with a quote.
+ * @param {string} value
+ * @returns {string}
+ */
+export const spreadsheetSafe = (value) => (FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+/**
+ * Writes rows as CSV meant to be opened in a spreadsheet, with a header row.
+ * @param {Array<Object>} rows
+ * @param {string[]} columns - The fields to write, in order.
+ * @returns {string}
+ */
+export const toSpreadsheetCsv = (rows, columns) => stringify(rows, { header: true, columns, cast: { string: spreadsheetSafe } });
@@ -0,0 +1,19 @@
+/**
+ * A MongoDB range condition from optional `from` and `to` query parameters (ISO dates).
+ * A plain date as `to`, e.g. "2025-03-31", includes that whole day (UTC).
+ * @param {string} [from]
+ * @param {string} [to]
+ * @returns {{ range: Object|null } | { error: string }} range is null when neither is given.
+ */
+export const dateRange = (from, to) => {
+    if (!from && !to) return { range: null };
+    const range = {};
+    for (const [key, value] of [['$gte', from], ['$lte', to]]) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (typeof value !== 'string' || Number.isNaN(date.getTime())) return { error: `"${value}" is not a valid date.` };
+        if (key === '$lte' && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+        range[key] = date;
+    }
+    return { range };
+};
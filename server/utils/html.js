@@ -0,0 +1,33 @@
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes a value for use in HTML text or a quoted attribute.
+ * @param {*} value - Anything; null and undefined become an empty string.
+ * @returns {string}
+ */
+export const escapeHtml = (value) => (value === undefined || value === null ? '' : String(value)).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+
+/**
+ * A minimal standalone page for the server's public, unauthenticated routes
+ * (unsubscribe confirmations, the newsletter archive).
+ * @param {string} title - Plain text; escaped here.
+ * @param {string} body - HTML for the page's main section; the caller escapes its content.
+ * @param {Object} [options]
+ * @param {number} [options.width] - The main section's maximum width in pixels.
+ * @returns {string}
+ */
+export const renderPublicPage = (title, body, { width = 480 } = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; background: #f4f4f7; color: #333; margin: 0; padding: 48px 16px; }
+  main { max-width: ${width}px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 32px; box-shadow: 0 2px 8px rgba(0,0,0,0.06); }
+  h1 { font-size: 22px; margin-top: 0; }
+  button { background: #1a73e8; color: #fff; border: 0; border-radius: 4px; padding: 10px 20px; font-size: 15px; cursor: pointer; }
+</style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
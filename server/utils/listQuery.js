@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+import { dateRange } from './dateRange.js';
+
+// The shared query parameters of list routes. Each route describes what may be sorted on,
+// returned and filtered by in a list spec:
+//
+//   {
+//     sort: ['createdAt', 'name'],          // fields ?sort= accepts, '-name' for descending
+//     defaultSort: '-createdAt',
+//     fields: ['name', 'email', ...],       // fields ?fields=name,email may choose from
+//     defaultFields: ['name', 'email'],     // returned without ?fields= (default: all of fields)
+//     filters: {                            // keyed by query parameter
+//       status: { type: 'enum', values: ['Active', 'Inactive'] },   // also "Active,Inactive"
+//       category: { type: 'string', field: 'categories' },
+//       isRead: { type: 'boolean' },
+//       q: { type: 'search', fields: ['name', 'email'] },             // case-insensitive contains
+//       from: { type: 'date', field: 'createdAt', op: '$gte' },
+//     },
+//     defaultLimit: 20, maxLimit: 100,
+//   }
+//
+// Responses are { items, total, page, limit, totalPages, nextCursor }. Clients page with
+// ?page= and ?limit=, or follow nextCursor with ?cursor=, which stays stable while items are added.
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const FILTER_PARSERS = {
+    string: (value) => ({ value }),
+    enum: (value, { values }) => {
+        const chosen = value.split(',').map(v => v.trim()).filter(Boolean);
+        const unknown = chosen.filter(v => !values.includes(v));
+        if (chosen.length === 0 || unknown.length > 0) return { error: `must be one of: ${values.join(', ')}` };
+        return { value: chosen.length === 1 ? chosen[0] : { $in: chosen } };
+    },
+    boolean: (value) => (['true', 'false'].includes(value) ? { value: value === 'true' } : { error: 'must be true or false' }),
+    objectId: (value) => (mongoose.Types.ObjectId.isValid(value) ? { value: new mongoose.Types.ObjectId(value) } : { error: 'must be an id' }),
+    date: (value, { op = '$gte' }) => {
+        const { range, error } = op === '$lte' ? dateRange(undefined, value) : dateRange(value, undefined);
+        return error ? { error: 'must be a date' } : { value: range };
+    },
+};
+
+// A cursor holds the last item's sort value and id, and the sort it was made for.
+const encodeCursor = (item, sort) => {
+    const value = item[sort.replace(/^-/, '')];
+    const typed = value instanceof Date ? { d: value.toISOString() } : { v: value === undefined ? null : value };
+    return Buffer.from(JSON.stringify({ ...typed, id: String(item._id), s: sort })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (decoded.s !== sort || !mongoose.Types.ObjectId.isValid(decoded.id)) return null;
+        return { value: 'd' in decoded ? new Date(decoded.d) : decoded.v, id: new mongoose.Types.ObjectId(decoded.id) };
+    } catch {
+        return null;
+    }
+};
+
+// Items after the cursor in the list's order; ties on the sort field are broken by _id.
+// Missing values sort before every other value, so they come first ascending and last descending.
+const afterCursor = ({ value, id }, field, direction) => {
+    const beyond = direction === 1 ? '$gt' : '$lt';
+    if (field === '_id') return { _id: { [beyond]: id } };
+    if (value === null) {
+        return direction === 1
+            ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+            : { [field]: null, _id: { $lt: id } };
+    }
+    const after = [{ [field]: { [beyond]: value } }, { [field]: value, _id: { [beyond]: id } }];
+    if (direction === -1) after.push({ [field]: null });
+    return { $or: after };
+};
+
+/**
+ * Checks a request's list parameters (page, limit, cursor, sort, fields and the spec's filters).
+ * @param {Object} query - Request query parameters.
+ * @param {Object} spec - The route's list spec; see above.
+ * @returns {{ options: Object } | { error: string }}
+ */
+export const parseListQuery = (query, spec) => {
+    for (const name of ['page', 'limit', 'cursor', 'sort', 'fields', ...Object.keys(spec.filters || {})]) {
+        if (query[name] !== undefined && typeof query[name] !== 'string') return { error: `Give ${name} only once.` };
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || spec.defaultLimit || 20, 1), spec.maxLimit || 100);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+    const sortParam = query.sort || spec.defaultSort || '-createdAt';
+    const sortField = sortParam.replace(/^-/, '');
+    if (!(spec.sort || []).includes(sortField)) {
+        return { error: `sort must be one of: ${(spec.sort || []).flatMap(f => [f, `-${f}`]).join(', ')}.` };
+    }
+    const direction = sortParam.startsWith('-') ? -1 : 1;
+
+    let fields = spec.defaultFields || spec.fields;
+    if (query.fields) {
+        fields = query.fields.split(',').map(f => f.trim()).filter(Boolean);
+        const unknown = fields.filter(f => !spec.fields.includes(f));
+        if (fields.length === 0 || unknown.length > 0) return { error: `fields may only list: ${spec.fields.join(', ')}.` };
+    }
+
+    const conditions = [];
+    for (const [name, filter] of Object.entries(spec.filters || {})) {
+        const raw = query[name] && query[name].trim();
+        if (!raw) continue;
+        if (filter.type === 'search') {
+            const pattern = { $regex: escapeRegex(raw), $options: 'i' };
+            conditions.push({ $or: filter.fields.map(field => ({ [field]: pattern })) });
+            continue;
+        }
+        const { value, error } = FILTER_PARSERS[filter.type](raw, filter);
+        if (error) return { error: `${name} ${error}.` };
+        conditions.push({ [filter.field || name]: value });
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor, sortParam);
+        if (!cursor) return { error: 'cursor is not valid for this sort. Start again from the first page.' };
+    }
+
+    return { options: { limit, page, sortParam, sortField, direction, fields, conditions, cursor } };
+};
+
+/**
+ * Runs a parsed list query within a route's own filter (e.g. the requester's categories).
+ * @param {mongoose.Model} Model
+ * @param {Object} baseFilter
+ * @param {Object} options - From parseListQuery().
+ * @param {Object} [extra]
+ * @param {Object|Array} [extra.populate] - Passed to Query.populate().
+ * @returns {Promise<{ items: Array<Object>, total: number, page: number|null, limit: number, totalPages: number, nextCursor: string|null }>}
+ *   page is null when the request used a cursor.
+ */
+export const findList = async (Model, baseFilter, { limit, page, sortParam, sortField, direction, fields, conditions, cursor }, { populate } = {}) => {
+    const filter = { $and: [baseFilter, ...conditions] };
+    const pageFilter = cursor ? { $and: [...filter.$and, afterCursor(cursor, sortField, direction)] } : filter;
+    const projection = [...new Set([...fields, sortField])].join(' ');
+
+    let query = Model.find(pageFilter)
+        .select(projection)
+        .sort({ [sortField]: direction, _id: direction })
+        .limit(limit + 1);
+    if (!cursor) query = query.skip((page - 1) * limit);
+    if (populate) query = query.populate(populate);
+
+    const [found, total] = await Promise.all([query, Model.countDocuments(filter)]);
+    const items = found.slice(0, limit);
+    return {
+        items,
+        total,
+        page: cursor ? null : page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        nextCursor: found.length > limit ? encodeCursor(items[items.length - 1], sortParam) : null,
+    };
+};
+
+/**
+ * parseListQuery() and findList() for a route: responds 400 itself when the parameters are invalid.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {mongoose.Model} Model
+ * @param {Object} spec
+ * @param {Object} baseFilter
+ * @param {Object} [extra] - See findList().
+ * @returns {Promise<Object|null>} The list envelope, or null once a 400 was sent.
+ */
+export const listQuery = async (req, res, Model, spec, baseFilter, extra) => {
+    const { options, error } = parseListQuery(req.query, spec);
+    if (error) {
+        res.status(400).json({ message: error });
+        return null;
+    }
+    return findList(Model, baseFilter, options, extra);
+};
@@ -0,0 +1,74 @@
+import dns from 'node:dns';
+import net from 'node:net';
+
+// Addresses the server must never be made to request on someone's behalf: this machine,
+// private networks, link-local ranges (including cloud metadata at 169.254.169.254) and the like.
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges.
+const blocked = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet.
+ * @param {string} address
+ * @returns {boolean} False for anything that is not an IP address.
+ */
+export const isPrivateAddress = (address) => {
+    const version = net.isIP(address);
+    return version !== 0 && blocked.check(address, version === 6 ? 'ipv6' : 'ipv4');
+};
+
+const privateHostError = (host) => new Error(`"${host}" resolves to a private, loopback or link-local address.`);
+
+/**
+ * Checks that a URL is http(s) and that its host resolves only to public addresses.
+ * @param {string} url
+ * @returns {Promise<{ url: string } | { error: string }>}
+ */
+export const checkPublicUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return { error: `"${url}" is not a valid URL.` };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return { error: 'Only http(s) URLs are allowed.' };
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(a => a.address);
+    } catch {
+        return { error: `The host "${host}" could not be found.` };
+    }
+    if (addresses.some(isPrivateAddress)) return { error: privateHostError(host).message };
+    return { url: parsed.href };
+};
+
+/**
+ * A dns.lookup() replacement for HTTP clients (axios's `lookup` option) that refuses hosts
+ * resolving to private addresses. It runs for every connection, redirects included, so a name
+ * that is re-pointed after checkPublicUrl() is still refused.
+ */
+export const publicOnlyLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.some(a => isPrivateAddress(a.address))) return callback(privateHostError(hostname));
+        callback(null, addresses);
+    });
+};
+
+/**
+ * For axios's `beforeRedirect` option: refuses redirects to private IP addresses, which
+ * connect without a lookup. Redirects to host names are checked by publicOnlyLookup().
+ * @param {Object} options - The redirect's request options.
+ */
+export const refusePrivateRedirect = (options) => {
+    const host = String(options.hostname || '').replace(/^\[|\]$/g, '');
+    if (isPrivateAddress(host)) throw privateHostError(host);
+};
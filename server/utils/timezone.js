@@ -0,0 +1,116 @@
+// Wall-clock <-> UTC conversion for IANA time zones, using the runtime's Intl data.
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean} Whether the runtime knows this IANA time zone name.
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+            weekday: 'short',
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * The wall-clock date and time of an instant in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, dayOfWeek: number }}
+ *   month is 1-12 and dayOfWeek 0 (Sunday) - 6.
+ */
+export const getZonedParts = (date, timeZone) => {
+    const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(date).map(p => [p.type, p.value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    };
+};
+
+const offsetAt = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts a wall-clock time in a time zone to the UTC instant. A time that occurs twice when
+ * clocks go back resolves to the first of the two; a time skipped when clocks go forward moves
+ * forward by the length of the gap (02:30 in a 02:00-03:00 gap becomes 03:30).
+ * @param {{ year: number, month: number, day: number, hour: number, minute: number }} wallTime - month is 1-12.
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = ({ year, month, day, hour, minute }, timeZone) => {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    // The zone's offsets a day either side; a DST change between them is the only one in play.
+    const before = offsetAt(new Date(wall - DAY_MS), timeZone);
+    const after = offsetAt(new Date(wall + DAY_MS), timeZone);
+    const matches = [...new Set([before, after])]
+        .map(offset => wall - offset)
+        .filter(instant => instant + offsetAt(new Date(instant), timeZone) === wall);
+    // No match: the time is in a gap, and the offset from before it pushes it past the gap.
+    return new Date(matches.length > 0 ? Math.min(...matches) : wall - before);
+};
+
+/**
+ * Parses "YYYY-MM-DDTHH:mm" (or "YYYY-MM-DD HH:mm") as a wall-clock time in a time zone.
+ * @returns {Date|null} The UTC instant, or null if the string is malformed.
+ */
+export const parseZonedDateTime = (value, timeZone) => {
+    const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})$/);
+    if (!match) return null;
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    if (month < 1 || month > 12 || day < 1 || hour > 23 || minute > 59) return null;
+    // Date.UTC rolls days past the end of the month over (Feb 30 -> Mar 2); refuse them instead.
+    if (new Date(Date.UTC(year, month - 1, day)).getUTCDate() !== day) return null;
+    return zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+};
+
+/**
+ * The first instant after `after` that falls on one of the given weekdays at the given
+ * wall-clock time in a time zone.
+ * @param {Date} after
+ * @param {Object} rule
+ * @param {number[]} rule.daysOfWeek - 0 (Sunday) - 6.
+ * @param {string} rule.time - "HH:mm".
+ * @param {string} rule.timeZone
+ * @returns {Date}
+ */
+export const nextWeeklyOccurrence = (after, { daysOfWeek, time, timeZone }) => {
+    const [hour, minute] = time.split(':').map(Number);
+    const today = getZonedParts(after, timeZone);
+    // Walk forward over calendar days in the zone; noon UTC keeps Date.UTC day arithmetic clear of DST edges.
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset, 12));
+        if (!daysOfWeek.includes(day.getUTCDay())) continue;
+        const candidate = zonedTimeToUtc({ year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), hour, minute }, timeZone);
+        if (candidate > after) return candidate;
+    }
+    return null;
+};
@@ -0,0 +1,16 @@
+/**
+ * An absolute URL on this API server, for links that leave the app (emails, shared pages).
+ * The server's public address comes from PUBLIC_BASE_URL, e.g. "https://news.example.com".
+ * @param {string} path - Starting with "/".
+ * @returns {string}
+ */
+export const publicUrl = (path) => `${(process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '')}${path}`;
+
+/**
+ * An absolute URL in the web app, for emails that send people to a page rather than an API
+ * route (e.g. password resets). APP_BASE_URL defaults to PUBLIC_BASE_URL, for when one server
+ * serves both.
+ * @param {string} path - Starting with "/".
+ * @returns {string}
+ */
+export const appUrl = (path) => (process.env.APP_BASE_URL ? `${process.env.APP_BASE_URL.replace(/\/+$/, '')}${path}` : publicUrl(path));
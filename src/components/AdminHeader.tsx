@@ -5,7 +5,7 @@ import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, D
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger, DropdownMenuGroup } from "@/components/ui/dropdown-menu";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { useAuth } from '@/context/AuthContext';
-import { Settings, Bell, LogOut, Loader2, CheckCheck, X } from 'lucide-react';
+import { Settings, Bell, LogOut, Loader2, CheckCheck, X, Search } from 'lucide-react';
 import { Skeleton } from "@/components/ui/skeleton";
 import { useNavigate } from "react-router-dom";
 import { useForm } from 'react-hook-form';
@@ -14,20 +14,25 @@ import { z } from 'zod';
 import { Input } from './ui/input';
 import { Label } from './ui/label';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
-import { fetchWithToken } from '@/lib/api';
+import { fetchWithToken, type ListPage } from '@/lib/api';
 import { toast } from 'sonner';
 import { formatDistanceToNow } from 'date-fns';
 import { ModeToggle } from './mode-toggle';
 import { cn } from '@/lib/utils';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from './ui/tooltip'; 
+import { SearchDialog } from './SearchDialog';
 
 const settingsSchema = z.object({
     name: z.string().min(2, "Name must be at least 2 characters."),
     password: z.string().min(8, "Password must be at least 8 characters.").optional().or(z.literal('')),
     confirmPassword: z.string().optional(),
+    currentPassword: z.string().optional(),
 }).refine((data) => data.password === data.confirmPassword, {
     message: "Passwords do not match",
     path: ["confirmPassword"],
+}).refine((data) => !data.password || !!data.currentPassword, {
+    message: "Enter your current password to change it.",
+    path: ["currentPassword"],
 });
 
 type SettingsFormData = z.infer<typeof settingsSchema>;
@@ -45,15 +50,16 @@ export const AdminHeader = () => {
   const navigate = useNavigate();
   const queryClient = useQueryClient();
   const [isSettingsDialogOpen, setIsSettingsDialogOpen] = useState(false);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
 
   const form = useForm<SettingsFormData>({
     resolver: zodResolver(settingsSchema),
-    defaultValues: { name: user?.name || '', password: '', confirmPassword: '' }
+    defaultValues: { name: user?.name || '', password: '', confirmPassword: '', currentPassword: '' }
   });
 
   const { data: notifications } = useQuery<Notification[], Error>({
       queryKey: ['notifications'],
-      queryFn: () => fetchWithToken('/notifications', token),
+      queryFn: () => fetchWithToken('/notifications', token).then((page: ListPage<Notification>) => page.items),
       enabled: !!token,
       refetchInterval: 15000,
       refetchOnWindowFocus: true,
@@ -64,7 +70,7 @@ export const AdminHeader = () => {
   const updateProfileMutation = useMutation({
     mutationFn: (data: Partial<SettingsFormData>) => {
         const payload = { ...data };
-        if (!payload.password) delete payload.password;
+        if (!payload.password) { delete payload.password; delete payload.currentPassword; }
         delete payload.confirmPassword;
         return fetchWithToken('/users/me/profile', token, { method: 'PATCH', body: JSON.stringify(payload) });
     },
@@ -94,7 +100,7 @@ export const AdminHeader = () => {
   });
 
   useEffect(() => {
-    if (user) form.reset({ name: user.name, password: '', confirmPassword: '' });
+    if (user) form.reset({ name: user.name, password: '', confirmPassword: '', currentPassword: '' });
   }, [user, isSettingsDialogOpen, form]);
 
   const onSubmitSettings = (data: SettingsFormData) => updateProfileMutation.mutate(data);
@@ -131,6 +137,9 @@ export const AdminHeader = () => {
               <h1 className="text-xl font-bold text-foreground">NewsLetter<span className="text-primary">AI</span></h1>
             </div>
             <div className="flex items-center gap-4">
+              <Button variant="ghost" size="icon" onClick={() => setIsSearchOpen(true)} title="Search articles and newsletters">
+                <Search className="w-5 h-5" />
+              </Button>
               <ModeToggle />
               <DropdownMenu>
                 <DropdownMenuTrigger asChild>
@@ -219,6 +228,7 @@ export const AdminHeader = () => {
           </div>
         </div>
       </header>
+      <SearchDialog token={token} open={isSearchOpen} onOpenChange={setIsSearchOpen} />
       <Dialog open={isSettingsDialogOpen} onOpenChange={setIsSettingsDialogOpen}>
         <DialogContent className="sm:max-w-[425px]">
           <DialogHeader>
@@ -252,6 +262,11 @@ export const AdminHeader = () => {
                 <Input id="confirmPassword" type="password" {...form.register("confirmPassword")} />
                 {form.formState.errors.confirmPassword && <p className="text-sm text-destructive mt-1">{form.formState.errors.confirmPassword.message}</p>}
             </div>
+            <div className="space-y-2">
+                <Label htmlFor="currentPassword">Current Password</Label>
+                <Input id="currentPassword" type="password" placeholder="Required to change your password" {...form.register("currentPassword")} />
+                {form.formState.errors.currentPassword && <p className="text-sm text-destructive mt-1">{form.formState.errors.currentPassword.message}</p>}
+            </div>
             <DialogFooter>
                 <Button type="button" variant="secondary" onClick={() => setIsSettingsDialogOpen(false)}>Cancel</Button>
                 <Button type="submit" disabled={updateProfileMutation.isPending}>
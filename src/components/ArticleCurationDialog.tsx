@@ -0,0 +1,150 @@
+import { useEffect, useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Loader2, Save } from 'lucide-react';
+import { fetchWithToken } from '@/lib/api';
+
+const EDITORIAL_STATUSES = ['shortlisted', 'summarized', 'ready', 'used'] as const;
+export type EditorialStatus = typeof EDITORIAL_STATUSES[number];
+
+export interface CurationFields {
+  _id: string;
+  title: string;
+  category: string;
+  tags?: string[];
+  editorNotes?: string;
+  editorialStatus?: EditorialStatus;
+}
+
+// Select value for "leave unchanged" when editing several articles.
+const KEEP = 'keep';
+
+const parseTags = (text: string) => text.split(',').map((tag) => tag.trim()).filter(Boolean);
+
+interface ArticleCurationDialogProps {
+  token: string | null;
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  articles: CurationFields[];
+  categories: string[];
+  onSaved: () => void;
+}
+
+/**
+ * Edits the category, tags, editor notes and editorial status of saved articles. One article is
+ * edited in full; for several, only the fields that are set are changed and tags are added or removed.
+ */
+export const ArticleCurationDialog = ({ token, open, onOpenChange, articles, categories, onSaved }: ArticleCurationDialogProps) => {
+  const single = articles.length === 1 ? articles[0] : null;
+  const [category, setCategory] = useState(KEEP);
+  const [status, setStatus] = useState(KEEP);
+  const [tags, setTags] = useState('');
+  const [removeTags, setRemoveTags] = useState('');
+  const [notes, setNotes] = useState('');
+
+  // Start from the article's values each time the dialog opens.
+  useEffect(() => {
+    if (!open) return;
+    setCategory(single ? single.category : KEEP);
+    setStatus(single ? single.editorialStatus || 'shortlisted' : KEEP);
+    setTags(single ? (single.tags || []).join(', ') : '');
+    setRemoveTags('');
+    setNotes(single ? single.editorNotes || '' : '');
+  }, [open, single]);
+
+  const saveMutation = useMutation<{ message?: string }, Error, Record<string, unknown>>({
+    mutationFn: (changes) => single
+      ? fetchWithToken(`/articles/${single._id}`, token, { method: 'PATCH', body: JSON.stringify(changes) })
+      : fetchWithToken('/articles/bulk', token, { method: 'PATCH', body: JSON.stringify({ articleIds: articles.map((a) => a._id), changes }) }),
+    onSuccess: (data) => {
+      toast.success(data.message || 'Article updated.');
+      onSaved();
+      onOpenChange(false);
+    },
+    onError: (err: Error) => toast.error(err.message),
+  });
+
+  const handleSave = () => {
+    const changes: Record<string, unknown> = {};
+    if (single) {
+      if (category !== single.category) changes.category = category;
+      if (status !== (single.editorialStatus || 'shortlisted')) changes.editorialStatus = status;
+      if (tags !== (single.tags || []).join(', ')) changes.tags = parseTags(tags);
+      if (notes !== (single.editorNotes || '')) changes.editorNotes = notes;
+    } else {
+      if (category !== KEEP) changes.category = category;
+      if (status !== KEEP) changes.editorialStatus = status;
+      if (parseTags(tags).length > 0) changes.addTags = parseTags(tags);
+      if (parseTags(removeTags).length > 0) changes.removeTags = parseTags(removeTags);
+    }
+    if (Object.keys(changes).length === 0) {
+      toast.info('Nothing was changed.');
+      return;
+    }
+    saveMutation.mutate(changes);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{single ? 'Edit Article' : `Edit ${articles.length} Articles`}</DialogTitle>
+          <DialogDescription>{single ? single.title : 'Fields left unchanged keep each article\'s current value.'}</DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <Label>Category</Label>
+              <Select value={category} onValueChange={setCategory}>
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {!single && <SelectItem value={KEEP}>Unchanged</SelectItem>}
+                  {/* An article can sit in a category the admin no longer manages; keep it selectable. */}
+                  {[...new Set(single ? [...categories, single.category] : categories)].map((name) => <SelectItem key={name} value={name}>{name}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label>Editorial status</Label>
+              <Select value={status} onValueChange={setStatus}>
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {!single && <SelectItem value={KEEP}>Unchanged</SelectItem>}
+                  {EDITORIAL_STATUSES.map((s) => <SelectItem key={s} value={s} className="capitalize">{s}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="curation-tags">{single ? 'Tags' : 'Add tags'}</Label>
+            <Input id="curation-tags" placeholder="e.g. security, cloud" value={tags} onChange={(e) => setTags(e.target.value)} />
+            <p className="text-xs text-muted-foreground">Separate tags with commas.</p>
+          </div>
+          {single ? (
+            <div className="space-y-1">
+              <Label htmlFor="curation-notes">Editor notes</Label>
+              <Textarea id="curation-notes" rows={4} placeholder="Private notes, never included in newsletters." value={notes} onChange={(e) => setNotes(e.target.value)} />
+            </div>
+          ) : (
+            <div className="space-y-1">
+              <Label htmlFor="curation-remove-tags">Remove tags</Label>
+              <Input id="curation-remove-tags" placeholder="e.g. draft" value={removeTags} onChange={(e) => setRemoveTags(e.target.value)} />
+            </div>
+          )}
+        </div>
+        <DialogFooter>
+          <Button type="button" variant="secondary" onClick={() => onOpenChange(false)}>Cancel</Button>
+          <Button onClick={handleSave} disabled={saveMutation.isPending || articles.length === 0}>
+            {saveMutation.isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Save className="mr-2 h-4 w-4" />}Save
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,253 @@
+import { useState } from 'react';
+import { useMutation, useQuery } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Search, ExternalLink, FileText, Loader2 } from 'lucide-react';
+import { fetchWithToken, fetchBlobWithToken } from '@/lib/api';
+
+interface Segment {
+  text: string;
+  match: boolean;
+}
+
+interface ArticleResult {
+  _id: string;
+  title: string;
+  sourceName?: string;
+  originalUrl: string;
+  publishedAt?: string;
+  category: string;
+  highlights: { title: Segment[] | null; summary: Segment[] | null };
+}
+
+interface NewsletterResult {
+  _id: string;
+  title: string;
+  category: string;
+  status: string;
+  createdAt: string;
+  highlights: { title: Segment[] | null };
+}
+
+interface ResultPage<T> {
+  results: T[];
+  total: number;
+  page: number;
+  totalPages: number;
+}
+
+interface SearchResponse {
+  query: string;
+  articles?: ResultPage<ArticleResult>;
+  newsletters?: ResultPage<NewsletterResult>;
+}
+
+interface SystemCategory {
+  _id: string;
+  name: string;
+}
+
+const ANY = 'any';
+
+// Renders the server's highlight segments, or the plain text when nothing in it matched.
+const Highlighted = ({ segments, text }: { segments: Segment[] | null; text: string }) => (
+  <>
+    {segments
+      ? segments.map((segment, i) => segment.match
+        ? <mark key={i} className="rounded bg-yellow-200 px-0.5 text-foreground dark:bg-yellow-700">{segment.text}</mark>
+        : <span key={i}>{segment.text}</span>)
+      : text}
+  </>
+);
+
+interface SearchDialogProps {
+  token: string | null;
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+/**
+ * Full-text search over curated articles and newsletters. The server limits results to what the
+ * user may see: admins their categories, users the newsletters they received.
+ */
+export const SearchDialog = ({ token, open, onOpenChange }: SearchDialogProps) => {
+  const [input, setInput] = useState('');
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState('all');
+  const [category, setCategory] = useState(ANY);
+  const [source, setSource] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [sent, setSent] = useState(ANY);
+  const [page, setPage] = useState(1);
+
+  const params = new URLSearchParams({ q: query, type, page: String(page) });
+  if (category !== ANY) params.set('category', category);
+  if (source.trim()) params.set('source', source.trim());
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  if (sent !== ANY) params.set('inSentNewsletter', sent);
+
+  const { data, isFetching, error } = useQuery<SearchResponse, Error>({
+    queryKey: ['search', params.toString()],
+    queryFn: () => fetchWithToken(`/search?${params}`, token),
+    enabled: !!token && open && query.length > 0,
+    placeholderData: (previous) => previous,
+  });
+
+  const { data: categories } = useQuery<SystemCategory[], Error>({
+    queryKey: ['allSystemCategories'],
+    queryFn: () => fetchWithToken('/categories', token),
+    enabled: !!token && open,
+  });
+
+  const openPdfMutation = useMutation({
+    mutationFn: (newsletterId: string) => fetchBlobWithToken(`/newsletters/${newsletterId}/download`, token),
+    onSuccess: (blob: Blob) => window.open(URL.createObjectURL(blob), '_blank'),
+    onError: (err: Error) => toast.error(err.message || 'Failed to open PDF.'),
+  });
+
+  // Any change to the filters starts again from the first page.
+  const filter = <T,>(setter: (value: T) => void) => (value: T) => { setter(value); setPage(1); };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    setQuery(input.trim());
+    setPage(1);
+  };
+
+  const totalPages = Math.max(data?.articles?.totalPages ?? 0, data?.newsletters?.totalPages ?? 0);
+  const nothingFound = data && (data.articles?.total ?? 0) + (data.newsletters?.total ?? 0) === 0;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Search Articles & Newsletters</DialogTitle>
+          <DialogDescription>Use "quotes" for exact phrases and -word to leave a word out.</DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <Input autoFocus placeholder="e.g. kubernetes security" value={input} onChange={(e) => setInput(e.target.value)} />
+          <Button type="submit" disabled={!input.trim()}>
+            {isFetching ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Search className="mr-2 h-4 w-4" />}Search
+          </Button>
+        </form>
+        <div className="grid grid-cols-2 gap-3 sm:grid-cols-3">
+          <div className="space-y-1">
+            <Label>Show</Label>
+            <Select value={type} onValueChange={filter(setType)}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">Articles & newsletters</SelectItem>
+                <SelectItem value="articles">Articles</SelectItem>
+                <SelectItem value="newsletters">Newsletters</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label>Category</Label>
+            <Select value={category} onValueChange={filter(setCategory)}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ANY}>Any category</SelectItem>
+                {categories?.map((c) => <SelectItem key={c._id} value={c.name}>{c.name}</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label>In a sent newsletter</Label>
+            <Select value={sent} onValueChange={filter(setSent)}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ANY}>Either</SelectItem>
+                <SelectItem value="true">Yes</SelectItem>
+                <SelectItem value="false">No</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="search-source">Source</Label>
+            <Input id="search-source" placeholder="e.g. TechCrunch" value={source} onChange={(e) => filter(setSource)(e.target.value)} />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="search-from">From</Label>
+            <Input id="search-from" type="date" value={from} onChange={(e) => filter(setFrom)(e.target.value)} />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="search-to">To</Label>
+            <Input id="search-to" type="date" value={to} onChange={(e) => filter(setTo)(e.target.value)} />
+          </div>
+        </div>
+
+        <ScrollArea className="h-96 pr-3">
+          {error ? (
+            <Alert variant="destructive"><AlertDescription>{error.message}</AlertDescription></Alert>
+          ) : isFetching && !data ? (
+            <div className="space-y-2"><Skeleton className="h-16 w-full" /><Skeleton className="h-16 w-full" /></div>
+          ) : !data ? (
+            <p className="py-8 text-center text-sm text-muted-foreground">Search by title, summary or description.</p>
+          ) : nothingFound ? (
+            <p className="py-8 text-center text-sm text-muted-foreground">Nothing matches "{data.query}".</p>
+          ) : (
+            <div className="space-y-6">
+              {data.newsletters && data.newsletters.total > 0 && (
+                <section className="space-y-2">
+                  <h3 className="text-sm font-semibold text-muted-foreground">Newsletters ({data.newsletters.total})</h3>
+                  {data.newsletters.results.map((newsletter) => (
+                    <div key={newsletter._id} className="flex items-center justify-between gap-3 rounded-md border p-3">
+                      <div>
+                        <p className="font-medium"><Highlighted segments={newsletter.highlights.title} text={newsletter.title} /></p>
+                        <p className="text-xs text-muted-foreground">{newsletter.category} · {format(new Date(newsletter.createdAt), 'PP')}</p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <Badge variant="secondary">{newsletter.status}</Badge>
+                        <Button variant="ghost" size="icon" title="Open PDF" onClick={() => openPdfMutation.mutate(newsletter._id)} disabled={openPdfMutation.isPending}>
+                          <FileText className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </div>
+                  ))}
+                </section>
+              )}
+              {data.articles && data.articles.total > 0 && (
+                <section className="space-y-2">
+                  <h3 className="text-sm font-semibold text-muted-foreground">Articles ({data.articles.total})</h3>
+                  {data.articles.results.map((article) => (
+                    <div key={article._id} className="space-y-1 rounded-md border p-3">
+                      <a href={article.originalUrl} target="_blank" rel="noopener noreferrer" className="flex items-start gap-1 font-medium hover:underline">
+                        <Highlighted segments={article.highlights.title} text={article.title} />
+                        <ExternalLink className="mt-1 h-3 w-3 shrink-0" />
+                      </a>
+                      {article.highlights.summary && (
+                        <p className="text-sm text-muted-foreground"><Highlighted segments={article.highlights.summary} text="" /></p>
+                      )}
+                      <p className="text-xs text-muted-foreground">
+                        {[article.sourceName, article.category, article.publishedAt && format(new Date(article.publishedAt), 'PP')].filter(Boolean).join(' · ')}
+                      </p>
+                    </div>
+                  ))}
+                </section>
+              )}
+            </div>
+          )}
+        </ScrollArea>
+        {totalPages > 1 && (
+          <div className="flex items-center justify-end gap-2">
+            <span className="text-sm text-muted-foreground">Page {page} of {totalPages}</span>
+            <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1 || isFetching}>Previous</Button>
+            <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= totalPages || isFetching}>Next</Button>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter, DialogDescription } from '@/components/ui/dialog';
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/components/ui/dropdown-menu';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { FileUp, FileDown, ChevronDown, Loader2 } from 'lucide-react';
+import { fetchWithToken, fetchBlobWithToken } from '@/lib/api';
+
+interface ImportRowResult {
+  row: number;
+  email: string;
+  categories: string[];
+  action: 'invite' | 'update' | 'unchanged' | 'already-invited' | 'error';
+  errors: string[];
+  warnings: string[];
+}
+
+interface ImportReport {
+  dryRun: boolean;
+  summary: { total: number; invited: number; updated: number; unchanged: number; alreadyInvited: number; errors: number };
+  rows: ImportRowResult[];
+}
+
+const ACTION_LABELS: Record<ImportRowResult['action'], string> = {
+  invite: 'Invite',
+  update: 'Update',
+  unchanged: 'No change',
+  'already-invited': 'Already invited',
+  error: 'Error',
+};
+
+interface UserImportExportProps {
+  token: string | null;
+  // Limits exports to one category, e.g. the filter the page is showing.
+  category?: string;
+  onImported?: () => void;
+}
+
+/**
+ * Import users from a CSV file (previewed with a dry run first) and export subscribers as CSV or JSON.
+ */
+export const UserImportExport = ({ token, category, onImported }: UserImportExportProps) => {
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [csv, setCsv] = useState<string | null>(null);
+  const [report, setReport] = useState<ImportReport | null>(null);
+
+  const importMutation = useMutation<ImportReport, Error, { csv: string; dryRun: boolean }>({
+    mutationFn: ({ csv, dryRun }) => fetchWithToken(`/admins/users/import${dryRun ? '?dryRun=true' : ''}`, token, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: csv,
+    }),
+    onSuccess: (data) => {
+      setReport(data);
+      if (!data.dryRun) {
+        toast.success(`Import finished: ${data.summary.invited} invited, ${data.summary.updated} updated, ${data.summary.errors} failed.`);
+        onImported?.();
+      }
+    },
+    onError: (err: Error) => toast.error(err.message || 'Import failed.'),
+  });
+
+  const exportMutation = useMutation<void, Error, 'csv' | 'json'>({
+    mutationFn: async (format) => {
+      const params = new URLSearchParams({ format });
+      if (category) params.set('category', category);
+      const blob = await fetchBlobWithToken(`/admins/users/export?${params}`, token);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `subscribers${category ? `-${category}` : ''}.${format}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    },
+    onError: (err: Error) => toast.error(err.message || 'Export failed.'),
+  });
+
+  const handleFile = async (file: File | undefined) => {
+    setReport(null);
+    if (!file) { setCsv(null); return; }
+    const text = await file.text();
+    setCsv(text);
+    importMutation.mutate({ csv: text, dryRun: true });
+  };
+
+  const closeImport = (open: boolean) => {
+    setIsImportOpen(open);
+    if (!open) { setCsv(null); setReport(null); }
+  };
+
+  const applicable = report ? report.summary.invited + report.summary.updated : 0;
+
+  return (
+    <>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="outline" disabled={exportMutation.isPending}>
+            {exportMutation.isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <FileDown className="mr-2 h-4 w-4" />}
+            Import / Export<ChevronDown className="ml-2 h-4 w-4" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end">
+          <DropdownMenuItem onSelect={() => setIsImportOpen(true)}><FileUp className="mr-2 h-4 w-4" />Import from CSV</DropdownMenuItem>
+          <DropdownMenuItem onSelect={() => exportMutation.mutate('csv')}><FileDown className="mr-2 h-4 w-4" />Export as CSV</DropdownMenuItem>
+          <DropdownMenuItem onSelect={() => exportMutation.mutate('json')}><FileDown className="mr-2 h-4 w-4" />Export as JSON</DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Dialog open={isImportOpen} onOpenChange={closeImport}>
+        <DialogContent className="sm:max-w-3xl">
+          <DialogHeader>
+            <DialogTitle>Import Users from CSV</DialogTitle>
+            <DialogDescription>
+              Columns: email, name, categories (separated by ";"), status. Existing subscribers get the categories added; new emails are sent an invitation. Nothing changes until you confirm the preview.
+            </DialogDescription>
+          </DialogHeader>
+          <Input type="file" accept=".csv,text/csv" onChange={(e) => handleFile(e.target.files?.[0])} disabled={importMutation.isPending} />
+          {importMutation.isPending && <div className="flex justify-center py-4"><Loader2 className="h-6 w-6 animate-spin text-muted-foreground" /></div>}
+          {report && (
+            <div className="space-y-3">
+              <p className="text-sm">
+                {report.dryRun ? 'Preview: ' : 'Done: '}
+                {report.summary.invited} to invite, {report.summary.updated} to update, {report.summary.unchanged} unchanged, {report.summary.alreadyInvited} already invited, {report.summary.errors} with errors.
+              </p>
+              <ScrollArea className="h-72 rounded-md border">
+                <Table>
+                  <TableHeader><TableRow><TableHead>Row</TableHead><TableHead>Email</TableHead><TableHead>Categories</TableHead><TableHead>Result</TableHead></TableRow></TableHeader>
+                  <TableBody>
+                    {report.rows.map((row) => (
+                      <TableRow key={row.row}>
+                        <TableCell>{row.row}</TableCell>
+                        <TableCell>{row.email}</TableCell>
+                        <TableCell>{row.categories.join(', ')}</TableCell>
+                        <TableCell>
+                          <Badge variant={row.action === 'error' ? 'destructive' : 'secondary'}>{ACTION_LABELS[row.action]}</Badge>
+                          {[...row.errors, ...row.warnings].map((message) => <p key={message} className="text-xs text-muted-foreground mt-1">{message}</p>)}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </ScrollArea>
+            </div>
+          )}
+          <DialogFooter>
+            <Button type="button" variant="secondary" onClick={() => closeImport(false)}>Close</Button>
+            {report?.dryRun && (
+              <Button onClick={() => csv && importMutation.mutate({ csv, dryRun: false })} disabled={importMutation.isPending || applicable === 0}>
+                {importMutation.isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <FileUp className="mr-2 h-4 w-4" />}
+                Import {applicable} Row{applicable === 1 ? '' : 's'}
+              </Button>
+            )}
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
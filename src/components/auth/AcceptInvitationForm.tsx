@@ -0,0 +1,142 @@
+// src/components/auth/AcceptInvitationForm.tsx
+import { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Lock, User, Loader2, AlertCircle } from 'lucide-react';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { useAuth } from '@/context/AuthContext';
+import { ModeToggle } from '@/components/mode-toggle';
+
+interface InvitationDetails {
+  email: string;
+  name?: string;
+  userType: 'user' | 'admin';
+  categories: string[];
+}
+
+export const AcceptInvitationForm = () => {
+  const navigate = useNavigate();
+  const { login } = useAuth();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [invitation, setInvitation] = useState<InvitationDetails | null>(null);
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!token) {
+      setError('This invitation link is incomplete.');
+      setLoading(false);
+      return;
+    }
+    fetch(`/api/auth/invitations/${encodeURIComponent(token)}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'This invitation is not valid.');
+        setInvitation(data);
+        setName(data.name || '');
+      })
+      .catch((err) => setError(err instanceof Error ? err.message : 'An unexpected error occurred.'))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleAccept = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters.');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError("Passwords don't match.");
+      return;
+    }
+    setLoading(true);
+    try {
+      const response = await fetch('/api/auth/accept-invitation', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, name, password }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Could not accept the invitation.');
+      login(data.user, data.token, data.refreshToken);
+      navigate(data.user.userType === 'admin' ? '/dashboard' : '/user-dashboard');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center py-12 relative">
+      <div className="absolute top-4 right-4">
+          <ModeToggle />
+      </div>
+      <div className="mx-auto grid w-[350px] gap-6">
+        <div className="grid gap-2 text-center">
+          <div className="flex justify-center items-center gap-3 mb-2">
+            <img src="/logo.png" alt="NewsLetter AI Logo" className="h-9 w-9" />
+            <h1 className="text-3xl font-bold">
+              NewsLetter<span className="text-primary">AI</span>
+            </h1>
+          </div>
+          {invitation && (
+            <p className="text-balance text-muted-foreground">
+              Set up your {invitation.userType === 'admin' ? 'admin ' : ''}account for {invitation.email}
+              {invitation.categories.length > 0 && <> ({invitation.categories.join(', ')})</>}
+            </p>
+          )}
+        </div>
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+        {loading && !invitation ? (
+          <div className="flex justify-center"><Loader2 className="h-6 w-6 animate-spin text-muted-foreground" /></div>
+        ) : invitation && (
+          <form onSubmit={handleAccept} className="grid gap-4">
+            <div className="grid gap-2">
+              <Label htmlFor="name">Full Name</Label>
+              <div className="relative">
+                <User className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                <Input id="name" value={name} onChange={(e) => setName(e.target.value)} className="pl-10" required disabled={loading} />
+              </div>
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="password">Password</Label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                <Input id="password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} className="pl-10" required disabled={loading} />
+              </div>
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="confirm-password">Confirm Password</Label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                <Input id="confirm-password" type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className="pl-10" required disabled={loading} />
+              </div>
+            </div>
+            <Button type="submit" className="w-full" disabled={loading}>
+              {loading ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" />Creating Account...</> : 'Create Account'}
+            </Button>
+          </form>
+        )}
+        <div className="mt-4 text-center text-sm">
+          Already have an account?{" "}
+          <a href="/login" className="underline">
+            Log in
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+};
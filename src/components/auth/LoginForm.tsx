@@ -17,6 +17,19 @@ export const LoginForm = () => {
   const [error, setError] = useState<string | null>(null);
   const [loading, setLoading] = useState(false);
 
+  // Set when login answers that the account still has a temporary password.
+  const [passwordChangeToken, setPasswordChangeToken] = useState<string | null>(null);
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+
+  const finishLogin = (data: { user: Parameters<typeof login>[0]; token: string; refreshToken: string }) => {
+    login(data.user, data.token, data.refreshToken);
+    const targetPath =
+      data.user.userType === 'superadmin' ? '/super-admin' :
+      data.user.userType === 'admin' ? '/dashboard' : '/user-dashboard';
+    navigate(targetPath);
+  };
+
   const handleLogin = async (e: React.FormEvent) => {
     e.preventDefault();
     setLoading(true);
@@ -30,11 +43,12 @@ export const LoginForm = () => {
       });
       const data = await response.json();
       if (response.ok) {
-        login(data.user, data.token);
-        const targetPath =
-          data.user.userType === 'superadmin' ? '/super-admin' :
-          data.user.userType === 'admin' ? '/dashboard' : '/user-dashboard';
-        navigate(targetPath);
+        if (data.mustChangePassword) {
+          setPasswordChangeToken(data.passwordChangeToken);
+          setPassword('');
+          return;
+        }
+        finishLogin(data);
       } else {
         throw new Error(data.message || 'Invalid credentials.');
       }
@@ -46,6 +60,38 @@ export const LoginForm = () => {
     }
   };
 
+  const handleChangePassword = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    if (newPassword.length < 8) {
+      setError('Password must be at least 8 characters.');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setError("Passwords don't match.");
+      return;
+    }
+    setLoading(true);
+    try {
+      const response = await fetch('/api/auth/change-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ passwordChangeToken, password: newPassword }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        if (response.status === 401) setPasswordChangeToken(null);
+        throw new Error(data.message || 'Could not change your password.');
+      }
+      finishLogin(data);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'An unexpected error occurred.';
+      setError(errorMessage);
+    } finally {
+        setLoading(false);
+    }
+  };
+
   return (
     <div className="w-full lg:grid lg:min-h-screen lg:grid-cols-2 xl:min-h-screen relative">
       <div className="absolute top-4 right-4">
@@ -70,6 +116,30 @@ export const LoginForm = () => {
               <AlertDescription>{error}</AlertDescription>
             </Alert>
           )}
+          {passwordChangeToken ? (
+          <form onSubmit={handleChangePassword} className="grid gap-4">
+            <p className="text-sm text-muted-foreground">
+              Your account has a temporary password. Choose your own password to continue.
+            </p>
+            <div className="grid gap-2">
+              <Label htmlFor="new-password">New Password</Label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                <Input id="new-password" type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} className="pl-10" required disabled={loading} />
+              </div>
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="confirm-password">Confirm New Password</Label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                <Input id="confirm-password" type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className="pl-10" required disabled={loading} />
+              </div>
+            </div>
+            <Button type="submit" className="w-full" disabled={loading}>
+              {loading ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" />Saving...</> : 'Set Password and Log In'}
+            </Button>
+          </form>
+          ) : (
           <form onSubmit={handleLogin} className="grid gap-4">
             <div className="grid gap-2">
               <Label htmlFor="email">Email</Label>
@@ -81,6 +151,9 @@ export const LoginForm = () => {
             <div className="grid gap-2">
               <div className="flex items-center">
                 <Label htmlFor="password">Password</Label>
+                <a href="/forgot-password" className="ml-auto inline-block text-sm underline">
+                  Forgot your password?
+                </a>
               </div>
               <div className="relative">
                 <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
@@ -91,6 +164,7 @@ export const LoginForm = () => {
               {loading ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" />Logging In...</> : 'Login'}
             </Button>
           </form>
+          )}
           <div className="mt-4 text-center text-sm">
             Don&apos;t have an account?{" "}
             <a href="/signup" className="underline">
@@ -0,0 +1,130 @@
+// src/components/auth/PasswordResetForm.tsx
+import { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Mail, Lock, Loader2, AlertCircle, CheckCircle2 } from 'lucide-react';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { ModeToggle } from '@/components/mode-toggle';
+
+// Without a token in the URL this asks for an email to send a reset link to;
+// with one (the link from that email) it sets the new password.
+export const PasswordResetForm = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const post = async (endpoint: string, body: object) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Something went wrong.');
+      setSuccess(data.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRequest = (e: React.FormEvent) => {
+    e.preventDefault();
+    post('/api/auth/forgot-password', { email });
+  };
+
+  const handleReset = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters.');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError("Passwords don't match.");
+      return;
+    }
+    post('/api/auth/reset-password', { token, password });
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center py-12 relative">
+      <div className="absolute top-4 right-4">
+          <ModeToggle />
+      </div>
+      <div className="mx-auto grid w-[350px] gap-6">
+        <div className="grid gap-2 text-center">
+          <div className="flex justify-center items-center gap-3 mb-2">
+            <img src="/logo.png" alt="NewsLetter AI Logo" className="h-9 w-9" />
+            <h1 className="text-3xl font-bold">
+              NewsLetter<span className="text-primary">AI</span>
+            </h1>
+          </div>
+          <p className="text-balance text-muted-foreground">
+            {token ? 'Choose a new password for your account' : "Enter your email and we'll send you a link to reset your password"}
+          </p>
+        </div>
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+        {success ? (
+          <Alert>
+            <CheckCircle2 className="h-4 w-4" />
+            <AlertDescription>{success}</AlertDescription>
+          </Alert>
+        ) : token ? (
+          <form onSubmit={handleReset} className="grid gap-4">
+            <div className="grid gap-2">
+              <Label htmlFor="password">New Password</Label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                <Input id="password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} className="pl-10" required disabled={loading} />
+              </div>
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="confirm-password">Confirm New Password</Label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                <Input id="confirm-password" type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className="pl-10" required disabled={loading} />
+              </div>
+            </div>
+            <Button type="submit" className="w-full" disabled={loading}>
+              {loading ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" />Saving...</> : 'Reset Password'}
+            </Button>
+          </form>
+        ) : (
+          <form onSubmit={handleRequest} className="grid gap-4">
+            <div className="grid gap-2">
+              <Label htmlFor="email">Email</Label>
+              <div className="relative">
+                <Mail className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                <Input id="email" type="email" placeholder="m@example.com" value={email} onChange={(e) => setEmail(e.target.value)} className="pl-10" required disabled={loading} />
+              </div>
+            </div>
+            <Button type="submit" className="w-full" disabled={loading}>
+              {loading ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" />Sending...</> : 'Send Reset Link'}
+            </Button>
+          </form>
+        )}
+        <div className="mt-4 text-center text-sm">
+          <a href="/login" className="underline">
+            Back to login
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -30,7 +30,7 @@ export const SignupForm = () => {
       const response = await fetch('/api/auth/signup', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: formData.name, email: formData.email, password: formData.password, userType: 'user' }),
+        body: JSON.stringify({ name: formData.name, email: formData.email, password: formData.password }),
       });
       const data = await response.json();
       if (!response.ok) {
@@ -1,7 +1,7 @@
 import { createContext, useState, useContext, useEffect, ReactNode, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
-import { fetchWithToken } from '@/lib/api';
+import { fetchWithToken, AUTH_TOKEN_KEY, REFRESH_TOKEN_KEY, TOKEN_REFRESHED_EVENT, SESSION_ENDED_EVENT } from '@/lib/api';
 
 interface User {
   id: string;
@@ -14,7 +14,7 @@ interface User {
 interface AuthContextType {
   user: User | null;
   token: string | null;
-  login: (userData: User, token: string) => void;
+  login: (userData: User, token: string, refreshToken?: string) => void;
   logout: () => void;
   isLoading: boolean;
 }
@@ -28,8 +28,10 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
   const navigate = useNavigate();
   const queryClient = useQueryClient();
 
-  const login = useCallback((userData: User, tokenData: string) => {
-    localStorage.setItem('authToken', tokenData);
+  // refreshToken is only passed at sign-in; profile updates re-issue just the access token.
+  const login = useCallback((userData: User, tokenData: string, refreshToken?: string) => {
+    localStorage.setItem(AUTH_TOKEN_KEY, tokenData);
+    if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
     localStorage.setItem('user', JSON.stringify(userData));
     setToken(tokenData);
     setUser(userData);
@@ -38,7 +40,7 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
   const { data: syncedUser } = useQuery({
     queryKey: ['self-user-profile-sync'],
     queryFn: () => {
-      const currentToken = localStorage.getItem('authToken');
+      const currentToken = localStorage.getItem(AUTH_TOKEN_KEY);
       if (!currentToken) {
         return Promise.resolve(null);
       }
@@ -74,7 +76,7 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
 
   useEffect(() => {
     try {
-      const storedToken = localStorage.getItem('authToken');
+      const storedToken = localStorage.getItem(AUTH_TOKEN_KEY);
       const storedUser = localStorage.getItem('user');
       if (storedToken && storedUser) {
         const parsedUser = JSON.parse(storedUser);
@@ -90,12 +92,37 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     }
   }, []);
 
-  const logout = () => {
-    localStorage.removeItem('authToken');
+  const clearSession = useCallback(() => {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
     localStorage.removeItem('user');
     setToken(null);
     setUser(null);
     navigate('/login');
+  }, [navigate]);
+
+  // api.ts refreshes expired access tokens on its own; keep the context in step with it.
+  useEffect(() => {
+    const onRefreshed = (event: Event) => setToken((event as CustomEvent<string>).detail);
+    window.addEventListener(TOKEN_REFRESHED_EVENT, onRefreshed);
+    window.addEventListener(SESSION_ENDED_EVENT, clearSession);
+    return () => {
+      window.removeEventListener(TOKEN_REFRESHED_EVENT, onRefreshed);
+      window.removeEventListener(SESSION_ENDED_EVENT, clearSession);
+    };
+  }, [clearSession]);
+
+  const logout = () => {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (refreshToken) {
+      // Ends the session on the server too; signing out locally does not wait for it.
+      fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      }).catch(err => console.error("Failed to end the session on the server", err));
+    }
+    clearSession();
   };
 
   return (
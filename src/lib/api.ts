@@ -6,6 +6,63 @@ const API_URL = '/api';
 console.log("V2 - Using PROXY configuration. API requests will go to: ", API_URL);
 // --- END VERIFICATION ---
 
+export const AUTH_TOKEN_KEY = 'authToken';
+export const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Fired on window so AuthContext can follow token changes made here.
+export const TOKEN_REFRESHED_EVENT = 'auth:token-refreshed';
+export const SESSION_ENDED_EVENT = 'auth:session-ended';
+
+let refreshInFlight: Promise<string | null> | null = null;
+
+/**
+ * Trades the stored refresh token for a new access token. Concurrent callers share one
+ * request, since each refresh token works only once. Resolves to null when the session
+ * has ended, after clearing the stored tokens.
+ */
+export const refreshAccessToken = (): Promise<string | null> => {
+    if (refreshInFlight) return refreshInFlight;
+    refreshInFlight = (async () => {
+        try {
+            const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+            if (!refreshToken) throw new Error("No refresh token stored.");
+            const response = await fetch(`${API_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken }),
+            });
+            if (!response.ok) throw new Error(`Refresh failed with status ${response.status}`);
+            const data = await response.json();
+            localStorage.setItem(AUTH_TOKEN_KEY, data.token);
+            localStorage.setItem(REFRESH_TOKEN_KEY, data.refreshToken);
+            window.dispatchEvent(new CustomEvent(TOKEN_REFRESHED_EVENT, { detail: data.token }));
+            return data.token as string;
+        } catch (error) {
+            console.warn("Session refresh failed; signing out.", error);
+            localStorage.removeItem(AUTH_TOKEN_KEY);
+            localStorage.removeItem(REFRESH_TOKEN_KEY);
+            window.dispatchEvent(new Event(SESSION_ENDED_EVENT));
+            return null;
+        }
+    })().finally(() => { refreshInFlight = null; });
+    return refreshInFlight;
+};
+
+/**
+ * Sends an authenticated request. When the access token has expired (401), refreshes it once
+ * and retries with the new one.
+ */
+const authorizedFetch = async (endpoint: string, token: string, options: RequestInit) => {
+    const send = (accessToken: string) => fetch(`${API_URL}${endpoint}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', 'x-auth-token': accessToken, ...options.headers },
+    });
+    const response = await send(token);
+    if (response.status !== 401) return response;
+    const refreshed = await refreshAccessToken();
+    return refreshed ? send(refreshed) : response;
+};
+
 /**
  * A helper function for making authenticated API calls that expect a JSON response.
  */
@@ -13,8 +70,7 @@ export const fetchWithToken = async (endpoint: string, token: string | null, opt
     if (!token) {
         throw new Error("Authentication token not found. Please log in again.");
     }
-    const headers = { 'Content-Type': 'application/json', 'x-auth-token': token, ...options.headers };
-    const response = await fetch(`${API_URL}${endpoint}`, { ...options, headers });
+    const response = await authorizedFetch(endpoint, token, options);
     if (!response.ok) {
         const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
         throw new Error(errorData.message || 'An API error occurred.');
@@ -28,11 +84,39 @@ export const fetchWithToken = async (endpoint: string, token: string | null, opt
  */
 export const fetchBlobWithToken = async (endpoint: string, token: string | null, options: RequestInit = {}) => {
     if (!token) { throw new Error("Authentication token not found."); }
-    const headers = { 'Content-Type': 'application/json', 'x-auth-token': token, ...options.headers };
-    const response = await fetch(`${API_URL}${endpoint}`, { ...options, headers });
+    const response = await authorizedFetch(endpoint, token, options);
     if (!response.ok) {
         const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
         throw new Error(errorData.message || 'An API error occurred.');
     }
     return response.blob();
-};
\ No newline at end of file
+};
+/**
+ * One page of a list endpoint (see server/utils/listQuery.js).
+ */
+export interface ListPage<T> {
+    items: T[];
+    total: number;
+    page: number | null;
+    limit: number;
+    totalPages: number;
+    nextCursor: string | null;
+}
+
+/**
+ * Fetches every item of a list endpoint by following its cursors, for views that work on the
+ * whole list (e.g. selecting all of a category's subscribers). Query parameters in the endpoint
+ * (filters, sort) apply to every page.
+ */
+export const fetchAllPages = async <T>(endpoint: string, token: string | null, pageSize = 200): Promise<T[]> => {
+    const items: T[] = [];
+    const separator = endpoint.includes('?') ? '&' : '?';
+    let cursor: string | null = null;
+    do {
+        const cursorParam: string = cursor ? `&cursor=${encodeURIComponent(cursor)}` : '';
+        const page: ListPage<T> = await fetchWithToken(`${endpoint}${separator}limit=${pageSize}${cursorParam}`, token);
+        items.push(...page.items);
+        cursor = page.nextCursor;
+    } while (cursor);
+    return items;
+};
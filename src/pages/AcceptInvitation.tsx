@@ -0,0 +1,8 @@
+
+import { AcceptInvitationForm } from '@/components/auth/AcceptInvitationForm';
+
+const AcceptInvitation = () => {
+  return <AcceptInvitationForm />;
+};
+
+export default AcceptInvitation;
@@ -0,0 +1,8 @@
+
+import { PasswordResetForm } from '@/components/auth/PasswordResetForm';
+
+const ResetPassword = () => {
+  return <PasswordResetForm />;
+};
+
+export default ResetPassword;
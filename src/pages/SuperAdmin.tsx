@@ -29,11 +29,12 @@ import { useForm, Controller } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { format } from 'date-fns';
-import { Plus, Edit, Trash2, AlertCircle, User as UserIcon, LayoutGrid, Users, Loader2, Copy, UserPlus, Mail, Share2 } from 'lucide-react';
+import { Plus, Edit, Trash2, AlertCircle, User as UserIcon, LayoutGrid, Users, Loader2, UserPlus, Share2 } from 'lucide-react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { AdminHeader } from '@/components/AdminHeader';
-import { fetchWithToken } from '@/lib/api';
+import { fetchWithToken, fetchAllPages } from '@/lib/api';
 import { toast } from 'sonner';
+import { UserImportExport } from '@/components/UserImportExport';
 
 // --- Data Types ---
 interface Admin { _id: string; name: string; email: string; userType: 'admin' | 'superadmin'; status: 'Active' | 'Inactive'; categories: string[]; }
@@ -80,7 +81,6 @@ const SuperAdmin = () => {
   const [editingAdmin, setEditingAdmin] = useState<Admin | null>(null);
   const [categoryView, setCategoryView] = useState<'byAdmin' | 'byCategory'>('byAdmin');
   const [isAddUserDialogOpen, setIsAddUserDialogOpen] = useState(false);
-  const [createdUserInfo, setCreatedUserInfo] = useState<{ name: string; email: string; password_was: string } | null>(null);
   const [editingUser, setEditingUser] = useState<RegularUser | null>(null);
   const [activeTab, setActiveTab] = useState<string | null>(searchParams.get('tab'));
   const [categoryFilter, setCategoryFilter] = useState('all');
@@ -125,14 +125,14 @@ const SuperAdmin = () => {
 
   const { data: admins, isLoading: isLoadingAdmins, error: adminsError } = useQuery<Admin[], Error>({ queryKey: ['admins'], queryFn: () => fetchWithToken('/admins', token), enabled: !!token });
   const { data: categories, isLoading: isLoadingCategories, error: categoriesError } = useQuery<Category[], Error>({ queryKey: ['categories'], queryFn: () => fetchWithToken('/categories', token), enabled: !!token });
-  const { data: allRegularUsers, isLoading: isLoadingAllUsers, error: allUsersError } = useQuery<RegularUser[], Error>({ queryKey: ['allRegularUsers'], queryFn: () => fetchWithToken('/admins/all-regular-users', token), enabled: !!token });
+  const { data: allRegularUsers, isLoading: isLoadingAllUsers, error: allUsersError } = useQuery<RegularUser[], Error>({ queryKey: ['allRegularUsers'], queryFn: () => fetchAllPages<RegularUser>('/admins/all-regular-users', token), enabled: !!token });
 
   const upsertAdminMutation = useMutation<Admin, Error, AdminFormData>({ mutationFn: (data: AdminFormData) => { const { _id, ...adminData } = data; const url = _id ? `/admins/${_id}` : '/admins'; const method = _id ? 'PATCH' : 'POST'; if (_id && (!adminData.password || adminData.password.trim() === '')) { delete adminData.password; } return fetchWithToken(url, token, { method, body: JSON.stringify(adminData) }); }, onSuccess: () => { toast.success(`Admin ${editingAdmin ? 'updated' : 'added'} successfully!`); queryClient.invalidateQueries({ queryKey: ['admins'] }); queryClient.invalidateQueries({ queryKey: ['categories'] }); setIsAdminFormOpen(false); }, onError: (err: Error) => toast.error(err.message), });
   const removeAdminMutation = useMutation<{ message: string }, Error, string>({ mutationFn: (adminId: string) => fetchWithToken(`/admins/${adminId}`, token, { method: 'DELETE' }), onSuccess: () => { toast.success("Admin removed successfully!"); queryClient.invalidateQueries({ queryKey: ['admins'] }); queryClient.invalidateQueries({ queryKey: ['categories'] }); }, onError: (err: Error) => toast.error(err.message) });
   const addCategoryMutation = useMutation<Category, Error, CategoryFormData>({ mutationFn: (data: CategoryFormData) => fetchWithToken('/categories', token, { method: 'POST', body: JSON.stringify(data) }), onSuccess: () => { toast.success("Category added successfully!"); queryClient.invalidateQueries({ queryKey: ['categories'] }); setIsCategoryFormOpen(false); categoryForm.reset(); }, onError: (err: Error) => toast.error(err.message) });
   const removeCategoryMutation = useMutation<{ message: string }, Error, string>({ mutationFn: (categoryId: string) => fetchWithToken(`/categories/${categoryId}`, token, { method: 'DELETE' }), onSuccess: () => { toast.success("Category removed successfully!"); queryClient.invalidateQueries({ queryKey: ['categories'] }); queryClient.invalidateQueries({ queryKey: ['admins'] }); }, onError: (err: Error) => toast.error(err.message), });
   const deleteUserMutation = useMutation<{ message: string }, Error, string>({ mutationFn: (userId: string) => fetchWithToken(`/admins/user/${userId}`, token, { method: 'DELETE' }), onSuccess: () => { toast.success("User deleted successfully!"); queryClient.invalidateQueries({ queryKey: ['allRegularUsers'] }); }, onError: (err: Error) => { toast.error(err.message || "Failed to delete user."); } });
-  const addUserMutation = useMutation<{ message: string; user: { _id: string; name: string; email: string; }; password_was: string }, Error, AddUserFormData>({ mutationFn: (data: AddUserFormData) => fetchWithToken('/admins/super-add-user', token, { method: 'POST', body: JSON.stringify(data) }), onSuccess: (data) => { toast.success(data.message); queryClient.invalidateQueries({ queryKey: ['allRegularUsers'] }); setIsAddUserDialogOpen(false); setCreatedUserInfo({ ...data.user, password_was: data.password }); addUserForm.reset(); }, onError: (err: Error) => toast.error(err.message), });
+  const addUserMutation = useMutation<{ message: string }, Error, AddUserFormData>({ mutationFn: (data: AddUserFormData) => fetchWithToken('/invitations', token, { method: 'POST', body: JSON.stringify({ ...data, userType: 'user' }) }), onSuccess: (data) => { toast.success(data.message); setIsAddUserDialogOpen(false); addUserForm.reset(); }, onError: (err: Error) => toast.error(err.message), });
   const updateUserMutation = useMutation<RegularUser, Error, { userId: string } & EditUserFormData>({
     mutationFn: (data) => {
         const { userId, ...payload } = data;
@@ -148,11 +148,6 @@ const SuperAdmin = () => {
     },
     onError: (err: Error) => toast.error(err.message || "Failed to update user.")
   });
-  const shareUserDetailsMutation = useMutation<{ message: string }, Error, { email: string; name: string; password_was: string }>({
-    mutationFn: (data) => fetchWithToken('/admins/share-new-user-details', token, { method: 'POST', body: JSON.stringify({ email: data.email, name: data.name, password: data.password_was }) }),
-    onSuccess: (data) => { toast.success(data.message); },
-    onError: (err: Error) => { toast.error(err.message || "Failed to share details."); }
-  });
   const resetPasswordMutation = useMutation<{ message: string }, Error, string>({
     mutationFn: (userId: string) => fetchWithToken(`/admins/user/${userId}/reset-password`, token, { method: 'POST' }),
     onSuccess: (data) => { toast.success(data.message); },
@@ -287,9 +282,9 @@ const SuperAdmin = () => {
                 </AlertDialogTrigger>
                 <AlertDialogContent>
                     <AlertDialogHeader>
-                        <AlertDialogTitle>Reset and Share Password?</AlertDialogTitle>
+                        <AlertDialogTitle>Reset Password?</AlertDialogTitle>
                         <AlertDialogDescription>
-                            This will generate a new temporary password for <span className="font-semibold">{user.name}</span> and email it to them. The user's current password will no longer work. Are you sure you want to proceed?
+                            This will email <span className="font-semibold">{user.name}</span> a single-use link to choose a new password. Their current password will stop working and they will be signed out everywhere. Are you sure you want to proceed?
                         </AlertDialogDescription>
                     </AlertDialogHeader>
                     <AlertDialogFooter>
@@ -380,6 +375,7 @@ const SuperAdmin = () => {
                                                 ))}
                                             </SelectContent>
                                         </Select>
+                                        <UserImportExport token={token} category={categoryFilter !== 'all' ? categoryFilter : undefined} onImported={() => queryClient.invalidateQueries({ queryKey: ['allRegularUsers'] })} />
                                         <Button onClick={() => setIsAddUserDialogOpen(true)}><UserPlus className="mr-2 h-4 w-4"/>Add User</Button>
                                     </div>
                                 </div>
@@ -399,7 +395,7 @@ const SuperAdmin = () => {
                 <Input type="hidden" {...adminForm.register("_id")} />
                 <div><Label htmlFor="name">Full Name</Label><Input id="name" {...adminForm.register("name")} />{adminForm.formState.errors.name && <p className="text-sm text-destructive mt-1">{adminForm.formState.errors.name.message}</p>}</div>
                 <div><Label htmlFor="email">Email Address</Label><Input id="email" type="email" {...adminForm.register("email")} />{adminForm.formState.errors.email && <p className="text-sm text-destructive mt-1">{adminForm.formState.errors.email.message}</p>}</div>
-                {!editingAdmin && (<div><Label htmlFor="password">Password</Label><Input id="password" type="password" placeholder='Set initial password' {...adminForm.register("password")} />{adminForm.formState.errors.password && <p className="text-sm text-destructive mt-1">{adminForm.formState.errors.password.message}</p>}</div>)}
+                {!editingAdmin && (<div><Label htmlFor="password">Password</Label><Input id="password" type="password" placeholder='Temporary password, changed at first login' {...adminForm.register("password")} />{adminForm.formState.errors.password && <p className="text-sm text-destructive mt-1">{adminForm.formState.errors.password.message}</p>}</div>)}
                 {editingAdmin && (<div><Label>Status</Label><Controller name="status" control={adminForm.control} render={({ field }) => (<Select onValueChange={field.onChange} defaultValue={field.value}><SelectTrigger><SelectValue/></SelectTrigger><SelectContent><SelectItem value="Active">Active</SelectItem><SelectItem value="Inactive">Inactive</SelectItem></SelectContent></Select>)} /></div>)}
                 <div><Label>Assign Categories</Label><div className="space-y-2 rounded-md border p-4 max-h-40 overflow-y-auto"><Controller name="categories" control={adminForm.control} render={({ field }) => (<>{isLoadingCategories ? <Skeleton className='h-5 w-20'/> : categories?.map((category) => (<div key={category._id} className="flex items-center space-x-2"><Checkbox id={category._id} checked={field.value?.includes(category.name)} onCheckedChange={(checked) => { const current = field.value || []; const newCategories = checked ? [...current, category.name] : current.filter(name => name !== category.name); field.onChange(newCategories);}}/><label htmlFor={category._id} className="text-sm font-medium">{category.name}</label></div>))}</>)}/></div></div>
                 <DialogFooter><Button type="button" variant="secondary" onClick={() => setIsAdminFormOpen(false)}>Cancel</Button><Button type="submit" disabled={upsertAdminMutation.isPending}>{upsertAdminMutation.isPending ? "Saving..." : "Save Changes"}</Button></DialogFooter>
@@ -418,36 +414,15 @@ const SuperAdmin = () => {
 
       <Dialog open={isAddUserDialogOpen} onOpenChange={setIsAddUserDialogOpen}>
         <DialogContent className="sm:max-w-md">
-          <DialogHeader><DialogTitle>Create a New User</DialogTitle><DialogDescription>An initial password will be auto-generated and displayed upon creation.</DialogDescription></DialogHeader>
+          <DialogHeader><DialogTitle>Invite a New User</DialogTitle><DialogDescription>They will get an email with a link to set their own password.</DialogDescription></DialogHeader>
           <form onSubmit={addUserForm.handleSubmit(data => addUserMutation.mutate(data))} className="space-y-4 pt-4">
               <div><Label htmlFor="add-user-name">Full Name</Label><Input id="add-user-name" {...addUserForm.register("name")} />{addUserForm.formState.errors.name && <p className="text-sm text-destructive mt-1">{addUserForm.formState.errors.name.message}</p>}</div>
               <div><Label htmlFor="add-user-email">Email Address</Label><Input id="add-user-email" type="email" {...addUserForm.register("email")} />{addUserForm.formState.errors.email && <p className="text-sm text-destructive mt-1">{addUserForm.formState.errors.email.message}</p>}</div>
               <div><Label>Assign Categories</Label><div className="space-y-2 rounded-md border p-4 max-h-40 overflow-y-auto"><Controller name="categories" control={addUserForm.control} render={({ field }) => (<>{isLoadingCategories ? <Skeleton className='h-5 w-20'/> : categories?.map((category) => (<div key={category._id} className="flex items-center space-x-2"><Checkbox id={`add-user-cat-${category._id}`} checked={field.value?.includes(category.name)} onCheckedChange={(checked) => { const current = field.value || []; const newCategories = checked ? [...current, category.name] : current.filter(name => name !== category.name); field.onChange(newCategories);}}/><label htmlFor={`add-user-cat-${category._id}`} className="text-sm font-medium">{category.name}</label></div>))}</>)}/></div></div>
-              <DialogFooter><Button type="button" variant="secondary" onClick={() => setIsAddUserDialogOpen(false)}>Cancel</Button><Button type="submit" disabled={addUserMutation.isPending}>{addUserMutation.isPending ? <><Loader2 className="mr-2 h-4 w-4 animate-spin"/>Creating...</> : "Create User"}</Button></DialogFooter>
+              <DialogFooter><Button type="button" variant="secondary" onClick={() => setIsAddUserDialogOpen(false)}>Cancel</Button><Button type="submit" disabled={addUserMutation.isPending}>{addUserMutation.isPending ? <><Loader2 className="mr-2 h-4 w-4 animate-spin"/>Sending...</> : "Send Invitation"}</Button></DialogFooter>
           </form>
         </DialogContent>
       </Dialog>
-      
-      <Dialog open={!!createdUserInfo} onOpenChange={() => setCreatedUserInfo(null)}>
-        <DialogContent className="sm:max-w-md">
-          <DialogHeader><DialogTitle className='flex items-center gap-2'><UserPlus className='w-5 h-5 text-green-600'/>User Created Successfully</DialogTitle><DialogDescription>Please share these temporary credentials with the user, or send them via email.</DialogDescription></DialogHeader>
-          <div className="space-y-4 py-4">
-            <p><strong>Name:</strong> {createdUserInfo?.name}</p>
-            <p><strong>Email:</strong> {createdUserInfo?.email}</p>
-            <div className='flex items-center gap-2'>
-              <p><strong>Password:</strong> <span className="font-mono bg-gray-100 p-1 rounded">{createdUserInfo?.password_was}</span></p>
-              <Button variant='outline' size='icon' className='h-7 w-7' onClick={() => {navigator.clipboard.writeText(createdUserInfo?.password_was || ''); toast.success("Password copied!");}}><Copy className='w-4 h-4'/></Button>
-            </div>
-          </div>
-          <DialogFooter className="justify-between">
-            <Button variant="secondary" onClick={() => { if(createdUserInfo) shareUserDetailsMutation.mutate(createdUserInfo)}} disabled={shareUserDetailsMutation.isPending}>
-                {shareUserDetailsMutation.isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Mail className="mr-2 h-4 w-4" />}
-                Share Details via Email
-            </Button>
-            <Button onClick={() => setCreatedUserInfo(null)}>Close</Button>
-          </DialogFooter>
-        </DialogContent>
-      </Dialog>
 
       <Dialog open={!!editingUser} onOpenChange={() => setEditingUser(null)}>
         <DialogContent className="sm:max-w-md">